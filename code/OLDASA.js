@@ -30,131 +30,123 @@
  */
 
 const path = require('path');
-const Max = require('max-api');
-const vosk = require('vosk');
-const fs = require("fs");
+const Max = require('./lib/maxApi');
 const record = require('node-record-lpcm16');
-const wordsToNumbers = require('words-to-numbers').default;
+const { SpeechRecognizer } = require('./lib/recognizer');
+const { specialFormatting } = require('./lib/formatter');
+const { CommandMatcher, grammarFromFile } = require('./lib/commands');
+const { ScriptConfig, addConfigHandlers, sampleRateSetting } = require('./lib/config');
 
 const SOX_PATH = path.join(__dirname, '/ASA Project/sox-14.4.2');
 
 let lastPartialResult = '';
+let recording = null;
 
-function specialFormatting(inputString, options) {
-  let formattedString = inputString;
+// Update the PATH environment variable to include /usr/local/bin and SOX_PATH
+process.env.PATH = [process.env.PATH, '/usr/local/bin', SOX_PATH].join(':');
 
-  // Check for 'minus'
-  const isNegative = /^minus\b/.test(inputString);
-  if (isNegative) {
-    formattedString = formattedString.replace(/\bminus\b/, '').trim();
-  }
+const MODEL_PATH = "../model/vosk-model"; // Default until set by config.json or 'model'
+const SAMPLE_RATE = 16000;
 
-  // Check for 'percent'
-  const isPercent = /\bpercent\b/.test(formattedString);
-  if (isPercent) {
-    formattedString = formattedString.replace(/\bpercent\b/, '').trim();
-  }
+// Settings from the "OLDASA" section of config.json, changeable live with 'set <key> <value>'
+const config = new ScriptConfig('OLDASA', {
+  model: { type: 'string', default: MODEL_PATH },
+  recognitionRate: sampleRateSetting(SAMPLE_RATE), // Rate of the microphone recording and of the Vosk recognizer
+}, { log: (message) => Max.post(message) });
 
-  // Convert the number word to a number
-  let number = wordsToNumbers(formattedString, options);
+Max.post(`Loaded the ${path.basename(__filename)} script`);
 
-  if (number !== undefined) {
-    if (isNegative) {
-      number = '-' + number;
-    }
-    if (isPercent) {
-      number = number + '%';
-    }
+// Initialize Vosk model
+const recognizer = new SpeechRecognizer({ sampleRate: config.get('recognitionRate'), logLevel: 0 });
+
+// Loads the model at `modelPath` for audio at `sampleRate` and returns the text pending in the
+// old one; throws, keeping the current model, when it fails
+function loadModel(modelPath, sampleRate) {
+  const previousRate = recognizer.sampleRate;
+  recognizer.sampleRate = sampleRate;
+  let pending;
+  try {
+    pending = recognizer.loadModel(modelPath);
+  } catch (error) {
+    recognizer.sampleRate = previousRate;
+    throw error;
   }
-
-  return number;
+  Max.post(`Vosk model loaded from ${modelPath}`);
+  return pending;
 }
 
-// Update the PATH environment variable to include /usr/local/bin and SOX_PATH
-process.env.PATH = [process.env.PATH, '/usr/local/bin', SOX_PATH].join(':');
-
-const MODEL_PATH = "../model/vosk-model"; // Update the model path
-const SAMPLE_RATE = 16000;
+try {
+  loadModel(config.get('model'), config.get('recognitionRate'));
+} catch (error) {
+  Max.post(`Could not load the Vosk model: ${error.message}. Send 'model <path>' with the folder of a model unpacked from https://alphacephei.com/vosk/models.`);
+}
 
-Max.post(`Loaded the ${path.basename(__filename)} script`);
+// Voice commands from commands.json, sent as 'command <name> <values...>'
+const commands = new CommandMatcher(grammarFromFile(path.join(__dirname, 'commands.json'), (message) => Max.post(message)));
 
-// Check if the model directory exists
-if (!fs.existsSync(MODEL_PATH)) {
-  Max.post("Model not found. Please check the model path.");
-  process.exit(1);
+function outputCommands(text, final) {
+  for (const { command, args } of commands.process(text, final)) {
+    Max.outlet('command', command, ...args);
+  }
 }
 
-// Initialize Vosk model
-vosk.setLogLevel(0);
-const model = new vosk.Model(MODEL_PATH);
-const rec = new vosk.Recognizer({ model: model, sampleRate: SAMPLE_RATE });
-
-// Initialize node-record-lpcm16 with SoX path
-const recording = record.record({
-  sampleRate: SAMPLE_RATE,
-  channels: 1,
-  threshold: 0,
-  recordProgram: process.platform === 'win32' ? path.join(SOX_PATH, 'sox.exe') : 'sox',
-  silence: '10.0',
-});
-
 // Stream audio data to Vosk recognizer
-recording.stream().on('data', (data) => {
+function onAudioData(data) {
   Max.post('Received audio data chunk');
   // Log the contents of the audio chunk
   Max.post(`Audio chunk data: ${data.toString('hex')}`);
 
-  if (rec.acceptWaveform(data)) {
-    const result = rec.result();
-    if (result && result.text) {
-      // Convert recognized text to numbers
-      const convertedText = specialFormatting(result.text, {});
+  if (!recognizer.loaded) {
+    return;
+  }
+  const result = recognizer.accept(data);
+  if (!result) {
+    return;
+  }
 
-      Max.post(`Final Result: ${result.text}`);
-      Max.post(`Converted Final Result: ${convertedText}`);
+  if (result.type === 'final') {
+    // Convert recognized text to numbers
+    const convertedText = specialFormatting(result.text, {});
 
-      if (convertedText !== undefined) {
-        Max.outlet(convertedText);
-      }
+    Max.post(`Final Result: ${result.text}`);
+    Max.post(`Converted Final Result: ${convertedText}`);
 
-      // Output the last partial result
-      if (lastPartialResult !== '') {
-        Max.outlet(lastPartialResult);
-        lastPartialResult = '';
-      }
+    if (convertedText !== undefined) {
+      Max.outlet(convertedText);
+    }
+    outputCommands(result.text, true);
+
+    // Output the last partial result
+    if (lastPartialResult !== '') {
+      Max.outlet(lastPartialResult);
+      lastPartialResult = '';
     }
   } else {
-    const partial = rec.partialResult();
-    if (partial && partial.partial) {
-      const convertedPartial = specialFormatting(partial.partial, {});
-
-      Max.post(`Partial Result: ${partial.partial}`);
-      Max.post(`Converted Partial Result: ${convertedPartial}`);
-
-      // Check if the partial result contains 'play', 'stop', 'pause', or 'resume'
-      if (/\b(play|stop|pause|resume|continue|both)\b/i.test(convertedPartial)) {
-        Max.outlet(convertedPartial);
-      } else {
-        // Store the last partial result
-        lastPartialResult = convertedPartial;
-      }
+    const convertedPartial = specialFormatting(result.text, {});
+
+    Max.post(`Partial Result: ${result.text}`);
+    Max.post(`Converted Partial Result: ${convertedPartial}`);
+
+    // Send the commands in it (commands.json), store it otherwise
+    outputCommands(result.text, false);
+    if (commands.match(result.text, false).length === 0) {
+      lastPartialResult = convertedPartial;
     }
   }
-});
+}
 
-// Handle audio processing completion
-recording.stream().on('end', () => {
-  Max.post("Audio processing complete.");
-  const finalResult = rec.finalResult();
-  if (finalResult && finalResult.text) {
+// Outputs the text a recognizer still held when its stream ended or its model was replaced
+function outputFinalText(finalText) {
+  if (finalText) {
     // Convert final recognized text to numbers
-    const convertedFinalText = specialFormatting(finalResult.text, {});
-    Max.post('Final text:', finalResult.text);
+    const convertedFinalText = specialFormatting(finalText, {});
+    Max.post('Final text:', finalText);
     Max.post('Final converted text:', convertedFinalText);
 
     if (convertedFinalText !== undefined) {
       Max.outlet(convertedFinalText);
     }
+    outputCommands(finalText, true);
 
     // Output the last partial result if it exists
     if (lastPartialResult !== '') {
@@ -162,10 +154,45 @@ recording.stream().on('end', () => {
       lastPartialResult = '';
     }
   }
-  rec.free();
-  model.free();
+}
+
+// Handle audio processing completion
+function onRecordingEnd() {
+  Max.post("Audio processing complete.");
+  outputFinalText(recognizer.finish());
+  recognizer.free();
+}
+
+// Records the microphone at `sampleRate` into the recognizer
+function startRecording(sampleRate) {
+  // Initialize node-record-lpcm16 with SoX path
+  recording = record.record({
+    sampleRate: sampleRate,
+    channels: 1,
+    threshold: 0,
+    recordProgram: process.platform === 'win32' ? path.join(SOX_PATH, 'sox.exe') : 'sox',
+    silence: '10.0',
+  });
+  recording.stream().on('data', onAudioData);
+  recording.stream().on('end', onRecordingEnd);
+}
+
+config.onChange('model', (modelPath) => {
+  outputFinalText(loadModel(modelPath, config.get('recognitionRate')));
 });
 
+// A new rate needs a new recognizer and a new recording; the old one ends without freeing the model
+config.onChange('recognitionRate', (sampleRate) => {
+  outputFinalText(loadModel(config.get('model'), sampleRate));
+  recording.stream().removeListener('data', onAudioData);
+  recording.stream().removeListener('end', onRecordingEnd);
+  recording.stop();
+  startRecording(sampleRate);
+});
+
+// set, dumpconfig, reloadconfig and model messages (see lib/config.js)
+addConfigHandlers(Max, config);
+
 // Handle SIGINT signal (e.g., when stopping the script)
 process.on('SIGINT', () => {
   Max.post("Stopping microphone...");
@@ -173,5 +200,5 @@ process.on('SIGINT', () => {
 });
 
 // Start recording
-recording.start();
+startRecording(config.get('recognitionRate'));
 Max.post("Recording started.");
@@ -33,90 +33,83 @@
  */
 
 const path = require('path');
-const Max = require('max-api');
-const vosk = require('vosk');
+const Max = require('./lib/maxApi');
 const fs = require("fs");
 const wav = require('wav');
-const wordsToNumbers = require('words-to-numbers').default;
+const { SpeechRecognizer } = require('./lib/recognizer');
+const { specialFormatting } = require('./lib/formatter');
+const { CommandMatcher, grammarFromFile } = require('./lib/commands');
+const { ScriptConfig, addConfigHandlers, sampleRateSetting } = require('./lib/config');
 
-const MODEL_PATH = "../model/vosk-model";
+const MODEL_PATH = "../model/vosk-model"; // Default until set by config.json or 'model'
 const SAMPLE_RATE = 16000;
 const WAV_FILE_PATH = 'temp_output.wav';
 
-Max.post(`Loaded the ${path.basename(__filename)} script`);
-
-function specialFormatting(inputString, options) {
-  let formattedString = inputString;
+// Settings from the "READING" section of config.json, changeable live with 'set <key> <value>'
+const config = new ScriptConfig('READING', {
+  model: { type: 'string', default: MODEL_PATH },
+  recognitionRate: sampleRateSetting(SAMPLE_RATE), // Rate of the WAV file and of the Vosk recognizer
+  wavFile: { type: 'string', default: WAV_FILE_PATH }, // Read at startup and whenever it changes
+}, { log: (message) => Max.post(message) });
 
-  const isNegative = /^minus\b/.test(inputString);
-  if (isNegative) {
-    formattedString = formattedString.replace(/\bminus\b/, '').trim();
-  }
+let reading = null; // File being read
 
-  const isPercent = /\bpercent\b/.test(formattedString);
-  if (isPercent) {
-    formattedString = formattedString.replace(/\bpercent\b/, '').trim();
-  }
+Max.post(`Loaded the ${path.basename(__filename)} script`);
 
-  let number = wordsToNumbers(formattedString, options);
+// Initialize Vosk model
+const recognizer = new SpeechRecognizer({ sampleRate: config.get('recognitionRate'), logLevel: 0 });
 
-  if (number !== undefined) {
-    if (isNegative) {
-      number = '-' + number;
-    }
-    if (isPercent) {
-      number = number + '%';
-    }
+// Loads the model at `modelPath` for audio at `sampleRate`; throws, keeping the current one, when it fails
+function loadModel(modelPath, sampleRate) {
+  const previousRate = recognizer.sampleRate;
+  recognizer.sampleRate = sampleRate;
+  try {
+    recognizer.loadModel(modelPath);
+  } catch (error) {
+    recognizer.sampleRate = previousRate;
+    throw error;
   }
-
-  return number;
-}
-// Check if the model directory exists
-if (!fs.existsSync(MODEL_PATH)) {
-  Max.post("Model not found. Please check the model path.");
-  process.exit(1);
+  Max.post(`Vosk model loaded from ${modelPath}`);
 }
 
-// Check if the WAV file exists
-if (!fs.existsSync(WAV_FILE_PATH)) {
-  Max.post(`WAV file not found: ${WAV_FILE_PATH}`);
-  process.exit(1);
+try {
+  loadModel(config.get('model'), config.get('recognitionRate'));
+} catch (error) {
+  Max.post(`Could not load the Vosk model: ${error.message}. Send 'model <path>' with the folder of a model unpacked from https://alphacephei.com/vosk/models.`);
 }
 
-// Initialize Vosk model
-vosk.setLogLevel(0);
-const model = new vosk.Model(MODEL_PATH);
-const rec = new vosk.Recognizer({ model: model, sampleRate: SAMPLE_RATE });
+// Voice commands from commands.json, sent as 'command <name> <values...>'
+const commands = new CommandMatcher(grammarFromFile(path.join(__dirname, 'commands.json'), (message) => Max.post(message)));
+
+function outputCommands(text, final) {
+  for (const { command, args } of commands.process(text, final)) {
+    Max.outlet('command', command, ...args);
+  }
+}
 
 function processWavFile(filePath) {
+  const sampleRate = config.get('recognitionRate');
   return new Promise((resolve, reject) => {
     const reader = new wav.Reader();
     const fileStream = fs.createReadStream(filePath);
 
     reader.on('format', function (format) {
-      if (format.sampleRate !== SAMPLE_RATE) {
-        reject(new Error(`Invalid sample rate. Expected ${SAMPLE_RATE}, but got ${format.sampleRate}`));
+      if (format.sampleRate !== sampleRate) {
+        reject(new Error(`Invalid sample rate. Expected ${sampleRate}, but got ${format.sampleRate}`));
       }
     });
 
     reader.on('data', function (chunk) {
       try {
-        if (rec.acceptWaveform(chunk)) {
-          const result = rec.result();
-          if (result && result.text) {
-            const convertedText = specialFormatting(result.text, {});
-            if (convertedText !== undefined) {
-              Max.outlet(convertedText);
-            }
-          }
-        } else {
-          const partial = rec.partialResult();
-          if (partial && partial.partial) {
-            const convertedPartial = specialFormatting(partial.partial, {});
-            if (/\b(play|stop|pause|resume|continue|both)\b/i.test(convertedPartial)) {
-              Max.outlet(convertedPartial);
-            }
+        const result = recognizer.accept(chunk);
+        if (result && result.type === 'final') {
+          const convertedText = specialFormatting(result.text, {});
+          if (convertedText !== undefined) {
+            Max.outlet(convertedText);
           }
+          outputCommands(result.text, true);
+        } else if (result) {
+          outputCommands(result.text, false);
         }
       } catch (error) {
         Max.post("Error processing chunk:", error.message);
@@ -124,13 +117,14 @@ function processWavFile(filePath) {
     });
 
     reader.on('end', function () {
-      const finalResult = rec.finalResult();
-      if (finalResult && finalResult.text) {
-        const convertedFinalText = specialFormatting(finalResult.text, {});
+      const finalText = recognizer.finish();
+      if (finalText) {
+        const convertedFinalText = specialFormatting(finalText, {});
         Max.post('Final converted text:', convertedFinalText);
         if (convertedFinalText !== undefined) {
           Max.outlet(convertedFinalText);
         }
+        outputCommands(finalText, true);
       }
       resolve();
     });
@@ -147,33 +141,61 @@ function processWavFile(filePath) {
   });
 }
 
-async function main() {
+async function main(filePath) {
+  reading = filePath;
   try {
     Max.post("Starting to process WAV file...");
-    await processWavFile(WAV_FILE_PATH);
+    await processWavFile(filePath);
     Max.post("Audio processing complete.");
   } catch (error) {
     Max.post("Error processing audio:", error.message);
   } finally {
-    rec.free();
-    model.free();
+    reading = null;
   }
 }
 
-// Run the main function
-main();
+// Reads `filePath` when a model is loaded and no other file is being read; throws otherwise
+function readWavFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`WAV file not found: ${filePath}`);
+  }
+  if (!recognizer.loaded) {
+    throw new Error(`No Vosk model loaded to read ${filePath} (send 'model <path>' first)`);
+  }
+  if (reading) {
+    throw new Error(`Still reading ${reading}`);
+  }
+  main(filePath);
+}
+
+config.onChange('model', (modelPath) => loadModel(modelPath, config.get('recognitionRate')));
+config.onChange('recognitionRate', (sampleRate) => loadModel(config.get('model'), sampleRate));
+config.onChange('wavFile', (filePath) => readWavFile(filePath));
+
+// set, dumpconfig, reloadconfig and model messages (see lib/config.js)
+addConfigHandlers(Max, config);
+
+// Read the configured file at startup
+try {
+  readWavFile(config.get('wavFile'));
+} catch (error) {
+  Max.post(`${error.message}. Send 'set wavFile <path>' to read another file.`);
+}
+
+process.on('SIGINT', () => {
+  recognizer.free();
+  process.exit(0);
+});
 
 // Handle unexpected errors
 process.on('uncaughtException', (error) => {
   Max.post("Uncaught Exception:", error.message);
-  rec.free();
-  model.free();
+  recognizer.free();
   process.exit(1);
 });
 
 process.on('unhandledRejection', (reason, promise) => {
   Max.post("Unhandled Rejection at:", promise, "reason:", reason);
-  rec.free();
-  model.free();
+  recognizer.free();
   process.exit(1);
 });
\ No newline at end of file
@@ -31,11 +31,31 @@
  * =======================================================================
  */
 
-const maxApi = require('max-api');
+const maxApi = require('./lib/maxApi');
 const { SerialPort } = require('serialport');
+const { ScriptConfig, addConfigHandlers } = require('./lib/config');
+
+// Settings from the "SERI" section of config.json, changeable with 'set <key> <value>'
+const config = new ScriptConfig('SERI', {
+    serialPort: { type: 'string', default: '', allowEmpty: true }, // Opened by 'openPort' without a name
+    baudRate: { type: 'integer', default: 9600, min: 1 },
+    pushToTalk: { type: 'boolean', default: false }, // Values from the device are a talk button for sRtin.js
+    pushThreshold: { type: 'number', default: 0.5 }, // Above: pressed
+}, { log: (message) => maxApi.post(message) });
 
 let port;
 let buffer = Buffer.alloc(0);
+let buttonPressed = false;
+
+// With pushToTalk on, a button on the device sends 'listen 1' when pressed and 'listen 0' when released
+// (route it to sRtin.js, set listenMode push there)
+function updateButton(value) {
+    const pressed = value > config.get('pushThreshold');
+    if (pressed !== buttonPressed) {
+        buttonPressed = pressed;
+        maxApi.outlet('listen', pressed ? 1 : 0);
+    }
+}
 
 maxApi.addHandler('listPorts', async () => {
     try {
@@ -49,14 +69,15 @@ maxApi.addHandler('listPorts', async () => {
     }
 });
 
-maxApi.addHandler('openPort', async (portName) => {
+maxApi.addHandler('openPort', async (requestedPort) => {
     try {
+        const portName = requestedPort || config.get('serialPort');
         if (!portName) {
             maxApi.post('Error: No port name provided. Use "listPorts" to see available ports.');
             return;
         }
 
-        port = new SerialPort({ path: portName, baudRate: 9600 });
+        port = new SerialPort({ path: portName, baudRate: config.get('baudRate') });
         
         port.on('open', () => {
             maxApi.post(`Port ${portName} opened successfully`);
@@ -71,6 +92,9 @@ maxApi.addHandler('openPort', async (portName) => {
             while (buffer.length >= 4) {
                 const value = buffer.readFloatLE(0);
                 maxApi.outlet(value);
+                if (config.get('pushToTalk')) {
+                    updateButton(value);
+                }
                 buffer = buffer.slice(4);
             }
         });
@@ -92,4 +116,24 @@ maxApi.addHandler('closePort', () => {
     } else {
         maxApi.post('No port is currently open');
     }
-});
\ No newline at end of file
+});
+// Turning the button off releases it
+config.onChange('pushToTalk', (enabled) => {
+    if (!enabled && buttonPressed) {
+        buttonPressed = false;
+        maxApi.outlet('listen', 0);
+    }
+});
+// A new baud rate applies to the open port right away
+config.onChange('baudRate', (baudRate) => {
+    if (port && port.isOpen) {
+        port.update({ baudRate: baudRate }, (err) => {
+            if (err) {
+                maxApi.post(`Error changing baud rate: ${err.message}`);
+            }
+        });
+    }
+});
+
+// set <key> <value>, dumpconfig, reloadconfig
+addConfigHandlers(maxApi, config);
@@ -34,139 +34,93 @@
  * =======================================================================
  */
 
-const net = require('net');
 const fs = require('fs');
-const wav = require('wav');
-const Max = require('max-api');
-const stream = require('stream');
-const { pipeline } = require('stream/promises');
+const Max = require('./lib/maxApi');
+const { ArrivalRateMonitor } = require('./lib/rateMonitor');
+const { ScriptConfig, addConfigHandlers, portSetting, sampleRateSetting } = require('./lib/config');
+const { TcpReceiver } = require('./lib/transports');
+const { StreamingRecorder, RECORDING_SETTINGS, addRecordingHandlers } = require('./lib/recorder');
+const { addCaptureHandlers } = require('./lib/capture');
 
-let server;
-let port = 7474;
 let chunkCounter = 0;
-let recordingAudio = [];
 
-const INPUT_SAMPLE_RATE = 44100;
-const BIT_DEPTH = 16;
-const CHANNELS = 1;
+const INPUT_SAMPLE_RATE = 44100; // Default until set by config.json or 'samplerate'
+
+// Settings from the "TCP" section of config.json, changeable live with 'set <key> <value>'
+const config = new ScriptConfig('TCP', Object.assign({
+  port: portSetting(7474),
+  host: { type: 'string', default: '127.0.0.1' },
+  sampleRate: sampleRateSetting(INPUT_SAMPLE_RATE),
+  outputFile: { type: 'string', default: 'output_{timestamp}_{take}.wav' },
+}, RECORDING_SETTINGS), { log: (message) => Max.post(message) });
+
+let inputSampleRate = config.get('sampleRate');
+const rateMonitor = new ArrivalRateMonitor();
+// Records everything received, as before, straight into the audio file
+const recorder = new StreamingRecorder({
+  fileName: () => config.get('outputFile'),
+  recording: true,
+  log: (message) => Max.post(message),
+});
+const receiver = new TcpReceiver(handlePacket, { log: (message) => Max.post(message) });
 
 function startServer() {
-  if (server) {
-    server.close();
-  }
-
-  server = net.createServer((socket) => {
-    Max.post(`Client connected: ${socket.remoteAddress}:${socket.remotePort}`);
-
-    socket.on('data', (data) => {
-   //   Max.post(`Received data from ${socket.remoteAddress}:${socket.remotePort}:`);
-   //   Max.post(`Data size: ${data.length} bytes`);
-
-      // Convert received Jitter matrix data to float32 format
-      const floatData = convertMatrixToFloat32(data);
-
-      // Save the converted float data if recording
-      recordingAudio.push(...floatData.map(item => item.value));
-
-      // Write float32 data to a single file with index
-      writeFloatDataToFile(floatData);
-      
-      chunkCounter++;
-    });
-
-    socket.on('close', () => {
-      Max.post(`Client disconnected: ${socket.remoteAddress}:${socket.remotePort}`);
-    });
-
-    socket.on('error', (err) => {
-      Max.post(`Socket error: ${err.message}`);
-    });
-  });
-
-  server.on('error', (err) => {
-    Max.post(`Server error: ${err.message}`);
-  });
-
-  server.listen(port, '127.0.0.1', () => {
-    Max.post(`TCP server listening on 127.0.0.1:${port}`);
-  });
+  receiver.listen(config.get('port'), config.get('host'));
 }
 
-function convertMatrixToFloat32(matrixData) {
-  const floatData = [];
-  let indexCounter = 0;
+function handlePacket(packet) {
+  checkArrivalRate(packet.frameCount);
 
-  // Skip the first 74 values (indices 0 to 73)
-  const skipCount = 74 * 4; // 74 values * 4 bytes per float
+  // Save the converted float data, as interleaved frames (each matrix plane is one channel)
+  recorder.append(packet.channels, inputSampleRate);
 
-  for (let i = 0; i < matrixData.length; i += 4) {
-    if (i < skipCount) {
-      continue; // Skip the first 74 values
-    }
-    const value = matrixData.readFloatBE(i); // Assuming big-endian float representation
-    floatData.push({ index: indexCounter, value: value });
-    indexCounter++;
-  }
+  // Write float32 data to a single file with index
+  writeFloatDataToFile(Array.from(packet.samples));
 
-  return floatData;
+  chunkCounter++;
 }
 
-function writeFloatDataToFile(floatData) {
-  const output = floatData.map(item => `${item.index}: ${item.value}`).join('\n') + '\n';
+function writeFloatDataToFile(samples) {
+  const output = samples.map((value, index) => `${index}: ${value}`).join('\n') + '\n';
   fs.appendFileSync('float_data.txt', output);
  // Max.post(`Float32 data appended to float_data.txt (Chunk ${chunkCounter})`);
 }
 
-async function saveAudioFile(audioData, options = {}) {
-  const {
-    fileName = 'output.wav',
-    sampleRate = INPUT_SAMPLE_RATE,
-    channels = CHANNELS,
-    bitDepth = BIT_DEPTH
-  } = options;
-
-  try {
-    const wavWriter = new wav.FileWriter(fileName, {
-      channels: channels,
-      sampleRate: sampleRate,
-      bitDepth: bitDepth,
-    });
-
-    const int16Data = new Int16Array(audioData.length);
-    for (let i = 0; i < audioData.length; i++) {
-      // More precise conversion from [-1, 1] to [-32768, 32767]
-      int16Data[i] = Math.max(-32768, Math.min(32767, Math.round(audioData[i] * 32767)));
-    }
-
-    const bufferStream = new stream.Readable({
-      read() {
-        this.push(Buffer.from(int16Data.buffer));
-        this.push(null);
-      }
-    });
-
-    await pipeline(bufferStream, wavWriter);
-  } catch (error) {
-    Max.post(`Error saving audio file: ${error.message}`);
+/**
+ * Warns when audio arrives faster or slower than the configured rate,
+ * which usually means the Live set runs at a different sample rate.
+ */
+function checkArrivalRate(frameCount) {
+  const mismatch = rateMonitor.push(frameCount, inputSampleRate);
+  if (mismatch) {
+    Max.post(`Warning: audio arrives at ~${Math.round(mismatch.measuredRate)} Hz but the input sample rate is ${inputSampleRate} Hz. Send 'samplerate <hz>' to match the sender.`);
   }
 }
 
 function startRecording() {
-  recordingAudio = [];
+  recorder.start();
   Max.post('Recording started.');
 }
 
-async function stopRecording() {
-  if (recordingAudio.length === 0) {
+function stopRecording() {
+  const take = recorder.take();
+  if (!take) {
     Max.post('No audio data to save.');
     return;
   }
-
-  await saveAudioFile(recordingAudio);
-  recordingAudio = []; // Clear recording buffer
   Max.post('Recording stopped and saved.');
 }
 
+// Apply setting changes from Max messages or reloadconfig live
+config.onChange('port', () => startServer());
+config.onChange('host', () => startServer());
+config.onChange('sampleRate', (sampleRate) => {
+  inputSampleRate = sampleRate;
+  rateMonitor.reset();
+  Max.post(`Input sample rate set to ${sampleRate} Hz.`);
+});
+addRecordingHandlers(Max, config, [recorder]);
+
 startServer();
 
 // Max/MSP Handlers
@@ -178,10 +132,25 @@ Max.addHandler('stopRecording', () => {
   stopRecording();
 });
 
+// samplerate <hz>: sender sample rate, used for recordings
+Max.addHandler('samplerate', (hz) => {
+  try {
+    config.set('sampleRate', hz, 'samplerate message');
+  } catch (error) {
+    Max.post(error.message);
+  }
+});
+
+// port, set <key> <value>, dumpconfig, reloadconfig
+addConfigHandlers(Max, config);
+
+// startCapture [file], stopCapture: raw packets with arrival times, for replay.js
+const stopCapture = addCaptureHandlers(Max, receiver, 'tcp');
+
 // Handle SIGINT signal (e.g., when stopping the script)
 process.on('SIGINT', () => {
   Max.post('Stopping TCP server...');
-  if (server) {
-    server.close();
-  }
+  receiver.close();
+  stopCapture();
+  recorder.stop();
 });
\ No newline at end of file
@@ -34,23 +34,55 @@
  * =======================================================================
  */
 
-const dgram = require('dgram');
-const fs = require('fs');
-const wav = require('wav');
-const Max = require('max-api');
-const stream = require('stream');
-const { pipeline } = require('stream/promises');
-
-let server;
-let port = 7778;
+const Max = require('./lib/maxApi');
+const { SequenceReceiver, CONCEALMENT_MODES } = require('./lib/sequence');
+const { JitterBuffer } = require('./lib/jitterBuffer');
+const { ArrivalRateMonitor } = require('./lib/rateMonitor');
+const { ScriptConfig, addConfigHandlers, portSetting, sampleRateSetting } = require('./lib/config');
+const { UdpReceiver } = require('./lib/transports');
+const { StreamingRecorder, RECORDING_SETTINGS, addRecordingHandlers } = require('./lib/recorder');
+const { addCaptureHandlers } = require('./lib/capture');
+
 let chunkCounter = 0;
-let recordingAudio = [];
-let recording = false;
 
-const INPUT_SAMPLE_RATE = 44100;
-const BIT_DEPTH = 16;
-const CHANNELS = 1;
-const BUFFER_RESET_INTERVAL = 3000; // Time interval to reset buffer (in milliseconds)
+const INPUT_SAMPLE_RATE = 44100; // Default until set by config.json, 'samplerate' or a packet header
+const CHANNELS = 1; // Default until the first packet reports its planecount
+
+const BUFFER_RESET_INTERVAL = 0; // Time interval to reset buffer (in milliseconds), 0 = never
+const STATS_REPORT_INTERVAL = 1000; // Time interval to report loss and jitter stats to Max (in milliseconds)
+
+// Settings from the "UDP" section of config.json, changeable live with 'set <key> <value>'
+const config = new ScriptConfig('UDP', Object.assign({
+    port: portSetting(7778),
+    sampleRate: sampleRateSetting(INPUT_SAMPLE_RATE),
+    outputFile: { type: 'string', default: 'UDPoutput_{timestamp}_{take}.wav' },
+    latencyMs: { type: 'number', default: 60, min: 0 },
+    adaptive: { type: 'boolean', default: true },
+    concealment: { type: 'enum', default: 'interpolate', values: CONCEALMENT_MODES },
+    bufferResetInterval: { type: 'integer', default: BUFFER_RESET_INTERVAL, min: 0 },
+}, RECORDING_SETTINGS), { log: (message) => Max.post(message) });
+
+let channelCount = CHANNELS;
+let inputSampleRate = config.get('sampleRate');
+const sequenceReceiver = new SequenceReceiver({
+    concealment: config.get('concealment'),
+    maxConcealFrames: inputSampleRate,
+});
+const rateMonitor = new ArrivalRateMonitor();
+let lastLossReport = '';
+let bufferResetTimer = null;
+const recorder = new StreamingRecorder({
+    fileName: () => config.get('outputFile'),
+    log: (message) => Max.post(message),
+});
+const receiver = new UdpReceiver(handlePacket, { log: (message) => Max.post(message) });
+
+// Smooths bursty arrivals into steady 10 ms blocks for Max and the recorder
+const jitterBuffer = new JitterBuffer(handleAudioBlock, {
+    sampleRate: inputSampleRate,
+    targetLatencyMs: config.get('latencyMs'),
+    adaptive: config.get('adaptive'),
+});
 
 /**
  * ============================================================================
@@ -73,15 +105,22 @@ const BUFFER_RESET_INTERVAL = 3000; // Time interval to reset buffer (in millise
  * - Optimal for live audio streaming and real-time applications
  * 
  * AUDIO PROCESSING PIPELINE:
- * 1. Receives UDP packets → convertMatrixToFloat32()
- * 2. Validates audio data → Max.outlet('writeAudioChunk')
- * 3. Optional recording → recordingAudio array
- * 4. File logging → writeFloatDataToFile()
+ * 1. Receives UDP packets → UdpReceiver (lib/transports.js) → handlePacket()
+ * 2. Detects lost/late packets and conceals gaps → SequenceReceiver
+ *    Smooths arrival timing into steady blocks → JitterBuffer
+ * 3. Validates audio data → Max.outlet('writeAudioChunk', channel, ...samples)
+ * 4. Optional recording → StreamingRecorder (lib/recorder.js), written to
+ *    the WAV, AIFF or FLAC file block by block and split at maxRecordingSeconds/MB
  * 
  * REAL-TIME FEATURES:
- * - Automatic buffer clearing every 3 seconds
+ * - Port, file names and buffer settings from config.json, changeable live
+ *   ('port <n>' rebinds the socket without restarting the script)
+ * - Adaptive jitter buffer ('latency' / 'adaptive' messages, 'jitter' stats)
  * - Live audio streaming to Max/MSP
+ * - Loss statistics sent to Max every second ('loss' message)
  * - Recording capability for later analysis
+ * - Packet capture with arrival times ('startCapture' / 'stopCapture'),
+ *   replayed with replay.js to reproduce a user's stream
  * - Error handling that doesn't interrupt audio flow
  * 
  * COMPARISON TO TCP: UDP is preferred here because audio applications
@@ -90,184 +129,171 @@ const BUFFER_RESET_INTERVAL = 3000; // Time interval to reset buffer (in millise
  * ============================================================================
  */
 function startServer() {
-    if (server) {
-        server.close();
-    }
-
-    server = dgram.createSocket('udp4');
-
-    server.on('listening', () => {
-        const address = server.address();
-        Max.post(`UDP server listening on ${address.address}:${address.port}`);
-    });
-
-    server.on('message', (data, rinfo) => {
-        const floatData = convertMatrixToFloat32(data);
+    receiver.listen(config.get('port'));
+}
 
-        if (floatData.length === 0) {
-            return;
-        }
+/**
+ * Handles one decoded packet from the receiver: channel layout and sample
+ * rate changes, loss concealment, then the jitter buffer.
+ */
+function handlePacket(packet, header) {
+    // Each matrix plane is one channel; report layout changes to Max
+    if (packet.channelCount !== channelCount) {
+        channelCount = packet.channelCount;
+        Max.post(`Stream channel count changed to ${channelCount}`);
+        Max.outlet('channels', channelCount);
+    }
 
-        // Send audio data to Max/MSP buffers
-        Max.outlet('writeAudioChunk', ...floatData.map(item => item.value));
+    // A version 2 sequence header carries the sender's sample rate (throws, dropping the packet, if invalid)
+    if (header && header.sampleRate) {
+        config.set('sampleRate', header.sampleRate, 'packet header');
+    }
 
-        // Save the converted float data if recording
-        if (recording) {
-            recordingAudio.push(...floatData.map(item => item.value));
+    // Concealment for lost packets comes first, late/duplicate packets yield nothing
+    const blocks = sequenceReceiver.receive(header, packet.channels);
+    blocks.forEach((channels, index) => {
+        checkArrivalRate(channels[0].length);
+        if (index < blocks.length - 1) {
+            jitterBuffer.pushConcealed(channels);
+        } else {
+            jitterBuffer.push(channels);
         }
-
-        // Write float32 data to a single file with index
-        writeFloatDataToFile(floatData);
-
-        chunkCounter++;
-    });
-
-    server.on('error', (err) => {
-        Max.post(`Server error: ${err.message}`);
     });
 
-    server.bind(port);
+    chunkCounter++;
 }
 
-let lastValue = null;
-let lastIndex = null;
-
-function convertMatrixToFloat32(matrixData) {
-    const floatData = [];
-    let indexCounter = 0;
-
-    const skipCount = 3 * 4; // Adjusted to ensure correct data skipping
-
-    for (let i = 0; i < matrixData.length - 3; i += 4) {
-        if (i < skipCount) {
-            continue; 
-        }
+/**
+ * Sends one block of per-channel samples (a packet or a concealed gap)
+ * to Max and the recording.
+ */
+function handleAudioBlock(channels) {
+    // Send audio data to Max/MSP buffers, one message per channel (1-based)
+    channels.forEach((channel, index) => {
+        Max.outlet('writeAudioChunk', index + 1, ...channel);
+    });
 
-        try {
-            const value = matrixData.readFloatBE(i); // Assuming big-endian float representation
+    // Save the converted float data if recording, as interleaved frames
+    recorder.append(channels, inputSampleRate);
+}
 
-            if (Math.abs(value) < 1) {
-                floatData.push({ index: indexCounter, value: value });
-                indexCounter++;
-            }
-        } catch (error) {
-            Max.post(`Error reading float value at index ${i}: ${error.message}`);
-            break;
-        }
+/**
+ * Applies a new input sample rate to everything timed by it: the jitter
+ * buffer clock, loss concealment limits, new recordings and, through the
+ * 'samplerate' message, writetobuf.js.
+ */
+function setInputSampleRate(sampleRate, source) {
+    if (sampleRate === inputSampleRate) {
+        return;
     }
+    inputSampleRate = sampleRate;
+    jitterBuffer.setSampleRate(sampleRate);
+    sequenceReceiver.maxConcealFrames = sampleRate;
+    rateMonitor.reset();
+    Max.post(`Input sample rate set to ${sampleRate} Hz (${source}).`);
+    Max.outlet('samplerate', sampleRate);
+}
 
-    if (lastValue !== null && floatData.length > 0) {
-        const currentFirstValue = floatData[0]?.value;
-        const difference = Math.abs(lastValue - currentFirstValue);
+/**
+ * Warns when audio arrives faster or slower than the configured rate,
+ * which usually means the Live set runs at a different sample rate.
+ */
+function checkArrivalRate(frameCount) {
+    const mismatch = rateMonitor.push(frameCount, inputSampleRate);
+    if (mismatch) {
+        Max.post(`Warning: audio arrives at ~${Math.round(mismatch.measuredRate)} Hz but the input sample rate is ${inputSampleRate} Hz. Send 'samplerate <hz>' to match the sender.`);
     }
+}
 
-    if (floatData.length > 0) {
-        const lastFloatValue = floatData[floatData.length - 1]?.value;
-        if (Math.abs(lastFloatValue) < 1e+20) {
-            lastValue = lastFloatValue;
-            lastIndex = floatData.length - 1;
-        }
+/**
+ * Starts (or restarts) the periodic 'clearBuffer' message for writetobuf.js.
+ * The jitter buffer already delivers a steady stream, so it is off by
+ * default (bufferResetInterval 0): the forced switch was a source of clicks.
+ */
+function scheduleBufferReset(interval) {
+    if (bufferResetTimer) {
+        clearInterval(bufferResetTimer);
+        bufferResetTimer = null;
+    }
+    if (interval > 0) {
+        bufferResetTimer = setInterval(() => {
+            Max.outlet('clearBuffer'); // Signal to clear the buffer and reset
+        }, interval);
     }
-
-    return floatData;
 }
 
-function writeFloatDataToFile(floatData) {
-    const output = floatData.map(item => `${item.index}: ${item.value}`).join('\n') + '\n';
-   // fs.appendFileSync('float_data.txt', output);
+/**
+ * Reports sequence statistics to Max when they change:
+ * loss <received> <lostPackets> <lostFrames> <concealedFrames> <late> <duplicates>
+ */
+function reportLoss() {
+    const stats = sequenceReceiver.stats;
+    const report = [stats.received, stats.lostPackets, stats.lostFrames,
+        stats.concealedFrames, stats.late, stats.duplicates];
+    const key = report.join(' ');
+    if (key !== lastLossReport) {
+        lastLossReport = key;
+        Max.outlet('loss', ...report);
+    }
 }
 
 /**
- * ============================================================================
- * AUDIO EXPORT: saveAudioFile() - AUDIO RECORDING & FILE OUTPUT [MEDIUM-HIGH IMPORTANCE]
- * ============================================================================
- * 
- * Converts recorded audio data into standard WAV files for playback/analysis.
- * 
- * 
- * WHAT IT DOES:
- * 1. Converts float32 audio data to 16-bit integer WAV format
- * 2. Creates properly formatted WAV files with correct headers
- * 3. Handles audio stream-to-file conversion asynchronously
- * 4. Provides configurable audio format options (sample rate, bit depth, channels)
- * 
- * AUDIO FORMAT CONVERSION:
- * - Input: Float32 audio samples (-1.0 to +1.0 range)
- * - Output: 16-bit signed integer WAV file (-32768 to +32767)
- * - Proper scaling and clamping to prevent audio distortion
- * - Standard WAV format compatible with all audio software
- * 
- * FILE OUTPUT FEATURES:
- * - Asynchronous processing doesn't block audio streaming
- * - Configurable output filename and audio parameters
- * - Error handling for file system operations
- * - Integration with Node.js streaming pipeline for efficiency
- * 
- * PROTOCOL RELEVANCE:
- * - Works with audio data from both UDP and TCP streams
- * - UDP: May contain gaps from lost packets (creates silence in file)
- * - TCP: Complete, sequential audio data (perfect file reproduction)
- * 
- * USAGE SCENARIOS:
- * - Recording live audio streams for later analysis
- * - Creating backup copies of network audio transmissions
- * - Debugging audio processing pipeline
- * - Archiving real-time audio sessions
- * ============================================================================
+ * Reports the jitter buffer state to Max:
+ * jitter <depthMs> <targetMs> <jitterMs> <underruns> <overruns>
  */
-async function saveAudioFile(audioData, options = {}) {
-    const {
-        fileName = 'UDPoutput.wav',
-        sampleRate = INPUT_SAMPLE_RATE,
-        channels = CHANNELS,
-        bitDepth = BIT_DEPTH
-    } = options;
-
-    try {
-        const wavWriter = new wav.FileWriter(fileName, {
-            channels: channels,
-            sampleRate: sampleRate,
-            bitDepth: bitDepth,
-        });
-
-        const int16Data = new Int16Array(audioData.length);
-        for (let i = 0; i < audioData.length; i++) {
-            int16Data[i] = Math.max(-32768, Math.min(32767, Math.round(audioData[i] * 32767)));
-        }
-
-        const bufferStream = new stream.Readable({
-            read() {
-                this.push(Buffer.from(int16Data.buffer));
-                this.push(null);
-            }
-        });
-
-        await pipeline(bufferStream, wavWriter);
-        Max.post(`Audio file ${fileName} saved successfully.`);
-    } catch (error) {
-        Max.post(`Error saving audio file: ${error.message}`);
-    }
+function reportJitter() {
+    const status = jitterBuffer.status();
+    Max.outlet('jitter', Math.round(status.depthMs), Math.round(status.targetMs),
+        Number(status.jitterMs.toFixed(2)), status.underruns, status.overruns);
 }
 
 function startRecording() {
-    recordingAudio = [];
-    recording = true;
+    recorder.start();
     Max.post('Recording started.');
 }
 
-async function stopRecording() {
-    if (recordingAudio.length === 0) {
+function stopRecording() {
+    const take = recorder.stop();
+    if (!take) {
         Max.post('No audio data to save.');
         return;
     }
-
-    await saveAudioFile(recordingAudio);
-    recordingAudio = []; // Clear recording buffer
-    recording = false;
     Max.post('Recording stopped and saved.');
 }
 
+/**
+ * Changes a setting from a Max message, reporting invalid values.
+ */
+function setSetting(key, value, source) {
+    try {
+        config.set(key, value, source);
+    } catch (error) {
+        Max.post(error.message);
+    }
+}
+
+// Apply setting changes from Max messages or reloadconfig live
+config.onChange('port', () => startServer());
+config.onChange('sampleRate', (sampleRate, source) => setInputSampleRate(sampleRate, source));
+config.onChange('concealment', (mode) => {
+    sequenceReceiver.setConcealment(mode);
+    Max.post(`Packet-loss concealment set to ${mode}.`);
+});
+config.onChange('latencyMs', (latency) => {
+    jitterBuffer.setTargetLatency(latency);
+    Max.post(`Jitter buffer target latency set to ${latency} ms.`);
+});
+config.onChange('adaptive', (enabled) => {
+    jitterBuffer.setAdaptive(enabled);
+    Max.post(`Adaptive jitter buffer ${enabled ? 'enabled' : 'disabled'}.`);
+});
+config.onChange('bufferResetInterval', scheduleBufferReset);
+addRecordingHandlers(Max, config, [recorder]);
+
 startServer();
+jitterBuffer.start();
+scheduleBufferReset(config.get('bufferResetInterval'));
+Max.outlet('samplerate', inputSampleRate);
 
 // Max/MSP Handlers
 Max.addHandler('startRecording', () => {
@@ -278,15 +304,49 @@ Max.addHandler('stopRecording', () => {
     stopRecording();
 });
 
-// Periodic buffer reset every 2 seconds
+// port, set <key> <value>, dumpconfig, reloadconfig
+addConfigHandlers(Max, config);
+
+// startCapture [file], stopCapture: raw packets with arrival times, for replay.js
+const stopCapture = addCaptureHandlers(Max, receiver, 'udp');
+
+// samplerate <hz>: sender sample rate, when packets do not carry it in their header
+Max.addHandler('samplerate', (hz) => {
+    setSetting('sampleRate', hz, 'samplerate message');
+});
+
+// concealment silence|interpolate: how gaps from lost packets are filled
+Max.addHandler('concealment', (mode) => {
+    setSetting('concealment', mode);
+});
+
+Max.addHandler('resetLossStats', () => {
+    sequenceReceiver.resetStats();
+    reportLoss();
+});
+
+// latency <ms>: jitter buffer target latency (the adaptive target never goes below it)
+Max.addHandler('latency', (ms) => {
+    setSetting('latencyMs', ms);
+});
+
+// adaptive 0|1: let the jitter buffer depth follow the measured arrival jitter
+Max.addHandler('adaptive', (enabled) => {
+    setSetting('adaptive', enabled);
+});
+
 setInterval(() => {
-    Max.outlet('clearBuffer'); // Signal to clear the buffer and reset
-}, BUFFER_RESET_INTERVAL);
+    reportLoss();
+    reportJitter();
+}, STATS_REPORT_INTERVAL);
 
 // Handle SIGINT signal (e.g., when stopping the script)
 process.on('SIGINT', () => {
     Max.post('Stopping UDP server...');
-    if (server) {
-        server.close();
+    jitterBuffer.stop();
+    receiver.close();
+    stopCapture();
+    if (recorder.recording) {
+        stopRecording();
     }
 });
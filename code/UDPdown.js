@@ -33,119 +33,64 @@
  * =======================================================================
  */
 
-const dgram = require('dgram');
 const fs = require('fs');
-const wav = require('wav');
-const Max = require('max-api');
-const stream = require('stream');
-const { pipeline } = require('stream/promises');
-const ffmpeg = require('fluent-ffmpeg');
-const ffmpegPath = require('ffmpeg-static');
+const Max = require('./lib/maxApi');
+const { ArrivalRateMonitor } = require('./lib/rateMonitor');
+const { ScriptConfig, addConfigHandlers, portSetting, sampleRateSetting } = require('./lib/config');
+const { Resampler } = require('./lib/resampler');
+const { UdpReceiver } = require('./lib/transports');
+const { StreamingRecorder, RECORDING_SETTINGS, addRecordingHandlers } = require('./lib/recorder');
 
-ffmpeg.setFfmpegPath(ffmpegPath);
-
-let server;
-let port = 7777;
 let chunkCounter = 0;
-let recordingAudio = [];
 
-const INPUT_SAMPLE_RATE = 44100;
-const BIT_DEPTH = 16;
-const CHANNELS = 1;
+const INPUT_SAMPLE_RATE = 44100; // Default until set by config.json, 'samplerate' or a packet header
+const DOWNSAMPLE_RATE = 16000; // Default rate of the extra 16 kHz copy (downsampleFile) (Vosk input rate)
+
+// Settings from the "UDPdown" section of config.json, changeable live with 'set <key> <value>'
+const config = new ScriptConfig('UDPdown', Object.assign({
+  port: portSetting(7777),
+  sampleRate: sampleRateSetting(INPUT_SAMPLE_RATE),
+  outputFile: { type: 'string', default: 'output_{timestamp}_{take}.wav' },
+  downsampleRate: sampleRateSetting(DOWNSAMPLE_RATE),
+  downsampleFile: { type: 'string', default: 'output_16000_{timestamp}_{take}.wav' },
+}, RECORDING_SETTINGS), { log: (message) => Max.post(message) });
+
+let inputSampleRate = config.get('sampleRate');
+const rateMonitor = new ArrivalRateMonitor();
+// Records everything received, as before, straight into the audio files
+const recorder = new StreamingRecorder({
+  fileName: () => config.get('outputFile'),
+  recording: true,
+  log: (message) => Max.post(message),
+});
+const downsampleRecorder = new StreamingRecorder({
+  fileName: () => config.get('downsampleFile'),
+  recording: true,
+  log: (message) => Max.post(message),
+});
+let downsamplers = []; // One streaming resampler per channel of the current take
+let downsampleFormat = null; // { inputRate, outputRate } the downsamplers were built for
+const receiver = new UdpReceiver(handlePacket, { log: (message) => Max.post(message) });
 
 function startServer() {
-  if (server) {
-    server.close();
-  }
-
-  server = dgram.createSocket('udp4');
-
-  server.on('listening', () => {
-    const address = server.address();
-    Max.post(`UDP server listening on ${address.address}:${address.port}`);
-  });
-
-  server.on('message', (data, rinfo) => {
-    // Max.post(`Received data from ${rinfo.address}:${rinfo.port}`);
-    // Max.post(`Data size: ${data.length} bytes`);
-
-    // Convert received Jitter matrix data to float32 format
-    const floatData = convertMatrixToFloat32(data);
-
-    if (floatData.length === 0) {
-      // Max.post('No valid float data to process.');
-      return;
-    }
-
-    // Max.post(`Processed ${floatData.length} float data points`);
-
-    // Save the converted float data if recording
-    recordingAudio.push(...floatData);
-
-    // Write float32 data to a single file with index
-    writeFloatDataToFile(floatData);
-
-    chunkCounter++;
-  });
-
-  server.on('error', (err) => {
-    Max.post(`Server error: ${err.message}`);
-  });
-
-  server.bind(port);
+  receiver.listen(config.get('port'));
 }
 
-let lastValue = null;
-let lastIndex = null;
-
-function convertMatrixToFloat32(matrixData) {
-  const floatData = [];
-  let indexCounter = 0;
-
-  const skipCount = 131 * 4; // Adjusted to ensure correct data skipping
-
-  for (let i = 0; i < matrixData.length - 3; i += 4) {
-    if (i < skipCount) {
-      continue;
-    }
-
-    try {
-      const value = matrixData.readFloatBE(i); // Assuming big-endian float representation
-
-      // Check if the value is within a reasonable range
-      if (Math.abs(value) < 1e+7) {
-        floatData.push(value);
-        indexCounter++;
-      } else {
-        // Max.post(`Skipping value ${value} at index ${indexCounter} due to its large magnitude.`);
-      }
-    } catch (error) {
-      Max.post(`Error reading float value at index ${i}: ${error.message}`);
-      break; // Stop processing further values
-    }
+function handlePacket(packet, header) {
+  // A version 2 sequence header carries the sender's sample rate (throws, dropping the packet, if invalid)
+  if (header && header.sampleRate) {
+    config.set('sampleRate', header.sampleRate, 'packet header');
   }
+  checkArrivalRate(packet.frameCount);
 
-  if (lastValue !== null && floatData.length > 0) {
-    const currentFirstValue = floatData[0];
-    const difference = Math.abs(lastValue - currentFirstValue);
-    // Max.post(`Last value of previous chunk: ${lastValue}, First value of current chunk: ${currentFirstValue}`);
-    // Check for a significant discontinuity between the last value of the previous chunk and the first value of the current chunk
-    if (difference > 0.01) { // Adjust threshold as needed
-      // Max.post(`Discontinuity detected between chunks at index ${lastIndex} and 0, potential click source`);
-      // Max.post(`Difference: ${difference}`);
-    }
-  }
+  // Save the converted float data, as interleaved frames (each matrix plane is one channel)
+  recorder.append(packet.channels, inputSampleRate);
+  downsampleRecorder.append(downsampleAudio(packet.channels), config.get('downsampleRate'));
 
-  // Update lastValue and lastIndex only if the last value is within the reasonable range
-  if (floatData.length > 0) {
-    const lastFloatValue = floatData[floatData.length - 1];
-    if (Math.abs(lastFloatValue) < 1e+20) {
-      lastValue = lastFloatValue;
-      lastIndex = floatData.length - 1;
-    }
-  }
+  // Write float32 data to a single file with index
+  writeFloatDataToFile(Array.from(packet.samples));
 
-  return floatData;
+  chunkCounter++;
 }
 
 function writeFloatDataToFile(floatData) {
@@ -154,72 +99,89 @@ function writeFloatDataToFile(floatData) {
   // Max.post(`Float32 data appended to float_data.txt (Chunk ${chunkCounter})`);
 }
 
-async function saveAudioFile(audioData, options = {}) {
-  const {
-    fileName = 'output.wav',
-    sampleRate = INPUT_SAMPLE_RATE,
-    channels = CHANNELS,
-    bitDepth = BIT_DEPTH
-  } = options;
+/**
+ * Resamples one block of the take for the downsampled copy, channel by
+ * channel with the shared windowed-sinc resampler (lib/resampler.js) -
+ * no ffmpeg needed. The resamplers keep their state across blocks and
+ * are rebuilt whenever the take's layout or rate (or downsampleRate)
+ * changes. Nothing is returned while the take is not recording (after a
+ * write error, until the next startRecording).
+ */
+function downsampleAudio(channels) {
+  if (!recorder.recording || recorder.channels === null) {
+    return [];
+  }
+  const inputRate = recorder.sampleRate;
+  const outputRate = config.get('downsampleRate');
+  if (downsamplers.length !== recorder.channels
+    || downsampleFormat.inputRate !== inputRate || downsampleFormat.outputRate !== outputRate) {
+    flushDownsamplers();
+    downsamplers = Array.from({ length: recorder.channels }, () => new Resampler({ inputRate, outputRate }));
+    downsampleFormat = { inputRate, outputRate };
+  }
+  return downsamplers.map((resampler, c) => resampler.process(channels[c] || new Float32Array(channels[0].length)));
+}
 
-  try {
-    const wavWriter = new wav.FileWriter(fileName, {
-      channels: channels,
-      sampleRate: sampleRate,
-      bitDepth: bitDepth,
-    });
-
-    const int16Data = new Int16Array(audioData.length);
-    for (let i = 0; i < audioData.length; i++) {
-      // More precise conversion from [-1, 1] to [-32768, 32767]
-      int16Data[i] = Math.max(-32768, Math.min(32767, Math.round(audioData[i] * 32767)));
-    }
-
-    const bufferStream = new stream.Readable({
-      read() {
-        this.push(Buffer.from(int16Data.buffer));
-        this.push(null);
-      }
-    });
-
-    await pipeline(bufferStream, wavWriter);
-    Max.post(`Audio file ${fileName} saved successfully.`);
-
-    // Downsample the audio file to 16000 Hz
-    downsampleAudio(fileName, 'output_16000.wav');
-  } catch (error) {
-    Max.post(`Error saving audio file: ${error.message}`);
+/**
+ * Pushes the samples the resamplers still hold into the downsampled copy
+ * and drops them.
+ */
+function flushDownsamplers() {
+  if (downsamplers.length > 0) {
+    downsampleRecorder.append(downsamplers.map((resampler) => resampler.flush()), downsampleFormat.outputRate);
+    downsamplers = [];
   }
 }
 
-function downsampleAudio(inputFile, outputFile) {
-  ffmpeg(inputFile)
-    .audioFrequency(16000)
-    .on('end', () => {
-      Max.post(`Downsampled audio file saved as ${outputFile}.`);
-    })
-    .on('error', (err) => {
-      Max.post(`Error during downsampling: ${err.message}`);
-    })
-    .save(outputFile);
+/**
+ * Ends the take of both recordings, after pushing the samples the
+ * resamplers still hold into the downsampled copy.
+ */
+function finishTake() {
+  flushDownsamplers();
+  const take = recorder.take();
+  downsampleRecorder.take();
+  return take;
+}
+
+/**
+ * Warns when audio arrives faster or slower than the configured rate,
+ * which usually means the Live set runs at a different sample rate.
+ */
+function checkArrivalRate(frameCount) {
+  const mismatch = rateMonitor.push(frameCount, inputSampleRate);
+  if (mismatch) {
+    Max.post(`Warning: audio arrives at ~${Math.round(mismatch.measuredRate)} Hz but the input sample rate is ${inputSampleRate} Hz. Send 'samplerate <hz>' to match the sender.`);
+  }
 }
 
 function startRecording() {
-  recordingAudio = [];
+  flushDownsamplers();
+  // New takes, recording again if a write error stopped it; no pre-roll, it is in the previous take
+  recorder.start(0);
+  downsampleRecorder.start(0);
   Max.post('Recording started.');
 }
 
-async function stopRecording() {
-  if (recordingAudio.length === 0) {
+function stopRecording() {
+  // The downsampled copy (16000 Hz by default) is written alongside
+  const take = finishTake();
+  if (!take) {
     Max.post('No audio data to save.');
     return;
   }
-
-  await saveAudioFile(recordingAudio);
-  recordingAudio = []; // Clear recording buffer
   Max.post('Recording stopped and saved.');
 }
 
+// Apply setting changes from Max messages or reloadconfig live
+config.onChange('port', () => startServer());
+config.onChange('sampleRate', (sampleRate) => {
+  inputSampleRate = sampleRate;
+  rateMonitor.reset();
+  Max.post(`Input sample rate set to ${sampleRate} Hz.`);
+});
+addRecordingHandlers(Max, config, [recorder, downsampleRecorder]);
+
 startServer();
 
 // Max/MSP Handlers
@@ -231,10 +193,21 @@ Max.addHandler('stopRecording', () => {
   stopRecording();
 });
 
+// samplerate <hz>: sender sample rate, used for recordings
+Max.addHandler('samplerate', (hz) => {
+  try {
+    config.set('sampleRate', hz, 'samplerate message');
+  } catch (error) {
+    Max.post(error.message);
+  }
+});
+
+// port, set <key> <value>, dumpconfig, reloadconfig
+addConfigHandlers(Max, config);
+
 // Handle SIGINT signal (e.g., when stopping the script)
 process.on('SIGINT', () => {
   Max.post('Stopping UDP server...');
-  if (server) {
-    server.close();
-  }
+  receiver.close();
+  finishTake();
 });
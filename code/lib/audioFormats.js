@@ -0,0 +1,758 @@
+/*
+ * =======================================================================
+ * AUDIO FILE FORMATS - WAV, AIFF AND FLAC ENCODERS FOR THE RECORDER
+ * =======================================================================
+ *
+ * What lib/recorder.js writes takes with. Every format has an encoder
+ * with the same shape, so the recorder can stream any of them to disk:
+ *
+ *   const encoder = createEncoder('flac', { sampleRate, channels, sampleFormat: 'int24' });
+ *   fs.writeSync(fd, encoder.header());        // at offset 0, rewritten as the file grows
+ *   fs.writeSync(fd, encoder.encode(samples)); // interleaved float (-1..1) or Int16Array
+ *   fs.writeSync(fd, encoder.finish());        // end of the stream
+ *
+ * - wav:  int16, int24 or float32, little-endian PCM / IEEE float
+ * - aiff: int16 or int24, big-endian PCM
+ * - flac: int16 or int24, lossless. Encoded here in plain JS like the
+ *   resampler (no native library): fixed-predictor or verbatim subframes
+ *   with Rice-coded residuals, 4096-frame blocks and an MD5 signature
+ *
+ * recoverFile() repairs the header of a file whose writer never finished
+ * (see recoverRecordings() in lib/recorder.js).
+ * =======================================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const SAMPLE_FORMATS = ['int16', 'int24', 'float32'];
+const FILE_FORMATS = ['wav', 'aiff', 'flac'];
+
+// Extensions the recorder replaces with the one of the chosen format
+const AUDIO_EXTENSIONS = ['.wav', '.wave', '.aif', '.aiff', '.aifc', '.flac'];
+
+const SAMPLE_BITS = { int16: 16, int24: 24, float32: 32 };
+
+/**
+ * Scales float samples (-1..1) to 16-bit integers with clamping, into a
+ * new array or the front of `target` (returned as a view of just those
+ * samples, so a caller can reuse one buffer for every block).
+ */
+function floatToInt16(samples, target) {
+  if (target && target.length < samples.length) {
+    throw new Error(`floatToInt16 target holds ${target.length} samples, ${samples.length} needed`);
+  }
+  const int16Data = target ? target.subarray(0, samples.length) : new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    int16Data[i] = Math.max(-32768, Math.min(32767, Math.round(samples[i] * 32767)));
+  }
+  return int16Data;
+}
+
+/**
+ * Converts interleaved input to integers of `bits` bits: Int16Array is
+ * taken as 16-bit, anything else as float (-1..1) and clamped.
+ */
+function toIntegerSamples(samples, bits) {
+  if (bits === 16) {
+    return samples instanceof Int16Array ? samples : floatToInt16(samples);
+  }
+
+  const output = new Int32Array(samples.length);
+  if (samples instanceof Int16Array) {
+    for (let i = 0; i < samples.length; i++) {
+      output[i] = samples[i] * 256;
+    }
+    return output;
+  }
+  for (let i = 0; i < samples.length; i++) {
+    output[i] = Math.max(-8388608, Math.min(8388607, Math.round(samples[i] * 8388607)));
+  }
+  return output;
+}
+
+function toFloatSamples(samples) {
+  if (samples instanceof Int16Array) {
+    return Float32Array.from(samples, (value) => value / 32768);
+  }
+  return samples instanceof Float32Array ? samples : Float32Array.from(samples);
+}
+
+function checkSampleFormat(format, sampleFormat, allowed) {
+  if (!SAMPLE_FORMATS.includes(sampleFormat)) {
+    throw new Error(`Unknown sample format '${sampleFormat}', expected ${SAMPLE_FORMATS.join(', ')}`);
+  }
+  if (!allowed.includes(sampleFormat)) {
+    throw new Error(`${format.toUpperCase()} files cannot store ${sampleFormat} samples, use ${allowed.join(' or ')} or WAV`);
+  }
+}
+
+/**
+ * ============================================================================
+ * WAV: WavEncoder - RIFF PCM / IEEE FLOAT
+ * ============================================================================
+ *
+ * The canonical 44-byte header; float32 uses format tag 3 with the same
+ * 16-byte fmt chunk. The 32-bit RIFF size limits a file to 4 GB.
+ * ============================================================================
+ */
+class WavEncoder {
+  constructor(options) {
+    const { sampleRate, channels = 1, sampleFormat = 'int16' } = options;
+    checkSampleFormat('wav', sampleFormat, SAMPLE_FORMATS);
+
+    this.sampleRate = sampleRate;
+    this.channels = channels;
+    this.sampleFormat = sampleFormat;
+    this.bits = SAMPLE_BITS[sampleFormat];
+    this.blockAlign = channels * this.bits / 8;
+    this.headerSize = 44;
+    this.maxDataBytes = 0xFFFFFFFF - (this.headerSize - 8);
+    this.frameCount = 0;
+    this.dataBytes = 0;
+  }
+
+  header() {
+    const header = Buffer.alloc(this.headerSize);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(this.headerSize - 8 + this.dataBytes, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16); // fmt chunk size
+    header.writeUInt16LE(this.sampleFormat === 'float32' ? 3 : 1, 20); // IEEE float or PCM
+    header.writeUInt16LE(this.channels, 22);
+    header.writeUInt32LE(this.sampleRate, 24);
+    header.writeUInt32LE(this.sampleRate * this.blockAlign, 28); // byte rate
+    header.writeUInt16LE(this.blockAlign, 32);
+    header.writeUInt16LE(this.bits, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(this.dataBytes, 40);
+    return header;
+  }
+
+  encode(samples) {
+    let data;
+    if (this.sampleFormat === 'float32') {
+      const floats = toFloatSamples(samples);
+      data = Buffer.alloc(floats.length * 4);
+      floats.forEach((value, i) => data.writeFloatLE(value, i * 4));
+    } else if (this.sampleFormat === 'int24') {
+      const values = toIntegerSamples(samples, 24);
+      data = Buffer.alloc(values.length * 3);
+      values.forEach((value, i) => data.writeIntLE(value, i * 3, 3));
+    } else {
+      const values = toIntegerSamples(samples, 16);
+      data = Buffer.from(values.buffer, values.byteOffset, values.byteLength);
+    }
+
+    this.dataBytes += data.length;
+    this.frameCount += samples.length / this.channels;
+    return data;
+  }
+
+  finish() {
+    return Buffer.alloc(0);
+  }
+
+  static recover(fd, fileSize) {
+    const header = readAt(fd, 0, 44);
+    if (header.length < 44 || header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 36, 40) !== 'data') {
+      throw new Error('no WAV header');
+    }
+    const blockAlign = header.readUInt16LE(32);
+    const available = Math.min(fileSize - 44, 0xFFFFFFFF - 36);
+    const dataBytes = available - (available % blockAlign);
+
+    fs.ftruncateSync(fd, 44 + dataBytes);
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.writeUInt32LE(dataBytes, 40);
+    fs.writeSync(fd, header, 0, 44, 0);
+    return { frameCount: dataBytes / blockAlign, sampleRate: header.readUInt32LE(24) };
+  }
+}
+
+/**
+ * Writes a positive number as an 80-bit IEEE 754 extended float (the
+ * AIFF sample rate field).
+ */
+function writeExtended(buffer, value, offset) {
+  const exponent = Math.floor(Math.log2(value));
+  const mantissa = value / 2 ** exponent; // 1 <= mantissa < 2, integer bit explicit
+  const high = Math.floor(mantissa * 2 ** 31);
+  const low = Math.floor((mantissa * 2 ** 31 - high) * 2 ** 32);
+  buffer.writeUInt16BE(16383 + exponent, offset);
+  buffer.writeUInt32BE(high, offset + 2);
+  buffer.writeUInt32BE(low, offset + 6);
+}
+
+function readExtended(buffer, offset) {
+  const exponent = (buffer.readUInt16BE(offset) & 0x7FFF) - 16383;
+  const high = buffer.readUInt32BE(offset + 2);
+  const low = buffer.readUInt32BE(offset + 6);
+  return (high * 2 ** 32 + low) * 2 ** (exponent - 63);
+}
+
+/**
+ * ============================================================================
+ * AIFF: AiffEncoder - BIG-ENDIAN PCM
+ * ============================================================================
+ *
+ * FORM/AIFF with a COMM chunk and one SSND chunk: a 54-byte header.
+ * Float samples would need AIFF-C, so int16 and int24 only.
+ * ============================================================================
+ */
+class AiffEncoder {
+  constructor(options) {
+    const { sampleRate, channels = 1, sampleFormat = 'int16' } = options;
+    checkSampleFormat('aiff', sampleFormat, ['int16', 'int24']);
+
+    this.sampleRate = sampleRate;
+    this.channels = channels;
+    this.sampleFormat = sampleFormat;
+    this.bits = SAMPLE_BITS[sampleFormat];
+    this.blockAlign = channels * this.bits / 8;
+    this.headerSize = 54;
+    this.maxDataBytes = 0xFFFFFFFF - (this.headerSize - 8);
+    this.frameCount = 0;
+    this.dataBytes = 0;
+  }
+
+  header() {
+    const header = Buffer.alloc(this.headerSize);
+    header.write('FORM', 0, 'ascii');
+    header.writeUInt32BE(this.headerSize - 8 + this.dataBytes, 4);
+    header.write('AIFF', 8, 'ascii');
+    header.write('COMM', 12, 'ascii');
+    header.writeUInt32BE(18, 16);
+    header.writeUInt16BE(this.channels, 20);
+    header.writeUInt32BE(this.frameCount, 22);
+    header.writeUInt16BE(this.bits, 26);
+    writeExtended(header, this.sampleRate, 28);
+    header.write('SSND', 38, 'ascii');
+    header.writeUInt32BE(8 + this.dataBytes, 42);
+    header.writeUInt32BE(0, 46); // offset
+    header.writeUInt32BE(0, 50); // block size
+    return header;
+  }
+
+  encode(samples) {
+    const bytes = this.bits / 8;
+    const values = toIntegerSamples(samples, this.bits);
+    const data = Buffer.alloc(values.length * bytes);
+    for (let i = 0; i < values.length; i++) {
+      data.writeIntBE(values[i], i * bytes, bytes);
+    }
+
+    this.dataBytes += data.length;
+    this.frameCount += samples.length / this.channels;
+    return data;
+  }
+
+  finish() {
+    return Buffer.alloc(0);
+  }
+
+  static recover(fd, fileSize) {
+    const header = readAt(fd, 0, 54);
+    if (header.length < 54 || header.toString('ascii', 0, 4) !== 'FORM' || header.toString('ascii', 38, 42) !== 'SSND') {
+      throw new Error('no AIFF header');
+    }
+    const blockAlign = header.readUInt16BE(20) * header.readUInt16BE(26) / 8;
+    const available = Math.min(fileSize - 54, 0xFFFFFFFF - 46);
+    const dataBytes = available - (available % blockAlign);
+    const frameCount = dataBytes / blockAlign;
+
+    fs.ftruncateSync(fd, 54 + dataBytes);
+    header.writeUInt32BE(46 + dataBytes, 4);
+    header.writeUInt32BE(frameCount, 22);
+    header.writeUInt32BE(8 + dataBytes, 42);
+    fs.writeSync(fd, header, 0, 54, 0);
+    return { frameCount: frameCount, sampleRate: readExtended(header, 28) };
+  }
+}
+
+/**
+ * MSB-first bit packer for FLAC frames and STREAMINFO.
+ */
+class BitWriter {
+  constructor(size = 1024) {
+    this.bytes = Buffer.alloc(size);
+    this.length = 0;
+    this.current = 0;
+    this.filled = 0;
+  }
+
+  pushByte(byte) {
+    if (this.length === this.bytes.length) {
+      const grown = Buffer.alloc(this.bytes.length * 2);
+      this.bytes.copy(grown);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = byte;
+  }
+
+  /**
+   * Writes the low `count` bits of a non-negative value (up to 2^53).
+   */
+  write(value, count) {
+    while (count > 0) {
+      const take = Math.min(8 - this.filled, count);
+      count -= take;
+      const chunk = Math.floor(value / 2 ** count) % (1 << take);
+      this.current = (this.current << take) | chunk;
+      this.filled += take;
+      if (this.filled === 8) {
+        this.pushByte(this.current);
+        this.current = 0;
+        this.filled = 0;
+      }
+    }
+  }
+
+  writeSigned(value, count) {
+    this.write(value < 0 ? value + 2 ** count : value, count);
+  }
+
+  writeUnary(zeros) {
+    for (; zeros >= 24; zeros -= 24) {
+      this.write(0, 24);
+    }
+    this.write(1, zeros + 1);
+  }
+
+  alignToByte() {
+    if (this.filled > 0) {
+      this.write(0, 8 - this.filled);
+    }
+  }
+
+  toBuffer() {
+    return Buffer.from(this.bytes.subarray(0, this.length));
+  }
+}
+
+function crcTable(polynomial, width) {
+  const top = 1 << (width - 1);
+  const mask = (1 << width) - 1;
+  return Array.from({ length: 256 }, (_, byte) => {
+    let crc = byte << (width - 8);
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & top ? ((crc << 1) ^ polynomial) & mask : (crc << 1) & mask;
+    }
+    return crc;
+  });
+}
+
+const CRC8_TABLE = crcTable(0x07, 8);
+const CRC16_TABLE = crcTable(0x8005, 16);
+
+function crc8(bytes, start = 0, end = bytes.length) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc = CRC8_TABLE[crc ^ bytes[i]];
+  }
+  return crc;
+}
+
+function crc16(bytes, start = 0, end = bytes.length) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc = ((crc << 8) & 0xFFFF) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+  }
+  return crc;
+}
+
+/**
+ * Frame numbers are coded like UTF-8 characters (up to 31 bits here).
+ */
+function writeUtf8Number(writer, value) {
+  if (value < 0x80) {
+    writer.write(value, 8);
+    return;
+  }
+  const continuation = value < 0x800 ? 1 : value < 0x10000 ? 2 : value < 0x200000 ? 3 : value < 0x4000000 ? 4 : 5;
+  const leadBits = 6 - continuation;
+  writer.write(((0xFF00 >> (continuation + 1)) & 0xFF) | Math.floor(value / 2 ** (6 * continuation)) % (1 << leadBits), 8);
+  for (let i = continuation - 1; i >= 0; i--) {
+    writer.write(0x80 | (Math.floor(value / 2 ** (6 * i)) & 0x3F), 8);
+  }
+}
+
+// Fixed polynomial predictors of orders 0-4: residual at i from x[i - order .. i]
+const FIXED_RESIDUALS = [
+  (x, i) => x[i],
+  (x, i) => x[i] - x[i - 1],
+  (x, i) => x[i] - 2 * x[i - 1] + x[i - 2],
+  (x, i) => x[i] - 3 * x[i - 1] + 3 * x[i - 2] - x[i - 3],
+  (x, i) => x[i] - 4 * x[i - 1] + 6 * x[i - 2] - 4 * x[i - 3] + x[i - 4],
+];
+
+// Frame header sample rate codes; other rates are coded after the block size
+const FLAC_RATE_CODES = {
+  88200: 0x1, 176400: 0x2, 192000: 0x3, 8000: 0x4, 16000: 0x5, 22050: 0x6,
+  24000: 0x7, 32000: 0x8, 44100: 0x9, 48000: 0xA, 96000: 0xB,
+};
+
+/**
+ * Sample rate as coded in a frame header: { code, value, bits } where
+ * value/bits follow the block size (bits 0 = nothing follows).
+ */
+function flacRateCode(sampleRate) {
+  if (FLAC_RATE_CODES[sampleRate]) {
+    return { code: FLAC_RATE_CODES[sampleRate], value: 0, bits: 0 };
+  }
+  if (sampleRate % 1000 === 0 && sampleRate <= 255000) {
+    return { code: 0xC, value: sampleRate / 1000, bits: 8 };
+  }
+  if (sampleRate <= 65535) {
+    return { code: 0xD, value: sampleRate, bits: 16 };
+  }
+  if (sampleRate % 10 === 0 && sampleRate <= 655350) {
+    return { code: 0xE, value: sampleRate / 10, bits: 16 };
+  }
+  return { code: 0x0, value: 0, bits: 0 }; // from STREAMINFO
+}
+
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_HEADER_SIZE = 42; // 'fLaC' + STREAMINFO
+const MAX_RICE_PARAMETER = 30;
+
+/**
+ * Rice parameter with the fewest bits for zigzag-coded residuals.
+ * Returns { parameter, bits }.
+ */
+function bestRiceParameter(values) {
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+  }
+  const mean = sum / Math.max(1, values.length);
+  const guess = mean > 1 ? Math.min(MAX_RICE_PARAMETER, Math.floor(Math.log2(mean))) : 0;
+
+  let best = null;
+  for (let parameter = Math.max(0, guess - 1); parameter <= Math.min(MAX_RICE_PARAMETER, guess + 1); parameter++) {
+    const divisor = 2 ** parameter;
+    let bits = values.length * (parameter + 1);
+    for (let i = 0; i < values.length; i++) {
+      bits += Math.floor(values[i] / divisor);
+    }
+    if (!best || bits < best.bits) {
+      best = { parameter: parameter, bits: bits };
+    }
+  }
+  return best;
+}
+
+/**
+ * Writes one channel of a block as the smallest of a CONSTANT, FIXED
+ * (orders 0-4, one Rice partition) or VERBATIM subframe.
+ */
+function writeSubframe(writer, samples, bits) {
+  const count = samples.length;
+  if (samples.every((value) => value === samples[0])) {
+    writer.write(0x00, 8);
+    writer.writeSigned(samples[0], bits);
+    return;
+  }
+
+  let best = null;
+  for (let order = 0; order <= Math.min(4, count - 1); order++) {
+    const residuals = new Float64Array(count - order);
+    for (let i = order; i < count; i++) {
+      const residual = FIXED_RESIDUALS[order](samples, i);
+      residuals[i - order] = residual >= 0 ? residual * 2 : -residual * 2 - 1; // zigzag
+    }
+    const rice = bestRiceParameter(residuals);
+    const size = 8 + order * bits + 2 + 4 + (rice.parameter > 14 ? 5 : 4) + rice.bits;
+    if (!best || size < best.size) {
+      best = { order: order, residuals: residuals, rice: rice, size: size };
+    }
+  }
+
+  if (best.size >= 8 + count * bits) {
+    writer.write(0x02, 8); // VERBATIM
+    for (let i = 0; i < count; i++) {
+      writer.writeSigned(samples[i], bits);
+    }
+    return;
+  }
+
+  const { order, residuals, rice } = best;
+  const extended = rice.parameter > 14;
+  writer.write(0x10 | (order << 1), 8); // FIXED, no wasted bits
+  for (let i = 0; i < order; i++) {
+    writer.writeSigned(samples[i], bits);
+  }
+  writer.write(extended ? 1 : 0, 2); // Rice coding with 4- or 5-bit parameters
+  writer.write(0, 4); // partition order 0
+  writer.write(rice.parameter, extended ? 5 : 4);
+  const divisor = 2 ** rice.parameter;
+  for (let i = 0; i < residuals.length; i++) {
+    writer.writeUnary(Math.floor(residuals[i] / divisor));
+    writer.write(residuals[i] % divisor, rice.parameter);
+  }
+}
+
+/**
+ * ============================================================================
+ * FLAC: FlacEncoder - LOSSLESS, STREAMED BLOCK BY BLOCK
+ * ============================================================================
+ *
+ * Samples are collected into 4096-frame blocks, each written as an
+ * independent frame as soon as it is full. The STREAMINFO header carries
+ * the total length, frame sizes and the MD5 of the samples once finish()
+ * has run; before that it says "length unknown", which players accept.
+ * ============================================================================
+ */
+class FlacEncoder {
+  constructor(options) {
+    const { sampleRate, channels = 1, sampleFormat = 'int16' } = options;
+    checkSampleFormat('flac', sampleFormat, ['int16', 'int24']);
+    if (channels > 8) {
+      throw new Error(`FLAC files hold up to 8 channels, not ${channels}`);
+    }
+
+    this.sampleRate = sampleRate;
+    this.channels = channels;
+    this.sampleFormat = sampleFormat;
+    this.bits = SAMPLE_BITS[sampleFormat];
+    this.blockAlign = channels * this.bits / 8;
+    this.rateCode = flacRateCode(sampleRate);
+    this.headerSize = FLAC_HEADER_SIZE;
+    this.maxDataBytes = Infinity;
+    this.frameCount = 0;
+    this.dataBytes = 0;
+    this.frameNumber = 0;
+    this.minFrameSize = 0;
+    this.maxFrameSize = 0;
+    this.md5 = crypto.createHash('md5');
+    this.signature = null;
+    this.block = Array.from({ length: channels }, () => new Int32Array(FLAC_BLOCK_SIZE));
+    this.blockFill = 0;
+  }
+
+  header() {
+    const writer = new BitWriter(FLAC_HEADER_SIZE);
+    writer.write(0x664C6143, 32); // 'fLaC'
+    writer.write(0x80, 8); // last metadata block, STREAMINFO
+    writer.write(34, 24);
+    writer.write(FLAC_BLOCK_SIZE, 16);
+    writer.write(FLAC_BLOCK_SIZE, 16);
+    writer.write(this.minFrameSize, 24);
+    writer.write(this.maxFrameSize, 24);
+    writer.write(this.sampleRate, 20);
+    writer.write(this.channels - 1, 3);
+    writer.write(this.bits - 1, 5);
+    writer.write(this.signature ? this.frameCount : 0, 36); // 0 = unknown until finished
+    const header = writer.toBuffer();
+    return Buffer.concat([header, this.signature || Buffer.alloc(16)]);
+  }
+
+  encode(samples) {
+    const values = toIntegerSamples(samples, this.bits);
+    this.updateSignature(values);
+
+    const frames = [];
+    const channels = this.channels;
+    for (let offset = 0; offset < values.length; offset += channels) {
+      for (let c = 0; c < channels; c++) {
+        this.block[c][this.blockFill] = values[offset + c];
+      }
+      if (++this.blockFill === FLAC_BLOCK_SIZE) {
+        frames.push(this.encodeFrame());
+      }
+    }
+
+    this.frameCount += values.length / channels;
+    const data = Buffer.concat(frames);
+    this.dataBytes += data.length;
+    return data;
+  }
+
+  finish() {
+    const data = this.blockFill > 0 ? this.encodeFrame() : Buffer.alloc(0);
+    this.dataBytes += data.length;
+    this.signature = this.md5.digest();
+    return data;
+  }
+
+  /**
+   * The MD5 in STREAMINFO is over the samples as little-endian integers.
+   */
+  updateSignature(values) {
+    const bytes = this.bits / 8;
+    const data = Buffer.alloc(values.length * bytes);
+    for (let i = 0; i < values.length; i++) {
+      data.writeIntLE(values[i], i * bytes, bytes);
+    }
+    this.md5.update(data);
+  }
+
+  encodeFrame() {
+    const blockSize = this.blockFill;
+    const writer = new BitWriter(blockSize * this.blockAlign + 64);
+
+    writer.write(0xFFF8, 16); // sync code, fixed block size
+    writer.write(0x7, 4); // block size: 16 bits at the end of the header
+    writer.write(this.rateCode.code, 4);
+    writer.write(this.channels - 1, 4); // independent channels
+    writer.write(this.bits === 16 ? 0x4 : 0x6, 3);
+    writer.write(0, 1);
+    writeUtf8Number(writer, this.frameNumber);
+    writer.write(blockSize - 1, 16);
+    writer.write(this.rateCode.value, this.rateCode.bits);
+    writer.write(crc8(writer.bytes, 0, writer.length), 8);
+
+    for (let c = 0; c < this.channels; c++) {
+      writeSubframe(writer, this.block[c].subarray(0, blockSize), this.bits);
+    }
+    writer.alignToByte();
+    writer.write(crc16(writer.bytes, 0, writer.length), 16);
+
+    const frame = writer.toBuffer();
+    this.minFrameSize = this.minFrameSize === 0 ? frame.length : Math.min(this.minFrameSize, frame.length);
+    this.maxFrameSize = Math.max(this.maxFrameSize, frame.length);
+    this.frameNumber++;
+    this.blockFill = 0;
+    return frame;
+  }
+
+  /**
+   * Finds the last frame, drops it if it was cut off, and rewrites
+   * STREAMINFO with the length of what is left (MD5 unknown).
+   */
+  static recover(fd, fileSize) {
+    const header = readAt(fd, 0, FLAC_HEADER_SIZE);
+    if (header.length < FLAC_HEADER_SIZE || header.toString('ascii', 0, 4) !== 'fLaC') {
+      throw new Error('no FLAC header');
+    }
+    const blockSize = header.readUInt16BE(10);
+    const sampleRate = header.readUIntBE(18, 3) >> 4;
+    const channels = ((header[20] >> 1) & 0x7) + 1;
+    const bits = (((header[20] & 0x1) << 4) | (header[21] >> 4)) + 1;
+
+    // The largest possible frame is a verbatim one, plus its header
+    const tailSize = Math.min(fileSize - FLAC_HEADER_SIZE, 2 * (blockSize * channels * bits / 8 + 64));
+    const tailStart = fileSize - tailSize;
+    const tail = readAt(fd, tailStart, tailSize);
+
+    let end = FLAC_HEADER_SIZE;
+    let frameCount = 0;
+    const layout = { rateCode: flacRateCode(sampleRate), channels: channels, bits: bits };
+    for (let position = tail.length - 2; position >= 0; position--) {
+      const frame = parseFrameHeader(tail, position, layout);
+      if (!frame) {
+        continue;
+      }
+      const complete = tail.length - position >= frame.headerLength + 2
+        && crc16(tail, position, tail.length - 2) === tail.readUInt16BE(tail.length - 2);
+      end = complete ? fileSize : tailStart + position;
+      frameCount = frame.number * blockSize + (complete ? frame.blockSize : 0);
+      break;
+    }
+
+    fs.ftruncateSync(fd, end);
+    header.fill(0, 12, 18); // frame sizes unknown
+    header.writeUInt32BE((header.readUInt32BE(18) & 0xFFFFFFF0 | Math.floor(frameCount / 2 ** 32)) >>> 0, 18);
+    header.writeUInt32BE(frameCount % 2 ** 32, 22);
+    header.fill(0, 26, 42); // MD5 unknown
+    fs.writeSync(fd, header, 0, FLAC_HEADER_SIZE, 0);
+    return { frameCount: frameCount, sampleRate: sampleRate };
+  }
+}
+
+/**
+ * Reads a frame header written by FlacEncoder at `position` (with the
+ * stream's rate code, channels and bits), checking its CRC-8. Returns { number, blockSize, headerLength } or null.
+ */
+function parseFrameHeader(bytes, position, layout) {
+  const { rateCode, channels, bits } = layout;
+  if (bytes[position] !== 0xFF || bytes[position + 1] !== 0xF8 || position + 7 > bytes.length) {
+    return null;
+  }
+  if (bytes[position + 2] !== (0x70 | rateCode.code) || bytes[position + 3] !== (((channels - 1) << 4) | (bits === 16 ? 0x8 : 0xC))) {
+    return null;
+  }
+
+  let offset = position + 4;
+  const lead = bytes[offset++];
+  let continuation = 0;
+  while (continuation < 6 && (lead & (0x80 >> continuation))) {
+    continuation++;
+  }
+  if (continuation === 1) {
+    return null;
+  }
+  continuation = Math.max(0, continuation - 1);
+  let number = lead & (0x7F >> (continuation + (continuation > 0 ? 1 : 0)));
+  for (let i = 0; i < continuation; i++) {
+    number = number * 64 + (bytes[offset++] & 0x3F);
+  }
+
+  if (offset + 3 + rateCode.bits / 8 > bytes.length) {
+    return null;
+  }
+  const blockSize = bytes.readUInt16BE(offset) + 1;
+  offset += 2 + rateCode.bits / 8;
+  if (crc8(bytes, position, offset) !== bytes[offset]) {
+    return null;
+  }
+  return { number: number, blockSize: blockSize, headerLength: offset + 1 - position };
+}
+
+function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(Math.max(0, length));
+  const read = fs.readSync(fd, buffer, 0, buffer.length, position);
+  return buffer.subarray(0, read);
+}
+
+const ENCODERS = {
+  wav: WavEncoder,
+  aiff: AiffEncoder,
+  flac: FlacEncoder,
+};
+
+const EXTENSIONS = {
+  wav: '.wav',
+  aiff: '.aif',
+  flac: '.flac',
+};
+
+function createEncoder(format, options) {
+  const Encoder = ENCODERS[format];
+  if (!Encoder) {
+    throw new Error(`Unknown file format '${format}', expected ${FILE_FORMATS.join(', ')}`);
+  }
+  return new Encoder(options);
+}
+
+/**
+ * Format of an audio file from its first four bytes, or null.
+ */
+function detectFormat(fd) {
+  const magic = readAt(fd, 0, 4).toString('ascii');
+  return { RIFF: 'wav', FORM: 'aiff', fLaC: 'flac' }[magic] || null;
+}
+
+/**
+ * Repairs the header of an unfinished file (open read/write as `fd`).
+ * Returns { format, frameCount, sampleRate }.
+ */
+function recoverFile(fd) {
+  const format = detectFormat(fd);
+  if (!format) {
+    throw new Error('unknown file format');
+  }
+  const result = ENCODERS[format].recover(fd, fs.fstatSync(fd).size);
+  return Object.assign({ format: format }, result);
+}
+
+module.exports = {
+  AUDIO_EXTENSIONS,
+  EXTENSIONS,
+  FILE_FORMATS,
+  SAMPLE_FORMATS,
+  createEncoder,
+  floatToInt16,
+  recoverFile,
+};
@@ -0,0 +1,292 @@
+/*
+ * =======================================================================
+ * PACKET CAPTURE AND REPLAY - REPRODUCE A USER'S STREAM LOCALLY
+ * =======================================================================
+ *
+ * Capture: UDP.js / TCP.js write every raw datagram (UDP) or data chunk
+ * (TCP) with its arrival time to a capture file ('startCapture').
+ * Replay: replay.js sends a capture to any UDP / TCP port again, at the
+ * original timing, faster, or with injected loss and jitter.
+ *
+ * CAPTURE FILE (.jitcap, all fields big-endian):
+ *
+ *   File header (16 bytes)
+ *     magic        'JCAP'
+ *     version      uint8   (1)
+ *     transport    uint8   0 = udp, 1 = tcp
+ *     reserved     uint16
+ *     startTime    float64 wall clock at capture start (ms since epoch)
+ *
+ *   Record (16 bytes + data), one per datagram / chunk
+ *     time         float64 arrival time, ms since capture start
+ *     stream       uint16  sender number in order of appearance
+ *                          (UDP source address:port, TCP connection)
+ *     reserved     uint16
+ *     length       uint32  byte count of the data that follows
+ *
+ * Data is stored exactly as received (SEQH headers, TCP chunk boundaries
+ * and malformed packets included), so a replay hits the receiver the same
+ * way the original stream did.
+ * =======================================================================
+ */
+
+const fs = require('fs');
+const { once } = require('events');
+const { performance } = require('perf_hooks');
+
+const CAPTURE_MAGIC = 'JCAP';
+const CAPTURE_VERSION = 1;
+const FILE_HEADER_SIZE = 16;
+const RECORD_HEADER_SIZE = 16;
+const TRANSPORTS = ['udp', 'tcp'];
+const CAPTURE_EXTENSION = '.jitcap';
+
+/**
+ * ============================================================================
+ * CAPTURE: CaptureWriter - RAW PACKETS TO A .jitcap FILE
+ * ============================================================================
+ *
+ * USAGE:
+ *   const capture = new CaptureWriter('bug.jitcap', { transport: 'udp' });
+ *   receiver.onRaw = (data, source) => capture.write(data, source);
+ *   await capture.close();
+ *
+ * `source` is any key identifying the sender ('address:port'); each new
+ * key gets the next stream number. Writes go through a file stream, so
+ * capturing never blocks the audio path.
+ * ============================================================================
+ */
+class CaptureWriter {
+  constructor(fileName, options = {}) {
+    const { transport = 'udp', now = () => performance.now() } = options;
+    if (!TRANSPORTS.includes(transport)) {
+      throw new Error(`Unknown capture transport '${transport}'`);
+    }
+
+    this.fileName = fileName;
+    this.now = now;
+    this.startMs = now();
+    this.streams = new Map();
+    this.packetCount = 0;
+    this.byteCount = 0;
+    this.file = fs.createWriteStream(fileName);
+    this.error = null;
+    this.file.on('error', (error) => {
+      this.error = error;
+    });
+
+    const header = Buffer.alloc(FILE_HEADER_SIZE);
+    header.write(CAPTURE_MAGIC, 0, 'latin1');
+    header.writeUInt8(CAPTURE_VERSION, 4);
+    header.writeUInt8(TRANSPORTS.indexOf(transport), 5);
+    header.writeDoubleBE(Date.now(), 8);
+    this.file.write(header);
+  }
+
+  write(data, source = '') {
+    if (!this.streams.has(source)) {
+      this.streams.set(source, this.streams.size);
+    }
+
+    const record = Buffer.alloc(RECORD_HEADER_SIZE);
+    record.writeDoubleBE(this.now() - this.startMs, 0);
+    record.writeUInt16BE(this.streams.get(source), 8);
+    record.writeUInt32BE(data.length, 12);
+    this.file.write(record);
+    this.file.write(Buffer.from(data)); // Copy: the socket may reuse its buffer
+
+    this.packetCount++;
+    this.byteCount += data.length;
+  }
+
+  /**
+   * Flushes and closes the file. Rejects with the first write error.
+   */
+  async close() {
+    if (!this.file.closed && !this.error) {
+      this.file.end();
+      await once(this.file, 'close');
+    }
+    if (this.error) {
+      throw this.error;
+    }
+  }
+}
+
+/**
+ * Parses a capture file's contents. Throws when it is not a capture or
+ * is cut short (a capture interrupted by a crash keeps its complete records).
+ */
+function parseCapture(buffer) {
+  if (buffer.length < FILE_HEADER_SIZE || buffer.toString('latin1', 0, 4) !== CAPTURE_MAGIC) {
+    throw new Error('Not a capture file');
+  }
+  const version = buffer.readUInt8(4);
+  if (version !== CAPTURE_VERSION) {
+    throw new Error(`Unsupported capture version ${version}`);
+  }
+  const transport = TRANSPORTS[buffer.readUInt8(5)];
+  if (!transport) {
+    throw new Error(`Unknown capture transport ${buffer.readUInt8(5)}`);
+  }
+
+  const packets = [];
+  let offset = FILE_HEADER_SIZE;
+  while (offset + RECORD_HEADER_SIZE <= buffer.length) {
+    const length = buffer.readUInt32BE(offset + 12);
+    const dataOffset = offset + RECORD_HEADER_SIZE;
+    if (dataOffset + length > buffer.length) {
+      break; // Record cut short by an interrupted capture
+    }
+    packets.push({
+      time: buffer.readDoubleBE(offset),
+      stream: buffer.readUInt16BE(offset + 8),
+      data: buffer.subarray(dataOffset, dataOffset + length),
+    });
+    offset = dataOffset + length;
+  }
+
+  return {
+    transport: transport,
+    startTime: buffer.readDoubleBE(8),
+    packets: packets,
+  };
+}
+
+function readCapture(fileName) {
+  return parseCapture(fs.readFileSync(fileName));
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so a replay with loss / jitter can be
+ * repeated exactly with the same seed.
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * ============================================================================
+ * REPLAY: replayCapture() - RE-SEND A CAPTURE WITH ITS TIMING
+ * ============================================================================
+ *
+ * OPTIONS:
+ * - send(data, stream): delivers one packet (a PacketSender's send, or a
+ *   function feeding UdpReceiver.receive() directly in tests)
+ * - speed: 1 = original timing, 2 = twice as fast, 0 = as fast as possible
+ * - loss: probability (0-1) of dropping each packet
+ * - jitterMs: random extra delay per packet, 0 to jitterMs. Over UDP this
+ *   reorders packets like a real network; TCP chunks keep their order
+ * - random: PRNG returning 0..1 (Math.random, or seededRandom(seed))
+ * - sleep: (ms) => Promise, replaceable in tests
+ *
+ * Resolves to `{ sent, dropped }`.
+ * ============================================================================
+ */
+async function replayCapture(capture, options = {}) {
+  const {
+    send,
+    speed = 1,
+    loss = 0,
+    jitterMs = 0,
+    random = Math.random,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  } = options;
+
+  if (!(speed >= 0)) {
+    throw new Error(`Invalid replay speed ${speed}`);
+  }
+  if (!(loss >= 0 && loss <= 1)) {
+    throw new Error(`Invalid loss ${loss}, expected 0-1`);
+  }
+  if (!(jitterMs >= 0)) {
+    throw new Error(`Invalid jitter ${jitterMs} ms`);
+  }
+  if (capture.transport === 'tcp' && loss > 0) {
+    throw new Error('Loss cannot be injected into a TCP capture (it would cut packets in half)');
+  }
+
+  // Schedule every packet, then send in schedule order
+  const schedule = [];
+  let dropped = 0;
+  let lastDue = 0;
+  for (const packet of capture.packets) {
+    if (loss > 0 && random() < loss) {
+      dropped++;
+      continue;
+    }
+    let due = speed > 0 ? packet.time / speed : 0;
+    if (jitterMs > 0) {
+      due += random() * jitterMs;
+    }
+    if (capture.transport === 'tcp') {
+      due = Math.max(due, lastDue);
+      lastDue = due;
+    }
+    schedule.push({ due: due, packet: packet });
+  }
+  schedule.sort((a, b) => a.due - b.due);
+
+  const startMs = performance.now();
+  for (const { due, packet } of schedule) {
+    const wait = due - (performance.now() - startMs);
+    if (wait > 1) {
+      await sleep(wait);
+    }
+    await send(packet.data, packet.stream);
+  }
+
+  return { sent: schedule.length, dropped: dropped };
+}
+
+/**
+ * Adds 'startCapture [fileName]' and 'stopCapture' to a receiver script.
+ * Without a file name the capture goes to capture_<timestamp>.jitcap.
+ */
+function addCaptureHandlers(Max, receiver, transport) {
+  let capture = null;
+
+  async function stopCapture() {
+    if (!capture) {
+      return;
+    }
+    const finished = capture;
+    capture = null;
+    receiver.onRaw = null;
+    try {
+      await finished.close();
+      Max.post(`Capture saved: ${finished.packetCount} packets (${finished.byteCount} bytes) to ${finished.fileName}`);
+    } catch (error) {
+      Max.post(`Error saving capture ${finished.fileName}: ${error.message}`);
+    }
+  }
+
+  Max.addHandler('startCapture', async (fileName) => {
+    await stopCapture();
+    const name = fileName ? String(fileName) : `capture_${Date.now()}${CAPTURE_EXTENSION}`;
+    capture = new CaptureWriter(name, { transport: transport });
+    receiver.onRaw = (data, source) => capture.write(data, source);
+    Max.post(`Capturing incoming packets to ${name}`);
+  });
+
+  Max.addHandler('stopCapture', stopCapture);
+
+  return stopCapture;
+}
+
+module.exports = {
+  CAPTURE_EXTENSION,
+  CaptureWriter,
+  addCaptureHandlers,
+  parseCapture,
+  readCapture,
+  replayCapture,
+  seededRandom,
+};
@@ -0,0 +1,71 @@
+/*
+ * =======================================================================
+ * MULTICHANNEL HELPERS - CHANNEL SELECTION, DOWNMIX AND INTERLEAVING
+ * =======================================================================
+ *
+ * The decoder (lib/jitMatrix.js) returns one Float32Array per matrix plane.
+ * These helpers turn that into what each consumer needs:
+ *
+ * - Recording: interleaved frames for multichannel WAV files
+ * - Max output: one array per channel for channel-indexed writeAudioChunk
+ * - Recognition: a single mono signal (one channel or a downmix) for Vosk
+ *
+ * Channel numbers exposed to Max are 1-based, 0 means "downmix all".
+ * =======================================================================
+ */
+
+/**
+ * Averages all channels into one mono Float32Array.
+ */
+function downmix(channels) {
+  if (channels.length === 1) {
+    return channels[0];
+  }
+
+  const frameCount = channels[0].length;
+  const mono = new Float32Array(frameCount);
+  for (const channel of channels) {
+    for (let i = 0; i < frameCount; i++) {
+      mono[i] += channel[i];
+    }
+  }
+  for (let i = 0; i < frameCount; i++) {
+    mono[i] /= channels.length;
+  }
+  return mono;
+}
+
+/**
+ * Returns the mono signal for recognition: channel `channelNumber`
+ * (1-based) or a downmix of every channel when it is 0.
+ * Out-of-range channels return null so callers can report them.
+ */
+function selectChannel(channels, channelNumber) {
+  if (channelNumber === 0) {
+    return downmix(channels);
+  }
+  return channels[channelNumber - 1] || null;
+}
+
+/**
+ * Interleaves `channels` into frames, padding missing channels with
+ * silence and dropping extra ones so the result always has
+ * `channelCount` samples per frame.
+ */
+function interleave(channels, channelCount = channels.length) {
+  const frameCount = channels.length > 0 ? channels[0].length : 0;
+  const interleaved = new Float32Array(frameCount * channelCount);
+  for (let c = 0; c < Math.min(channelCount, channels.length); c++) {
+    const channel = channels[c];
+    for (let i = 0; i < frameCount; i++) {
+      interleaved[i * channelCount + c] = channel[i];
+    }
+  }
+  return interleaved;
+}
+
+module.exports = {
+  downmix,
+  selectChannel,
+  interleave,
+};
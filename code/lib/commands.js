@@ -0,0 +1,366 @@
+/*
+ * =======================================================================
+ * VOICE COMMANDS - GRAMMAR FILE → STRUCTURED MAX MESSAGES
+ * =======================================================================
+ *
+ * Replaces the fixed /\b(play|stop|pause|resume|continue|both)\b/ check
+ * the recognizer scripts ran on partial results. Commands come from a
+ * grammar file (code/commands.json) the user can edit:
+ *
+ *   {
+ *     "debounceMs": 1000,
+ *     "slots": { "track": { "drums": ["drums", "beat"], "bass": ["bass"] } },
+ *     "commands": {
+ *       "play": ["play", "start"],
+ *       "tempo": ["(set) (the) tempo (to) {number}", "{number} bpm"],
+ *       "mute": ["mute (the) {track}"]
+ *     }
+ *   }
+ *
+ * PHRASES:
+ * - words match whole recognized words
+ * - (a|b c) is optional, [a|b c] must match one of its alternatives
+ * - {number} takes all the number words there ("minus twenty five" → -25,
+ *   "fifty percent" → 50%, "one twenty" is not a number, "one hundred
+ *   twenty" is), {name} one of the slot's values: a list of words or
+ *   phrases, or { value: [synonyms] } to output `value`
+ *
+ * "set the tempo to one hundred twenty" → `command tempo 120`. Matches are looked for
+ * anywhere in the text, left to right, the longest phrase winning.
+ * =======================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { specialFormatting } = require('./formatter');
+
+const DEFAULT_DEBOUNCE_MS = 1000;
+
+// The transport words sRtin.js, READING.js and OLDASA.js reacted to before the grammar file
+const DEFAULT_GRAMMAR = {
+  commands: {
+    play: ['play'],
+    stop: ['stop'],
+    pause: ['pause'],
+    resume: ['resume'],
+    continue: ['continue'],
+    both: ['both'],
+  },
+};
+
+const NUMBER_WORDS = new Set([
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen',
+  'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety',
+  'hundred', 'thousand', 'million', 'and', 'minus', 'percent',
+]);
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?%?$/;
+const PHRASE_TOKEN = /\(([^)]*)\)|\[([^\]]*)\]|\{([^}]*)\}|[^\s()[\]{}]+/g;
+
+function words(text) {
+  return String(text).toLowerCase().split(/\s+/).filter((word) => word !== '');
+}
+
+// "a|b c" → [['a'], ['b', 'c']], longest first so "hold on" beats "hold"
+function alternatives(text) {
+  return text.split('|').map(words).filter((list) => list.length > 0)
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Parses one phrase into elements: `{ alternatives, optional }` for words
+ * and groups, `{ slot }` for slots.
+ */
+function compilePhrase(phrase, slots) {
+  const elements = [];
+  for (const token of String(phrase).matchAll(PHRASE_TOKEN)) {
+    const [whole, optional, required, slot] = token;
+    if (slot !== undefined) {
+      const name = slot.trim();
+      if (name !== 'number' && !slots[name]) {
+        throw new Error(`Unknown slot {${name}} in "${phrase}"`);
+      }
+      elements.push({ slot: name });
+    } else {
+      const group = optional !== undefined ? optional : required !== undefined ? required : whole;
+      const options = alternatives(group);
+      if (options.length === 0) {
+        throw new Error(`Empty group in "${phrase}"`);
+      }
+      elements.push({ alternatives: options, optional: optional !== undefined });
+    }
+  }
+  if (!elements.some((element) => element.slot || !element.optional)) {
+    throw new Error(`"${phrase}" matches nothing`);
+  }
+  return elements;
+}
+
+/**
+ * ============================================================================
+ * COMMANDS: compileGrammar() / loadGrammar() - GRAMMAR FILE VALIDATION
+ * ============================================================================
+ *
+ * Turns the grammar JSON into `{ commands, slots, debounceMs }` ready for
+ * CommandMatcher. Throws with a message naming the bad entry (and the
+ * file, for loadGrammar) so a typo in the file is easy to find.
+ * ============================================================================
+ */
+function compileGrammar(json) {
+  if (!json || typeof json.commands !== 'object' || json.commands === null) {
+    throw new Error('A command grammar needs a "commands" object');
+  }
+
+  const slots = {};
+  for (const [name, values] of Object.entries(json.slots || {})) {
+    if (name === 'number') {
+      throw new Error('{number} is built in and cannot be redefined');
+    }
+    // ["drums", "bass"] or { "drums": ["drums", "beat"] }: [value, words] pairs, longest words first
+    const entries = Array.isArray(values)
+      ? values.map((value) => [String(value), [value]])
+      : Object.entries(values || {}).map(([value, synonyms]) => [value, [].concat(synonyms)]);
+    slots[name] = entries
+      .flatMap(([value, synonyms]) => synonyms.map((synonym) => ({ value: value, words: words(synonym) })))
+      .filter((entry) => entry.words.length > 0)
+      .sort((a, b) => b.words.length - a.words.length);
+    if (slots[name].length === 0) {
+      throw new Error(`Slot {${name}} has no values`);
+    }
+  }
+
+  const commands = [];
+  for (const [name, phrases] of Object.entries(json.commands)) {
+    for (const phrase of [].concat(phrases)) {
+      commands.push({ name: name, phrase: phrase, elements: compilePhrase(phrase, slots) });
+    }
+  }
+
+  const debounceMs = json.debounceMs === undefined ? DEFAULT_DEBOUNCE_MS : Number(json.debounceMs);
+  if (!Number.isFinite(debounceMs) || debounceMs < 0) {
+    throw new Error(`Invalid debounceMs ${json.debounceMs}`);
+  }
+  return { commands: commands, slots: slots, debounceMs: debounceMs };
+}
+
+function loadGrammar(fileName) {
+  try {
+    return compileGrammar(JSON.parse(fs.readFileSync(fileName, 'utf8')));
+  } catch (error) {
+    throw new Error(`${path.basename(fileName)}: ${error.message}`);
+  }
+}
+
+/**
+ * loadGrammar() for script start: a missing or broken file is reported
+ * and the built-in transport words (DEFAULT_GRAMMAR) are used instead.
+ */
+function grammarFromFile(fileName, log = () => {}) {
+  try {
+    return loadGrammar(fileName);
+  } catch (error) {
+    log(`${error.message}. Using the default commands: ${Object.keys(DEFAULT_GRAMMAR.commands).join(', ')}`);
+    return compileGrammar(DEFAULT_GRAMMAR);
+  }
+}
+
+/**
+ * Reads a phrase list for grammar mode: a JSON array of strings, or a
+ * text file with one phrase per line (blank lines and # comments skipped).
+ */
+function loadPhrases(fileName) {
+  try {
+    const text = fs.readFileSync(fileName, 'utf8');
+    const phrases = path.extname(fileName).toLowerCase() === '.json'
+      ? JSON.parse(text)
+      : text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line !== '' && !line.startsWith('#'));
+    if (!Array.isArray(phrases) || phrases.length === 0 || phrases.some((phrase) => typeof phrase !== 'string')) {
+      throw new Error('expected a non-empty list of phrases');
+    }
+    return phrases.map((phrase) => phrase.toLowerCase());
+  } catch (error) {
+    throw new Error(`${path.basename(fileName)}: ${error.message}`);
+  }
+}
+
+/**
+ * Every word a grammar's commands can contain (number words included
+ * when a phrase has a {number}): the vocabulary for a recognizer in
+ * grammar mode, so it only ever hears commands.
+ */
+function grammarVocabulary(grammar) {
+  const vocabulary = new Set();
+  for (const command of grammar.commands) {
+    for (const element of command.elements) {
+      if (element.slot === 'number') {
+        NUMBER_WORDS.forEach((word) => vocabulary.add(word));
+      } else if (element.slot) {
+        grammar.slots[element.slot].forEach((option) => option.words.forEach((word) => vocabulary.add(word)));
+      } else {
+        element.alternatives.forEach((list) => list.forEach((word) => vocabulary.add(word)));
+      }
+    }
+  }
+  return Array.from(vocabulary).sort();
+}
+
+/**
+ * The value of the number words at tokens[start, end), or undefined.
+ */
+function numberValue(tokens, start, end) {
+  const run = tokens.slice(start, end);
+  if (run.length === 1 && NUMBER_PATTERN.test(run[0])) {
+    return run[0].endsWith('%') ? run[0] : Number(run[0]);
+  }
+  // specialFormatting() drops "percent" wherever it is, only a trailing one is a % sign
+  if (run.some((word) => !NUMBER_WORDS.has(word)) || run.slice(0, -1).includes('percent')) {
+    return undefined;
+  }
+  const value = String(specialFormatting(run.join(' ')));
+  if (!NUMBER_PATTERN.test(value)) {
+    return undefined;
+  }
+  return value.endsWith('%') ? value : Number(value);
+}
+
+/**
+ * ============================================================================
+ * COMMANDS: CommandMatcher - MATCHING, PARTIAL RESULTS AND DEBOUNCING
+ * ============================================================================
+ *
+ * USAGE:
+ *   const commands = new CommandMatcher(loadGrammar('commands.json'));
+ *   commands.process(result.text, result.type === 'final')
+ *     .forEach(({ command, args }) => Max.outlet('command', command, ...args));
+ *
+ * - match(text, final) returns every command in the text
+ * - process() returns only the ones to send: a command already sent for
+ *   this utterance (from a partial result) is not sent again by the
+ *   following partials or the final result, and the same command with
+ *   the same values is dropped for `debounceMs` after it was sent
+ * - a {number} that ends a partial result waits for the final one, as
+ *   the number may still grow ("tempo one hundred" ... "twenty")
+ * ============================================================================
+ */
+class CommandMatcher {
+  constructor(grammar = compileGrammar(DEFAULT_GRAMMAR), options = {}) {
+    this.now = options.now || Date.now;
+    this.lastSent = new Map(); // 'tempo 120' → time sent
+    this.setGrammar(grammar);
+  }
+
+  setGrammar(grammar) {
+    this.grammar = grammar;
+    this.reset();
+  }
+
+  /**
+   * Forgets what was sent for the current utterance and when.
+   */
+  reset() {
+    this.sentThisUtterance = new Set();
+    this.lastSent.clear();
+  }
+
+  match(text, final = true) {
+    const tokens = words(text);
+    const found = [];
+    let i = 0;
+    while (i < tokens.length) {
+      let best = null;
+      for (const command of this.grammar.commands) {
+        const match = this.matchElements(command.elements, 0, tokens, i, [], final);
+        if (match && match.end > i && (!best || match.end > best.end)) {
+          best = { command: command.name, args: match.args, start: i, end: match.end };
+        }
+      }
+      if (best) {
+        found.push(best);
+        i = best.end;
+      } else {
+        i++;
+      }
+    }
+    return found;
+  }
+
+  process(text, final = true) {
+    const now = this.now();
+    const send = [];
+    for (const match of this.match(text, final)) {
+      const key = [match.command].concat(match.args).join(' ');
+      const last = this.lastSent.get(key);
+      if (this.sentThisUtterance.has(key)) {
+        continue;
+      }
+      this.sentThisUtterance.add(key);
+      if (last !== undefined && now - last < this.grammar.debounceMs) {
+        continue;
+      }
+      this.lastSent.set(key, now);
+      send.push({ command: match.command, args: match.args });
+    }
+    if (final) {
+      this.sentThisUtterance.clear();
+    }
+    for (const [key, time] of this.lastSent) {
+      if (now - time >= this.grammar.debounceMs) {
+        this.lastSent.delete(key);
+      }
+    }
+    return send;
+  }
+
+  // Backtracking match of elements[index...] at tokens[position...]; returns { end, args } or null
+  matchElements(elements, index, tokens, position, args, final) {
+    if (index === elements.length) {
+      return { end: position, args: args };
+    }
+    const element = elements[index];
+    const next = (end, value) => this.matchElements(elements, index + 1, tokens, end, value === undefined ? args : args.concat([value]), final);
+
+    if (element.slot === 'number') {
+      let end = position;
+      while (end < tokens.length && (NUMBER_WORDS.has(tokens[end]) || NUMBER_PATTERN.test(tokens[end]))) {
+        end++;
+      }
+      if (!final && end === tokens.length) {
+        return null;
+      }
+      // All of the number words, unless another number follows ("from {number} {number}")
+      const shortest = elements[index + 1] && elements[index + 1].slot === 'number' ? position + 1 : end;
+      for (; end >= shortest && end > position; end--) {
+        const value = numberValue(tokens, position, end);
+        const match = value !== undefined && next(end, value);
+        if (match) {
+          return match;
+        }
+      }
+      return null;
+    }
+
+    const options = element.slot
+      ? this.grammar.slots[element.slot]
+      : element.alternatives.map((list) => ({ words: list }));
+    for (const option of options) {
+      const end = position + option.words.length;
+      if (end <= tokens.length && option.words.every((word, k) => tokens[position + k] === word)) {
+        const match = next(end, element.slot ? option.value : undefined);
+        if (match) {
+          return match;
+        }
+      }
+    }
+    return element.optional ? next(position) : null;
+  }
+}
+
+module.exports = {
+  DEFAULT_GRAMMAR,
+  compileGrammar,
+  loadGrammar,
+  grammarFromFile,
+  grammarVocabulary,
+  loadPhrases,
+  CommandMatcher,
+};
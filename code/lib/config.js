@@ -0,0 +1,283 @@
+/*
+ * =======================================================================
+ * RUNTIME CONFIGURATION - config.json SECTIONS + LIVE CHANGES FROM MAX
+ * =======================================================================
+ *
+ * Every script declares the settings it understands (port, sample rate,
+ * file names, model path ...) with a type and a default. Values come from
+ * three places, later ones winning:
+ *
+ *   1. The defaults declared in the script
+ *   2. code/config.json: the "shared" section, then the script's own
+ *      section ("UDP", "sRtin" ...)
+ *   3. Max messages: 'set <key> <value>', 'port <n>', 'model <path>'
+ *
+ * Scripts subscribe to keys with onChange() and apply the new value live
+ * (rebind the socket, reload the model ...). If applying fails the old
+ * value is restored, so the config always describes what is running.
+ * =======================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_PATH = path.join(__dirname, '..', 'config.json');
+const SHARED_SECTION = 'shared';
+
+const BOOLEAN_WORDS = {
+  true: true, on: true, yes: true, 1: true,
+  false: false, off: false, no: false, 0: false,
+};
+
+/**
+ * Setting shared by the network receivers: UDP/TCP listening port.
+ */
+function portSetting(defaultPort) {
+  return { type: 'integer', default: defaultPort, min: 1, max: 65535 };
+}
+
+/**
+ * Setting shared by the network receivers: sender sample rate in Hz.
+ */
+function sampleRateSetting(defaultRate) {
+  return { type: 'integer', default: defaultRate, min: 8000, max: 384000 };
+}
+
+/**
+ * Converts a value from JSON or a Max message to the setting's type.
+ * Throws with a message fit for the Max console when it does not fit.
+ */
+function coerce(key, setting, raw) {
+  const invalid = (expected) => new Error(`Invalid value for ${key}: ${raw} (expected ${expected})`);
+
+  switch (setting.type) {
+    case 'integer':
+    case 'number': {
+      const value = Number(raw);
+      if (raw === '' || raw === null || !Number.isFinite(value)
+        || (setting.type === 'integer' && !Number.isInteger(value))) {
+        throw invalid(setting.type === 'integer' ? 'an integer' : 'a number');
+      }
+      if (setting.min !== undefined && setting.max !== undefined
+        && (value < setting.min || value > setting.max)) {
+        throw invalid(`${setting.min}-${setting.max}`);
+      }
+      if (setting.min !== undefined && value < setting.min) {
+        throw invalid(`>= ${setting.min}`);
+      }
+      if (setting.max !== undefined && value > setting.max) {
+        throw invalid(`<= ${setting.max}`);
+      }
+      return value;
+    }
+    case 'boolean': {
+      const word = String(raw).toLowerCase();
+      if (!(word in BOOLEAN_WORDS)) {
+        throw invalid('0/1 or true/false');
+      }
+      return BOOLEAN_WORDS[word];
+    }
+    case 'enum':
+      if (!setting.values.includes(String(raw))) {
+        throw invalid(setting.values.join('|'));
+      }
+      return String(raw);
+    case 'string': {
+      const value = String(raw).trim();
+      if (value === '' && !setting.allowEmpty) {
+        throw invalid('a non-empty string');
+      }
+      return value;
+    }
+    default:
+      throw new Error(`Unknown setting type '${setting.type}' for ${key}`);
+  }
+}
+
+/**
+ * ============================================================================
+ * CONFIGURATION: ScriptConfig - ONE SCRIPT'S SETTINGS [HIGH IMPORTANCE]
+ * ============================================================================
+ *
+ * USAGE:
+ *   const config = new ScriptConfig('UDP', {
+ *     port: portSetting(7778),
+ *     outputFile: { type: 'string', default: 'UDPoutput.wav' },
+ *   }, { log: (message) => Max.post(message) });
+ *
+ *   config.onChange('port', () => startServer());
+ *   server.bind(config.get('port'));
+ *
+ * SETTING TYPES: integer, number (with optional min/max), boolean,
+ * string (non-empty unless `allowEmpty`), enum (with `values`).
+ * ============================================================================
+ */
+class ScriptConfig {
+  constructor(section, schema, options = {}) {
+    this.section = section;
+    this.schema = schema;
+    this.path = options.path || CONFIG_PATH;
+    this.log = options.log || (() => {});
+    this.listeners = {};
+    this.values = {};
+    for (const key of Object.keys(schema)) {
+      this.values[key] = schema[key].default;
+    }
+    this.load();
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.schema, key);
+  }
+
+  get(key) {
+    if (!this.has(key)) {
+      throw new Error(`Unknown setting '${key}'`);
+    }
+    return this.values[key];
+  }
+
+  /**
+   * Validates and stores a value, then runs the key's listeners with
+   * `(value, source)`. Returns the stored value. Throws for unknown keys,
+   * invalid values and listener failures (the old value is kept).
+   */
+  set(key, raw, source = 'set') {
+    if (!this.has(key)) {
+      throw new Error(`Unknown setting '${key}'. Known: ${Object.keys(this.schema).join(', ')}`);
+    }
+
+    const value = coerce(key, this.schema[key], raw);
+    const previous = this.values[key];
+    if (value === previous) {
+      return value;
+    }
+
+    this.values[key] = value;
+    try {
+      for (const listener of this.listeners[key] || []) {
+        listener(value, source);
+      }
+    } catch (error) {
+      this.values[key] = previous;
+      throw error;
+    }
+    return value;
+  }
+
+  onChange(key, listener) {
+    if (!this.has(key)) {
+      throw new Error(`Unknown setting '${key}'`);
+    }
+    (this.listeners[key] = this.listeners[key] || []).push(listener);
+  }
+
+  /**
+   * (Re)reads config.json. A missing file keeps the current values, a
+   * broken one is reported and ignored, and a bad entry is reported and
+   * skipped without affecting the others.
+   */
+  load() {
+    if (!fs.existsSync(this.path)) {
+      return;
+    }
+
+    let file;
+    try {
+      file = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    } catch (error) {
+      this.log(`Ignoring ${path.basename(this.path)}: ${error.message}`);
+      return;
+    }
+
+    const shared = file[SHARED_SECTION] || {};
+    const own = file[this.section] || {};
+
+    // Shared keys a script does not use are fine, unknown keys in its own section are typos
+    for (const key of Object.keys(own)) {
+      if (!this.has(key)) {
+        this.log(`Unknown setting '${key}' in the ${this.section} section of ${path.basename(this.path)}`);
+      }
+    }
+
+    const entries = Object.assign({}, shared, own);
+    for (const key of Object.keys(entries)) {
+      if (!this.has(key)) {
+        continue;
+      }
+      try {
+        this.set(key, entries[key], 'config file');
+      } catch (error) {
+        this.log(error.message);
+      }
+    }
+  }
+
+  /**
+   * Current values as [key, value] pairs, in declaration order.
+   */
+  entries() {
+    return Object.keys(this.schema).map((key) => [key, this.values[key]]);
+  }
+}
+
+/**
+ * ============================================================================
+ * MAX MESSAGES: addConfigHandlers() - set / dumpconfig / reloadconfig
+ * ============================================================================
+ *
+ * - set <key> <value...>  change any setting (words are joined, so file
+ *                         names with spaces work)
+ * - dumpconfig            post every setting and output 'config <key> <value>'
+ * - reloadconfig          re-read config.json and apply what changed
+ * - port <n>, model <path> shortcuts, when the script has those settings
+ *
+ * `Max` is passed in rather than required so the module has no max-api
+ * dependency.
+ * ============================================================================
+ */
+function addConfigHandlers(Max, config) {
+  const apply = (key, raw, source) => {
+    try {
+      const value = config.set(key, raw, source);
+      Max.post(`${config.section}: ${key} = ${value}`);
+    } catch (error) {
+      Max.post(error.message);
+    }
+  };
+
+  Max.addHandler('set', (key, ...words) => {
+    if (key === undefined || words.length === 0) {
+      Max.post('Usage: set <key> <value>');
+      return;
+    }
+    apply(String(key), words.join(' '), 'set message');
+  });
+
+  Max.addHandler('dumpconfig', () => {
+    Max.post(`${config.section} settings (${config.path}):`);
+    for (const [key, value] of config.entries()) {
+      Max.post(`  ${key} = ${value}`);
+      Max.outlet('config', key, typeof value === 'boolean' ? Number(value) : value);
+    }
+  });
+
+  Max.addHandler('reloadconfig', () => {
+    config.load();
+    Max.post(`${config.section}: reloaded ${path.basename(config.path)}.`);
+  });
+
+  for (const key of ['port', 'model']) {
+    if (config.has(key)) {
+      Max.addHandler(key, (...words) => apply(key, words.join(' '), `${key} message`));
+    }
+  }
+}
+
+module.exports = {
+  CONFIG_PATH,
+  ScriptConfig,
+  addConfigHandlers,
+  portSetting,
+  sampleRateSetting,
+};
@@ -0,0 +1,56 @@
+/*
+ * =======================================================================
+ * RECOGNIZED TEXT FORMATTER - NUMBER WORDS
+ * =======================================================================
+ *
+ * Vosk returns plain lowercase words ("minus twenty five percent"). Max
+ * patches want values ("-25%"), so every recognizer script runs its text
+ * through specialFormatting() before sending it out.
+ *
+ * Shared by sRtin.js, READING.js and OLDASA.js, which each carried their
+ * own copy (sRtin.js with double-escaped `\\b` patterns that never
+ * matched, so "minus" and "percent" and partial-result commands were
+ * silently ignored there). Voice commands moved to lib/commands.js.
+ * =======================================================================
+ */
+
+const wordsToNumbers = require('words-to-numbers').default;
+
+/**
+ * Converts number words to digits, keeping a leading "minus" as a sign
+ * and "percent" as a % suffix. Returns what words-to-numbers returns for
+ * the rest: a number for a lone number, otherwise a string.
+ */
+function specialFormatting(inputString, options = {}) {
+  let formattedString = inputString;
+
+  // Check for 'minus'
+  const isNegative = /^minus\b/.test(inputString);
+  if (isNegative) {
+    formattedString = formattedString.replace(/\bminus\b/, '').trim();
+  }
+
+  // Check for 'percent'
+  const isPercent = /\bpercent\b/.test(formattedString);
+  if (isPercent) {
+    formattedString = formattedString.replace(/\bpercent\b/, '').trim();
+  }
+
+  // Convert the number word to a number
+  let number = wordsToNumbers(formattedString, options);
+
+  if (number !== undefined) {
+    if (isNegative) {
+      number = '-' + number;
+    }
+    if (isPercent) {
+      number = number + '%';
+    }
+  }
+
+  return number;
+}
+
+module.exports = {
+  specialFormatting,
+};
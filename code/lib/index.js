@@ -0,0 +1,55 @@
+/*
+ * =======================================================================
+ * SHARED LIBRARY - EVERYTHING THE MAX ENTRY SCRIPTS ARE BUILT FROM
+ * =======================================================================
+ *
+ * The scripts in code/ (UDP.js, TCP.js, UDPdown.js, sRtin.js ...) are
+ * thin Max wrappers that compose these modules. None of them needs
+ * max-api, so they can be required and tested in plain Node.
+ *
+ *   decoder      jitMatrix (packet/matrix decoding), sequence (SEQH header, loss)
+ *   transports   UDP / TCP receivers with rebinding
+ *   capture      packet capture files and timed replay
+ *   sender       jit.net.send packet stream from signals (test tones, WAV files)
+ *   audio        channels, jitterBuffer, resampler, ringBuffer, rateMonitor
+ *   recorder     takes streamed to disk, pre-roll, file naming, crash recovery, export
+ *   audioFormats WAV, AIFF and FLAC encoders
+ *   recognizer   Vosk model / recognizer lifecycle
+ *   models       named models loaded in the background, per-channel model routes
+ *   vad          voice activity detection (speechstart / speechend)
+ *   segments     one audio file + JSON transcript per recognized utterance
+ *   formatter    number words in recognized text
+ *   commands     voice command grammar (commands.json) → 'command <name> <values>'
+ *   vocabulary   corrections for misheard terms and phrase hints (vocabulary.json)
+ *   listening    wake phrase / push-to-talk gate for voice commands
+ *   config       config.json sections and live settings
+ *   maxShim      max-api stand-in for running the scripts outside Max
+ *                (entry scripts load it through maxApi.js, not from here)
+ * =======================================================================
+ */
+
+module.exports = {
+  jitMatrix: require('./jitMatrix'),
+  sequence: require('./sequence'),
+  transports: require('./transports'),
+  capture: require('./capture'),
+  sender: require('./sender'),
+  signals: require('./signals'),
+  channels: require('./channels'),
+  jitterBuffer: require('./jitterBuffer'),
+  resampler: require('./resampler'),
+  ringBuffer: require('./ringBuffer'),
+  rateMonitor: require('./rateMonitor'),
+  recorder: require('./recorder'),
+  audioFormats: require('./audioFormats'),
+  recognizer: require('./recognizer'),
+  models: require('./models'),
+  vad: require('./vad'),
+  segments: require('./segments'),
+  formatter: require('./formatter'),
+  commands: require('./commands'),
+  vocabulary: require('./vocabulary'),
+  listening: require('./listening'),
+  config: require('./config'),
+  maxShim: require('./maxShim'),
+};
@@ -0,0 +1,445 @@
+/*
+ * =======================================================================
+ * JITTER MATRIX PACKET DECODER - SHARED BY ALL AUDIO RECEIVERS
+ * =======================================================================
+ *
+ * Parses the packets produced by `jit.net.send` (and the matrices sent by
+ * `UDP AUDIO.amxd`) instead of skipping a hard-coded number of floats.
+ *
+ * PACKET LAYOUT (all fields 32-bit, big-endian on the wire):
+ *
+ *   Packet header (8 bytes)
+ *     chunk id      'JMTX'
+ *     size          byte count of everything after this header
+ *
+ *   Matrix header (288 bytes)
+ *     chunk id      'JMTX'
+ *     size          288 (size of this header)
+ *     planecount    number of planes
+ *     type          0 = char, 1 = long, 2 = float32, 3 = float64
+ *     dimcount      number of dimensions (1..32)
+ *     dim[32]       size of each dimension
+ *     dimstride[32] byte stride of each dimension
+ *     datasize      byte count of the matrix data that follows
+ *     time          double, sender timestamp
+ *
+ *   Matrix data (datasize bytes)
+ *
+ * Every cell type and planecount is supported. Each plane is treated as
+ * one audio channel (a stereo `jit.catch~` sends planecount 2) and all
+ * types are normalized to float32:
+ *
+ *   char     unsigned 8-bit PCM, 128 = silence      (v - 128) / 128
+ *   long     signed 32-bit PCM                      v / 2147483648
+ *   float32  passed through
+ *   float64  narrowed to float32
+ *
+ * Pass `{ normalize: 'jitter' }` to use Jitter's own type conversion
+ * instead (char / 255, long unscaled), e.g. for control-rate matrices.
+ *
+ * Some senders omit the outer packet header and start directly with the
+ * matrix header, so both forms are accepted. Byte order is detected from
+ * the matrix header size field.
+ *
+ * Malformed packets are never thrown - decodePacket() returns
+ * `{ ok: false, reason }` so receivers can log and drop them without
+ * interrupting the audio flow.
+ * =======================================================================
+ */
+
+const CHUNK_ID_MATRIX = 'JMTX';
+const PACKET_HEADER_SIZE = 8;
+const MATRIX_HEADER_SIZE = 288;
+const MAX_DIMCOUNT = 32;
+const MAX_PACKET_SIZE = 64 * 1024 * 1024;
+
+const MATRIX_TYPES = ['char', 'long', 'float32', 'float64'];
+const TYPE_SIZES = [1, 4, 4, 8];
+
+// Cell readers per type: (buffer, byteOffset, littleEndian) => number
+const CELL_READERS = [
+  (buffer, offset) => buffer.readUInt8(offset),
+  (buffer, offset, littleEndian) => (littleEndian ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset)),
+  (buffer, offset, littleEndian) => (littleEndian ? buffer.readFloatLE(offset) : buffer.readFloatBE(offset)),
+  (buffer, offset, littleEndian) => (littleEndian ? buffer.readDoubleLE(offset) : buffer.readDoubleBE(offset)),
+];
+
+const NORMALIZERS = {
+  pcm: [
+    value => (value - 128) / 128,
+    value => value / 2147483648,
+    value => value,
+    value => value,
+  ],
+  jitter: [
+    value => value / 255,
+    value => value,
+    value => value,
+    value => value,
+  ],
+};
+
+function fail(reason) {
+  return { ok: false, reason: reason };
+}
+
+function readChunkId(buffer, offset) {
+  return buffer.toString('latin1', offset, offset + 4);
+}
+
+function isMatrixChunkId(id) {
+  // A little-endian sender writes the four-char code reversed
+  return id === CHUNK_ID_MATRIX || id === 'XTMJ';
+}
+
+/**
+ * Reads the 288 byte matrix header starting at `offset`.
+ * Returns `{ ok: true, header }` or `{ ok: false, reason }`.
+ */
+function parseMatrixHeader(buffer, offset) {
+  if (buffer.length - offset < MATRIX_HEADER_SIZE) {
+    return fail(`truncated matrix header: ${buffer.length - offset} of ${MATRIX_HEADER_SIZE} bytes`);
+  }
+
+  const chunkId = readChunkId(buffer, offset);
+  if (!isMatrixChunkId(chunkId)) {
+    return fail(`unknown matrix chunk id '${chunkId}'`);
+  }
+
+  let littleEndian;
+  if (buffer.readInt32BE(offset + 4) === MATRIX_HEADER_SIZE) {
+    littleEndian = false;
+  } else if (buffer.readInt32LE(offset + 4) === MATRIX_HEADER_SIZE) {
+    littleEndian = true;
+  } else {
+    return fail(`bad matrix header size ${buffer.readInt32BE(offset + 4)}`);
+  }
+
+  const readLong = (position) => (littleEndian
+    ? buffer.readInt32LE(offset + position)
+    : buffer.readInt32BE(offset + position));
+
+  const planecount = readLong(8);
+  const type = readLong(12);
+  const dimcount = readLong(16);
+
+  if (planecount < 1) {
+    return fail(`bad planecount ${planecount}`);
+  }
+  if (type < 0 || type >= MATRIX_TYPES.length) {
+    return fail(`unknown matrix type ${type}`);
+  }
+  if (dimcount < 1 || dimcount > MAX_DIMCOUNT) {
+    return fail(`bad dimcount ${dimcount}`);
+  }
+
+  const dim = [];
+  const dimstride = [];
+  for (let i = 0; i < dimcount; i++) {
+    dim.push(readLong(20 + i * 4));
+    dimstride.push(readLong(20 + MAX_DIMCOUNT * 4 + i * 4));
+  }
+
+  if (dim.some(size => size < 1)) {
+    return fail(`bad dim [${dim.join(' ')}]`);
+  }
+
+  const datasize = readLong(20 + MAX_DIMCOUNT * 8);
+  const time = littleEndian
+    ? buffer.readDoubleLE(offset + 24 + MAX_DIMCOUNT * 8)
+    : buffer.readDoubleBE(offset + 24 + MAX_DIMCOUNT * 8);
+
+  return {
+    ok: true,
+    header: {
+      planecount: planecount,
+      type: type,
+      typeName: MATRIX_TYPES[type],
+      dimcount: dimcount,
+      dim: dim,
+      dimstride: dimstride,
+      datasize: datasize,
+      time: time,
+      littleEndian: littleEndian,
+    }
+  };
+}
+
+/**
+ * Reads every cell of the matrix in Jitter's natural order (dim 0 fastest),
+ * following dimstride so row padding is skipped. Returns one Float32Array
+ * per plane plus the same data interleaved frame by frame. NaN and
+ * infinite cells are read as silence and counted.
+ */
+function readSamples(buffer, dataOffset, header, normalize) {
+  const { dim, dimstride, planecount, type, littleEndian } = header;
+  const readCell = CELL_READERS[type];
+  const toFloat = normalize[type];
+  const typeSize = TYPE_SIZES[type];
+  const frameCount = dim.reduce((total, size) => total * size, 1);
+  const samples = new Float32Array(frameCount * planecount);
+  const channels = [];
+  for (let plane = 0; plane < planecount; plane++) {
+    channels.push(new Float32Array(frameCount));
+  }
+  const position = new Array(dim.length).fill(0);
+  let nonFiniteCount = 0;
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    let byteOffset = dataOffset;
+    for (let d = 0; d < dim.length; d++) {
+      byteOffset += position[d] * dimstride[d];
+    }
+
+    for (let plane = 0; plane < planecount; plane++) {
+      let value = toFloat(readCell(buffer, byteOffset + plane * typeSize, littleEndian));
+      if (!Number.isFinite(value)) {
+        value = 0;
+        nonFiniteCount++;
+      }
+      channels[plane][frame] = value;
+      samples[frame * planecount + plane] = value;
+    }
+
+    // Advance the multi-dimensional cell position
+    for (let d = 0; d < dim.length; d++) {
+      position[d]++;
+      if (position[d] < dim[d]) {
+        break;
+      }
+      position[d] = 0;
+    }
+  }
+
+  return { samples: samples, channels: channels, frameCount: frameCount, nonFiniteCount: nonFiniteCount };
+}
+
+/**
+ * ============================================================================
+ * DECODER: decodePacket() - JIT.NET.SEND PACKET PARSER [HIGH IMPORTANCE]
+ * ============================================================================
+ *
+ * Decodes one Jitter matrix packet into audio samples.
+ *
+ * OPTIONS:
+ * - normalize: 'pcm' (default) or 'jitter', see the table at the top
+ *
+ * RETURNS:
+ * - `{ ok: true, header, channelCount, frameCount, channels, samples, byteLength, nonFiniteCount }`
+ *   - channels: one Float32Array per plane
+ *   - samples: Float32Array of all planes interleaved frame by frame
+ *   - byteLength: number of bytes consumed
+ *   - nonFiniteCount: NaN / infinite float cells, replaced with 0 so they
+ *     cannot spread through the resampler or end up in a recording
+ * - `{ ok: false, reason }` for malformed or unsupported packets
+ *
+ * VALIDATION:
+ * - Chunk ids, header size, planecount, type and dimensions
+ * - dimstride must not let cells overlap (no 0 strides)
+ * - datasize must cover every cell described by dim/dimstride
+ * - Packet must contain the full datasize
+ * ============================================================================
+ */
+function decodePacket(buffer, options = {}) {
+  const { normalize = 'pcm' } = options;
+  if (!NORMALIZERS[normalize]) {
+    return fail(`unknown normalize mode '${normalize}'`);
+  }
+
+  if (!Buffer.isBuffer(buffer) || buffer.length < PACKET_HEADER_SIZE) {
+    return fail(`packet too short (${buffer ? buffer.length : 0} bytes)`);
+  }
+
+  const firstId = readChunkId(buffer, 0);
+  if (!isMatrixChunkId(firstId)) {
+    return fail(`unknown chunk id '${firstId}'`);
+  }
+
+  // Outer packet header present when a second chunk id follows it
+  const hasPacketHeader = buffer.length >= PACKET_HEADER_SIZE + 4
+    && isMatrixChunkId(readChunkId(buffer, PACKET_HEADER_SIZE));
+  const headerOffset = hasPacketHeader ? PACKET_HEADER_SIZE : 0;
+
+  const parsed = parseMatrixHeader(buffer, headerOffset);
+  if (!parsed.ok) {
+    return parsed;
+  }
+  const header = parsed.header;
+
+  const dataOffset = headerOffset + MATRIX_HEADER_SIZE;
+  const available = buffer.length - dataOffset;
+  if (header.datasize < 0 || header.datasize > available) {
+    return fail(`truncated matrix data: ${available} of ${header.datasize} bytes`);
+  }
+
+  // Cells must not overlap: each dimension steps over the whole block of
+  // the dimensions before it (a 0 stride would repeat one cell forever)
+  const cellSize = header.planecount * TYPE_SIZES[header.type];
+  let blockSize = cellSize;
+  for (let d = 0; d < header.dimcount; d++) {
+    if (header.dim[d] > 1 && header.dimstride[d] < blockSize) {
+      return fail(`dimstride ${header.dimstride[d]} too small for dim ${d} (at least ${blockSize})`);
+    }
+    blockSize *= header.dim[d];
+  }
+
+  // Every cell, and the last one in particular, must lie inside datasize
+  let lastCellOffset = 0;
+  for (let d = 0; d < header.dimcount; d++) {
+    lastCellOffset += (header.dim[d] - 1) * header.dimstride[d];
+  }
+  if (header.dimstride.some(stride => stride < 0) || blockSize > header.datasize
+    || lastCellOffset + cellSize > header.datasize) {
+    return fail(`datasize ${header.datasize} too small for dim [${header.dim.join(' ')}]`);
+  }
+
+  const decoded = readSamples(buffer, dataOffset, header, NORMALIZERS[normalize]);
+
+  return {
+    ok: true,
+    header: header,
+    channelCount: header.planecount,
+    frameCount: decoded.frameCount,
+    channels: decoded.channels,
+    samples: decoded.samples,
+    byteLength: dataOffset + header.datasize,
+    nonFiniteCount: decoded.nonFiniteCount,
+  };
+}
+
+// Cell writers per type, the inverse of the 'pcm' normalizers: (buffer, byteOffset, float) => void
+const CELL_WRITERS = [
+  (buffer, offset, value) => buffer.writeUInt8(Math.max(0, Math.min(255, Math.round(value * 128 + 128))), offset),
+  (buffer, offset, value) => buffer.writeInt32BE(Math.max(-2147483648, Math.min(2147483647, Math.round(value * 2147483648))), offset),
+  (buffer, offset, value) => buffer.writeFloatBE(value, offset),
+  (buffer, offset, value) => buffer.writeDoubleBE(value, offset),
+];
+
+/**
+ * ============================================================================
+ * ENCODER: encodePacket() - BUILD A JIT.NET.SEND PACKET [MEDIUM IMPORTANCE]
+ * ============================================================================
+ *
+ * The inverse of decodePacket(), for senders outside Max (lib/sender.js):
+ * one plane per channel, a 1D matrix of frameCount cells, big-endian, with
+ * the outer packet header - the same layout `UDP AUDIO.amxd` sends.
+ *
+ * OPTIONS:
+ * - type: 'float32' (default), 'float64', 'long' or 'char'; samples
+ *   (-1..1) are scaled to the integer types like the 'pcm' decoding
+ * - time: sender timestamp written to the matrix header
+ * ============================================================================
+ */
+function encodePacket(channels, options = {}) {
+  const { type = 'float32', time = 0 } = options;
+  const typeIndex = MATRIX_TYPES.indexOf(type);
+  if (typeIndex === -1) {
+    throw new Error(`Unknown matrix type '${type}'`);
+  }
+  if (channels.length === 0) {
+    throw new Error('Cannot encode a matrix without channels');
+  }
+
+  const planecount = channels.length;
+  const frameCount = channels[0].length;
+  const cellSize = planecount * TYPE_SIZES[typeIndex];
+  const datasize = frameCount * cellSize;
+  const packet = Buffer.alloc(PACKET_HEADER_SIZE + MATRIX_HEADER_SIZE + datasize);
+
+  packet.write(CHUNK_ID_MATRIX, 0, 'latin1');
+  packet.writeInt32BE(MATRIX_HEADER_SIZE + datasize, 4);
+
+  const header = PACKET_HEADER_SIZE;
+  packet.write(CHUNK_ID_MATRIX, header, 'latin1');
+  packet.writeInt32BE(MATRIX_HEADER_SIZE, header + 4);
+  packet.writeInt32BE(planecount, header + 8);
+  packet.writeInt32BE(typeIndex, header + 12);
+  packet.writeInt32BE(1, header + 16);
+  packet.writeInt32BE(frameCount, header + 20);
+  packet.writeInt32BE(cellSize, header + 20 + MAX_DIMCOUNT * 4);
+  packet.writeInt32BE(datasize, header + 20 + MAX_DIMCOUNT * 8);
+  packet.writeDoubleBE(time, header + 24 + MAX_DIMCOUNT * 8);
+
+  const writeCell = CELL_WRITERS[typeIndex];
+  const typeSize = TYPE_SIZES[typeIndex];
+  let offset = header + MATRIX_HEADER_SIZE;
+  for (let frame = 0; frame < frameCount; frame++) {
+    for (let plane = 0; plane < planecount; plane++) {
+      writeCell(packet, offset, channels[plane][frame]);
+      offset += typeSize;
+    }
+  }
+
+  return packet;
+}
+
+/**
+ * ============================================================================
+ * STREAM FRAMING: JitStreamReader - TCP PACKET REASSEMBLY [MEDIUM IMPORTANCE]
+ * ============================================================================
+ *
+ * TCP delivers a byte stream, so one 'data' event can hold half a packet
+ * or several packets. The reader buffers bytes and uses the outer packet
+ * header size to cut complete packets out of the stream.
+ *
+ * Options are passed through to decodePacket().
+ * push(chunk) returns an array of decodePacket() results. When the stream
+ * loses sync it skips ahead to the next 'JMTX' and reports a failure.
+ * ============================================================================
+ */
+class JitStreamReader {
+  constructor(options = {}) {
+    this.options = options;
+    this.pending = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    const results = [];
+    this.pending = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+
+    while (this.pending.length >= PACKET_HEADER_SIZE) {
+      if (!isMatrixChunkId(readChunkId(this.pending, 0))) {
+        const next = this.pending.indexOf(CHUNK_ID_MATRIX, 1, 'latin1');
+        results.push(fail(`lost sync, skipped ${next === -1 ? this.pending.length : next} bytes`));
+        this.pending = next === -1 ? Buffer.alloc(0) : this.pending.subarray(next);
+        continue;
+      }
+
+      let size = this.pending.readInt32BE(4);
+      if (size < MATRIX_HEADER_SIZE || size > MAX_PACKET_SIZE) {
+        size = this.pending.readInt32LE(4);
+      }
+      if (size < MATRIX_HEADER_SIZE || size > MAX_PACKET_SIZE) {
+        results.push(fail(`bad packet size ${size}`));
+        this.pending = this.pending.subarray(4);
+        continue;
+      }
+
+      const total = PACKET_HEADER_SIZE + size;
+      if (this.pending.length < total) {
+        break;
+      }
+
+      results.push(decodePacket(this.pending.subarray(0, total), this.options));
+      this.pending = this.pending.subarray(total);
+    }
+
+    return results;
+  }
+
+  reset() {
+    this.pending = Buffer.alloc(0);
+  }
+}
+
+module.exports = {
+  CHUNK_ID_MATRIX,
+  PACKET_HEADER_SIZE,
+  MATRIX_HEADER_SIZE,
+  MATRIX_TYPES,
+  TYPE_SIZES,
+  decodePacket,
+  encodePacket,
+  parseMatrixHeader,
+  JitStreamReader,
+};
@@ -0,0 +1,300 @@
+/*
+ * =======================================================================
+ * ADAPTIVE JITTER BUFFER - STEADY SAMPLE STREAM FROM BURSTY UDP ARRIVALS
+ * =======================================================================
+ *
+ * UDP packets do not arrive at the rate the audio was produced: they come
+ * in bursts, late, or not at all. Consumers (Max buffers, Vosk, recorders)
+ * want a steady stream instead. The jitter buffer sits between the socket
+ * and the consumers:
+ *
+ *   socket → push(channels) → [ queue ] → fixed-size blocks → onBlock()
+ *
+ * - Output runs on its own clock at the stream sample rate, in blocks of
+ *   `blockMs` milliseconds
+ * - Playback starts once the queue holds the target latency
+ * - Arrival jitter is measured like RTP (RFC 3550 interarrival jitter) and,
+ *   when adaptive, the target latency follows it between min and max.
+ *   Blocks concealing lost packets (pushConcealed) arrive together with
+ *   the packet after the gap, so they are not arrivals: their audio only
+ *   counts toward the spacing expected before that packet
+ * - Underrun: the queue ran dry, what is left is played and output pauses
+ *   until the target latency is buffered again
+ * - Overrun: the queue grew far past the target (sender clock faster than
+ *   ours, or a burst after a stall), the oldest frames are dropped
+ * =======================================================================
+ */
+
+const DEFAULT_OPTIONS = {
+  sampleRate: 44100,
+  blockMs: 10,
+  targetLatencyMs: 60,
+  minLatencyMs: 20,
+  maxLatencyMs: 500,
+  adaptive: true,
+  tickMs: 5,
+};
+
+// Target latency = jitter * JITTER_FACTOR + one packet, when adaptive
+const JITTER_FACTOR = 4;
+
+class JitterBuffer {
+  constructor(onBlock, options = {}) {
+    this.onBlock = onBlock;
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+    this.timer = null;
+    this.blockBuffers = []; // Per-channel storage take() reuses for every block
+    this.block = [];        // Views of blockBuffers the size of the last block
+    this.reset();
+  }
+
+  reset() {
+    this.queue = [];          // [{ channels, offset }]
+    this.depthFrames = 0;
+    this.channelCount = 0;
+    this.playing = false;
+    this.clockStart = 0;
+    this.framesOut = 0;
+    this.lastArrival = null;
+    this.lastPacketFrames = 0;
+    this.concealedFrames = 0; // Pushed with pushConcealed() since the last arrival
+    this.jitterMs = 0;
+    this.targetLatencyMs = this.options.targetLatencyMs;
+    this.stats = { underruns: 0, overruns: 0, droppedFrames: 0 };
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.tick(), this.options.tickMs);
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Changes the stream sample rate. Queued audio was timed at the old
+   * rate, so it is discarded and buffering starts over.
+   */
+  setSampleRate(sampleRate) {
+    const stats = this.stats;
+    this.options.sampleRate = sampleRate;
+    this.reset();
+    this.stats = stats;
+  }
+
+  setTargetLatency(ms) {
+    this.options.targetLatencyMs = ms;
+    this.targetLatencyMs = this.clampLatency(Math.max(ms, this.adaptiveLatency()));
+  }
+
+  setAdaptive(enabled) {
+    this.options.adaptive = enabled;
+    this.targetLatencyMs = this.options.targetLatencyMs;
+  }
+
+  framesToMs(frames) {
+    return (frames / this.options.sampleRate) * 1000;
+  }
+
+  msToFrames(ms) {
+    return Math.round((ms / 1000) * this.options.sampleRate);
+  }
+
+  clampLatency(ms) {
+    return Math.min(this.options.maxLatencyMs, Math.max(this.options.minLatencyMs, ms));
+  }
+
+  adaptiveLatency() {
+    return this.jitterMs * JITTER_FACTOR + this.framesToMs(this.lastPacketFrames);
+  }
+
+  /**
+   * Queues one block of per-channel samples. `arrivalMs` defaults to now
+   * and is only passed explicitly by tests and replay tools.
+   */
+  push(channels, arrivalMs = now()) {
+    this.enqueue(channels, arrivalMs, true);
+  }
+
+  /**
+   * Queues a block that stands in for lost packets (SequenceReceiver
+   * concealment) without measuring it as an arrival.
+   */
+  pushConcealed(channels, arrivalMs = now()) {
+    this.enqueue(channels, arrivalMs, false);
+  }
+
+  enqueue(channels, arrivalMs, arrived) {
+    const frameCount = channels.length > 0 ? channels[0].length : 0;
+    if (frameCount === 0) {
+      return;
+    }
+
+    // A layout change cannot be mixed with queued audio: start over
+    if (channels.length !== this.channelCount) {
+      const stats = this.stats;
+      this.reset();
+      this.stats = stats;
+      this.channelCount = channels.length;
+    }
+
+    if (arrived) {
+      this.measureJitter(frameCount, arrivalMs);
+    } else {
+      this.concealedFrames += frameCount;
+    }
+
+    this.queue.push({ channels: channels, offset: 0 });
+    this.depthFrames += frameCount;
+
+    if (!this.playing && this.depthFrames >= this.msToFrames(this.targetLatencyMs)) {
+      this.playing = true;
+      this.clockStart = arrivalMs;
+      this.framesOut = 0;
+    }
+
+    // Far above target: drop the oldest audio back down to the target
+    const overrunFrames = this.msToFrames(Math.min(this.options.maxLatencyMs, this.targetLatencyMs * 2)
+      + this.framesToMs(frameCount));
+    if (this.depthFrames > overrunFrames) {
+      const dropFrames = this.depthFrames - this.msToFrames(this.targetLatencyMs);
+      this.discard(dropFrames);
+      this.stats.overruns++;
+      this.stats.droppedFrames += dropFrames;
+    }
+  }
+
+  measureJitter(frameCount, arrivalMs) {
+    if (this.lastArrival !== null) {
+      // Difference between the arrival spacing and the audio duration sent
+      const transit = (arrivalMs - this.lastArrival) - this.framesToMs(this.lastPacketFrames + this.concealedFrames);
+      this.jitterMs += (Math.abs(transit) - this.jitterMs) / 16;
+    }
+    this.lastArrival = arrivalMs;
+    this.lastPacketFrames = frameCount;
+    this.concealedFrames = 0;
+
+    if (this.options.adaptive) {
+      this.targetLatencyMs = this.clampLatency(Math.max(this.options.targetLatencyMs, this.adaptiveLatency()));
+    }
+  }
+
+  /**
+   * Emits every block that is due according to the output clock.
+   */
+  tick(nowMs = now()) {
+    if (!this.playing) {
+      return;
+    }
+
+    const blockFrames = this.msToFrames(this.options.blockMs);
+    let dueFrames = Math.floor(((nowMs - this.clockStart) / 1000) * this.options.sampleRate) - this.framesOut;
+
+    // Event loop stalled for a long time: do not try to catch up
+    if (dueFrames > this.msToFrames(this.options.maxLatencyMs)) {
+      this.clockStart = nowMs - this.framesToMs(this.framesOut + blockFrames);
+      dueFrames = blockFrames;
+    }
+
+    while (this.playing && dueFrames >= blockFrames) {
+      const available = Math.min(blockFrames, this.depthFrames);
+      if (available > 0) {
+        this.onBlock(this.take(available));
+      }
+      this.framesOut += blockFrames;
+      dueFrames -= blockFrames;
+
+      if (available < blockFrames) {
+        // Underrun: wait until the target latency is buffered again
+        this.stats.underruns++;
+        this.playing = false;
+      }
+    }
+  }
+
+  /**
+   * Removes `frameCount` frames from the front of the queue and returns
+   * them as one Float32Array per channel. The arrays are reused for the
+   * next block: onBlock() consumers copy what they keep.
+   */
+  take(frameCount) {
+    const output = this.blockArrays(frameCount);
+
+    let written = 0;
+    while (written < frameCount) {
+      const entry = this.queue[0];
+      const entryFrames = entry.channels[0].length - entry.offset;
+      const count = Math.min(entryFrames, frameCount - written);
+
+      for (let c = 0; c < this.channelCount; c++) {
+        output[c].set(entry.channels[c].subarray(entry.offset, entry.offset + count), written);
+      }
+
+      written += count;
+      entry.offset += count;
+      if (entry.offset >= entry.channels[0].length) {
+        this.queue.shift();
+      }
+    }
+
+    this.depthFrames -= frameCount;
+    return output;
+  }
+
+  /**
+   * The per-channel arrays take() fills, reallocated only when the
+   * channel count changes or a block needs more room.
+   */
+  blockArrays(frameCount) {
+    if (this.blockBuffers.length !== this.channelCount || this.blockBuffers[0].length < frameCount) {
+      this.blockBuffers = Array.from({ length: this.channelCount }, () => new Float32Array(frameCount));
+      this.block = [];
+    }
+    if (this.block.length !== this.channelCount || this.block[0].length !== frameCount) {
+      this.block = this.blockBuffers.map((buffer) => buffer.subarray(0, frameCount));
+    }
+    return this.block;
+  }
+
+  discard(frameCount) {
+    let remaining = frameCount;
+    while (remaining > 0 && this.queue.length > 0) {
+      const entry = this.queue[0];
+      const count = Math.min(entry.channels[0].length - entry.offset, remaining);
+      entry.offset += count;
+      remaining -= count;
+      if (entry.offset >= entry.channels[0].length) {
+        this.queue.shift();
+      }
+    }
+    this.depthFrames -= frameCount - remaining;
+  }
+
+  /**
+   * Snapshot for reporting to Max.
+   */
+  status() {
+    return {
+      depthMs: this.framesToMs(this.depthFrames),
+      targetMs: this.targetLatencyMs,
+      jitterMs: this.jitterMs,
+      underruns: this.stats.underruns,
+      overruns: this.stats.overruns,
+      droppedFrames: this.stats.droppedFrames,
+    };
+  }
+}
+
+function now() {
+  return Number(process.hrtime.bigint()) / 1e6;
+}
+
+module.exports = {
+  JitterBuffer,
+  DEFAULT_JITTER_OPTIONS: DEFAULT_OPTIONS,
+};
@@ -0,0 +1,163 @@
+/*
+ * =======================================================================
+ * LISTENING GATE - WAKE PHRASE AND PUSH-TO-TALK
+ * =======================================================================
+ *
+ * Decides when recognized speech may trigger voice commands, so lyrics
+ * and bandmates do not start the transport:
+ *
+ * - always: every command counts (the behaviour without a gate)
+ * - wake: commands count after the wake phrase ("hey max play"), until
+ *   `windowMs` pass without one; each command sent restarts the window
+ * - push: commands count while the talk button is held (`listen 1` ...
+ *   `listen 0`); sRtin.js does not even feed Vosk in between
+ *
+ * The listening state is reported through `onChange(listening)` on every
+ * change, for a light in the patch.
+ * =======================================================================
+ */
+
+const LISTEN_MODES = ['always', 'wake', 'push'];
+
+function words(text) {
+  return String(text).toLowerCase().split(/\s+/).filter((word) => word !== '');
+}
+
+/**
+ * ============================================================================
+ * LISTENING: ListenGate - WHICH TEXT MAY TRIGGER COMMANDS
+ * ============================================================================
+ *
+ * USAGE:
+ *   const gate = new ListenGate({ mode: 'wake', wakePhrase: 'hey max', onChange });
+ *   const text = gate.filter(result.text);   // null: not listening
+ *   if (text !== null) { ...match commands in text...; gate.commandSent(); }
+ *   gate.push(true / false);                 // listen 1 / listen 0
+ *
+ * OPTIONS:
+ * - mode ('always'), wakePhrase ('hey max'), windowMs (5000)
+ * - onChange(listening): called when the state changes
+ * - setTimer(fn, ms), clearTimer(timer): the window timer (tests)
+ * ============================================================================
+ */
+class ListenGate {
+  constructor(options = {}) {
+    const {
+      mode = 'always',
+      wakePhrase = 'hey max',
+      windowMs = 5000,
+      onChange = () => {},
+      setTimer = setTimeout,
+      clearTimer = clearTimeout,
+    } = options;
+
+    this.windowMs = windowMs;
+    this.onChange = onChange;
+    this.setTimer = setTimer;
+    this.clearTimer = clearTimer;
+    this.timer = null;
+    this.state = false;
+    this.setWakePhrase(wakePhrase);
+    this.setMode(mode);
+  }
+
+  get listening() {
+    return this.state;
+  }
+
+  setMode(mode) {
+    if (!LISTEN_MODES.includes(mode)) {
+      throw new Error(`Unknown listen mode '${mode}', expected ${LISTEN_MODES.join(', ')}`);
+    }
+    this.mode = mode;
+    this.stopTimer();
+    this.setListening(mode === 'always');
+  }
+
+  setWakePhrase(phrase) {
+    this.wakeWords = words(phrase);
+    if (this.wakeWords.length === 0) {
+      throw new Error('The wake phrase needs at least one word');
+    }
+  }
+
+  /**
+   * The talk button: in push mode listening follows it, in wake mode
+   * pressing opens the window like the wake phrase and releasing closes
+   * it. Returns false in always mode, where there is nothing to switch.
+   */
+  push(pressed) {
+    if (this.mode === 'always') {
+      return false;
+    }
+    if (pressed && this.mode === 'wake') {
+      this.openWindow();
+    } else {
+      this.stopTimer();
+      this.setListening(Boolean(pressed));
+    }
+    return true;
+  }
+
+  /**
+   * Returns the part of a (partial or final) result commands may be taken
+   * from, or null while not listening. In wake mode that is the text after
+   * the last wake phrase in it, which opens the window.
+   */
+  filter(text) {
+    if (this.mode === 'wake') {
+      const tokens = words(text);
+      for (let i = tokens.length - this.wakeWords.length; i >= 0; i--) {
+        if (this.wakeWords.every((word, k) => tokens[i + k] === word)) {
+          this.openWindow();
+          return tokens.slice(i + this.wakeWords.length).join(' ');
+        }
+      }
+    }
+    return this.state ? text : null;
+  }
+
+  /**
+   * A command was sent: in wake mode the window starts again.
+   */
+  commandSent() {
+    if (this.mode === 'wake' && this.state) {
+      this.openWindow();
+    }
+  }
+
+  openWindow() {
+    this.stopTimer();
+    this.setListening(true);
+    this.timer = this.setTimer(() => {
+      this.timer = null;
+      this.setListening(false);
+    }, this.windowMs);
+  }
+
+  stopTimer() {
+    if (this.timer !== null) {
+      this.clearTimer(this.timer);
+      this.timer = null;
+    }
+  }
+
+  setListening(listening) {
+    if (listening !== this.state) {
+      this.state = listening;
+      this.onChange(listening);
+    }
+  }
+
+  /**
+   * Stops the window timer (script shutdown).
+   */
+  close() {
+    this.stopTimer();
+  }
+}
+
+module.exports = {
+  LISTEN_MODES,
+  ListenGate,
+};
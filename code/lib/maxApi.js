@@ -0,0 +1,43 @@
+/*
+ * =======================================================================
+ * MAX-API LOADER - THE REAL MODULE INSIDE MAX, THE SHIM EVERYWHERE ELSE
+ * =======================================================================
+ *
+ * Entry scripts require this instead of 'max-api':
+ *
+ *   const Max = require('./lib/maxApi');
+ *
+ * Inside Max's node.script the real max-api is returned. Under plain
+ * `node` (Linux build box, daemons, tests) `require('max-api')` fails and
+ * a MaxShim (lib/maxShim.js) is returned instead, reading commands from
+ * stdin and MAX_SHIM_PORT. MAX_API_SHIM=1 forces the shim.
+ * =======================================================================
+ */
+
+const { MaxShim } = require('./maxShim');
+
+function createShim(env) {
+  const shim = new MaxShim({
+    ignoredOutlets: env.MAX_SHIM_IGNORE ? env.MAX_SHIM_IGNORE.split(',') : [],
+  });
+  if (env.MAX_SHIM_STDIN !== '0') {
+    shim.readCommands(process.stdin);
+  }
+  if (env.MAX_SHIM_PORT) {
+    shim.listen(Number(env.MAX_SHIM_PORT));
+  }
+  return shim;
+}
+
+function loadMaxApi(env = process.env) {
+  if (env.MAX_API_SHIM !== '1') {
+    try {
+      return require('max-api');
+    } catch (error) {
+      // Not hosted by Max
+    }
+  }
+  return createShim(env);
+}
+
+module.exports = loadMaxApi();
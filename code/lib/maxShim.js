@@ -0,0 +1,217 @@
+/*
+ * =======================================================================
+ * MAX-API SHIM - RUN THE SCRIPTS WITHOUT MAX (DAEMONS, TESTS, CI)
+ * =======================================================================
+ *
+ * `max-api` only exists inside Max's node.script object. This shim
+ * implements the part of it the scripts use, so UDP.js, sRtin.js & co.
+ * run under plain `node`:
+ *
+ * - post(...)       → JSON line {"post": "..."} on stdout (or the output stream)
+ * - outlet(...)     → JSON line {"outlet": [...]} on stdout, plus an 'outlet' event
+ * - addHandler(...) → handlers run for commands typed on stdin or sent
+ *                     to a local TCP socket, one Max-style message per
+ *                     line: `startRecording`, `set outputFile "my take.wav"`
+ * - dispatch(name, ...args) runs handlers directly (tests)
+ *
+ * ENVIRONMENT (read by lib/maxApi.js when it creates the shim):
+ * - MAX_SHIM_PORT=<n>         also accept commands on 127.0.0.1:<n>; clients
+ *                             get the same JSON lines as stdout
+ * - MAX_SHIM_STDIN=0          do not read commands from stdin
+ * - MAX_SHIM_IGNORE=a,b       outlet selectors not printed (e.g. writeAudioChunk),
+ *                             still emitted as events
+ * =======================================================================
+ */
+
+const EventEmitter = require('events');
+const net = require('net');
+const readline = require('readline');
+
+const MESSAGE_TYPES = {
+  ALL: 'all',
+  BANG: 'bang',
+  DICT: 'dict',
+  NUMBER: 'number',
+  LIST: 'list',
+};
+
+const POST_LEVELS = {
+  ERROR: 'error',
+  INFO: 'info',
+  WARN: 'warn',
+};
+
+/**
+ * Splits a Max-style message into atoms: words, numbers, and "quoted
+ * strings" kept together.
+ */
+function parseMessage(line) {
+  const atoms = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    if (match[1] !== undefined) {
+      atoms.push(match[1].replace(/\\(.)/g, '$1'));
+    } else {
+      const word = match[2];
+      const number = Number(word);
+      atoms.push(word !== '' && Number.isFinite(number) ? number : word);
+    }
+  }
+  return atoms;
+}
+
+class MaxShim extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.output = options.output === undefined ? process.stdout : options.output;
+    this.ignoredOutlets = new Set(options.ignoredOutlets || []);
+    this.handlers = {};
+    this.dicts = {};
+    this.clients = new Set();
+    this.server = null;
+    this.MESSAGE_TYPES = MESSAGE_TYPES;
+    this.POST_LEVELS = POST_LEVELS;
+  }
+
+  write(record) {
+    const line = JSON.stringify(record) + '\n';
+    if (this.output) {
+      this.output.write(line);
+    }
+    for (const client of this.clients) {
+      client.write(line);
+    }
+  }
+
+  post(...args) {
+    const level = Object.values(POST_LEVELS).includes(args[args.length - 1]) && args.length > 1
+      ? args.pop()
+      : POST_LEVELS.INFO;
+    const message = args.map((arg) => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' ');
+    this.emit('post', message, level);
+    this.write(level === POST_LEVELS.INFO ? { post: message } : { post: message, level: level });
+    return Promise.resolve();
+  }
+
+  outlet(...args) {
+    this.emit('outlet', args);
+    if (!this.ignoredOutlets.has(args[0])) {
+      this.write({ outlet: args });
+    }
+    return Promise.resolve();
+  }
+
+  outletBang() {
+    return this.outlet('bang');
+  }
+
+  addHandler(name, handler) {
+    (this.handlers[name] = this.handlers[name] || []).push(handler);
+  }
+
+  addHandlers(handlers) {
+    for (const name of Object.keys(handlers)) {
+      this.addHandler(name, handlers[name]);
+    }
+  }
+
+  removeHandler(name, handler) {
+    if (this.handlers[name]) {
+      this.handlers[name] = this.handlers[name].filter((h) => h !== handler);
+    }
+  }
+
+  removeHandlers(name) {
+    delete this.handlers[name];
+  }
+
+  /**
+   * Runs the handlers for one message, like Max does when node.script
+   * receives it. Resolves once every (async) handler has finished.
+   */
+  async dispatch(name, ...args) {
+    const specific = this.handlers[name] || [];
+    const catchAll = this.handlers[MESSAGE_TYPES.ALL] || [];
+    if (specific.length === 0 && catchAll.length === 0) {
+      this.post(`No handler for message '${name}'`, POST_LEVELS.WARN);
+      return;
+    }
+    for (const handler of specific) {
+      await handler(...args);
+    }
+    for (const handler of catchAll) {
+      await handler(name, ...args);
+    }
+  }
+
+  /**
+   * Parses and dispatches one command line; handler errors are posted
+   * instead of ending the process.
+   */
+  async dispatchLine(line) {
+    const atoms = parseMessage(line);
+    if (atoms.length === 0) {
+      return;
+    }
+    try {
+      await this.dispatch(String(atoms[0]), ...atoms.slice(1));
+    } catch (error) {
+      this.post(`Error in handler '${atoms[0]}': ${error.message}`, POST_LEVELS.ERROR);
+    }
+  }
+
+  readCommands(input = process.stdin) {
+    const lines = readline.createInterface({ input: input, terminal: false });
+    lines.on('line', (line) => this.dispatchLine(line));
+    return lines;
+  }
+
+  /**
+   * Accepts command lines on 127.0.0.1:<port>. Connected clients also
+   * receive every post / outlet line.
+   */
+  listen(port) {
+    this.server = net.createServer((socket) => {
+      this.clients.add(socket);
+      socket.on('close', () => this.clients.delete(socket));
+      socket.on('error', () => this.clients.delete(socket));
+      this.readCommands(socket);
+    });
+    this.server.on('error', (err) => {
+      this.post(`Command socket error: ${err.message}`, POST_LEVELS.ERROR);
+    });
+    this.server.listen(port, '127.0.0.1');
+    // The command socket alone should not keep a finished script alive
+    this.server.unref();
+    return this.server;
+  }
+
+  // Dictionaries are kept in memory: enough for scripts that use them as scratch storage
+  getDict(id) {
+    return Promise.resolve(this.dicts[id] || {});
+  }
+
+  setDict(id, dict) {
+    this.dicts[id] = dict;
+    return Promise.resolve(dict);
+  }
+
+  updateDict(id, path, value) {
+    const dict = this.dicts[id] || (this.dicts[id] = {});
+    const keys = path.split('.');
+    let node = dict;
+    for (const key of keys.slice(0, -1)) {
+      node = node[key] = node[key] || {};
+    }
+    node[keys[keys.length - 1]] = value;
+    return Promise.resolve(dict);
+  }
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  POST_LEVELS,
+  MaxShim,
+  parseMessage,
+};
@@ -0,0 +1,317 @@
+/*
+ * =======================================================================
+ * VOSK MODELS - BACKGROUND LOADING, SEVERAL MODELS, ROUTED CHANNELS
+ * =======================================================================
+ *
+ * `new vosk.Model()` blocks for as long as a model takes to load (seconds
+ * for a large one), and with it every packet, frame and timer of the
+ * script. ModelLibrary loads models off the event loop instead and keeps
+ * them by name, so the recognizers can switch between them instantly:
+ *
+ *   const models = new ModelLibrary();
+ *   await models.load('fr', '../model/vosk-model-small-fr');
+ *   recognizer.useModel(models.get('fr').model, models.get('fr').path);
+ *
+ * - Loading runs vosk_model_new on the libuv thread pool (ffi-napi's
+ *   async call, the library the vosk module itself uses); the current
+ *   model keeps recognizing until the new one is ready. Without ffi-napi
+ *   it falls back to `new vosk.Model()`, which blocks, and says so
+ * - A model that fails to load is reported by the returned promise and
+ *   changes nothing
+ * - Vosk reference-counts models, so one can be freed (replaced or
+ *   unloaded) while recognizers still use it
+ *
+ * ModelRoute runs one channel of the stream through a model of its own,
+ * e.g. an English speaker on channel 1 and a French one on channel 2.
+ * =======================================================================
+ */
+
+const path = require('path');
+const { SpeechRecognizer, checkModelPath, checkModelHandle } = require('./recognizer');
+const { selectChannel } = require('./channels');
+const { Resampler } = require('./resampler');
+const { RingBuffer } = require('./ringBuffer');
+const { floatToInt16 } = require('./recorder');
+
+const LIBRARY_FILES = {
+  win32: path.join('win-x86_64', 'libvosk.dll'),
+  darwin: path.join('osx-universal', 'libvosk.dylib'),
+  linux: path.join('linux-x86_64', 'libvosk.so'),
+};
+
+/**
+ * vosk_model_new as an ffi-napi function, from the native library the
+ * installed vosk module ships. Null when either cannot be found, models
+ * then load on the event loop.
+ */
+function nativeModelNew() {
+  try {
+    const ffi = require('ffi-napi');
+    const voskDir = path.dirname(require.resolve('vosk'));
+    const library = ffi.Library(path.join(voskDir, 'lib', LIBRARY_FILES[process.platform]), {
+      vosk_model_new: ['pointer', ['string']],
+    });
+    return library.vosk_model_new;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The vosk.Model for a handle from vosk_model_new. The vosk module only
+ * builds models in its (blocking) constructor, whose whole job is to
+ * store that handle; this builds the same object without calling it.
+ *
+ * That `handle` field is undocumented vosk internals, which is why
+ * package.json pins vosk to exactly 0.3.39 (the version this was checked
+ * with): update it only after checking vosk's Model class again.
+ * storesHandle() guards against a vosk that changed anyway.
+ */
+function modelFromHandle(vosk, handle) {
+  const model = Object.create(vosk.Model.prototype);
+  model.handle = handle;
+  return model;
+}
+
+/**
+ * Whether vosk.Model keeps its native model in `this.handle` the way
+ * modelFromHandle() assumes: set by the constructor, freed by free().
+ */
+function storesHandle(vosk) {
+  return /this\.handle\s*=/.test(String(vosk.Model))
+    && String(vosk.Model.prototype.free).includes('this.handle');
+}
+
+/**
+ * ============================================================================
+ * MODELS: ModelLibrary - NAMED MODELS LOADED IN THE BACKGROUND
+ * ============================================================================
+ *
+ * USAGE:
+ *   const entry = await models.load('en', modelPath);  // { name, path, model }
+ *   models.get('en'); models.names; models.unload('en'); models.free();
+ *
+ * load() resolves to null when a later load() of the same name finished
+ * first (that one wins). Loading a name again replaces its model once the
+ * new one is ready.
+ *
+ * `background` is false when ffi-napi is missing, or when the installed
+ * vosk does not build models the way modelFromHandle() expects (reported
+ * once): models then load with `new vosk.Model()` on the next tick, which
+ * stops the audio until the model is ready. Every such load is reported
+ * through `log`.
+ *
+ * OPTIONS:
+ * - vosk: the vosk module (tests pass a fake one, which loads on the next
+ *   tick unless `modelNew` is given too)
+ * - modelNew: vosk_model_new with an `async(path, callback)` call (tests)
+ * - log: called with a message for each blocking load
+ * ============================================================================
+ */
+class ModelLibrary {
+  constructor(options = {}) {
+    this.vosk = options.vosk || require('vosk');
+    this.log = options.log || (() => {});
+    this.modelNew = options.modelNew || (options.vosk ? null : nativeModelNew());
+    if (this.modelNew && !storesHandle(this.vosk)) {
+      this.log('The installed vosk module does not keep models in a handle field like vosk 0.3.39: '
+        + 'models load on the event loop instead (see modelFromHandle() in lib/models.js)');
+      this.modelNew = null;
+    }
+    this.entries = new Map();
+    this.loads = new Map(); // name → number of the latest load()
+    this.loadCount = 0;
+  }
+
+  get background() {
+    return this.modelNew !== null;
+  }
+
+  get names() {
+    return Array.from(this.entries.keys());
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  get(name) {
+    return this.entries.get(name) || null;
+  }
+
+  async load(name, modelPath) {
+    checkModelPath(modelPath);
+    const load = ++this.loadCount;
+    this.loads.set(name, load);
+
+    let model;
+    try {
+      model = await this.open(modelPath);
+    } catch (error) {
+      if (this.loads.get(name) === load) {
+        this.loads.delete(name);
+      }
+      throw error;
+    }
+    if (this.loads.get(name) !== load) {
+      model.free();
+      return null;
+    }
+    this.loads.delete(name);
+
+    const previous = this.entries.get(name);
+    const entry = { name: name, path: modelPath, model: model };
+    this.entries.set(name, entry);
+    if (previous) {
+      previous.model.free();
+    }
+    return entry;
+  }
+
+  /**
+   * Loads the model at `modelPath`, off the event loop when `background`.
+   * Rejects when Vosk cannot load it.
+   */
+  open(modelPath) {
+    return new Promise((resolve, reject) => {
+      const done = (model) => {
+        try {
+          checkModelHandle(model, modelPath);
+          resolve(model);
+        } catch (error) {
+          reject(error);
+        }
+      };
+
+      if (!this.modelNew) {
+        this.log(`Loading ${modelPath} blocks the audio until it is done (background loading needs ffi-napi and vosk 0.3.39)`);
+        setImmediate(() => {
+          try {
+            done(new this.vosk.Model(modelPath));
+          } catch (error) {
+            reject(error);
+          }
+        });
+        return;
+      }
+
+      this.modelNew.async(modelPath, (error, handle) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        done(modelFromHandle(this.vosk, handle));
+      });
+    });
+  }
+
+  /**
+   * Frees the model loaded as `name` (recognizers using it keep it alive
+   * in Vosk until they are freed). Returns false for an unknown name.
+   */
+  unload(name) {
+    const entry = this.entries.get(name);
+    this.loads.delete(name);
+    if (!entry) {
+      return false;
+    }
+    this.entries.delete(name);
+    entry.model.free();
+    return true;
+  }
+
+  free() {
+    this.names.forEach((name) => this.unload(name));
+  }
+}
+
+/**
+ * ============================================================================
+ * MODELS: ModelRoute - ONE CHANNEL RECOGNIZED WITH ITS OWN MODEL
+ * ============================================================================
+ *
+ * USAGE:
+ *   const route = new ModelRoute({ model: entry.model, modelPath: entry.path, channel: 2, inputRate: 44100 });
+ *   for (const result of route.process(channels)) { ... }   // { type, text }
+ *   route.useModel(model, modelPath);  // returns the pending text
+ *   route.finish(); route.free();
+ *
+ * The same path as sRtin.js's main recognizer, without VAD, vocabulary
+ * or commands: pick the channel (1-based, 0 = downmix), resample to
+ * `sampleRate`, feed Vosk in `frameMs` frames. process() returns [] while
+ * the channel is missing from the stream.
+ *
+ * OPTIONS:
+ * - channel (0), inputRate (44100), sampleRate (16000), frameMs (50)
+ * - vosk: the vosk module the model came from
+ * ============================================================================
+ */
+class ModelRoute {
+  constructor(options = {}) {
+    const {
+      model,
+      modelPath,
+      channel = 0,
+      inputRate = 44100,
+      sampleRate = 16000,
+      frameMs = 50,
+      vosk,
+    } = options;
+
+    this.channel = channel;
+    this.sampleRate = sampleRate;
+    this.ring = new RingBuffer(sampleRate * 2, Int16Array);
+    this.frame = new Int16Array(Math.round((frameMs / 1000) * sampleRate));
+    this.int16 = new Int16Array(0); // Resampled block as 16-bit, reused and grown as needed
+    this.setInputRate(inputRate);
+    this.recognizer = new SpeechRecognizer({ vosk: vosk, sampleRate: sampleRate });
+    this.recognizer.useModel(model, modelPath);
+  }
+
+  get modelPath() {
+    return this.recognizer.modelPath;
+  }
+
+  setInputRate(inputRate) {
+    this.resampler = new Resampler({ inputRate: inputRate, outputRate: this.sampleRate });
+  }
+
+  useModel(model, modelPath) {
+    return this.recognizer.useModel(model, modelPath);
+  }
+
+  process(channels) {
+    const floatData = selectChannel(channels, this.channel);
+    if (!floatData || floatData.length === 0) {
+      return [];
+    }
+
+    const resampled = this.resampler.process(floatData);
+    if (this.int16.length < resampled.length) {
+      this.int16 = new Int16Array(Math.max(resampled.length, this.int16.length * 2));
+    }
+    this.ring.write(floatToInt16(resampled, this.int16));
+    const results = [];
+    while (this.ring.available >= this.frame.length) {
+      this.ring.read(this.frame.length, this.frame);
+      const result = this.recognizer.accept(this.frame);
+      if (result) {
+        results.push(result);
+      }
+    }
+    return results;
+  }
+
+  finish() {
+    return this.recognizer.finish();
+  }
+
+  free() {
+    this.recognizer.free();
+  }
+}
+
+module.exports = {
+  ModelLibrary,
+  ModelRoute,
+};
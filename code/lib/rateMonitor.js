@@ -0,0 +1,73 @@
+/*
+ * =======================================================================
+ * ARRIVAL RATE MONITOR - CATCHES A WRONG INPUT SAMPLE RATE SETTING
+ * =======================================================================
+ *
+ * Counts the audio frames a receiver gets per second of wall-clock time.
+ * Over a few seconds that converges on the sender's real sample rate, so
+ * a Live set running at 48 kHz while the script is configured for
+ * 44.1 kHz shows up as a ~9% mismatch instead of as pitched, drifting
+ * audio and bad recognition.
+ *
+ * Pauses in the stream (no packets for `gapMs`) restart the measurement
+ * so stopping the transport does not read as a slow sender.
+ * =======================================================================
+ */
+
+const DEFAULT_OPTIONS = {
+  windowMs: 5000,
+  tolerance: 0.02, // 2% covers clock drift, 44.1k vs 48k is ~9%
+  gapMs: 1000,
+};
+
+class ArrivalRateMonitor {
+  constructor(options = {}) {
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+    this.reset();
+  }
+
+  reset() {
+    this.windowStart = null;
+    this.lastArrival = null;
+    this.frames = 0;
+    this.measuredRate = null;
+  }
+
+  /**
+   * Records `frameCount` frames arriving at `arrivalMs`. Once per window
+   * returns `{ measuredRate, configuredRate, deviation }` when the
+   * measured rate is outside the tolerance, otherwise null.
+   */
+  push(frameCount, configuredRate, arrivalMs = Date.now()) {
+    if (this.lastArrival === null || arrivalMs - this.lastArrival > this.options.gapMs) {
+      // Start (or restart after a pause): the frames of this packet were
+      // produced before it arrived, so they open the window uncounted
+      this.windowStart = arrivalMs;
+      this.lastArrival = arrivalMs;
+      this.frames = 0;
+      return null;
+    }
+
+    this.lastArrival = arrivalMs;
+    this.frames += frameCount;
+
+    const elapsed = arrivalMs - this.windowStart;
+    if (elapsed < this.options.windowMs) {
+      return null;
+    }
+
+    this.measuredRate = (this.frames / elapsed) * 1000;
+    this.windowStart = arrivalMs;
+    this.frames = 0;
+
+    const deviation = (this.measuredRate - configuredRate) / configuredRate;
+    if (Math.abs(deviation) <= this.options.tolerance) {
+      return null;
+    }
+    return { measuredRate: this.measuredRate, configuredRate: configuredRate, deviation: deviation };
+  }
+}
+
+module.exports = {
+  ArrivalRateMonitor,
+};
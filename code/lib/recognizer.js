@@ -0,0 +1,223 @@
+/*
+ * =======================================================================
+ * SPEECH RECOGNIZER - VOSK MODEL AND RECOGNIZER LIFECYCLE
+ * =======================================================================
+ *
+ * Wraps the Vosk calls sRtin.js, READING.js and OLDASA.js each made by
+ * hand: check the model path, create Model + Recognizer, feed audio,
+ * read final / partial results, free both at the end.
+ *
+ * - accept() takes Int16Array frames or raw PCM Buffers and returns
+ *   `{ type: 'final' | 'partial', text }`, or null when there is nothing new
+ * - with setWords(true) final results also carry `words`: Vosk's
+ *   `{ word, start, end, conf }` list, times in seconds of audio fed to
+ *   the current recognizer
+ * - loadModel() swaps models live; text pending in the old recognizer is
+ *   returned so it is not lost. useModel() does the same with a model
+ *   loaded elsewhere (lib/models.js loads them in the background and
+ *   shares them between recognizers)
+ * - setGrammar(phrases) restricts recognition to a list of phrases
+ *   (Vosk grammar mode, small models only), setGrammar(null) goes back to
+ *   free dictation; the "[unk]" Vosk reports for anything else is
+ *   removed from the text
+ * - The vosk module can be passed in (`options.vosk`) so the class runs
+ *   in tests without the native library
+ *
+ * Text is returned as Vosk produced it; formatting (lib/formatter.js) and
+ * what goes to Max stay in the scripts.
+ * =======================================================================
+ */
+
+const fs = require('fs');
+
+const DEFAULT_SAMPLE_RATE = 16000;
+const UNKNOWN_WORD = '[unk]';
+
+/**
+ * Throws unless `modelPath` exists; Vosk itself only logs a missing path.
+ */
+function checkModelPath(modelPath) {
+  if (!fs.existsSync(modelPath)) {
+    throw new Error(`Model not found: ${modelPath}`);
+  }
+}
+
+/**
+ * Throws when Vosk could not load a model: it logs why and returns a
+ * NULL handle, on which the first recognizer would crash the process.
+ */
+function checkModelHandle(model, modelPath) {
+  if (model.handle && typeof model.handle.isNull === 'function' && model.handle.isNull()) {
+    throw new Error(`No Vosk model in ${modelPath} (expected the unpacked model folder with am/, conf/ and graph/)`);
+  }
+}
+
+// Vosk's text without the [unk] placeholders of grammar mode
+function withoutUnknown(text) {
+  return text.split(' ').filter((word) => word !== '' && word !== UNKNOWN_WORD).join(' ');
+}
+
+class SpeechRecognizer {
+  constructor(options = {}) {
+    this.vosk = options.vosk || require('vosk');
+    this.sampleRate = options.sampleRate || DEFAULT_SAMPLE_RATE;
+    this.model = null;
+    this.rec = null;
+    this.modelPath = null;
+    this.ownsModel = false;
+    this.words = Boolean(options.words);
+    this.grammar = options.grammar || null;
+
+    if (options.logLevel !== undefined) {
+      this.vosk.setLogLevel(options.logLevel);
+    }
+  }
+
+  /**
+   * Loads the model at `modelPath` and swaps it in for the current one.
+   * Returns the final text still pending in the old recognizer ('' if
+   * none). Throws, keeping the current model, when the path is not a model.
+   */
+  loadModel(modelPath) {
+    checkModelPath(modelPath);
+    const model = new this.vosk.Model(modelPath);
+    checkModelHandle(model, modelPath);
+    try {
+      return this.swap(model, modelPath, true);
+    } catch (error) {
+      model.free();
+      throw error;
+    }
+  }
+
+  /**
+   * Like loadModel() for a model that is already loaded: switching is
+   * instant and the model is not freed with this recognizer.
+   */
+  useModel(model, modelPath) {
+    return this.swap(model, modelPath, false);
+  }
+
+  swap(model, modelPath, owned) {
+    const rec = this.createRecognizer(model);
+
+    const pending = this.finish();
+    this.free();
+
+    this.model = model;
+    this.ownsModel = owned;
+    this.rec = rec;
+    this.modelPath = modelPath;
+    return pending;
+  }
+
+  createRecognizer(model) {
+    const options = { model: model, sampleRate: this.sampleRate };
+    if (this.grammar) {
+      options.grammar = this.grammar.concat([UNKNOWN_WORD]);
+    }
+    const rec = new this.vosk.Recognizer(options);
+    if (this.words) {
+      rec.setWords(true);
+    }
+    return rec;
+  }
+
+  /**
+   * Restricts recognition to `phrases` (an array of strings), or lifts
+   * the restriction with null. Vosk fixes the grammar when a recognizer
+   * is created, so a new one replaces the current recognizer (the model
+   * stays loaded) and the text pending in the old one is returned ('' if
+   * none). Word times start again at 0.
+   */
+  setGrammar(phrases) {
+    this.grammar = phrases && phrases.length > 0 ? phrases.slice() : null;
+    if (!this.model) {
+      return '';
+    }
+    const rec = this.createRecognizer(this.model);
+    const pending = this.finish();
+    this.rec.free();
+    this.rec = rec;
+    return pending;
+  }
+
+  get loaded() {
+    return this.rec !== null;
+  }
+
+  /**
+   * Turns word timings and confidences in final results on or off.
+   */
+  setWords(enabled) {
+    this.words = Boolean(enabled);
+    if (this.rec) {
+      this.rec.setWords(this.words);
+    }
+  }
+
+  finalFrom(result) {
+    const text = result && result.text ? withoutUnknown(result.text) : '';
+    if (!text) {
+      return null;
+    }
+    const final = { type: 'final', text: text };
+    if (this.words) {
+      final.words = (result.result || []).filter((word) => word.word !== UNKNOWN_WORD);
+    }
+    return final;
+  }
+
+  /**
+   * Feeds audio to Vosk. Int16Array frames are viewed as bytes without copying.
+   */
+  accept(audioData) {
+    const waveform = Buffer.isBuffer(audioData)
+      ? audioData
+      : Buffer.from(audioData.buffer, audioData.byteOffset, audioData.byteLength);
+
+    if (this.rec.acceptWaveform(waveform)) {
+      return this.finalFrom(this.rec.result());
+    }
+
+    const partial = this.rec.partialResult();
+    const text = partial && partial.partial ? withoutUnknown(partial.partial) : '';
+    return text ? { type: 'partial', text: text } : null;
+  }
+
+  /**
+   * Flushes the recognizer at the end of an utterance or stream and
+   * returns the final result like accept() does (null if no text).
+   */
+  flush() {
+    return this.rec ? this.finalFrom(this.rec.finalResult()) : null;
+  }
+
+  /**
+   * Flushes the recognizer at the end of a stream and returns the final text ('' if none).
+   */
+  finish() {
+    const result = this.flush();
+    return result ? result.text : '';
+  }
+
+  free() {
+    if (this.rec) {
+      this.rec.free();
+      this.rec = null;
+    }
+    if (this.model) {
+      if (this.ownsModel) {
+        this.model.free();
+      }
+      this.model = null;
+      this.modelPath = null;
+    }
+  }
+}
+
+module.exports = {
+  checkModelPath,
+  checkModelHandle,
+  SpeechRecognizer,
+};
@@ -0,0 +1,909 @@
+/*
+ * =======================================================================
+ * RECORDER - TAKES OF MULTICHANNEL AUDIO AND WAV / AIFF / FLAC EXPORT
+ * =======================================================================
+ *
+ * Replaces the startRecording / stopRecording / saveAudioFile copies in
+ * UDP.js, TCP.js, UDPdown.js and sRtin.js.
+ *
+ * - A take keeps the channel count and sample rate of its first block,
+ *   so a layout or rate change mid-take cannot corrupt the file
+ * - StreamingRecorder (used by the scripts) writes each block to disk as
+ *   it arrives, so memory stays flat however long the take is. The
+ *   header is updated every second and on stop, and a `<file>.recording`
+ *   marker lets recoverRecordings() repair a file left behind by a crash
+ *   or a killed process
+ * - Files are WAV (16/24-bit, 32-bit float), AIFF or FLAC (lib/audioFormats.js),
+ *   named from a template ({script}, {date}, {time}, {timestamp}, {take})
+ *   in an output directory
+ * - Long takes are split into name.wav, name_2.wav ... at a maximum
+ *   duration or size, and always before the 4 GB WAV / AIFF limit
+ * - A PreRollBuffer keeps the last seconds of input whether recording or
+ *   not, so a take can start before startRecording and captureLast can
+ *   save what was just heard
+ * - Recorder keeps a take in memory (typed-array chunks joined once at
+ *   the end) and saveAudioFile() writes it in one go
+ * =======================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { interleave } = require('./channels');
+const { RingBuffer } = require('./ringBuffer');
+const {
+  AUDIO_EXTENSIONS, EXTENSIONS, FILE_FORMATS, SAMPLE_FORMATS, createEncoder, floatToInt16, recoverFile,
+} = require('./audioFormats');
+
+const RECORDING_MARKER = '.recording';
+const HEADER_UPDATE_SECONDS = 1; // How much audio a crash can cost before recovery
+
+// Settings shared by the recording scripts (addRecordingHandlers())
+const RECORDING_SETTINGS = {
+  outputDir: { type: 'string', default: '', allowEmpty: true }, // '' = the working directory
+  recordingFormat: { type: 'enum', default: 'wav', values: FILE_FORMATS },
+  sampleFormat: { type: 'enum', default: 'int16', values: SAMPLE_FORMATS },
+  maxRecordingSeconds: { type: 'number', default: 0, min: 0 }, // 0 = no limit
+  maxRecordingMB: { type: 'number', default: 0, min: 0 }, // 0 = no limit
+  ringBufferSeconds: { type: 'number', default: 10, min: 0, max: 600 }, // Input history for captureLast, 0 = off
+  preRollSeconds: { type: 'number', default: 0, min: 0, max: 600 }, // History a take starts with
+};
+
+/**
+ * Concatenates typed-array chunks into one array of `ArrayType`.
+ */
+function joinChunks(chunks, ArrayType = Float32Array) {
+  const joined = new ArrayType(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    joined.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return joined;
+}
+
+/**
+ * ============================================================================
+ * AUDIO EXPORT: saveAudioFile() - AUDIO RECORDING & FILE OUTPUT [MEDIUM-HIGH IMPORTANCE]
+ * ============================================================================
+ *
+ * Writes interleaved samples to an audio file in one go.
+ *
+ * OPTIONS:
+ * - fileName, sampleRate, channels
+ * - format: 'wav' (default), 'aiff' or 'flac'
+ * - sampleFormat: 'int16' (default), 'int24' or 'float32' (WAV only)
+ * - log: called with the success or error message (Max.post in the scripts)
+ *
+ * FORMAT CONVERSION:
+ * - Int16Array input is taken as 16-bit (sRtin.js records 16 kHz Int16 frames)
+ * - Anything else is taken as float32 (-1.0 to +1.0) and scaled with clamping
+ *
+ * Resolves to true once the file is complete on disk. Errors are logged,
+ * not thrown, so a failed save never interrupts the audio stream.
+ * ============================================================================
+ */
+async function saveAudioFile(audioData, options = {}) {
+  const {
+    fileName = 'output.wav',
+    sampleRate = 44100,
+    channels = 1,
+    format = 'wav',
+    sampleFormat = 'int16',
+    log = () => {},
+  } = options;
+
+  try {
+    const writer = new AudioFileWriter(fileName, { sampleRate, channels, format, sampleFormat });
+    try {
+      writer.write(audioData);
+    } finally {
+      writer.close();
+    }
+    log(`Audio file ${fileName} saved successfully.`);
+    return true;
+  } catch (error) {
+    log(`Error saving audio file: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * ============================================================================
+ * RECORDING: Recorder - ONE TAKE AT A TIME
+ * ============================================================================
+ *
+ * USAGE:
+ *   const recorder = new Recorder();
+ *   recorder.start();
+ *   recorder.append(channels, sampleRate);   // per block of per-channel samples
+ *   const take = recorder.stop();            // { samples, channels, sampleRate, frameCount } or null
+ *
+ * OPTIONS:
+ * - recording: start recording right away (TCP.js / UDPdown.js record
+ *   everything they receive)
+ * - ArrayType: Float32Array (default) or Int16Array for samples that are
+ *   already 16-bit
+ * ============================================================================
+ */
+class Recorder {
+  constructor(options = {}) {
+    this.ArrayType = options.ArrayType || Float32Array;
+    this.recording = Boolean(options.recording);
+    this.clear();
+  }
+
+  clear() {
+    this.chunks = [];
+    this.frameCount = 0;
+    this.channels = null; // Fixed by the first block of a take
+    this.sampleRate = null; // Fixed by the first block of a take
+  }
+
+  start() {
+    this.clear();
+    this.recording = true;
+  }
+
+  /**
+   * Ends the take and returns it (null when nothing was recorded).
+   */
+  stop() {
+    const take = this.take();
+    this.recording = false;
+    return take;
+  }
+
+  /**
+   * Returns the audio recorded so far and starts a new take without
+   * changing the recording state.
+   */
+  take() {
+    if (this.frameCount === 0) {
+      this.clear();
+      return null;
+    }
+
+    const take = {
+      samples: joinChunks(this.chunks, this.ArrayType),
+      channels: this.channels,
+      sampleRate: this.sampleRate,
+      frameCount: this.frameCount,
+    };
+    this.clear();
+    return take;
+  }
+
+  /**
+   * Adds one block of per-channel samples if recording. Blocks with a
+   * different channel count are fitted to the take's layout.
+   */
+  append(channels, sampleRate) {
+    if (!this.recording || channels.length === 0 || channels[0].length === 0) {
+      return;
+    }
+
+    if (this.channels === null) {
+      this.channels = channels.length;
+      this.sampleRate = sampleRate;
+    }
+
+    const frames = this.channels === 1 ? channels[0] : interleave(channels, this.channels);
+    this.chunks.push(frames instanceof this.ArrayType ? frames.slice() : this.ArrayType.from(frames));
+    this.frameCount += channels[0].length;
+  }
+}
+
+/**
+ * name.wav → name_2.wav, name_3.wav ... for the parts of a split take.
+ */
+function splitFileName(fileName, part) {
+  if (part <= 1) {
+    return fileName;
+  }
+  const extension = path.extname(fileName);
+  return `${fileName.slice(0, fileName.length - extension.length)}_${part}${extension}`;
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Fills in a file name template (local time):
+ *   {script}     script name (UDP, TCP, UDPdown, sRtin)
+ *   {date}       2024-05-31
+ *   {time}       14-03-59
+ *   {timestamp}  milliseconds since 1970, as sRtin.js always used
+ *   {take}       take number, 001, 002 ... (the first one not on disk)
+ */
+function expandFileName(template, fields = {}) {
+  const { script = '', take = 1, date = new Date() } = fields;
+  const values = {
+    script: script,
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`,
+    timestamp: String(date.getTime()),
+    take: pad(take, 3),
+  };
+  return template.replace(/\{(script|date|time|timestamp|take)\}/g, (match, field) => values[field]);
+}
+
+/**
+ * Gives a file name the extension of `format`: a known audio extension
+ * is replaced (UDPoutput.wav → UDPoutput.flac), otherwise one is added.
+ */
+function withExtension(fileName, format) {
+  const extension = path.extname(fileName);
+  const base = AUDIO_EXTENSIONS.includes(extension.toLowerCase())
+    ? fileName.slice(0, fileName.length - extension.length)
+    : fileName;
+  return base + EXTENSIONS[format];
+}
+
+/**
+ * Absolute name of a new file from `template`, with the extension of
+ * `format`, in `outputDir` ('' = working directory, created when
+ * missing). With {take} in the template, take numbers after `take` that
+ * are already on disk are skipped. Returns { fileName, take }.
+ */
+function nextFileName(template, options = {}) {
+  const { outputDir = '', format = 'wav', script = '', take = 0, date = new Date() } = options;
+  let number = take;
+  let fileName;
+  do {
+    number++;
+    fileName = path.resolve(outputDir || '.', withExtension(expandFileName(template, { script, take: number, date }), format));
+  } while (template.includes('{take}') && fs.existsSync(fileName));
+
+  fs.mkdirSync(path.dirname(fileName), { recursive: true });
+  return { fileName: fileName, take: number };
+}
+
+/**
+ * ============================================================================
+ * STREAMING EXPORT: AudioFileWriter - ONE AUDIO FILE WRITTEN AS IT GROWS
+ * ============================================================================
+ *
+ * USAGE:
+ *   const writer = new AudioFileWriter('take.wav', { sampleRate: 44100, channels: 2 });
+ *   writer.write(interleavedSamples);   // float (-1..1) or Int16Array
+ *   const file = writer.close();        // { fileName, format, channels, sampleRate, frameCount, dataBytes }
+ *
+ * OPTIONS:
+ * - sampleRate, channels (1)
+ * - format ('wav'), sampleFormat ('int16'): see lib/audioFormats.js
+ *
+ * Writes are synchronous: a block is on disk (in the OS cache) when
+ * write() returns, and close() can run from a SIGINT handler. The header
+ * is rewritten every HEADER_UPDATE_SECONDS of audio; until close() the
+ * `<file>.recording` marker next to the file says it may be behind (see
+ * recoverRecordings()).
+ * ============================================================================
+ */
+class AudioFileWriter {
+  constructor(fileName, options = {}) {
+    const { sampleRate, channels = 1, format = 'wav', sampleFormat = 'int16' } = options;
+
+    this.encoder = createEncoder(format, { sampleRate, channels, sampleFormat });
+    this.fileName = fileName;
+    this.markerName = fileName + RECORDING_MARKER;
+    this.format = format;
+    this.sampleFormat = sampleFormat;
+    this.sampleRate = sampleRate;
+    this.channels = channels;
+    this.blockAlign = this.encoder.blockAlign;
+    this.dataBytes = 0;
+    this.headerFrames = 0;
+
+    this.fd = fs.openSync(fileName, 'w');
+    try {
+      fs.writeSync(this.fd, this.encoder.header());
+      fs.writeFileSync(this.markerName, JSON.stringify({
+        file: path.basename(fileName),
+        format: format,
+        sampleFormat: sampleFormat,
+        sampleRate: sampleRate,
+        channels: channels,
+        started: new Date().toISOString(),
+        pid: process.pid,
+      }) + '\n');
+    } catch (error) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+      throw error;
+    }
+  }
+
+  get frameCount() {
+    return this.encoder.frameCount;
+  }
+
+  get durationSec() {
+    return this.frameCount / this.sampleRate;
+  }
+
+  /**
+   * Largest data size a file of this format can describe.
+   */
+  get maxDataBytes() {
+    return this.encoder.maxDataBytes;
+  }
+
+  /**
+   * Appends interleaved samples: Int16Array as 16-bit, anything else as float.
+   */
+  write(samples) {
+    const data = this.encoder.encode(samples);
+    if (data.length > 0) {
+      fs.writeSync(this.fd, data);
+      this.dataBytes += data.length;
+    }
+
+    if (this.frameCount - this.headerFrames >= HEADER_UPDATE_SECONDS * this.sampleRate) {
+      this.writeHeader();
+    }
+  }
+
+  writeHeader() {
+    const header = this.encoder.header();
+    fs.writeSync(this.fd, header, 0, header.length, 0);
+    this.headerFrames = this.frameCount;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      try {
+        const tail = this.encoder.finish();
+        if (tail.length > 0) {
+          fs.writeSync(this.fd, tail);
+          this.dataBytes += tail.length;
+        }
+        this.writeHeader();
+      } finally {
+        fs.closeSync(this.fd);
+        this.fd = null;
+      }
+      fs.rmSync(this.markerName, { force: true });
+    }
+
+    return {
+      fileName: this.fileName,
+      format: this.format,
+      channels: this.channels,
+      sampleRate: this.sampleRate,
+      frameCount: this.frameCount,
+      dataBytes: this.dataBytes,
+    };
+  }
+}
+
+/**
+ * True while a process with this id exists (EPERM: it does, under
+ * another user).
+ */
+function processRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * The writer's process id from a marker, null for an unreadable marker
+ * or one written before markers had it.
+ */
+function markerPid(markerName) {
+  try {
+    const { pid } = JSON.parse(fs.readFileSync(markerName, 'utf8'));
+    return Number.isInteger(pid) ? pid : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * ============================================================================
+ * CRASH RECOVERY: recoverRecordings() - REPAIR UNFINISHED AUDIO FILES
+ * ============================================================================
+ *
+ * Looks for `<file>.recording` markers in `dir` (left by an
+ * AudioFileWriter that was never closed), rewrites the header of each
+ * file from what actually reached the disk (dropping a partly written
+ * last frame) and removes the marker. The scripts call it on startup for
+ * their output directory. Returns the recovered files as `{ fileName,
+ * frameCount, durationSec }`; files that cannot be repaired are logged
+ * and skipped.
+ *
+ * Scripts sharing a directory record at the same time, so a marker whose
+ * writer process is still running belongs to a live take and is left
+ * alone. `isRunning(pid)` decides that (tests).
+ * ============================================================================
+ */
+function recoverRecordings(dir, options = {}) {
+  const { log = () => {}, isRunning = processRunning } = options;
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch (error) {
+    return [];
+  }
+
+  const recovered = [];
+  for (const entry of entries.filter((name) => name.endsWith(RECORDING_MARKER))) {
+    const markerName = path.join(dir, entry);
+    const fileName = markerName.slice(0, -RECORDING_MARKER.length);
+
+    const pid = markerPid(markerName);
+    if (pid !== null && isRunning(pid)) {
+      continue;
+    }
+    if (!fs.existsSync(fileName)) {
+      fs.rmSync(markerName, { force: true });
+      continue;
+    }
+
+    let fd = null;
+    try {
+      fd = fs.openSync(fileName, 'r+');
+      const { frameCount, sampleRate } = recoverFile(fd);
+      recovered.push({ fileName: fileName, frameCount: frameCount, durationSec: frameCount / sampleRate });
+      log(`Recovered unfinished recording ${fileName} (${(frameCount / sampleRate).toFixed(1)} s).`);
+    } catch (error) {
+      log(`Could not recover ${fileName}: ${error.message}`);
+      continue;
+    } finally {
+      if (fd !== null) {
+        fs.closeSync(fd);
+      }
+    }
+    fs.rmSync(markerName, { force: true });
+  }
+  return recovered;
+}
+
+/**
+ * ============================================================================
+ * PRE-ROLL: PreRollBuffer - THE LAST SECONDS OF INPUT, ALWAYS ON
+ * ============================================================================
+ *
+ * One preallocated RingBuffer per channel holding the newest `seconds`
+ * of the blocks pushed into it. A change of channel count, sample rate or
+ * sample type (Float32Array / Int16Array) starts the history over, so
+ * latest() always returns one consistent layout.
+ * ============================================================================
+ */
+class PreRollBuffer {
+  constructor(seconds = 0) {
+    this.seconds = seconds;
+    this.clear();
+  }
+
+  clear() {
+    this.rings = [];
+    this.sampleRate = null;
+    this.ArrayType = null;
+  }
+
+  /**
+   * Changes the length of the history (what was kept is dropped).
+   */
+  resize(seconds) {
+    this.seconds = seconds;
+    this.clear();
+  }
+
+  get durationSec() {
+    return this.rings.length > 0 ? this.rings[0].available / this.sampleRate : 0;
+  }
+
+  push(channels, sampleRate) {
+    if (this.seconds <= 0 || channels.length === 0) {
+      return;
+    }
+
+    const ArrayType = channels[0] instanceof Int16Array ? Int16Array : Float32Array;
+    if (channels.length !== this.rings.length || sampleRate !== this.sampleRate || ArrayType !== this.ArrayType) {
+      const capacity = Math.max(1, Math.round(this.seconds * sampleRate));
+      this.rings = channels.map(() => new RingBuffer(capacity, ArrayType));
+      this.sampleRate = sampleRate;
+      this.ArrayType = ArrayType;
+    }
+    channels.forEach((channel, c) => this.rings[c].write(channel));
+  }
+
+  /**
+   * The newest `seconds` (or as much as there is) as `{ channels,
+   * sampleRate }`, or null when the history is empty.
+   */
+  latest(seconds) {
+    const count = Math.min(this.rings.length > 0 ? this.rings[0].available : 0, Math.round(seconds * this.sampleRate));
+    if (!(count > 0)) {
+      return null;
+    }
+    return {
+      channels: this.rings.map((ring) => ring.latest(count, new this.ArrayType(count))),
+      sampleRate: this.sampleRate,
+    };
+  }
+}
+
+/**
+ * ============================================================================
+ * RECORDING: StreamingRecorder - TAKES STREAMED TO DISK [HIGH IMPORTANCE]
+ * ============================================================================
+ *
+ * USAGE:
+ *   const recorder = new StreamingRecorder({ fileName: () => config.get('outputFile'), log });
+ *   recorder.start();
+ *   recorder.append(channels, sampleRate);   // per block, written right away
+ *   const take = recorder.stop();            // { fileName, files, channels, sampleRate, frameCount } or null
+ *
+ * OPTIONS:
+ * - fileName: file name template of a take (see expandFileName()), or a
+ *   function returning one, called when a take opens its file (with the
+ *   first block). The extension follows `format`
+ * - outputDir: directory for relative names ('' = working directory),
+ *   created when missing
+ * - format ('wav' | 'aiff' | 'flac'), sampleFormat ('int16' | 'int24' |
+ *   'float32'): fixed per take
+ * - script: fills in {script}
+ * - recording: start recording right away (TCP.js / UDPdown.js record
+ *   everything they receive)
+ * - maxDurationSec, maxBytes: continue the take in a new file (name_2.wav
+ *   ...) before a part gets longer or bigger than this; 0 = only at the
+ *   4 GB WAV / AIFF limit
+ * - log: saved / split / error messages (Max.post in the scripts)
+ * - onSaved(file): called with each file closed (AudioFileWriter.close())
+ * - bufferSec: seconds of input kept in `preRoll` whether recording or
+ *   not (0 = none), preRollSec: how much of it start() puts at the
+ *   beginning of a take, saveLatest() writes it to a file of its own
+ *
+ * Blocks are float (-1..1) or Int16Array per channel. A write error ends
+ * the recording with a message instead of throwing into the audio path;
+ * the part written so far stays valid.
+ * ============================================================================
+ */
+class StreamingRecorder {
+  constructor(options = {}) {
+    const {
+      fileName = 'output.wav',
+      outputDir = '',
+      format = 'wav',
+      sampleFormat = 'int16',
+      script = '',
+      recording = false,
+      maxDurationSec = 0,
+      maxBytes = 0,
+      log = () => {},
+      onSaved = () => {},
+      bufferSec = 0,
+      preRollSec = 0,
+    } = options;
+
+    this.fileName = fileName;
+    this.outputDir = outputDir;
+    this.format = format;
+    this.sampleFormat = sampleFormat;
+    this.script = script;
+    this.recording = Boolean(recording);
+    this.maxDurationSec = maxDurationSec;
+    this.maxBytes = maxBytes;
+    this.log = log;
+    this.onSaved = onSaved;
+    this.preRoll = new PreRollBuffer(bufferSec);
+    this.preRollSec = preRollSec;
+    this.takeNumber = 0;
+    this.writer = null;
+    this.clear();
+  }
+
+  clear() {
+    this.files = [];
+    this.takeName = null;
+    this.frameCount = 0;
+    this.channels = null; // Fixed by the first block of a take
+    this.sampleRate = null; // Fixed by the first block of a take
+    this.takeFormat = null; // Fixed by the first block of a take
+  }
+
+  /**
+   * Starts a new take; a take still in progress is finished and kept.
+   * The take begins with the last `preRollSec` of input (the recorder's
+   * setting unless given).
+   */
+  start(preRollSec = this.preRollSec) {
+    this.take();
+    this.recording = true;
+
+    const preRoll = preRollSec > 0 ? this.preRoll.latest(preRollSec) : null;
+    if (preRoll) {
+      this.write(preRoll.channels, preRoll.sampleRate);
+    }
+  }
+
+  /**
+   * Ends the take, closing its file (null when nothing was recorded).
+   */
+  stop() {
+    const take = this.take();
+    this.recording = false;
+    return take;
+  }
+
+  /**
+   * Closes the take's file and starts a new take without changing the
+   * recording state.
+   */
+  take() {
+    this.closeWriter();
+    if (this.frameCount === 0) {
+      this.clear();
+      return null;
+    }
+
+    const take = {
+      fileName: this.files[0],
+      files: this.files,
+      channels: this.channels,
+      sampleRate: this.sampleRate,
+      frameCount: this.frameCount,
+    };
+    this.clear();
+    return take;
+  }
+
+  template() {
+    return typeof this.fileName === 'function' ? this.fileName() : this.fileName;
+  }
+
+  /**
+   * Directory the next take goes to (where recoverRecordings() looks).
+   */
+  outputDirectory() {
+    const fileName = expandFileName(this.template(), { script: this.script });
+    return path.dirname(path.resolve(this.outputDir || '.', fileName));
+  }
+
+  /**
+   * Name of a new take (or of `template`): the first take number not on
+   * disk yet.
+   */
+  nextTakeName(template = this.template()) {
+    const next = nextFileName(template, {
+      outputDir: this.outputDir,
+      format: this.format,
+      script: this.script,
+      take: this.takeNumber,
+    });
+    this.takeNumber = next.take;
+    return next.fileName;
+  }
+
+  /**
+   * Adds one block of per-channel samples to the pre-roll and, if
+   * recording, to the take.
+   */
+  append(channels, sampleRate) {
+    if (channels.length === 0 || channels[0].length === 0) {
+      return;
+    }
+    this.preRoll.push(channels, sampleRate);
+    if (this.recording) {
+      this.write(channels, sampleRate);
+    }
+  }
+
+  /**
+   * Writes one block to the take. Blocks with a different channel count
+   * are fitted to the take's layout.
+   */
+  write(channels, sampleRate) {
+    try {
+      if (this.channels === null) {
+        this.channels = channels.length;
+        this.sampleRate = sampleRate;
+        this.takeFormat = { format: this.format, sampleFormat: this.sampleFormat };
+        this.takeName = this.nextTakeName();
+      }
+
+      const frames = this.channels === 1 ? channels[0] : interleave(channels, this.channels);
+      if (this.writer && this.isFull(channels[0].length)) {
+        this.closeWriter();
+        this.log(`Recording continues in ${splitFileName(this.takeName, this.files.length + 1)}`);
+      }
+      if (!this.writer) {
+        this.writer = new AudioFileWriter(splitFileName(this.takeName, this.files.length + 1), Object.assign({
+          sampleRate: this.sampleRate,
+          channels: this.channels,
+        }, this.takeFormat));
+      }
+
+      this.writer.write(frames);
+      this.frameCount += channels[0].length;
+    } catch (error) {
+      this.log(`Error writing recording: ${error.message}`);
+      this.stop();
+    }
+  }
+
+  /**
+   * Whether `frames` more frames could take the current part over a
+   * limit (for FLAC the uncompressed size is the upper bound).
+   */
+  isFull(frames) {
+    const writer = this.writer;
+    if (writer.frameCount === 0) {
+      return false;
+    }
+    const limit = this.maxBytes > 0 ? Math.min(this.maxBytes - writer.encoder.headerSize, writer.maxDataBytes) : writer.maxDataBytes;
+    return writer.dataBytes + frames * writer.blockAlign > limit
+      || (this.maxDurationSec > 0 && (writer.frameCount + frames) / writer.sampleRate > this.maxDurationSec);
+  }
+
+  /**
+   * Saves the last `seconds` of input (as much as the pre-roll holds) to
+   * a file of its own, named from `template`, in the recorder's output
+   * directory and format. Returns the file (see AudioFileWriter.close())
+   * or null when there is nothing to save.
+   */
+  saveLatest(seconds, template = '{script}_last_{timestamp}') {
+    const audio = this.preRoll.latest(seconds);
+    if (!audio) {
+      return null;
+    }
+
+    let file;
+    try {
+      const writer = new AudioFileWriter(this.nextTakeName(template), {
+        sampleRate: audio.sampleRate,
+        channels: audio.channels.length,
+        format: this.format,
+        sampleFormat: this.sampleFormat,
+      });
+      try {
+        writer.write(audio.channels.length === 1 ? audio.channels[0] : interleave(audio.channels));
+      } finally {
+        file = writer.close();
+      }
+    } catch (error) {
+      this.log(`Error saving audio file: ${error.message}`);
+      return null;
+    }
+    this.log(`Audio file ${file.fileName} saved successfully.`);
+    this.onSaved(file);
+    return file;
+  }
+
+  closeWriter() {
+    if (!this.writer) {
+      return;
+    }
+    const writer = this.writer;
+    this.writer = null;
+    this.files.push(writer.fileName);
+    let file;
+    try {
+      file = writer.close();
+    } catch (error) {
+      this.log(`Error saving audio file: ${error.message}`);
+      return;
+    }
+    this.log(`Audio file ${writer.fileName} saved successfully.`);
+    this.onSaved(file);
+  }
+}
+
+/**
+ * ============================================================================
+ * MAX GLUE: addRecordingHandlers() - OUTPUT SETTINGS AND SAVED FILE PATHS
+ * ============================================================================
+ *
+ * For the scripts that record (settings from RECORDING_SETTINGS in their
+ * config schema):
+ * - applies outputDir, recordingFormat, sampleFormat, maxRecordingSeconds
+ *   and maxRecordingMB to the recorders now and whenever they change
+ *   (from the next take on); an impossible format / sample format pair
+ *   is refused
+ * - gives the first recorder (the one fed the script's input) a
+ *   ringBufferSeconds history and preRollSeconds of it at the start of
+ *   each take, and saves the history on 'captureLast [seconds] [file]'
+ * - outputs `recordingSaved <absolute path>` for every file saved, and
+ *   again on the 'lastRecording' message
+ * - repairs recordings left unfinished in the output directories
+ * ============================================================================
+ */
+function addRecordingHandlers(Max, config, recorders) {
+  let lastFile = null;
+  const log = (message) => Max.post(message);
+
+  const checkFormat = (format, sampleFormat) => createEncoder(format, { sampleRate: 44100, sampleFormat: sampleFormat });
+  const apply = {
+    outputDir: (dir) => recorders.forEach((recorder) => {
+      recorder.outputDir = dir;
+    }),
+    recordingFormat: (format) => {
+      checkFormat(format, config.get('sampleFormat'));
+      recorders.forEach((recorder) => {
+        recorder.format = format;
+      });
+    },
+    sampleFormat: (sampleFormat) => {
+      checkFormat(config.get('recordingFormat'), sampleFormat);
+      recorders.forEach((recorder) => {
+        recorder.sampleFormat = sampleFormat;
+      });
+    },
+    maxRecordingSeconds: (seconds) => recorders.forEach((recorder) => {
+      recorder.maxDurationSec = seconds;
+    }),
+    maxRecordingMB: (megabytes) => recorders.forEach((recorder) => {
+      recorder.maxBytes = Math.floor(megabytes * 1024 * 1024);
+    }),
+    ringBufferSeconds: (seconds) => recorders[0].preRoll.resize(seconds),
+    preRollSeconds: (seconds) => {
+      recorders[0].preRollSec = seconds;
+    },
+  };
+
+  for (const key of Object.keys(apply)) {
+    try {
+      apply[key](config.get(key));
+    } catch (error) {
+      log(`${error.message} (${key} in ${config.section} settings)`);
+    }
+    config.onChange(key, apply[key]);
+  }
+
+  for (const recorder of recorders) {
+    recorder.script = config.section;
+    recorder.onSaved = (file) => {
+      lastFile = path.resolve(file.fileName);
+      Max.outlet('recordingSaved', lastFile);
+    };
+  }
+
+  // captureLast [seconds] [file]: save the last seconds of input (all of the ring buffer by default)
+  Max.addHandler('captureLast', (seconds, fileName) => {
+    const bufferSeconds = config.get('ringBufferSeconds');
+    if (bufferSeconds <= 0) {
+      Max.post('The ring buffer is off, set ringBufferSeconds to use captureLast.');
+      return;
+    }
+    if (recorders[0].preRoll.durationSec === 0) {
+      Max.post('No audio in the ring buffer yet.');
+      return;
+    }
+    const requested = Number(seconds) > 0 ? Math.min(Number(seconds), bufferSeconds) : bufferSeconds;
+    recorders[0].saveLatest(requested, fileName ? String(fileName) : undefined);
+  });
+
+  // lastRecording: the absolute path of the last file saved
+  Max.addHandler('lastRecording', () => {
+    if (lastFile) {
+      Max.outlet('recordingSaved', lastFile);
+    } else {
+      Max.post('No recording saved yet.');
+    }
+  });
+
+  // Repair recordings a crash or a killed process left without final header sizes
+  new Set(recorders.map((recorder) => recorder.outputDirectory()))
+    .forEach((dir) => recoverRecordings(dir, { log: log }));
+}
+
+module.exports = {
+  RECORDING_SETTINGS,
+  AudioFileWriter,
+  PreRollBuffer,
+  Recorder,
+  StreamingRecorder,
+  addRecordingHandlers,
+  expandFileName,
+  floatToInt16,
+  joinChunks,
+  nextFileName,
+  recoverRecordings,
+  saveAudioFile,
+  splitFileName,
+  withExtension,
+};
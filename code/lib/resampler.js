@@ -0,0 +1,261 @@
+/*
+ * =======================================================================
+ * STREAMING WINDOWED-SINC RESAMPLER - ANY INPUT RATE TO ANY OUTPUT RATE
+ * =======================================================================
+ *
+ * Replaces the per-chunk linear interpolation in sRtin.js and the ffmpeg
+ * step in UDPdown.js for the 16 kHz conversion Vosk needs.
+ *
+ * WHY NOT LINEAR INTERPOLATION:
+ * - No anti-alias filter: everything above 8 kHz folds back into the
+ *   speech band when going 44.1 kHz → 16 kHz
+ * - No state between chunks: every chunk boundary is a discontinuity
+ *
+ * HOW IT WORKS (bandlimited interpolation, J.O. Smith):
+ * - Each output sample is a weighted sum of the surrounding input samples,
+ *   the weights being a Kaiser-windowed sinc evaluated at the fractional
+ *   distance between the output instant and each input sample
+ * - When downsampling the sinc is stretched so its cutoff sits just below
+ *   the output Nyquist frequency (this is the anti-alias low-pass)
+ * - The sinc is precomputed in a table with TABLE_RESOLUTION phases per
+ *   zero crossing and linearly interpolated, which covers any rate ratio
+ *   (44100 → 16000, 48000 → 16000, 96000 → 22050 ...)
+ * - Input history is kept between process() calls, so a stream can be
+ *   fed in packets of any size and comes out seamless
+ *
+ * The output lags the input by half the filter length; flush() pushes
+ * the tail out at the end of a stream.
+ * =======================================================================
+ */
+
+const TABLE_RESOLUTION = 256;
+const KAISER_BETA = 8.6;
+
+// Zero crossings on each side of the sinc: filter length vs. CPU
+const QUALITY_ZERO_CROSSINGS = {
+  fast: 8,
+  medium: 16,
+  best: 32,
+};
+
+// Cutoff as a fraction of the lower Nyquist frequency, leaves room for the transition band
+const ROLLOFF = 0.94;
+
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  const halfX = x / 2;
+  for (let k = 1; k < 50; k++) {
+    term *= (halfX / k) * (halfX / k);
+    sum += term;
+    if (term < sum * 1e-12) {
+      break;
+    }
+  }
+  return sum;
+}
+
+/**
+ * Half of a Kaiser-windowed sinc, sampled TABLE_RESOLUTION times per
+ * zero crossing from 0 to `zeroCrossings` (inclusive, plus one guard entry).
+ */
+function buildSincTable(zeroCrossings) {
+  const length = zeroCrossings * TABLE_RESOLUTION + 2;
+  const table = new Float64Array(length);
+  const windowNorm = besselI0(KAISER_BETA);
+
+  for (let i = 0; i < length; i++) {
+    const x = i / TABLE_RESOLUTION;
+    if (x > zeroCrossings) {
+      table[i] = 0;
+      continue;
+    }
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    const ratio = x / zeroCrossings;
+    const window = besselI0(KAISER_BETA * Math.sqrt(1 - ratio * ratio)) / windowNorm;
+    table[i] = sinc * window;
+  }
+  return table;
+}
+
+const sincTables = {};
+
+function getSincTable(zeroCrossings) {
+  if (!sincTables[zeroCrossings]) {
+    sincTables[zeroCrossings] = buildSincTable(zeroCrossings);
+  }
+  return sincTables[zeroCrossings];
+}
+
+/**
+ * ============================================================================
+ * RESAMPLER: Resampler - STATEFUL MONO SAMPLE RATE CONVERTER [HIGH IMPORTANCE]
+ * ============================================================================
+ *
+ * OPTIONS:
+ * - inputRate, outputRate: sample rates in Hz
+ * - quality: 'fast', 'medium' (default) or 'best'
+ *
+ * USAGE:
+ *   const resampler = new Resampler({ inputRate: 44100, outputRate: 16000 });
+ *   const out = resampler.process(float32Samples); // call per packet
+ *   const tail = resampler.flush();                 // end of stream
+ *
+ * One instance per channel: the filter history belongs to one signal.
+ * process() writes into an output buffer the resampler keeps (grown when
+ * a packet needs more), so streaming allocates nothing per packet: the
+ * result is only valid until the next call, copy it to keep it. Pass a
+ * `target` array to have it written there instead.
+ * ============================================================================
+ */
+class Resampler {
+  constructor(options = {}) {
+    const {
+      inputRate,
+      outputRate,
+      quality = 'medium',
+    } = options;
+
+    if (!(inputRate > 0) || !(outputRate > 0)) {
+      throw new Error(`Invalid resampler rates ${inputRate} → ${outputRate}`);
+    }
+    if (!QUALITY_ZERO_CROSSINGS[quality]) {
+      throw new Error(`Unknown resampler quality '${quality}'`);
+    }
+
+    this.inputRate = inputRate;
+    this.outputRate = outputRate;
+    this.zeroCrossings = QUALITY_ZERO_CROSSINGS[quality];
+    this.table = getSincTable(this.zeroCrossings);
+
+    // Input samples advanced per output sample
+    this.step = inputRate / outputRate;
+    // Filter cutoff relative to the input Nyquist frequency
+    this.scale = Math.min(1, outputRate / inputRate) * ROLLOFF;
+    // Reach of the filter on each side, in input samples
+    this.halfWidth = Math.ceil(this.zeroCrossings / this.scale);
+
+    this.output = new Float32Array(0);
+    this.reset();
+  }
+
+  reset() {
+    // Left padding of zeros so the first output sample lines up with input 0
+    this.history = new Float32Array(Math.max(4096, this.halfWidth * 4));
+    this.historyLength = this.halfWidth;
+    this.time = this.halfWidth;
+  }
+
+  /**
+   * Number of samples process() will return for `inputLength` more input.
+   */
+  outputLengthFor(inputLength) {
+    const lastUsable = this.historyLength + inputLength - 1 - this.halfWidth;
+    return lastUsable < this.time ? 0 : Math.floor((lastUsable - this.time) / this.step) + 1;
+  }
+
+  /**
+   * Resamples the next block of the stream into `target` (which must hold
+   * outputLengthFor(input.length) samples) or the reused output buffer.
+   * Returns a view of just the samples written.
+   */
+  process(input, target) {
+    const length = this.outputLengthFor(input.length);
+    if (target && target.length < length) {
+      throw new Error(`Resampler target holds ${target.length} samples, ${length} needed`);
+    }
+    if (!target && this.output.length < length) {
+      this.output = new Float32Array(Math.max(length, this.output.length * 2));
+    }
+    const output = (target || this.output).subarray(0, length);
+    this.append(input);
+
+    const { table, scale, step, halfWidth, history } = this;
+    const tableScale = scale * TABLE_RESOLUTION;
+    const tableLimit = table.length - 1;
+
+    for (let o = 0; o < output.length; o++) {
+      const time = this.time;
+      const first = Math.ceil(time - halfWidth);
+      const last = Math.floor(time + halfWidth);
+      let sum = 0;
+
+      for (let k = first; k <= last; k++) {
+        const position = Math.abs(time - k) * tableScale;
+        const index = Math.floor(position);
+        if (index >= tableLimit) {
+          continue;
+        }
+        const fraction = position - index;
+        const weight = table[index] + (table[index + 1] - table[index]) * fraction;
+        sum += history[k] * weight;
+      }
+
+      output[o] = sum * scale;
+      this.time += step;
+    }
+
+    this.discardConsumed();
+    return output;
+  }
+
+  /**
+   * Pushes the samples still held back by the filter out of the stream
+   * and resets the state for the next stream. The tail is a new array,
+   * the last process() result stays valid.
+   */
+  flush() {
+    const padding = new Float32Array(this.halfWidth + 1);
+    const tail = this.process(padding, new Float32Array(this.outputLengthFor(padding.length)));
+    this.reset();
+    return tail;
+  }
+
+  append(input) {
+    const needed = this.historyLength + input.length;
+    if (needed > this.history.length) {
+      const grown = new Float32Array(Math.max(needed, this.history.length * 2));
+      grown.set(this.history.subarray(0, this.historyLength));
+      this.history = grown;
+    }
+    this.history.set(input, this.historyLength);
+    this.historyLength = needed;
+  }
+
+  discardConsumed() {
+    // Keep everything the next output sample can still reach
+    const keepFrom = Math.max(0, Math.ceil(this.time - this.halfWidth) - 1);
+    if (keepFrom > 0) {
+      this.history.copyWithin(0, keepFrom, this.historyLength);
+      this.historyLength -= keepFrom;
+      this.time -= keepFrom;
+    }
+  }
+}
+
+/**
+ * One-shot conversion of a whole mono signal.
+ */
+function resample(samples, inputRate, outputRate, options = {}) {
+  if (inputRate === outputRate) {
+    return Float32Array.from(samples);
+  }
+
+  const resampler = new Resampler(Object.assign({}, options, { inputRate, outputRate }));
+  const body = resampler.process(Float32Array.from(samples));
+  const tail = resampler.flush();
+  const expectedLength = Math.round(samples.length * outputRate / inputRate);
+
+  const output = new Float32Array(expectedLength);
+  output.set(body.subarray(0, expectedLength));
+  if (body.length < expectedLength) {
+    output.set(tail.subarray(0, expectedLength - body.length), body.length);
+  }
+  return output;
+}
+
+module.exports = {
+  Resampler,
+  resample,
+  QUALITY_ZERO_CROSSINGS,
+};
@@ -0,0 +1,114 @@
+/*
+ * =======================================================================
+ * PREALLOCATED RING BUFFER - FIXED MEMORY SAMPLE FIFO
+ * =======================================================================
+ *
+ * A FIFO of samples backed by one typed array allocated up front. Writing
+ * and reading copy into and out of that array, so a continuous audio
+ * stream does not create garbage on every packet the way
+ * `array.concat()` / `array.slice()` do.
+ *
+ * When a write does not fit, the oldest samples are overwritten and
+ * counted in `overwritten`, so a stalled consumer shows up in the stats
+ * instead of growing memory without bound.
+ * =======================================================================
+ */
+
+class RingBuffer {
+  constructor(capacity, ArrayType = Float32Array) {
+    this.data = new ArrayType(capacity);
+    this.capacity = capacity;
+    this.readIndex = 0;
+    this.available = 0;
+    this.overwritten = 0;
+  }
+
+  clear() {
+    this.readIndex = 0;
+    this.available = 0;
+  }
+
+  /**
+   * Appends `samples` (any array-like), overwriting the oldest samples if full.
+   */
+  write(samples) {
+    let source = samples;
+    if (source.length > this.capacity) {
+      // Only the newest `capacity` samples can be kept
+      this.overwritten += source.length - this.capacity;
+      source = source.subarray
+        ? source.subarray(source.length - this.capacity)
+        : source.slice(source.length - this.capacity);
+    }
+
+    const overflow = this.available + source.length - this.capacity;
+    if (overflow > 0) {
+      this.skip(overflow);
+      this.overwritten += overflow;
+    }
+
+    let writeIndex = (this.readIndex + this.available) % this.capacity;
+    for (let i = 0; i < source.length; i++) {
+      this.data[writeIndex] = source[i];
+      writeIndex++;
+      if (writeIndex === this.capacity) {
+        writeIndex = 0;
+      }
+    }
+    this.available += source.length;
+  }
+
+  /**
+   * Moves `count` samples into `target` (from offset 0) and returns it.
+   * Throws if fewer than `count` samples are available.
+   */
+  read(count, target) {
+    this.peek(count, target);
+    this.skip(count);
+    return target;
+  }
+
+  /**
+   * Copies the oldest `count` samples into `target` without removing them.
+   */
+  peek(count, target) {
+    if (count > this.available) {
+      throw new Error(`RingBuffer underflow: ${count} requested, ${this.available} available`);
+    }
+
+    const firstPart = Math.min(count, this.capacity - this.readIndex);
+    target.set(this.data.subarray(this.readIndex, this.readIndex + firstPart), 0);
+    if (firstPart < count) {
+      target.set(this.data.subarray(0, count - firstPart), firstPart);
+    }
+    return target;
+  }
+
+  /**
+   * Copies the newest `count` samples into `target` without removing
+   * them (what a pre-roll needs: the audio just before now).
+   */
+  latest(count, target) {
+    if (count > this.available) {
+      throw new Error(`RingBuffer underflow: ${count} requested, ${this.available} available`);
+    }
+
+    const start = (this.readIndex + this.available - count) % this.capacity;
+    const firstPart = Math.min(count, this.capacity - start);
+    target.set(this.data.subarray(start, start + firstPart), 0);
+    if (firstPart < count) {
+      target.set(this.data.subarray(0, count - firstPart), firstPart);
+    }
+    return target;
+  }
+
+  skip(count) {
+    const skipped = Math.min(count, this.available);
+    this.readIndex = (this.readIndex + skipped) % this.capacity;
+    this.available -= skipped;
+  }
+}
+
+module.exports = {
+  RingBuffer,
+};
@@ -0,0 +1,204 @@
+/*
+ * =======================================================================
+ * UTTERANCE SEGMENTS - ONE AUDIO FILE + TRANSCRIPT PER FINAL RESULT
+ * =======================================================================
+ *
+ * Builds a labelled dataset from live recognition: the audio fed to Vosk
+ * is kept in a ring buffer, and each final result cuts out the audio it
+ * was recognized from. saveSegment() writes that audio with
+ * saveAudioFile() and a JSON sidecar next to it:
+ *
+ *   utterance_2024-05-31_001.wav
+ *   utterance_2024-05-31_001.json   { text, formatted, words, confidence, ... }
+ *
+ * Word times in the sidecar are seconds into the segment's own file.
+ * streamWords() converts Vosk's word times, which only count the audio
+ * the recognizer heard, to stream time (all the audio that arrived, the
+ * stretches gated off by the VAD included).
+ * =======================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RingBuffer } = require('./ringBuffer');
+const { saveAudioFile } = require('./recorder');
+
+const round = (value) => Number(value.toFixed(3));
+
+/**
+ * ============================================================================
+ * SEGMENTS: UtteranceSegmenter - AUDIO OF EACH FINAL RESULT
+ * ============================================================================
+ *
+ * USAGE:
+ *   const segmenter = new UtteranceSegmenter();
+ *   segmenter.push(frame, streamSample);       // every frame given to Vosk
+ *   const segment = segmenter.cut(result);     // at every final result
+ *   const words = segmenter.streamWords(result.words);
+ *
+ * OPTIONS:
+ * - sampleRate (16000): rate of the frames
+ * - maxSeconds (60): longest segment kept (older audio is dropped)
+ * - paddingSec (0.25): audio kept around the first and last word
+ *
+ * A segment runs from the previous final result to this one, trimmed to
+ * the words (plus padding) when the result has word timings. reset() must
+ * follow a recognizer change: word times count from its first frame.
+ * `streamSample` is where the frame starts in the stream (defaults to
+ * the recognizer's own count, for a recognizer that hears everything).
+ * ============================================================================
+ */
+class UtteranceSegmenter {
+  constructor(options = {}) {
+    const { sampleRate = 16000, maxSeconds = 60, paddingSec = 0.25 } = options;
+    this.sampleRate = sampleRate;
+    this.paddingSec = paddingSec;
+    this.ring = new RingBuffer(Math.round(maxSeconds * sampleRate), Int16Array);
+    this.reset();
+  }
+
+  reset() {
+    this.ring.clear();
+    this.fed = 0; // Samples given to the recognizer
+    this.segmentStart = 0; // Sample the current segment starts at
+    this.anchors = []; // { fed, offset }: from recognizer sample `fed` on, stream = recognizer + offset
+  }
+
+  push(frame, streamSample = this.fed) {
+    const offset = streamSample - this.fed;
+    const last = this.anchors[this.anchors.length - 1];
+    if (!last || last.offset !== offset) {
+      this.anchors.push({ fed: this.fed, offset: offset });
+    }
+    // Only the anchors for the audio still buffered are kept
+    while (this.anchors.length > 1 && this.anchors[1].fed <= this.fed - this.ring.capacity) {
+      this.anchors.shift();
+    }
+    this.ring.write(frame);
+    this.fed += frame.length;
+  }
+
+  /**
+   * Converts seconds of recognizer audio to seconds of stream time.
+   */
+  streamTime(seconds) {
+    const sample = seconds * this.sampleRate;
+    let offset = 0;
+    for (const anchor of this.anchors) {
+      if (anchor.fed > sample) {
+        break;
+      }
+      offset = anchor.offset;
+    }
+    return (sample + offset) / this.sampleRate;
+  }
+
+  /**
+   * Vosk words `{ word, start, end, conf }` with their times in stream
+   * seconds, rounded to the millisecond.
+   */
+  streamWords(words) {
+    return words.map((word) => ({
+      word: word.word,
+      start: round(this.streamTime(word.start)),
+      end: round(this.streamTime(word.end)),
+      conf: word.conf,
+    }));
+  }
+
+  /**
+   * Ends the current segment at a final result `{ text, words }` and
+   * returns `{ text, words, samples, sampleRate, streamTime, duration }`
+   * (streamTime: where the segment starts in the stream), or null when
+   * there is no audio for it.
+   */
+  cut(result) {
+    const words = result.words || [];
+    let start = this.fed - Math.min(this.fed - this.segmentStart, this.ring.available);
+    let end = this.fed;
+    if (words.length > 0) {
+      start = Math.max(start, Math.round((words[0].start - this.paddingSec) * this.sampleRate));
+      end = Math.min(end, Math.round((words[words.length - 1].end + this.paddingSec) * this.sampleRate));
+    }
+    this.segmentStart = this.fed;
+    if (end <= start) {
+      return null;
+    }
+
+    const samples = this.ring.latest(this.fed - start, new Int16Array(this.fed - start)).slice(0, end - start);
+    const offset = start / this.sampleRate;
+    return {
+      text: result.text,
+      words: words.map((word) => ({
+        word: word.word,
+        start: round(word.start - offset),
+        end: round(word.end - offset),
+        conf: word.conf,
+      })),
+      samples: samples,
+      sampleRate: this.sampleRate,
+      streamTime: round(this.streamTime(offset)),
+      duration: round(samples.length / this.sampleRate),
+    };
+  }
+}
+
+/**
+ * ============================================================================
+ * SEGMENTS: saveSegment() - AUDIO FILE AND JSON SIDECAR
+ * ============================================================================
+ *
+ * OPTIONS:
+ * - fileName: the audio file (the sidecar gets the same name with .json)
+ * - format, sampleFormat: as for saveAudioFile()
+ * - fields: extra sidecar fields (the formatted text, the model ...)
+ * - log: success and error messages
+ *
+ * Resolves to { audioFile, jsonFile }, or null when a file could not be
+ * written (reported through `log`, never thrown).
+ * ============================================================================
+ */
+async function saveSegment(segment, options = {}) {
+  const { fileName, format = 'wav', sampleFormat = 'int16', fields = {}, log = () => {} } = options;
+
+  const saved = await saveAudioFile(segment.samples, {
+    fileName: fileName,
+    sampleRate: segment.sampleRate,
+    channels: 1,
+    format: format,
+    sampleFormat: sampleFormat,
+    log: log,
+  });
+  if (!saved) {
+    return null;
+  }
+
+  const confidences = segment.words.map((word) => word.conf).filter((conf) => typeof conf === 'number');
+  const sidecar = Object.assign({
+    audio: path.basename(fileName),
+    text: segment.text,
+  }, fields, {
+    sampleRate: segment.sampleRate,
+    duration: segment.duration,
+    streamTime: segment.streamTime,
+    recordedAt: new Date().toISOString(),
+    confidence: confidences.length > 0
+      ? round(confidences.reduce((total, conf) => total + conf, 0) / confidences.length)
+      : null,
+    words: segment.words,
+  });
+
+  const jsonFile = fileName.slice(0, fileName.length - path.extname(fileName).length) + '.json';
+  try {
+    fs.writeFileSync(jsonFile, JSON.stringify(sidecar, null, 2) + '\n');
+  } catch (error) {
+    log(`Error saving transcript: ${error.message}`);
+    return null;
+  }
+  return { audioFile: fileName, jsonFile: jsonFile };
+}
+
+module.exports = {
+  UtteranceSegmenter,
+  saveSegment,
+};
@@ -0,0 +1,140 @@
+/*
+ * =======================================================================
+ * AUDIO SENDER - STREAM A SOURCE AS jit.net.send PACKETS
+ * =======================================================================
+ *
+ * The Node counterpart of `UDP AUDIO.amxd`: cuts a signal source
+ * (lib/signals.js) into packets of packetFrames frames, encodes them like
+ * jit.net.send (encodePacket() in lib/jitMatrix.js) and sends them in real
+ * time to UDP.js, sRtin.js, UDPdown.js or TCP.js.
+ *
+ * - UDP packets carry a version 2 SEQH header (sequence number, sample
+ *   time, sample rate) unless `sequence: false`, so the receivers detect
+ *   loss and follow the sample rate. TCP packets never have one: the TCP
+ *   receiver reads plain matrix packets
+ * - Packets are paced against the clock from the start time, not from
+ *   the previous packet, so timer lateness does not add up
+ * =======================================================================
+ */
+
+const { performance } = require('perf_hooks');
+const { encodePacket } = require('./jitMatrix');
+const { encodeSequenceHeader } = require('./sequence');
+const { PacketSender } = require('./transports');
+
+const DEFAULT_PACKET_FRAMES = 441; // 10 ms at 44.1 kHz, like the Max device
+const MAX_UDP_PAYLOAD = 65507;
+
+/**
+ * ============================================================================
+ * SENDING: AudioSender - REAL-TIME PACKET STREAM
+ * ============================================================================
+ *
+ * USAGE:
+ *   const sender = new AudioSender({ transport: 'udp', port: 7778 });
+ *   await sender.stream(createSignal('sine', { duration: 5 }));
+ *   await sender.close();
+ *
+ * OPTIONS:
+ * - transport ('udp' | 'tcp'), host ('127.0.0.1'), port
+ * - packetFrames: frames per packet (441)
+ * - type: matrix cell type ('float32', 'float64', 'long', 'char')
+ * - sequence: prefix UDP packets with a SEQH header (true)
+ * - speed: 1 = real time, 2 = twice as fast, 0 = as fast as possible
+ * - send(data), now(), sleep(ms): replace the socket and the clock (tests)
+ *
+ * stream() resolves to `{ packets, frames }` when the source ends or
+ * stop() is called.
+ * ============================================================================
+ */
+class AudioSender {
+  constructor(options = {}) {
+    const {
+      transport = 'udp',
+      host = '127.0.0.1',
+      port,
+      packetFrames = DEFAULT_PACKET_FRAMES,
+      type = 'float32',
+      sequence = true,
+      speed = 1,
+      send,
+      now = () => performance.now(),
+      sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    } = options;
+
+    if (!Number.isInteger(packetFrames) || packetFrames < 1) {
+      throw new Error(`Invalid packet size ${packetFrames} frames`);
+    }
+    if (!(speed >= 0)) {
+      throw new Error(`Invalid speed ${speed}`);
+    }
+
+    this.transport = transport;
+    this.packetFrames = packetFrames;
+    this.type = type;
+    this.sequence = sequence && transport === 'udp';
+    this.speed = speed;
+    this.now = now;
+    this.sleep = sleep;
+    this.sender = send ? null : new PacketSender({ transport, host, port });
+    this.send = send || ((data) => this.sender.send(data));
+    this.sequenceNumber = 0;
+    this.sampleTime = 0;
+    this.stopped = false;
+  }
+
+  /**
+   * Encodes one block, with the sequence header for UDP.
+   */
+  encode(channels, sampleRate) {
+    const packet = encodePacket(channels, { type: this.type, time: this.sampleTime / sampleRate * 1000 });
+    const data = this.sequence
+      ? Buffer.concat([encodeSequenceHeader(this.sequenceNumber, this.sampleTime, sampleRate), packet])
+      : packet;
+    if (this.transport === 'udp' && data.length > MAX_UDP_PAYLOAD) {
+      throw new Error(`Packets of ${data.length} bytes do not fit in a UDP datagram, use fewer frames per packet`);
+    }
+    return data;
+  }
+
+  async stream(source) {
+    this.stopped = false;
+    const startMs = this.now();
+    const startFrame = this.sampleTime;
+    let packets = 0;
+
+    let channels;
+    while (!this.stopped && (channels = source.read(this.packetFrames)) !== null) {
+      if (this.speed > 0) {
+        const dueMs = (this.sampleTime - startFrame) / source.sampleRate * 1000 / this.speed;
+        const wait = dueMs - (this.now() - startMs);
+        if (wait > 1) {
+          await this.sleep(wait);
+        }
+      }
+
+      await this.send(this.encode(channels, source.sampleRate));
+      this.sequenceNumber = (this.sequenceNumber + 1) >>> 0;
+      this.sampleTime += channels[0].length;
+      packets++;
+    }
+
+    return { packets: packets, frames: this.sampleTime - startFrame };
+  }
+
+  stop() {
+    this.stopped = true;
+  }
+
+  async close() {
+    this.stop();
+    if (this.sender) {
+      await this.sender.close();
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_PACKET_FRAMES,
+  AudioSender,
+};
@@ -0,0 +1,255 @@
+/*
+ * =======================================================================
+ * SEQUENCE HEADER, LOSS DETECTION AND PACKET-LOSS CONCEALMENT
+ * =======================================================================
+ *
+ * UDP can drop, duplicate and reorder datagrams. To notice that, senders
+ * prefix each jit matrix packet with a small sequence header:
+ *
+ *   magic        'SEQH'
+ *   version      uint8   (1, or 2 with sampleRate)
+ *   flags        uint8   (reserved, 0)
+ *   headerSize   uint16  byte count of this header, the matrix packet follows
+ *   sequence     uint32  packet counter, wraps at 2^32
+ *   sampleTime   uint64  frame index of the first frame in the packet
+ *   sampleRate   uint32  version 2 only: sender sample rate in Hz
+ *
+ * All fields are big-endian. Packets without the header are still accepted
+ * and passed through untouched, so older senders keep working.
+ *
+ * The SequenceReceiver compares each header with the previous one:
+ * - Gap in sampleTime → the missing frames are concealed with silence or
+ *   with a linear interpolation between the surrounding samples, so the
+ *   audio keeps its real length
+ * - Sequence older than expected → late (reordered) or duplicate packet,
+ *   dropped because its slot was already concealed
+ * - The sender restarted, tracking starts over: a large jump either way,
+ *   a sequence going back together with its sampleTime going back
+ *   further than a late packet could, a sequence going forward while
+ *   sampleTime goes back, or a backwards sequence after a pause in arrivals
+ *   (send.js, through lib/sender.js, starts again at sequence 0)
+ * =======================================================================
+ */
+
+const SEQUENCE_MAGIC = 'SEQH';
+const SEQUENCE_HEADER_SIZE = 20;
+const SEQUENCE_HEADER_SIZE_V2 = 24;
+
+const CONCEALMENT_MODES = ['silence', 'interpolate'];
+
+/**
+ * Builds the header a sender puts in front of each matrix packet.
+ * Passing `sampleRate` writes a version 2 header that carries it.
+ */
+function encodeSequenceHeader(sequence, sampleTime, sampleRate) {
+  const size = sampleRate ? SEQUENCE_HEADER_SIZE_V2 : SEQUENCE_HEADER_SIZE;
+  const header = Buffer.alloc(size);
+  header.write(SEQUENCE_MAGIC, 0, 'latin1');
+  header.writeUInt8(sampleRate ? 2 : 1, 4);
+  header.writeUInt8(0, 5);
+  header.writeUInt16BE(size, 6);
+  header.writeUInt32BE(sequence >>> 0, 8);
+  header.writeBigUInt64BE(BigInt(sampleTime), 12);
+  if (sampleRate) {
+    header.writeUInt32BE(sampleRate, 20);
+  }
+  return header;
+}
+
+/**
+ * Splits a datagram into its sequence header (or null when the sender
+ * does not use one) and the jit matrix payload.
+ * Returns `{ ok: false, reason }` for a truncated or unknown header.
+ */
+function parseSequenceHeader(buffer) {
+  if (buffer.length < 4 || buffer.toString('latin1', 0, 4) !== SEQUENCE_MAGIC) {
+    return { ok: true, header: null, payload: buffer };
+  }
+  if (buffer.length < 8) {
+    return { ok: false, reason: 'truncated sequence header' };
+  }
+
+  const version = buffer.readUInt8(4);
+  const headerSize = buffer.readUInt16BE(6);
+  if (version < 1 || headerSize < SEQUENCE_HEADER_SIZE || buffer.length < headerSize) {
+    return { ok: false, reason: `bad sequence header (version ${version}, size ${headerSize})` };
+  }
+
+  return {
+    ok: true,
+    header: {
+      version: version,
+      flags: buffer.readUInt8(5),
+      sequence: buffer.readUInt32BE(8),
+      sampleTime: Number(buffer.readBigUInt64BE(12)),
+      sampleRate: version >= 2 && headerSize >= SEQUENCE_HEADER_SIZE_V2 ? buffer.readUInt32BE(20) : null,
+    },
+    payload: buffer.subarray(headerSize),
+  };
+}
+
+/**
+ * ============================================================================
+ * LOSS HANDLING: SequenceReceiver - GAP DETECTION & CONCEALMENT [HIGH IMPORTANCE]
+ * ============================================================================
+ *
+ * OPTIONS:
+ * - concealment: 'silence' or 'interpolate' (default)
+ * - maxConcealFrames: gaps longer than this are treated as a stream
+ *   discontinuity (sender paused) and not filled (default 1 s at 44.1 kHz)
+ * - restartThreshold: how far a sequence may jump (back, or forward as
+ *   lost packets) before it is taken as a sender restart (default 1000)
+ * - restartGapMs: after this long without packets a backwards sequence
+ *   is a restart, never a late packet (default 500)
+ * - now(): clock for the arrival gap in ms (tests)
+ *
+ * receive(header, channels) returns the list of channel blocks to play, in
+ * order: an optional concealment block followed by the packet itself.
+ * A late or duplicate packet returns an empty list.
+ * ============================================================================
+ */
+class SequenceReceiver {
+  constructor(options = {}) {
+    const {
+      concealment = 'interpolate',
+      maxConcealFrames = 44100,
+      restartThreshold = 1000,
+      restartGapMs = 500,
+      now = () => Date.now(),
+    } = options;
+
+    this.concealment = concealment;
+    this.maxConcealFrames = maxConcealFrames;
+    this.restartThreshold = restartThreshold;
+    this.restartGapMs = restartGapMs;
+    this.now = now;
+    this.reset();
+  }
+
+  reset() {
+    this.expectedSequence = null;
+    this.expectedSampleTime = null;
+    this.lastArrival = null;
+    this.lastFrame = null; // Last sample of each channel, for interpolation
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      received: 0,
+      lostPackets: 0,
+      lostFrames: 0,
+      concealedFrames: 0,
+      late: 0,
+      duplicates: 0,
+      restarts: 0,
+    };
+  }
+
+  setConcealment(mode) {
+    if (!CONCEALMENT_MODES.includes(mode)) {
+      throw new Error(`Unknown concealment mode '${mode}'. Use ${CONCEALMENT_MODES.join(' or ')}.`);
+    }
+    this.concealment = mode;
+  }
+
+  receive(header, channels) {
+    // Unsequenced sender: nothing to check
+    if (!header) {
+      this.rememberLastFrame(channels);
+      return [channels];
+    }
+
+    const frameCount = channels.length > 0 ? channels[0].length : 0;
+    const blocks = [];
+    const arrival = this.now();
+
+    if (this.expectedSequence !== null) {
+      // Signed 32-bit difference handles sequence wrap-around
+      const sequenceDelta = (header.sequence - this.expectedSequence) | 0;
+      const missingFrames = header.sampleTime - this.expectedSampleTime;
+
+      if (this.isRestart(sequenceDelta, missingFrames, arrival)) {
+        this.stats.restarts++;
+      } else if (sequenceDelta < 0) {
+        if (sequenceDelta === -1) {
+          this.stats.duplicates++;
+        } else {
+          this.stats.late++;
+        }
+        this.lastArrival = arrival;
+        return blocks;
+      } else {
+        this.stats.lostPackets += sequenceDelta;
+
+        if (missingFrames > 0) {
+          this.stats.lostFrames += missingFrames;
+          if (missingFrames <= this.maxConcealFrames) {
+            blocks.push(this.conceal(missingFrames, channels));
+            this.stats.concealedFrames += missingFrames;
+          }
+        }
+      }
+    }
+
+    this.lastArrival = arrival;
+    this.expectedSequence = (header.sequence + 1) >>> 0;
+    this.expectedSampleTime = header.sampleTime + frameCount;
+    this.stats.received++;
+
+    blocks.push(channels);
+    this.rememberLastFrame(channels);
+    return blocks;
+  }
+
+  /**
+   * Whether a packet `sequenceDelta` packets and `missingFrames` frames
+   * away from the expected ones comes from a restarted sender rather than
+   * from this stream (late, duplicate or after lost packets).
+   */
+  isRestart(sequenceDelta, missingFrames, arrival) {
+    if (Math.abs(sequenceDelta) > this.restartThreshold) {
+      return true;
+    }
+    if (sequenceDelta >= 0) {
+      return missingFrames < 0;
+    }
+    return -missingFrames > this.maxConcealFrames
+      || (this.lastArrival !== null && arrival - this.lastArrival > this.restartGapMs);
+  }
+
+  /**
+   * Builds `frameCount` frames bridging the last received frame and the
+   * first frame of `nextChannels`.
+   */
+  conceal(frameCount, nextChannels) {
+    return nextChannels.map((next, channelIndex) => {
+      const filler = new Float32Array(frameCount);
+      if (this.concealment === 'interpolate' && this.lastFrame && next.length > 0) {
+        const from = this.lastFrame[channelIndex] || 0;
+        const to = next[0];
+        for (let i = 0; i < frameCount; i++) {
+          filler[i] = from + (to - from) * ((i + 1) / (frameCount + 1));
+        }
+      }
+      return filler;
+    });
+  }
+
+  rememberLastFrame(channels) {
+    if (channels.length === 0 || channels[0].length === 0) {
+      return;
+    }
+    this.lastFrame = channels.map(channel => channel[channel.length - 1]);
+  }
+}
+
+module.exports = {
+  SEQUENCE_MAGIC,
+  SEQUENCE_HEADER_SIZE,
+  SEQUENCE_HEADER_SIZE_V2,
+  CONCEALMENT_MODES,
+  encodeSequenceHeader,
+  parseSequenceHeader,
+  SequenceReceiver,
+};
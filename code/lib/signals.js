@@ -0,0 +1,206 @@
+/*
+ * =======================================================================
+ * SIGNAL SOURCES - TEST TONES AND WAV FILES FOR THE NODE SENDER
+ * =======================================================================
+ *
+ * What send.js streams instead of a live Max input. Every source has the
+ * same shape:
+ *
+ *   { sampleRate, channelCount, frameCount, read(frames) }
+ *
+ * read() returns the next block as one Float32Array per channel (shorter
+ * at the end), or null once the source is exhausted. frameCount is null
+ * for endless sources.
+ *
+ * - sine:    frequency, amplitude
+ * - noise:   white noise at amplitude
+ * - sweep:   logarithmic sweep from → to over the duration
+ * - silence
+ * - WAV files: 8/16/24/32-bit PCM and 32-bit float, any channel count
+ * =======================================================================
+ */
+
+const fs = require('fs');
+const wav = require('wav');
+
+const SIGNAL_TYPES = ['sine', 'noise', 'sweep', 'silence'];
+
+/**
+ * Builds a source from a per-frame sample function shared by all channels.
+ */
+function createSource(sampleAt, options) {
+  const { sampleRate, channelCount = 1, frameCount = null } = options;
+  let position = 0;
+
+  return {
+    sampleRate: sampleRate,
+    channelCount: channelCount,
+    frameCount: frameCount,
+    read(frames) {
+      const count = frameCount === null ? frames : Math.min(frames, frameCount - position);
+      if (count <= 0) {
+        return null;
+      }
+      const block = new Float32Array(count);
+      for (let i = 0; i < count; i++) {
+        block[i] = sampleAt(position + i);
+      }
+      position += count;
+      return Array.from({ length: channelCount }, (_, c) => (c === 0 ? block : block.slice()));
+    },
+  };
+}
+
+/**
+ * ============================================================================
+ * TEST TONES: createSignal() - GENERATED SOURCES
+ * ============================================================================
+ *
+ * OPTIONS:
+ * - sampleRate (44100), channelCount (1), duration in seconds (endless if omitted)
+ * - amplitude (0.5)
+ * - frequency (440) for sine
+ * - from (20), to (20000) for sweep; a sweep needs a duration
+ * - random (Math.random) for noise
+ * ============================================================================
+ */
+function createSignal(type, options = {}) {
+  const {
+    sampleRate = 44100,
+    channelCount = 1,
+    duration,
+    amplitude = 0.5,
+    frequency = 440,
+    from = 20,
+    to = 20000,
+    random = Math.random,
+  } = options;
+
+  if (!SIGNAL_TYPES.includes(type)) {
+    throw new Error(`Unknown signal '${type}', expected ${SIGNAL_TYPES.join(', ')}`);
+  }
+  const frameCount = duration === undefined ? null : Math.round(duration * sampleRate);
+
+  switch (type) {
+    case 'sine':
+      return createSource((i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate),
+        { sampleRate, channelCount, frameCount });
+
+    case 'noise':
+      return createSource(() => amplitude * (random() * 2 - 1), { sampleRate, channelCount, frameCount });
+
+    case 'sweep': {
+      if (frameCount === null) {
+        throw new Error('A sweep needs a duration');
+      }
+      if (!(from > 0 && to > 0)) {
+        throw new Error(`Invalid sweep ${from} → ${to} Hz`);
+      }
+      // Phase of a logarithmic (exponential) sweep, integrated in closed form
+      const seconds = frameCount / sampleRate;
+      const k = Math.log(to / from);
+      const phaseAt = (t) => (k === 0
+        ? 2 * Math.PI * from * t
+        : 2 * Math.PI * from * seconds / k * (Math.exp(t / seconds * k) - 1));
+      return createSource((i) => amplitude * Math.sin(phaseAt(i / sampleRate)), { sampleRate, channelCount, frameCount });
+    }
+
+    default:
+      return createSource(() => 0, { sampleRate, channelCount, frameCount });
+  }
+}
+
+/**
+ * Source over channels already in memory.
+ */
+function bufferSource(channels, sampleRate) {
+  let position = 0;
+  const frameCount = channels[0].length;
+
+  return {
+    sampleRate: sampleRate,
+    channelCount: channels.length,
+    frameCount: frameCount,
+    read(frames) {
+      const count = Math.min(frames, frameCount - position);
+      if (count <= 0) {
+        return null;
+      }
+      const block = channels.map((channel) => channel.subarray(position, position + count));
+      position += count;
+      return block;
+    },
+  };
+}
+
+// Sample readers per WAV encoding: (buffer, byteOffset) => float -1..1
+const WAV_SAMPLE_READERS = {
+  'pcm8': (buffer, offset) => (buffer.readUInt8(offset) - 128) / 128,
+  'pcm16': (buffer, offset) => buffer.readInt16LE(offset) / 32768,
+  'pcm24': (buffer, offset) => buffer.readIntLE(offset, 3) / 8388608,
+  'pcm32': (buffer, offset) => buffer.readInt32LE(offset) / 2147483648,
+  'float32': (buffer, offset) => buffer.readFloatLE(offset),
+};
+
+/**
+ * Reads a whole WAV file into one Float32Array per channel.
+ * Resolves to `{ sampleRate, channels }`.
+ */
+function readWavFile(fileName) {
+  return new Promise((resolve, reject) => {
+    const reader = new wav.Reader();
+    const chunks = [];
+    let format = null;
+
+    reader.on('format', (wavFormat) => {
+      format = wavFormat;
+    });
+    reader.on('data', (chunk) => chunks.push(chunk));
+    reader.on('error', reject);
+    reader.on('end', () => {
+      if (!format) {
+        reject(new Error(`${fileName} has no WAV format chunk`));
+        return;
+      }
+      const encoding = format.audioFormat === 3 ? `float${format.bitDepth}` : `pcm${format.bitDepth}`;
+      const readSample = WAV_SAMPLE_READERS[encoding];
+      if (!readSample) {
+        reject(new Error(`Unsupported WAV encoding in ${fileName}: ${encoding}`));
+        return;
+      }
+
+      const data = Buffer.concat(chunks);
+      const sampleSize = format.bitDepth / 8;
+      const frameCount = Math.floor(data.length / (sampleSize * format.channels));
+      const channels = Array.from({ length: format.channels }, () => new Float32Array(frameCount));
+      let offset = 0;
+      for (let frame = 0; frame < frameCount; frame++) {
+        for (let c = 0; c < format.channels; c++) {
+          channels[c][frame] = readSample(data, offset);
+          offset += sampleSize;
+        }
+      }
+      resolve({ sampleRate: format.sampleRate, channels: channels });
+    });
+
+    const file = fs.createReadStream(fileName);
+    file.on('error', reject);
+    file.pipe(reader);
+  });
+}
+
+/**
+ * Source reading a WAV file (loaded into memory first).
+ */
+async function wavFileSource(fileName) {
+  const { sampleRate, channels } = await readWavFile(fileName);
+  return bufferSource(channels, sampleRate);
+}
+
+module.exports = {
+  SIGNAL_TYPES,
+  bufferSource,
+  createSignal,
+  readWavFile,
+  wavFileSource,
+};
@@ -0,0 +1,250 @@
+/*
+ * =======================================================================
+ * TRANSPORTS - UDP AND TCP RECEIVERS FOR jit.net.send PACKETS
+ * =======================================================================
+ *
+ * The socket setup every receiver script used to repeat: create the
+ * socket, log that it listens, decode each packet, log and drop the bad
+ * ones, and rebind when the port changes.
+ *
+ * UDP (UdpReceiver):
+ * - One datagram = one packet, optionally prefixed with a SEQH sequence
+ *   header (lib/sequence.js)
+ * - onPacket(packet, header, rinfo): header is null for unsequenced senders
+ *
+ * TCP (TcpReceiver):
+ * - A byte stream per client, reassembled into packets with
+ *   JitStreamReader (lib/jitMatrix.js)
+ * - onPacket(packet, null, socket)
+ *
+ * `packet` is a decodePacket() result with `ok: true`; empty matrices are
+ * skipped. Messages go to the `log` option (Max.post in the scripts).
+ *
+ * PacketSender is the sending side, for replay.js and send.js.
+ *
+ * `onRaw(data, source)`, when set, sees every datagram / TCP chunk as it
+ * arrived, before decoding ('address:port' source), for packet capture
+ * (lib/capture.js).
+ * =======================================================================
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+const { once } = require('events');
+const { decodePacket, JitStreamReader } = require('./jitMatrix');
+const { parseSequenceHeader } = require('./sequence');
+
+const TRANSPORTS = ['udp', 'tcp'];
+
+class UdpReceiver {
+  constructor(onPacket, options = {}) {
+    this.onPacket = onPacket;
+    this.log = options.log || (() => {});
+    this.decodeOptions = options.decodeOptions || {};
+    this.onRaw = options.onRaw || null;
+    this.socket = null;
+  }
+
+  /**
+   * Binds to `port`, closing the previous socket first.
+   */
+  listen(port) {
+    this.close();
+
+    const socket = dgram.createSocket('udp4');
+    this.socket = socket;
+
+    socket.on('listening', () => {
+      const address = socket.address();
+      this.log(`UDP server listening on ${address.address}:${address.port}`);
+    });
+
+    socket.on('message', (data, rinfo) => {
+      if (this.onRaw) {
+        this.onRaw(data, `${rinfo.address}:${rinfo.port}`);
+      }
+      this.receive(data, rinfo);
+    });
+
+    socket.on('error', (err) => {
+      this.log(`Server error: ${err.message}`);
+    });
+
+    socket.bind(port);
+  }
+
+  /**
+   * Handles one datagram. Public so tests and replay tools can feed
+   * captured packets without a socket.
+   */
+  receive(data, rinfo = { address: 'local', port: 0 }) {
+    const sequenced = parseSequenceHeader(data);
+    if (!sequenced.ok) {
+      this.log(`Dropped packet from ${rinfo.address}:${rinfo.port}: ${sequenced.reason}`);
+      return;
+    }
+
+    const packet = decodePacket(sequenced.payload, this.decodeOptions);
+    if (!packet.ok) {
+      this.log(`Dropped packet from ${rinfo.address}:${rinfo.port}: ${packet.reason}`);
+      return;
+    }
+
+    if (packet.frameCount === 0) {
+      return;
+    }
+
+    try {
+      this.onPacket(packet, sequenced.header, rinfo);
+    } catch (error) {
+      this.log(`Dropped packet from ${rinfo.address}:${rinfo.port}: ${error.message}`);
+    }
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
+
+class TcpReceiver {
+  constructor(onPacket, options = {}) {
+    this.onPacket = onPacket;
+    this.log = options.log || (() => {});
+    this.decodeOptions = options.decodeOptions || {};
+    this.onRaw = options.onRaw || null;
+    this.server = null;
+    this.clients = new Set(); // Open client sockets, closed when the server is rebound
+  }
+
+  /**
+   * Listens on `host:port`, closing the previous server and its clients first.
+   */
+  listen(port, host = '127.0.0.1') {
+    this.close();
+
+    const server = net.createServer((socket) => this.accept(socket));
+    this.server = server;
+
+    server.on('error', (err) => {
+      this.log(`Server error: ${err.message}`);
+    });
+
+    server.listen(port, host, () => {
+      this.log(`TCP server listening on ${host}:${port}`);
+    });
+  }
+
+  accept(socket) {
+    this.log(`Client connected: ${socket.remoteAddress}:${socket.remotePort}`);
+    this.clients.add(socket);
+
+    // TCP is a byte stream: reassemble whole jit.net.send packets per client
+    const reader = new JitStreamReader(this.decodeOptions);
+
+    const source = `${socket.remoteAddress}:${socket.remotePort}`;
+    socket.on('data', (data) => {
+      if (this.onRaw) {
+        this.onRaw(data, source);
+      }
+      for (const packet of reader.push(data)) {
+        if (!packet.ok) {
+          this.log(`Dropped packet from ${socket.remoteAddress}:${socket.remotePort}: ${packet.reason}`);
+          continue;
+        }
+        if (packet.frameCount === 0) {
+          continue;
+        }
+        try {
+          this.onPacket(packet, null, socket);
+        } catch (error) {
+          this.log(`Dropped packet from ${source}: ${error.message}`);
+        }
+      }
+    });
+
+    socket.on('close', () => {
+      this.clients.delete(socket);
+      this.log(`Client disconnected: ${socket.remoteAddress}:${socket.remotePort}`);
+    });
+
+    socket.on('error', (err) => {
+      this.log(`Socket error: ${err.message}`);
+    });
+  }
+
+  close() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    for (const socket of this.clients) {
+      socket.destroy();
+    }
+    this.clients.clear();
+  }
+}
+
+/**
+ * Sends packets to a receiver: one UDP socket or TCP connection per
+ * stream number, so a replayed capture (lib/capture.js) reaches the
+ * receiver from as many senders as it was recorded from. TCP connects on
+ * the first send.
+ */
+class PacketSender {
+  constructor(options = {}) {
+    const { transport = 'udp', host = '127.0.0.1', port } = options;
+    if (!TRANSPORTS.includes(transport)) {
+      throw new Error(`Unknown transport '${transport}'`);
+    }
+    this.transport = transport;
+    this.host = host;
+    this.port = port;
+    this.sockets = new Map();
+  }
+
+  async socketFor(stream) {
+    if (!this.sockets.has(stream)) {
+      if (this.transport === 'udp') {
+        this.sockets.set(stream, dgram.createSocket('udp4'));
+      } else {
+        const socket = net.connect(this.port, this.host);
+        socket.setNoDelay(true);
+        this.sockets.set(stream, socket);
+        await once(socket, 'connect');
+      }
+    }
+    return this.sockets.get(stream);
+  }
+
+  async send(data, stream = 0) {
+    const socket = await this.socketFor(stream);
+    if (this.transport === 'udp') {
+      await new Promise((resolve, reject) => {
+        socket.send(data, this.port, this.host, (error) => (error ? reject(error) : resolve()));
+      });
+    } else if (!socket.write(data)) {
+      await once(socket, 'drain');
+    }
+  }
+
+  async close() {
+    for (const socket of this.sockets.values()) {
+      if (this.transport === 'udp') {
+        socket.close();
+      } else {
+        socket.end();
+        await once(socket, 'close');
+      }
+    }
+    this.sockets.clear();
+  }
+}
+
+module.exports = {
+  UdpReceiver,
+  TcpReceiver,
+  PacketSender,
+};
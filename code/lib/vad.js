@@ -0,0 +1,172 @@
+/*
+ * =======================================================================
+ * VOICE ACTIVITY DETECTION - SPEECH / SILENCE DECISIONS WITH HANGOVER
+ * =======================================================================
+ *
+ * Decides per 10 ms analysis frame whether the input is speech, from
+ * its energy against an adaptive noise floor and its zero-crossing rate:
+ *
+ * - a frame is speech when it is `thresholdDb` above the noise floor,
+ *   above `minEnergyDb` absolute, and crosses zero at most `maxZcr`
+ *   times per sample (broadband noise such as wind or hiss crosses far
+ *   more often than voiced speech)
+ * - speech starts after `minSpeechMs` of speech frames (clicks and knocks
+ *   are shorter) and ends after `hangoverMs` without one, so the pauses
+ *   between words do not split an utterance
+ * - the noise floor follows quiet input quickly and louder input slowly,
+ *   so a room getting noisier is absorbed within a few seconds. It never
+ *   rises above `maxNoiseDb`, so a stream that starts with speech (or a
+ *   long monologue) is not taken for noise
+ *
+ * Times are seconds of audio processed (stream time, gaps from lost
+ * packets included), so they line up with recordings of the same stream.
+ * =======================================================================
+ */
+
+const FRAME_MS = 10;
+const CALIBRATION_FRAMES = 20; // The floor settles on the first 200 ms of input
+const FLOOR_ATTACK = 0.3; // Per frame, towards quieter input
+const FLOOR_RELEASE = 0.02; // Per frame, towards louder input (about 0.5 s)
+const FLOOR_RELEASE_SPEAKING = 0.002; // While speaking (about 5 s)
+const SILENCE_DB = -100;
+
+/**
+ * ============================================================================
+ * VAD: VoiceActivityDetector - ENERGY + ZERO-CROSSING SPEECH DETECTION
+ * ============================================================================
+ *
+ * USAGE:
+ *   const vad = new VoiceActivityDetector({ sampleRate: 16000 });
+ *   for (const event of vad.process(frame)) { ... }   // Int16Array or float samples
+ *   // { type: 'speechstart', time } / { type: 'speechend', time, duration }
+ *
+ * OPTIONS:
+ * - sampleRate (16000)
+ * - thresholdDb (9): how far above the noise floor speech is
+ * - minEnergyDb (-50): dBFS below which nothing is speech
+ * - maxNoiseDb (-35): highest noise floor, in dBFS
+ * - maxZcr (0.4): zero crossings per sample above which a frame is noise
+ * - minSpeechMs (60), hangoverMs (300): see above
+ *
+ * `speaking` tells whether an utterance is in progress; a speechstart is
+ * reported when it is detected, with the time the speech began.
+ * ============================================================================
+ */
+class VoiceActivityDetector {
+  constructor(options = {}) {
+    const {
+      sampleRate = 16000,
+      thresholdDb = 9,
+      minEnergyDb = -50,
+      maxNoiseDb = -35,
+      maxZcr = 0.4,
+      minSpeechMs = 60,
+      hangoverMs = 300,
+    } = options;
+
+    this.sampleRate = sampleRate;
+    this.thresholdDb = thresholdDb;
+    this.minEnergyDb = minEnergyDb;
+    this.maxNoiseDb = maxNoiseDb;
+    this.maxZcr = maxZcr;
+    this.minSpeechMs = minSpeechMs;
+    this.hangoverMs = hangoverMs;
+    this.frameSize = Math.round(sampleRate * FRAME_MS / 1000);
+    this.frame = new Float32Array(this.frameSize);
+    this.reset();
+  }
+
+  /**
+   * Forgets the noise floor, any utterance in progress and the stream time.
+   */
+  reset() {
+    this.frameFill = 0;
+    this.frameCount = 0;
+    this.noiseFloorDb = this.minEnergyDb - this.thresholdDb;
+    this.speaking = false;
+    this.speechRun = 0; // Consecutive speech frames
+    this.silenceRun = 0; // Consecutive non-speech frames while speaking
+    this.speechStart = 0; // Seconds
+    this.lastSpeechEnd = 0; // Seconds
+  }
+
+  /**
+   * Seconds of audio processed so far.
+   */
+  get time() {
+    return (this.frameCount * this.frameSize + this.frameFill) / this.sampleRate;
+  }
+
+  /**
+   * Analyses `samples` (Int16Array as 16-bit, anything else as float)
+   * and returns the speechstart / speechend events they complete.
+   */
+  process(samples) {
+    const scale = samples instanceof Int16Array ? 1 / 32768 : 1;
+    const events = [];
+    for (let i = 0; i < samples.length; i++) {
+      this.frame[this.frameFill++] = samples[i] * scale;
+      if (this.frameFill === this.frameSize) {
+        this.analyseFrame(events);
+        this.frameFill = 0;
+      }
+    }
+    return events;
+  }
+
+  analyseFrame(events) {
+    const frame = this.frame;
+    let energy = 0;
+    let crossings = 0;
+    for (let i = 0; i < frame.length; i++) {
+      energy += frame[i] * frame[i];
+      if (i > 0 && (frame[i] >= 0) !== (frame[i - 1] >= 0)) {
+        crossings++;
+      }
+    }
+    const energyDb = energy > 0 ? 10 * Math.log10(energy / frame.length) : SILENCE_DB;
+    const zcr = crossings / (frame.length - 1);
+
+    const isSpeech = this.frameCount >= CALIBRATION_FRAMES
+      && energyDb > this.noiseFloorDb + this.thresholdDb
+      && energyDb > this.minEnergyDb
+      && zcr <= this.maxZcr;
+    this.updateNoiseFloor(energyDb, isSpeech);
+
+    this.frameCount++;
+    const frameEnd = this.frameCount * this.frameSize / this.sampleRate;
+
+    if (isSpeech) {
+      this.speechRun++;
+      this.silenceRun = 0;
+      this.lastSpeechEnd = frameEnd;
+      if (!this.speaking && this.speechRun * FRAME_MS >= this.minSpeechMs) {
+        this.speaking = true;
+        this.speechStart = (this.frameCount - this.speechRun) * this.frameSize / this.sampleRate;
+        events.push({ type: 'speechstart', time: this.speechStart });
+      }
+      return;
+    }
+
+    this.speechRun = 0;
+    if (this.speaking && ++this.silenceRun * FRAME_MS >= this.hangoverMs) {
+      this.speaking = false;
+      this.silenceRun = 0;
+      events.push({ type: 'speechend', time: this.lastSpeechEnd, duration: this.lastSpeechEnd - this.speechStart });
+    }
+  }
+
+  updateNoiseFloor(energyDb, isSpeech) {
+    let rate = FLOOR_RELEASE;
+    if (this.frameCount < CALIBRATION_FRAMES || energyDb < this.noiseFloorDb) {
+      rate = FLOOR_ATTACK;
+    } else if (isSpeech || this.speaking) {
+      rate = FLOOR_RELEASE_SPEAKING;
+    }
+    this.noiseFloorDb = Math.min(this.maxNoiseDb, this.noiseFloorDb + (energyDb - this.noiseFloorDb) * rate);
+  }
+}
+
+module.exports = {
+  VoiceActivityDetector,
+};
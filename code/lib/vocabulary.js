@@ -0,0 +1,137 @@
+/*
+ * =======================================================================
+ * CUSTOM VOCABULARY - CORRECTIONS AND PHRASE HINTS
+ * =======================================================================
+ *
+ * Vosk models know general English, not a studio: "reverb" comes out as
+ * "revert", "sidechain" as "side chain", track names as anything. A
+ * vocabulary file (code/vocabulary.json) fixes that in two ways:
+ *
+ *   {
+ *     "corrections": { "reverb": ["revert", "reverse herb"], "BPM": ["b p m"] },
+ *     "hints": ["revert", "side chain", "b p m"]
+ *   }
+ *
+ * - corrections map the intended term to what Vosk hears instead; every
+ *   recognized result is corrected before it is formatted and sent, its
+ *   word timings included ("side chain" → one word "sidechain")
+ * - hints are the phrases to bias recognition toward: in sRtin.js's
+ *   hints mode they become a Vosk grammar (with the [unk] fallback), so
+ *   they only work with words the model knows; spell them the way the
+ *   model does and let a correction turn them into the term you want
+ * =======================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function words(text) {
+  return String(text).toLowerCase().split(/\s+/).filter((word) => word !== '');
+}
+
+/**
+ * ============================================================================
+ * VOCABULARY: compileVocabulary() / loadVocabulary() - FILE VALIDATION
+ * ============================================================================
+ *
+ * Turns the vocabulary JSON into `{ corrections, hints }`: corrections as
+ * `{ heard: [words], term }`, longest first so "reverse herb" is tried
+ * before "reverse". Throws naming the bad entry (and the file, for
+ * loadVocabulary).
+ * ============================================================================
+ */
+function compileVocabulary(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('A vocabulary needs "corrections" and/or "hints"');
+  }
+
+  const corrections = [];
+  for (const [term, heard] of Object.entries(json.corrections || {})) {
+    const variants = [].concat(heard);
+    if (variants.length === 0 || variants.some((variant) => typeof variant !== 'string' || words(variant).length === 0)) {
+      throw new Error(`Correction "${term}" needs the phrases it is misheard as`);
+    }
+    variants.forEach((variant) => corrections.push({ heard: words(variant), term: term }));
+  }
+  corrections.sort((a, b) => b.heard.length - a.heard.length);
+
+  const hints = json.hints || [];
+  if (!Array.isArray(hints) || hints.some((hint) => typeof hint !== 'string' || words(hint).length === 0)) {
+    throw new Error('"hints" must be a list of phrases');
+  }
+  return { corrections: corrections, hints: hints.map((hint) => words(hint).join(' ')) };
+}
+
+function loadVocabulary(fileName) {
+  try {
+    return compileVocabulary(JSON.parse(fs.readFileSync(fileName, 'utf8')));
+  } catch (error) {
+    throw new Error(`${path.basename(fileName)}: ${error.message}`);
+  }
+}
+
+/**
+ * Splits lowercase tokens into spans `{ text, start, end }`: the term of
+ * each correction found, the token itself everywhere else.
+ */
+function correctTokens(tokens, corrections) {
+  const spans = [];
+  let i = 0;
+  while (i < tokens.length) {
+    const found = corrections.find((correction) => i + correction.heard.length <= tokens.length
+      && correction.heard.every((word, k) => tokens[i + k] === word));
+    const end = found ? i + found.heard.length : i + 1;
+    spans.push({ text: found ? found.term : tokens[i], start: i, end: end, corrected: Boolean(found) });
+    i = end;
+  }
+  return spans;
+}
+
+/**
+ * ============================================================================
+ * VOCABULARY: applyVocabulary() - CORRECTING A RECOGNIZER RESULT
+ * ============================================================================
+ *
+ * Returns a copy of a SpeechRecognizer result (`{ type, text, words? }`)
+ * with the corrections applied, or the result itself when nothing
+ * changed (null stays null). Corrected words keep the time span of what
+ * was heard and the lowest confidence in it.
+ * ============================================================================
+ */
+function applyVocabulary(result, vocabulary) {
+  if (!result || !vocabulary || vocabulary.corrections.length === 0) {
+    return result;
+  }
+
+  const tokens = result.text.split(' ').filter((word) => word !== '');
+  const spans = correctTokens(tokens.map((word) => word.toLowerCase()), vocabulary.corrections);
+  if (!spans.some((span) => span.corrected)) {
+    return result;
+  }
+
+  const corrected = Object.assign({}, result, {
+    text: spans.map((span) => (span.corrected ? span.text : tokens[span.start])).join(' '),
+  });
+  if (result.words) {
+    corrected.words = correctTokens(result.words.map((word) => word.word.toLowerCase()), vocabulary.corrections)
+      .map((span) => {
+        const heard = result.words.slice(span.start, span.end);
+        if (!span.corrected) {
+          return heard[0];
+        }
+        return {
+          word: span.text,
+          start: heard[0].start,
+          end: heard[heard.length - 1].end,
+          conf: Math.min(...heard.map((word) => word.conf)),
+        };
+      });
+  }
+  return corrected;
+}
+
+module.exports = {
+  compileVocabulary,
+  loadVocabulary,
+  applyVocabulary,
+};
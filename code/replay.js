@@ -0,0 +1,95 @@
+/*
+ * =======================================================================
+ * REPLAY - RE-SEND A PACKET CAPTURE TO A UDP / TCP RECEIVER
+ * =======================================================================
+ *
+ * Plays back a capture made with 'startCapture' in UDP.js or TCP.js
+ * (lib/capture.js), so a user's clicks or dropouts can be reproduced
+ * against a local receiver. Runs under plain node, not in Max:
+ *
+ *   node replay.js bug.jitcap                       # to 127.0.0.1:7778, original timing
+ *   node replay.js bug.jitcap --port 7790 --speed 4
+ *   node replay.js bug.jitcap --loss 0.05 --jitter 30 --seed 1
+ *   node replay.js tcp.jitcap --tcp --port 7474 --speed 0
+ *
+ * OPTIONS:
+ * --host, --port      receiver address (default 127.0.0.1:7778)
+ * --udp / --tcp       transport (default: the one the capture was made with)
+ * --speed <x>         1 = original timing, 0 = as fast as possible
+ * --loss <0-1>        drop each packet with this probability (UDP only)
+ * --jitter <ms>       random extra delay per packet, reorders UDP packets
+ * --seed <n>          repeatable loss / jitter
+ * --loop <n>          play the capture n times
+ * =======================================================================
+ */
+
+const { parseArgs } = require('util');
+const { PacketSender } = require('./lib/transports');
+const { readCapture, replayCapture, seededRandom } = require('./lib/capture');
+
+const DEFAULT_PORT = 7778;
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      host: { type: 'string', default: '127.0.0.1' },
+      port: { type: 'string', default: String(DEFAULT_PORT) },
+      udp: { type: 'boolean', default: false },
+      tcp: { type: 'boolean', default: false },
+      speed: { type: 'string', default: '1' },
+      loss: { type: 'string', default: '0' },
+      jitter: { type: 'string', default: '0' },
+      seed: { type: 'string' },
+      loop: { type: 'string', default: '1' },
+    },
+  });
+
+  if (positionals.length !== 1) {
+    throw new Error('Usage: node replay.js <capture.jitcap> [--port n] [--host h] [--udp|--tcp] [--speed x] [--loss p] [--jitter ms] [--seed n] [--loop n]');
+  }
+  if (values.udp && values.tcp) {
+    throw new Error('Choose one of --udp and --tcp');
+  }
+
+  return {
+    fileName: positionals[0],
+    host: values.host,
+    port: Number(values.port),
+    transport: values.tcp ? 'tcp' : values.udp ? 'udp' : null,
+    speed: Number(values.speed),
+    loss: Number(values.loss),
+    jitterMs: Number(values.jitter),
+    random: values.seed === undefined ? Math.random : seededRandom(Number(values.seed)),
+    loop: Number(values.loop),
+  };
+}
+
+async function main() {
+  const options = parseOptions(process.argv.slice(2));
+  const capture = readCapture(options.fileName);
+  const transport = options.transport || capture.transport;
+  const sender = new PacketSender({ transport: transport, host: options.host, port: options.port });
+
+  console.log(`Replaying ${capture.packets.length} packets from ${options.fileName} (${capture.transport} capture) to ${transport} ${options.host}:${options.port}`);
+  try {
+    for (let round = 0; round < options.loop; round++) {
+      const result = await replayCapture(capture, {
+        send: (data, stream) => sender.send(data, stream),
+        speed: options.speed,
+        loss: options.loss,
+        jitterMs: options.jitterMs,
+        random: options.random,
+      });
+      console.log(`Sent ${result.sent} packets, dropped ${result.dropped}.`);
+    }
+  } finally {
+    await sender.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
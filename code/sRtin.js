@@ -33,38 +33,150 @@
  */
 
 const path = require('path');
-const Max = require('max-api');
-const vosk = require('vosk');
-const fs = require("fs");
-const dgram = require('dgram');
-const wav = require('wav');
-const { Writable, Readable } = require('stream');
-const { pipeline } = require('stream/promises');
-const wordsToNumbers = require('words-to-numbers').default;
-
-const MODEL_PATH = "../model/vosk-model";
-const INPUT_SAMPLE_RATE = 44100;
+const Max = require('./lib/maxApi');
+const { selectChannel } = require('./lib/channels');
+const { SequenceReceiver, CONCEALMENT_MODES } = require('./lib/sequence');
+const { JitterBuffer } = require('./lib/jitterBuffer');
+const { Resampler } = require('./lib/resampler');
+const { RingBuffer } = require('./lib/ringBuffer');
+const { ArrivalRateMonitor } = require('./lib/rateMonitor');
+const { ScriptConfig, addConfigHandlers, portSetting, sampleRateSetting } = require('./lib/config');
+const { UdpReceiver } = require('./lib/transports');
+const { StreamingRecorder, RECORDING_SETTINGS, addRecordingHandlers, floatToInt16, nextFileName } = require('./lib/recorder');
+const { UtteranceSegmenter, saveSegment } = require('./lib/segments');
+const { SpeechRecognizer } = require('./lib/recognizer');
+const { ModelLibrary, ModelRoute } = require('./lib/models');
+const { VoiceActivityDetector } = require('./lib/vad');
+const { specialFormatting } = require('./lib/formatter');
+const { CommandMatcher, loadGrammar, grammarFromFile, grammarVocabulary, loadPhrases } = require('./lib/commands');
+const { compileVocabulary, loadVocabulary, applyVocabulary } = require('./lib/vocabulary');
+const { LISTEN_MODES, ListenGate } = require('./lib/listening');
+
+const MODEL_PATH = "../model/vosk-model"; // Default until set by config.json or 'model'
+const MAIN_MODEL = 'main'; // Name of the 'model' setting's model among the loaded ones
+const INPUT_SAMPLE_RATE = 44100; // Default until set by config.json, 'samplerate' or a packet header
 const TARGET_SAMPLE_RATE = 16000;
-const BIT_DEPTH = 16;
-const CHANNELS = 1;
+const DEFAULT_FRAME_MS = 50; // Audio per acceptWaveform() call, ~20-100 ms keeps partials fast
+const MIN_FRAME_MS = 10;
+const MAX_FRAME_MS = 500;
+const RING_SECONDS = 2; // Capacity of the 16 kHz ring buffer feeding Vosk
+const STATS_REPORT_INTERVAL = 1000; // Time interval to report loss and jitter stats to Max (in milliseconds)
+const VAD_PADDING_MS = 300; // Audio before a detected speech start that still goes to Vosk and the recording
+
+// Settings from the "sRtin" section of config.json, changeable live with 'set <key> <value>'
+const config = new ScriptConfig('sRtin', Object.assign({
+  port: portSetting(7778),
+  model: { type: 'string', default: MODEL_PATH },
+  sampleRate: sampleRateSetting(INPUT_SAMPLE_RATE),
+  frameMs: { type: 'number', default: DEFAULT_FRAME_MS, min: MIN_FRAME_MS, max: MAX_FRAME_MS },
+  channel: { type: 'integer', default: 0, min: 0 },
+  latencyMs: { type: 'number', default: 60, min: 0 },
+  adaptive: { type: 'boolean', default: true },
+  concealment: { type: 'enum', default: 'interpolate', values: CONCEALMENT_MODES },
+  recordingPrefix: { type: 'string', default: 'recording' },
+  vad: { type: 'boolean', default: false },
+  vadGate: { type: 'boolean', default: true },
+  vadRecord: { type: 'boolean', default: false },
+  vadThresholdDb: { type: 'number', default: 9, min: 0 },
+  vadHangoverMs: { type: 'number', default: 300, min: 0 },
+  segments: { type: 'boolean', default: false },
+  segmentName: { type: 'string', default: 'utterance_{date}_{take}' },
+  wordOutput: { type: 'enum', default: 'off', values: ['off', 'json', 'dict'] },
+  commandsFile: { type: 'string', default: 'commands.json' },
+  recognitionMode: { type: 'enum', default: 'dictation', values: ['dictation', 'command', 'hints'] },
+  grammarFile: { type: 'string', default: '', allowEmpty: true }, // '' = the words of commandsFile
+  vocabularyFile: { type: 'string', default: 'vocabulary.json' },
+  listenMode: { type: 'enum', default: 'always', values: LISTEN_MODES },
+  wakePhrase: { type: 'string', default: 'hey max' },
+  wakeWindowMs: { type: 'number', default: 5000, min: 0 },
+}, RECORDING_SETTINGS), { log: (message) => Max.post(message) });
 
-let server;
-let port = 7778;
 let lastPartialResult = '';
-let isRecording = false;
-let recordingAudio = [];
-let audioBuffer = [];
+let recognitionChannel = config.get('channel'); // 1-based channel fed to Vosk, 0 = downmix all channels
+let missingChannelReported = false;
+let lastLossReport = '';
+let inputSampleRate = config.get('sampleRate');
 
-Max.post(`Loaded the ${path.basename(__filename)} script`);
+// Lost packets are concealed so Vosk hears audio with its real timing
+const sequenceReceiver = new SequenceReceiver({
+  concealment: config.get('concealment'),
+  maxConcealFrames: inputSampleRate,
+});
+const rateMonitor = new ArrivalRateMonitor();
+const receiver = new UdpReceiver(handlePacket, { log: (message) => Max.post(message) });
+
+// Recognized 16 kHz audio, written to <recordingPrefix>_<time>.wav (or .aif / .flac) as it is recognized
+const recorder = new StreamingRecorder({
+  fileName: () => `${config.get('recordingPrefix')}_{timestamp}`,
+  log: (message) => Max.post(message),
+});
+
+// Stateful input rate → 16 kHz converter, keeps filter history across chunks
+let resampler = new Resampler({ inputRate: inputSampleRate, outputRate: TARGET_SAMPLE_RATE });
+let resampledInt16 = new Int16Array(0); // downsampleAudio() output, reused and grown as needed
+
+// 16 kHz samples waiting to be sent to Vosk, one frame at a time
+const recognizerRing = new RingBuffer(TARGET_SAMPLE_RATE * RING_SECONDS, Int16Array);
+let frameSamples = 0;
+let recognizerFrame = null;
+let streamPosition = 0; // 16 kHz samples taken for recognition so far: the clock of speechstart and word times
+setFrameSize(config.get('frameMs'));
+
+// Voice activity detection on the 16 kHz audio: speechstart / speechend, Vosk gating, per-utterance takes
+let vadOrigin = 0; // streamPosition the VAD's own clock started at
+let vad = createVad();
+let gatedFrames = []; // Recent { samples, position } held back while gated, fed to Vosk when speech starts
+let vadRecording = false; // The current take was started by the VAD
 
-if (!fs.existsSync(MODEL_PATH)) {
-  Max.post("Model not found. Please check the model path.");
-  process.exit(1);
+// The audio Vosk heard, cut into one file + JSON transcript per final result when 'segments' is on
+const segmenter = new UtteranceSegmenter({ sampleRate: TARGET_SAMPLE_RATE });
+let segmentTake = 0;
+
+// Files named in the settings are relative to this folder
+const localPath = (fileName) => path.resolve(__dirname, fileName);
+
+// Corrections for what Vosk mishears, and the phrases of hints mode
+let vocabulary = compileVocabulary({});
+try {
+  vocabulary = loadVocabulary(localPath(config.get('vocabularyFile')));
+} catch (error) {
+  Max.post(`${error.message}. No custom vocabulary.`);
 }
 
-vosk.setLogLevel(-1);
-const model = new vosk.Model(MODEL_PATH);
-const rec = new vosk.Recognizer({ model: model, sampleRate: TARGET_SAMPLE_RATE });
+// Voice commands from the grammar file, sent as 'command <name> <values...>'
+const commands = new CommandMatcher(grammarFromFile(localPath(config.get('commandsFile')), (message) => Max.post(message)));
+let grammarMessagePhrases = null; // Phrases from the 'grammar' message, used instead of grammarFile
+
+// When commands count: always, after the wake phrase, or while 'listen 1' holds; reported as 'listening 0|1'
+const listenGate = new ListenGate({
+  mode: config.get('listenMode'),
+  wakePhrase: config.get('wakePhrase'),
+  windowMs: config.get('wakeWindowMs'),
+  onChange: (listening) => Max.outlet('listening', listening ? 1 : 0),
+});
+
+// Vosk models by name, loaded in the background: 'main' from the model setting, others from 'loadModel <path> <name>'
+const models = new ModelLibrary({ log: (message) => Max.post(message) });
+let activeModel = MAIN_MODEL; // The model the recognizer below uses ('useModel')
+const routes = new Map(); // channel → ModelRoute recognizing it with another model ('route')
+
+// Smooths bursty arrivals into a steady stream before recognition
+const jitterBuffer = new JitterBuffer(feedRecognizer, {
+  sampleRate: inputSampleRate,
+  targetLatencyMs: config.get('latencyMs'),
+  adaptive: config.get('adaptive'),
+});
+
+Max.post(`Loaded the ${path.basename(__filename)} script`);
+
+const recognizer = new SpeechRecognizer({ sampleRate: TARGET_SAMPLE_RATE, logLevel: -1 });
+try {
+  recognizer.setGrammar(recognitionGrammar());
+} catch (error) {
+  Max.post(`${error.message}. Using the words of the voice commands.`);
+  recognizer.setGrammar(grammarVocabulary(commands.grammar));
+}
+loadModel(config.get('model'));
 
 /**
  * ============================================================================
@@ -82,9 +194,10 @@ const rec = new vosk.Recognizer({ model: model, sampleRate: TARGET_SAMPLE_RATE }
  * 4. Coordinates speech recognition workflow
  * 
  * TECHNICAL DETAILS:
- * - Creates UDP socket on port 7778 for low-latency audio streaming
+ * - Creates UDP socket on port 7778 (config.json / 'port <n>', rebinds live)
  * - Handles incoming matrix data from Max/MSP or external sources
- * - Processes audio through: Reception → Conversion → Buffering → Recognition
+ * - Processes audio through: Reception → Loss concealment → Jitter buffer →
+ *   Resampling to 16 kHz → Ring buffer → Recognition in small frames
  * - Manages real-time audio buffer to prevent overflow/underflow
  * 
  * NETWORK PROTOCOL CHOICE:
@@ -93,111 +206,343 @@ const rec = new vosk.Recognizer({ model: model, sampleRate: TARGET_SAMPLE_RATE }
  * - Packet loss creates brief audio gaps rather than system delays
  * 
  * DEPENDENCIES:
- * - Requires convertMatrixToFloat32(), processAudioWithVosk()
+ * - Requires UdpReceiver (lib/transports.js), processAudioWithVosk()
  * - Integrates with Vosk speech recognition engine
  * - Connects to Max/MSP audio pipeline
  * ============================================================================
  */
 function startServer() {
-  if (server) {
-    server.close();
-  }
+  receiver.listen(config.get('port'));
+}
 
-  server = dgram.createSocket('udp4');
+/**
+ * Handles one decoded packet from the receiver: sample rate changes,
+ * loss concealment, then the jitter buffer.
+ */
+function handlePacket(packet, header) {
+  // A version 2 sequence header carries the sender's sample rate (throws, dropping the packet, if invalid)
+  if (header && header.sampleRate) {
+    config.set('sampleRate', header.sampleRate, 'packet header');
+  }
 
-  server.on('listening', () => {
-    const address = server.address();
-    Max.post(`UDP server listening on ${address.address}:${address.port}`);
+  // Concealment for lost packets comes first, late/duplicate packets yield nothing
+  const blocks = sequenceReceiver.receive(header, packet.channels);
+  blocks.forEach((channels, index) => {
+    checkArrivalRate(channels[0].length);
+    if (index < blocks.length - 1) {
+      jitterBuffer.pushConcealed(channels);
+    } else {
+      jitterBuffer.push(channels);
+    }
   });
+}
 
-  server.on('message', (data, rinfo) => {
-    const floatData = convertMatrixToFloat32(data);
-    if (floatData.length === 0) return;
+/**
+ * Resamples one block of per-channel samples (a packet or a concealed gap)
+ * to 16 kHz as it arrives and runs recognition on every complete frame.
+ */
+function feedRecognizer(channels) {
+  // Routes follow push-to-talk like the main recognizer
+  if (!talkButtonUp()) {
+    routes.forEach((route, channel) => {
+      route.process(channels).forEach((result) => outputRouteResult(channel, result));
+    });
+  }
 
-    const int16Data = convertFloat32ToInt16(floatData);
-    audioBuffer = audioBuffer.concat(Array.from(int16Data));
+  // Vosk needs mono: pick the selected channel or downmix them all
+  const floatData = selectChannel(channels, recognitionChannel);
+  if (!floatData) {
+    if (!missingChannelReported) {
+      Max.post(`Channel ${recognitionChannel} not in stream (${channels.length} channels).`);
+      missingChannelReported = true;
+    }
+    return;
+  }
+  if (floatData.length === 0) return;
 
-    while (audioBuffer.length >= TARGET_SAMPLE_RATE) {
-      const chunk = audioBuffer.slice(0, TARGET_SAMPLE_RATE);
-      audioBuffer = audioBuffer.slice(TARGET_SAMPLE_RATE);
+  recognizerRing.write(downsampleAudio(floatData));
 
-      const downsampledData = downsampleAudio(chunk, INPUT_SAMPLE_RATE, TARGET_SAMPLE_RATE);
+  while (recognizerRing.available >= frameSamples) {
+    recognizerRing.read(frameSamples, recognizerFrame);
 
-      if (isRecording) {
-        recordingAudio = recordingAudio.concat(Array.from(downsampledData));
-      }
+    recorder.append([recognizerFrame], TARGET_SAMPLE_RATE);
 
-      processAudioWithVosk(downsampledData);
+    if (config.get('vad')) {
+      processWithVad(recognizerFrame);
+    } else {
+      processAudioWithVosk(recognizerFrame);
     }
-  });
+    streamPosition += frameSamples;
+  }
+}
 
-  server.on('error', (err) => {
-    Max.post(`Server error: ${err.message}`);
+function createVad() {
+  vadOrigin = streamPosition;
+  return new VoiceActivityDetector({
+    sampleRate: TARGET_SAMPLE_RATE,
+    thresholdDb: config.get('vadThresholdDb'),
+    hangoverMs: config.get('vadHangoverMs'),
   });
-
-  server.bind(port);
 }
 
 /**
- * ============================================================================
- * DATA CONVERSION: convertMatrixToFloat32() - AUDIO DATA PARSER [HIGH IMPORTANCE]
- * ============================================================================
- * 
- * Converts incoming binary matrix data to usable float32 audio samples.
- * 
- * 
- * WHAT IT DOES:
- * 1. Parses binary matrix data from network packets
- * 2. Extracts float32 audio samples with proper byte ordering
- * 3. Filters invalid/corrupted audio values
- * 4. Maintains audio sample indexing for processing pipeline
- * 
- * TECHNICAL DETAILS:
- * - Reads big-endian float values from binary buffer
- * - Skips header data (first 131*4 bytes) to reach audio samples
- * - Validates audio values (absolute value < 1 for normalized audio)
- * - Handles network byte order conversion automatically
- * 
- * PROTOCOL RELEVANCE:
- * - Essential for both UDP and TCP audio systems
- * - UDP: Processes packets as they arrive (may be out of order)
- * - TCP: Processes sequential data stream (guaranteed order)
- * 
- * ERROR HANDLING:
- * - Gracefully handles corrupted packets or invalid data
- * - Continues processing valid samples even if some are corrupted
- * - Critical for UDP systems where packet corruption is possible
- * ============================================================================
+ * Runs one frame through the VAD: reports speechstart / speechend, starts
+ * and stops takes when vadRecord is on, and when vadGate is on feeds Vosk
+ * only during utterances (plus VAD_PADDING_MS before), flushing its final
+ * result at each speechend.
  */
-function convertMatrixToFloat32(matrixData) {
-  const floatData = [];
-  const skipCount = 131 * 4;
+function processWithVad(frame) {
+  const events = vad.process(frame);
+  for (const event of events) {
+    if (event.type === 'speechstart') {
+      Max.outlet('speechstart', Number((event.time + vadOrigin / TARGET_SAMPLE_RATE).toFixed(3)));
+      if (config.get('vadRecord') && !recorder.recording) {
+        recorder.start(vad.time - event.time + VAD_PADDING_MS / 1000);
+        vadRecording = true;
+        Max.post('Recording started (speech).');
+      }
+    } else {
+      Max.outlet('speechend', Number((event.time + vadOrigin / TARGET_SAMPLE_RATE).toFixed(3)), Number(event.duration.toFixed(3)));
+      if (vadRecording) {
+        stopRecording();
+      }
+    }
+  }
 
-  for (let i = 0; i < matrixData.length - 3; i += 4) {
-    if (i < skipCount) {
-      continue;
+  if (!config.get('vadGate')) {
+    processAudioWithVosk(frame);
+    return;
+  }
+  if (!vad.speaking && events.length === 0) {
+    // Keep enough audio to cover the detection delay and a little before
+    gatedFrames.push({ samples: frame.slice(), position: streamPosition });
+    while (gatedFrames.length * frame.length > (vad.minSpeechMs + VAD_PADDING_MS) * TARGET_SAMPLE_RATE / 1000) {
+      gatedFrames.shift();
     }
+    return;
+  }
 
+  gatedFrames.forEach((gated) => processAudioWithVosk(gated.samples, gated.position));
+  gatedFrames = [];
+  processAudioWithVosk(frame);
+  if (!vad.speaking) {
+    outputPendingText();
+  }
+}
+
+/**
+ * Loads the Vosk model at `modelPath` as `name` in the background; audio
+ * keeps going to the current model until it is ready. Recognition then
+ * switches to it when it is the main model or the one in use, and so do
+ * the routes using `name`, text pending in their old recognizer output
+ * first. A model that fails to load is posted and changes nothing; a
+ * failure to switch to a loaded one is posted on its own.
+ */
+function loadModel(modelPath, name = MAIN_MODEL) {
+  Max.post(`Loading the Vosk model ${modelPath}${name === MAIN_MODEL ? '' : ` as ${name}`}...`);
+  const onLoaded = (entry) => {
+    if (!entry) {
+      return; // Replaced by a later load of the same name
+    }
+    Max.post(`Vosk model loaded from ${modelPath}`);
     try {
-      const value = matrixData.readFloatBE(i);
-      if (Math.abs(value) < 10) {
-        floatData.push(value);
+      if (name === MAIN_MODEL) {
+        config.set('model', modelPath, 'loadModel message');
       }
+      if (name === MAIN_MODEL || name === activeModel) {
+        useModel(name);
+      }
+      routes.forEach((route, channel) => {
+        if (route.modelName === name) {
+          outputRouteText(channel, route.useModel(entry.model, entry.path));
+        }
+      });
     } catch (error) {
-      Max.post(`Error reading float value at index ${i}: ${error.message}`);
-      break;
+      Max.post(`Loaded ${modelPath} but could not switch to it: ${error.message}`);
+    }
+  };
+
+  const onLoadError = (error) => {
+    Max.post(`Could not load the Vosk model: ${error.message}. ${recognizer.loaded
+      ? `Still recognizing with ${recognizer.modelPath}.`
+      : "Send 'loadModel <path>' with the folder of a model unpacked from https://alphacephei.com/vosk/models."}`);
+    if (name === MAIN_MODEL && models.has(MAIN_MODEL)) {
+      config.set('model', models.get(MAIN_MODEL).path, 'loadModel message');
     }
+  };
+
+  models.load(name, modelPath).then(onLoaded, onLoadError);
+}
+
+/**
+ * Switches recognition to the loaded model `name`, outputting the text
+ * pending in the old recognizer.
+ */
+function useModel(name) {
+  const entry = models.get(name);
+  restartRecognition(recognizer.useModel(entry.model, entry.path));
+  activeModel = name;
+  Max.post(`Recognizing with the ${name} model (${entry.path}).`);
+}
+
+/**
+ * Recognizes `channel` with the loaded model `name` as well, or stops
+ * doing so when `name` is null. Throws for a model that is not loaded.
+ */
+function setRoute(channel, name) {
+  if (name !== null && !models.has(name)) {
+    throw new Error(`No model '${name}' loaded (loaded: ${models.names.join(', ') || 'none'})`);
+  }
+  const current = routes.get(channel);
+  if (current) {
+    outputRouteText(channel, current.finish());
+    current.free();
+    routes.delete(channel);
   }
+  if (name === null) {
+    return;
+  }
+
+  const entry = models.get(name);
+  const route = new ModelRoute({
+    model: entry.model,
+    modelPath: entry.path,
+    channel: channel,
+    inputRate: inputSampleRate,
+    sampleRate: TARGET_SAMPLE_RATE,
+    frameMs: config.get('frameMs'),
+  });
+  route.modelName = name;
+  routes.set(channel, route);
+}
 
-  return floatData;
+/**
+ * Results of a routed channel: final text as
+ * 'transcript <channel> <model> <text>', partial results posted.
+ */
+function outputRouteResult(channel, result) {
+  const formattedText = specialFormatting(result.text, {});
+  const name = routes.get(channel).modelName;
+  if (result.type === 'final') {
+    Max.post(`Final Result (channel ${channel}, ${name}): ${formattedText}`);
+    Max.outlet('transcript', channel, name, formattedText);
+  } else {
+    Max.post(`Partial Result (channel ${channel}, ${name}): ${formattedText}`);
+  }
 }
 
-function convertFloat32ToInt16(float32Array) {
-  const int16Array = new Int16Array(float32Array.length);
-  for (let i = 0; i < float32Array.length; i++) {
-    int16Array[i] = Math.max(-32768, Math.min(32767, Math.round(float32Array[i] * 32767)));
+function outputRouteText(channel, text) {
+  if (text) {
+    outputRouteResult(channel, { type: 'final', text: text });
   }
-  return int16Array;
+}
+
+/**
+ * Outputs the text pending in a replaced recognizer and starts over
+ * with the new one.
+ */
+function restartRecognition(pending) {
+  if (pending) {
+    Max.outlet(specialFormatting(applyVocabulary({ type: 'final', text: pending }, vocabulary).text, {}));
+  }
+  segmenter.reset(); // Word times of the new recognizer start at 0
+  lastPartialResult = '';
+}
+
+/**
+ * The phrases Vosk is restricted to: null in dictation mode, in command
+ * mode those of the 'grammar' message, grammarFile or else every word of
+ * the voice commands, in hints mode the vocabulary hints and the words
+ * of the voice commands. Throws when grammarFile cannot be read.
+ */
+function recognitionGrammar() {
+  const mode = config.get('recognitionMode');
+  if (mode === 'dictation') {
+    return null;
+  }
+  if (mode === 'hints') {
+    return Array.from(new Set(vocabulary.hints.concat(grammarVocabulary(commands.grammar))));
+  }
+  if (grammarMessagePhrases) {
+    return grammarMessagePhrases;
+  }
+  if (config.get('grammarFile')) {
+    return loadPhrases(localPath(config.get('grammarFile')));
+  }
+  return grammarVocabulary(commands.grammar);
+}
+
+/**
+ * Switches the recognizer to the current mode and grammar, keeping the
+ * model loaded. Throws (changing nothing) when the grammar cannot be read.
+ */
+function applyRecognitionMode() {
+  const grammar = recognitionGrammar();
+  restartRecognition(recognizer.setGrammar(grammar));
+  const mode = config.get('recognitionMode');
+  Max.post(grammar ? `${mode === 'hints' ? 'Hints' : 'Command'} mode: ${grammar.length} words / phrases.` : 'Dictation mode.');
+}
+
+/**
+ * Sets how much 16 kHz audio goes to Vosk per acceptWaveform() call.
+ * Smaller frames give faster partial results at a little more CPU.
+ */
+function setFrameSize(frameMs) {
+  frameSamples = Math.round((frameMs / 1000) * TARGET_SAMPLE_RATE);
+  recognizerFrame = new Int16Array(frameSamples);
+}
+
+/**
+ * Applies a new input sample rate to the jitter buffer clock, loss
+ * concealment limits and the 16 kHz resampler.
+ */
+function setInputSampleRate(sampleRate, source) {
+  if (sampleRate === inputSampleRate) {
+    return;
+  }
+  inputSampleRate = sampleRate;
+  jitterBuffer.setSampleRate(sampleRate);
+  sequenceReceiver.maxConcealFrames = sampleRate;
+  resampler = new Resampler({ inputRate: sampleRate, outputRate: TARGET_SAMPLE_RATE });
+  routes.forEach((route) => route.setInputRate(sampleRate));
+  rateMonitor.reset();
+  Max.post(`Input sample rate set to ${sampleRate} Hz (${source}).`);
+}
+
+/**
+ * Warns when audio arrives faster or slower than the configured rate,
+ * which usually means the Live set runs at a different sample rate.
+ */
+function checkArrivalRate(frameCount) {
+  const mismatch = rateMonitor.push(frameCount, inputSampleRate);
+  if (mismatch) {
+    Max.post(`Warning: audio arrives at ~${Math.round(mismatch.measuredRate)} Hz but the input sample rate is ${inputSampleRate} Hz. Send 'samplerate <hz>' to match the sender.`);
+  }
+}
+
+/**
+ * Reports sequence statistics to Max when they change:
+ * loss <received> <lostPackets> <lostFrames> <concealedFrames> <late> <duplicates>
+ */
+function reportLoss() {
+  const stats = sequenceReceiver.stats;
+  const report = [stats.received, stats.lostPackets, stats.lostFrames,
+    stats.concealedFrames, stats.late, stats.duplicates];
+  const key = report.join(' ');
+  if (key !== lastLossReport) {
+    lastLossReport = key;
+    Max.outlet('loss', ...report);
+  }
+}
+
+/**
+ * Reports the jitter buffer state to Max:
+ * jitter <depthMs> <targetMs> <jitterMs> <underruns> <overruns>
+ */
+function reportJitter() {
+  const status = jitterBuffer.status();
+  Max.outlet('jitter', Math.round(status.depthMs), Math.round(status.targetMs),
+    Number(status.jitterMs.toFixed(2)), status.underruns, status.overruns);
 }
 
 /**
@@ -210,14 +555,15 @@ function convertFloat32ToInt16(float32Array) {
  * IMPORTANCE: ⭐⭐⭐⭐ (HIGH - Essential for Vosk speech recognition)
  * 
  * WHAT IT DOES:
- * 1. Converts audio from 44100 Hz (Max/MSP standard) to 16000 Hz (Vosk requirement)
+ * 1. Converts audio from the input rate (44.1/48/96 kHz, see 'samplerate') to 16000 Hz (Vosk requirement)
  * 2. Performs intelligent resampling to preserve audio quality
  * 3. Reduces data size while maintaining speech intelligibility
  * 4. Prepares audio for optimal AI speech recognition processing
  * 
  * TECHNICAL DETAILS:
- * - Sample rate conversion: 44.1 kHz → 16 kHz (2.76:1 ratio)
- * - Linear interpolation for smooth audio resampling
+ * - Sample rate conversion: e.g. 44.1 kHz → 16 kHz (2.76:1 ratio), 48 kHz → 16 kHz (3:1)
+ * - Windowed-sinc resampling with anti-alias low-pass (lib/resampler.js)
+ * - Stateful: filter history carries over, no clicks at chunk boundaries
  * - Maintains audio timing and pitch characteristics
  * - Reduces computational load on speech recognition engine
  * 
@@ -240,54 +586,12 @@ function convertFloat32ToInt16(float32Array) {
  * - Essential preprocessing step before AI speech recognition
  * ============================================================================
  */
-function downsampleAudio(audioData, fromSampleRate, toSampleRate) {
-  const sampleRateRatio = fromSampleRate / toSampleRate;
-  const newLength = Math.round(audioData.length / sampleRateRatio);
-  const downsampledData = new Int16Array(newLength);
-
-  for (let i = 0; i < newLength; i++) {
-    const position = i * sampleRateRatio;
-    const index = Math.floor(position);
-    const fraction = position - index;
-
-    if (index + 1 < audioData.length) {
-      downsampledData[i] = Math.round(audioData[index] * (1 - fraction) + audioData[index + 1] * fraction);
-    } else {
-      downsampledData[i] = audioData[index];
-    }
+function downsampleAudio(floatData) {
+  const resampled = resampler.process(floatData);
+  if (resampledInt16.length < resampled.length) {
+    resampledInt16 = new Int16Array(Math.max(resampled.length, resampledInt16.length * 2));
   }
-
-  return downsampledData;
-}
-
-function specialFormatting(inputString, options) {
-  let formattedString = inputString;
-
-  // Check for 'minus'
-  const isNegative = /^minus\\b/.test(inputString);
-  if (isNegative) {
-    formattedString = formattedString.replace(/\\bminus\\b/, '').trim();
-  }
-
-  // Check for 'percent'
-  const isPercent = /\\bpercent\\b/.test(formattedString);
-  if (isPercent) {
-    formattedString = formattedString.replace(/\\bpercent\\b/, '').trim();
-  }
-
-  // Convert the number word to a number
-  let number = wordsToNumbers(formattedString, options);
-
-  if (number !== undefined) {
-    if (isNegative) {
-      number = '-' + number;
-    }
-    if (isPercent) {
-      number = number + '%';
-    }
-  }
-
-  return number;
+  return floatToInt16(resampled, resampledInt16);
 }
 
 /**
@@ -324,114 +628,442 @@ function specialFormatting(inputString, options) {
  * OUTPUT: Sends recognized text to Max/MSP for further audio/visual processing
  * ============================================================================
  */
-function processAudioWithVosk(audioData) {
-  if (rec.acceptWaveform(audioData)) {
-    const result = rec.result();
-    if (result && result.text) {
-      const formattedText = specialFormatting(result.text, {});
-      Max.post(`Final Result: ${formattedText}`);
-      Max.outlet(formattedText);
-
-      // Output the last partial result
-      if (lastPartialResult !== '') {
-        const formattedPartial = specialFormatting(lastPartialResult, {});
-        Max.outlet(formattedPartial);
-        lastPartialResult = '';
-      }
+function processAudioWithVosk(audioData, position = streamPosition) {
+  if (talkButtonUp()) {
+    return;
+  }
+  // No model yet: it is loading, or failed to and waits for 'loadModel'
+  if (!recognizer.loaded) {
+    return;
+  }
+  segmenter.push(audioData, position);
+  const result = applyVocabulary(recognizer.accept(audioData), vocabulary);
+  if (!result) {
+    return;
+  }
+
+  if (result.type === 'final') {
+    outputFinalResult(result);
+
+    // Output the last partial result
+    if (lastPartialResult !== '') {
+      const formattedPartial = specialFormatting(lastPartialResult, {});
+      Max.outlet(formattedPartial);
+      lastPartialResult = '';
     }
   } else {
-    const partial = rec.partialResult();
-    if (partial && partial.partial) {
-      const formattedPartial = specialFormatting(partial.partial, {});
-      Max.post(`Partial Result: ${formattedPartial}`);
-      if (/\\b(play|stop|pause|resume|continue|both)\\b/i.test(formattedPartial)) {
-        Max.outlet(formattedPartial);
-      } else {
-        lastPartialResult = partial.partial;
-      }
+    const formattedPartial = specialFormatting(result.text, {});
+    Max.post(`Partial Result: ${formattedPartial}`);
+    outputCommands(result);
+    if (commands.match(result.text, false).length === 0) {
+      lastPartialResult = result.text;
     }
   }
 }
 
+/**
+ * Push-to-talk: Vosk (the main recognizer and the routes) only hears what
+ * is said while the button is held.
+ */
+function talkButtonUp() {
+  return listenGate.mode === 'push' && !listenGate.listening;
+}
+
+/**
+ * Sends the grammar's commands found in a partial or final result as
+ * 'command <name> <values...>' (each once per utterance, debounced),
+ * while the listen gate is open (after the wake phrase in wake mode).
+ */
+function outputCommands(result) {
+  const text = listenGate.filter(result.text);
+  for (const { command, args } of commands.process(text === null ? '' : text, result.type === 'final')) {
+    Max.post(`Command: ${[command].concat(args).join(' ')}`);
+    Max.outlet('command', command, ...args);
+    listenGate.commandSent();
+  }
+}
+
+function outputFinalResult(result) {
+  const formattedText = specialFormatting(result.text, {});
+  Max.post(`Final Result: ${formattedText}`);
+  Max.outlet(formattedText);
+  outputCommands(result);
+  outputWords(result);
+
+  const segment = segmenter.cut(result);
+  if (config.get('segments') && segment) {
+    saveUtterance(segment, formattedText);
+  }
+}
+
+/**
+ * With 'wordOutput' set, outputs each final result's words as
+ * 'words <json>' or 'words <dict>':
+ * { text, time, words: [{ word, start, end, conf }] }
+ * Times are stream seconds (the clock of speechstart / speechend); `time`
+ * is the end of the audio heard so far, so `time - start` is how long ago
+ * a word was spoken.
+ */
+function outputWords(result) {
+  const mode = config.get('wordOutput');
+  if (mode === 'off' || !result.words) {
+    return;
+  }
+  const words = {
+    text: result.text,
+    time: Number(segmenter.streamTime(segmenter.fed / TARGET_SAMPLE_RATE).toFixed(3)),
+    words: segmenter.streamWords(result.words),
+  };
+  Max.outlet('words', mode === 'dict' ? words : JSON.stringify(words));
+}
+
+/**
+ * Ends the utterance in Vosk (at a speechend while gated) and outputs
+ * its final text now instead of with the next one.
+ */
+function outputPendingText() {
+  const result = applyVocabulary(recognizer.flush(), vocabulary);
+  lastPartialResult = '';
+  if (result) {
+    outputFinalResult(result);
+  }
+}
+
+/**
+ * Writes one final result's audio and a JSON sidecar with its text and
+ * word timings (segmentName in outputDir, in the recording format), then
+ * outputs 'segmentSaved <audio path> <json path>'.
+ */
+function saveUtterance(segment, formattedText) {
+  const next = nextFileName(config.get('segmentName'), {
+    outputDir: config.get('outputDir'),
+    format: config.get('recordingFormat'),
+    script: config.section,
+    take: segmentTake,
+  });
+  segmentTake = next.take;
+
+  saveSegment(segment, {
+    fileName: next.fileName,
+    format: config.get('recordingFormat'),
+    sampleFormat: config.get('sampleFormat'),
+    fields: { formatted: formattedText, model: recognizer.modelPath },
+    log: (message) => Max.post(message),
+  }).then((saved) => {
+    if (saved) {
+      Max.outlet('segmentSaved', saved.audioFile, saved.jsonFile);
+    }
+  });
+}
+
 function startRecording() {
-  if (!isRecording) {
-    isRecording = true;
-    recordingAudio = [];
+  if (!recorder.recording) {
+    recorder.start();
     Max.post('Recording started.');
   } else {
     Max.post("Already recording.");
   }
 }
 
-async function stopRecording() {
-  if (isRecording) {
-    isRecording = false;
-    if (recordingAudio.length === 0) {
+function stopRecording() {
+  vadRecording = false;
+  if (recorder.recording) {
+    const take = recorder.stop();
+    if (!take) {
       Max.post('No audio data to save.');
       return;
     }
-
-    const fileName = `recording_${Date.now()}.wav`;
-    await saveAudioFile(recordingAudio, { fileName: fileName, sampleRate: TARGET_SAMPLE_RATE });
-    recordingAudio = []; // Clear recording buffer
     Max.post('Recording stopped and saved.');
   } else {
     Max.post("Not currently recording.");
   }
 }
 
-async function saveAudioFile(audioData, options = {}) {
-  const {
-    fileName = 'output.wav',
-    sampleRate = TARGET_SAMPLE_RATE,
-    channels = CHANNELS,
-    bitDepth = BIT_DEPTH
-  } = options;
-
+/**
+ * Changes a setting from a Max message, reporting invalid values.
+ */
+function setSetting(key, value, source) {
   try {
-    const wavWriter = new wav.FileWriter(fileName, {
-      channels: channels,
-      sampleRate: sampleRate,
-      bitDepth: bitDepth,
-    });
-
-    const bufferStream = new Writable({
-      write(chunk, encoding, callback) {
-        wavWriter.write(chunk);
-        callback();
-      }
-    });
-
-    bufferStream.on('finish', () => {
-      wavWriter.end();
-      Max.post(`Audio file ${fileName} saved successfully.`);
-    });
+    config.set(key, value, source);
+  } catch (error) {
+    Max.post(error.message);
+  }
+}
 
-    const int16Data = new Int16Array(audioData);
-    const readableStream = new Readable({
-      read() {
-        this.push(Buffer.from(int16Data.buffer));
-        this.push(null);
-      }
-    });
+// Apply setting changes from Max messages or reloadconfig live
+config.onChange('port', () => startServer());
+config.onChange('model', (modelPath) => {
+  // Set by loadModel() itself once the model is in
+  if (!models.has(MAIN_MODEL) || models.get(MAIN_MODEL).path !== modelPath) {
+    loadModel(modelPath);
+  }
+});
+config.onChange('sampleRate', (sampleRate, source) => setInputSampleRate(sampleRate, source));
+config.onChange('frameMs', (frameMs) => {
+  setFrameSize(frameMs);
+  Max.post(`Recognizer frame size set to ${frameMs} ms.`);
+});
+config.onChange('channel', (channel) => {
+  recognitionChannel = channel;
+  missingChannelReported = false;
+  Max.post(channel === 0 ? 'Recognizing downmix of all channels.' : `Recognizing channel ${channel}.`);
+});
+config.onChange('concealment', (mode) => {
+  sequenceReceiver.setConcealment(mode);
+  Max.post(`Packet-loss concealment set to ${mode}.`);
+});
+config.onChange('latencyMs', (latency) => {
+  jitterBuffer.setTargetLatency(latency);
+  Max.post(`Jitter buffer target latency set to ${latency} ms.`);
+});
+config.onChange('adaptive', (enabled) => {
+  jitterBuffer.setAdaptive(enabled);
+  Max.post(`Adaptive jitter buffer ${enabled ? 'enabled' : 'disabled'}.`);
+});
+config.onChange('vad', (enabled) => {
+  // An utterance in progress ends with the detector
+  if (vad.speaking && config.get('vadGate')) {
+    outputPendingText();
+  }
+  if (vadRecording) {
+    stopRecording();
+  }
+  vad.reset();
+  vadOrigin = streamPosition;
+  gatedFrames = [];
+  Max.post(`Voice activity detection ${enabled ? 'enabled' : 'disabled'}.`);
+});
+['vadThresholdDb', 'vadHangoverMs'].forEach((key) => config.onChange(key, () => {
+  vad = createVad();
+}));
+// Vosk only reports word timings when asked to
+function updateWords() {
+  recognizer.setWords(config.get('segments') || config.get('wordOutput') !== 'off');
+}
+config.onChange('segments', (enabled) => {
+  updateWords();
+  Max.post(enabled ? 'Saving an audio file and transcript per utterance.' : 'Utterance segments off.');
+});
+config.onChange('wordOutput', updateWords);
+updateWords();
+config.onChange('commandsFile', (fileName) => {
+  commands.setGrammar(loadGrammar(localPath(fileName)));
+  Max.post(`Voice commands loaded from ${fileName}`);
+  updateGrammar();
+});
+config.onChange('vocabularyFile', (fileName) => {
+  vocabulary = loadVocabulary(localPath(fileName));
+  Max.post(`Vocabulary loaded from ${fileName}`);
+  updateGrammar();
+});
+config.onChange('recognitionMode', applyRecognitionMode);
+config.onChange('listenMode', (mode) => {
+  listenGate.setMode(mode);
+  Max.post(`Listen mode: ${mode}.`);
+});
+config.onChange('wakePhrase', (phrase) => listenGate.setWakePhrase(phrase));
+config.onChange('wakeWindowMs', (ms) => {
+  listenGate.windowMs = ms;
+});
+config.onChange('grammarFile', () => {
+  if (config.get('recognitionMode') === 'command') {
+    applyRecognitionMode();
+  }
+});
 
-    await pipeline(readableStream, bufferStream);
-  } catch (error) {
-    Max.post(`Error saving audio file: ${error.message}`);
+// Hints mode, and command mode without a phrase list of its own, follow the commands and vocabulary files
+function updateGrammar() {
+  const mode = config.get('recognitionMode');
+  if (mode === 'hints' || (mode === 'command' && !grammarMessagePhrases && !config.get('grammarFile'))) {
+    applyRecognitionMode();
   }
 }
+addRecordingHandlers(Max, config, [recorder]);
 
 startServer();
+jitterBuffer.start();
 
 Max.addHandler('startRecording', startRecording);
 Max.addHandler('stopRecording', stopRecording);
 
+// port, model, set <key> <value>, dumpconfig, reloadconfig
+addConfigHandlers(Max, config);
+
+// loadModel <path>: load a Vosk model in the background and recognize with it once ready (the model setting),
+// loadModel <path> <name>: keep it loaded as <name> for 'useModel' and 'route' (loading a name again replaces it)
+Max.addHandler('loadModel', (modelPath, name = MAIN_MODEL) => {
+  if (modelPath === undefined) {
+    Max.post('Usage: loadModel <path> [name]');
+  } else if (String(name) !== MAIN_MODEL) {
+    loadModel(String(modelPath), String(name));
+  } else if (String(modelPath) === config.get('model')) {
+    loadModel(String(modelPath)); // Same path: load it again
+  } else {
+    setSetting('model', modelPath, 'loadModel message');
+  }
+});
+
+// useModel <name>: recognize with another loaded model ('main' = the model setting)
+Max.addHandler('useModel', (name) => {
+  if (!models.has(String(name))) {
+    Max.post(`No model '${name}' loaded (loaded: ${models.names.join(', ') || 'none'}).`);
+    return;
+  }
+  useModel(String(name));
+});
+
+// unloadModel <name>: free a loaded model the recognizer does not use, ending the routes using it
+Max.addHandler('unloadModel', (name) => {
+  name = String(name);
+  if (name === activeModel) {
+    Max.post(`The ${name} model is in use, send 'useModel' with another one first.`);
+    return;
+  }
+  routes.forEach((route, channel) => {
+    if (route.modelName === name) {
+      setRoute(channel, null);
+    }
+  });
+  Max.post(models.unload(name) ? `Unloaded the ${name} model.` : `No model '${name}' loaded.`);
+});
+
+// route <channel> <name>: also recognize channel <channel> (1-based, 0 = downmix) with the loaded model <name>,
+// output as 'transcript <channel> <name> <text>'; route <channel> off: stop
+Max.addHandler('route', (channel, name) => {
+  channel = Number(channel);
+  if (!Number.isInteger(channel) || channel < 0 || name === undefined) {
+    Max.post('Usage: route <channel> <model name> | off');
+    return;
+  }
+  try {
+    setRoute(channel, String(name) === 'off' ? null : String(name));
+    Max.post(String(name) === 'off' ? `Channel ${channel} route removed.` : `Recognizing channel ${channel} with the ${name} model.`);
+  } catch (error) {
+    Max.post(`${error.message}.`);
+  }
+});
+
+// models: post the loaded models and routes, output 'models <name> ...'
+Max.addHandler('models', () => {
+  for (const name of models.names) {
+    Max.post(`  ${name}: ${models.get(name).path}${name === activeModel ? ' (recognizing)' : ''}`);
+  }
+  routes.forEach((route, channel) => Max.post(`  channel ${channel} → ${route.modelName}`));
+  Max.outlet('models', ...models.names);
+});
+
+// frameSize <ms>: audio per Vosk call (default 50 ms)
+Max.addHandler('frameSize', (ms) => {
+  setSetting('frameMs', ms);
+});
+
+// channel <n>: recognize channel n (1-based), or 0 to downmix all channels
+Max.addHandler('channel', (channelNumber) => {
+  setSetting('channel', channelNumber);
+});
+
+// samplerate <hz>: sender sample rate, when packets do not carry it in their header
+Max.addHandler('samplerate', (hz) => {
+  setSetting('sampleRate', hz, 'samplerate message');
+});
+
+// concealment silence|interpolate: how gaps from lost packets are filled
+Max.addHandler('concealment', (mode) => {
+  setSetting('concealment', mode);
+});
+
+Max.addHandler('resetLossStats', () => {
+  sequenceReceiver.resetStats();
+  reportLoss();
+});
+
+// latency <ms>: jitter buffer target latency (the adaptive target never goes below it)
+Max.addHandler('latency', (ms) => {
+  setSetting('latencyMs', ms);
+});
+
+// adaptive 0|1: let the jitter buffer depth follow the measured arrival jitter
+Max.addHandler('adaptive', (enabled) => {
+  setSetting('adaptive', enabled);
+});
+
+// reloadCommands: read the command grammar file again after editing it
+Max.addHandler('reloadCommands', () => {
+  try {
+    commands.setGrammar(loadGrammar(localPath(config.get('commandsFile'))));
+    Max.post(`Voice commands reloaded (${commands.grammar.commands.length} phrases).`);
+    updateGrammar();
+  } catch (error) {
+    Max.post(`${error.message}. Keeping the current commands.`);
+  }
+});
+
+// reloadVocabulary: read the vocabulary file again after editing it
+Max.addHandler('reloadVocabulary', () => {
+  try {
+    vocabulary = loadVocabulary(localPath(config.get('vocabularyFile')));
+    Max.post(`Vocabulary reloaded (${vocabulary.corrections.length} corrections, ${vocabulary.hints.length} hints).`);
+    updateGrammar();
+  } catch (error) {
+    Max.post(`${error.message}. Keeping the current vocabulary.`);
+  }
+});
+
+// mode dictation|command|hints: free recognition, only the phrases of the command grammar,
+// or the vocabulary hints and the command words
+Max.addHandler('mode', (mode) => {
+  setSetting('recognitionMode', mode);
+});
+
+// grammar <phrase> <phrase> ...: recognize only these phrases (switches to command mode),
+// grammar without phrases: back to grammarFile / the words of the voice commands
+Max.addHandler('grammar', (...phrases) => {
+  grammarMessagePhrases = phrases.length > 0 ? phrases.map((phrase) => String(phrase).toLowerCase()) : null;
+  if (config.get('recognitionMode') === 'command') {
+    try {
+      applyRecognitionMode();
+    } catch (error) {
+      Max.post(error.message);
+    }
+  } else {
+    setSetting('recognitionMode', 'command');
+  }
+});
+
+// listen 1|0: push-to-talk button (listenMode push; in wake mode 1 opens the window like the wake phrase),
+// listen without a value: output the current 'listening 0|1'
+Max.addHandler('listen', (state) => {
+  if (state === undefined) {
+    Max.outlet('listening', listenGate.listening ? 1 : 0);
+    return;
+  }
+  const pressed = Boolean(Number(state));
+  if (!pressed && listenGate.mode === 'push' && listenGate.listening) {
+    // The last words before the release still count
+    outputPendingText();
+    routes.forEach((route, channel) => outputRouteText(channel, route.finish()));
+  }
+  if (!listenGate.push(pressed)) {
+    Max.post("'listen' needs listenMode wake or push (set listenMode push).");
+  }
+});
+
+// vad 0|1: voice activity detection (speechstart / speechend, see vadGate and vadRecord)
+Max.addHandler('vad', (enabled) => {
+  setSetting('vad', enabled);
+});
+
+setInterval(() => {
+  reportLoss();
+  reportJitter();
+}, STATS_REPORT_INTERVAL);
+
 process.on('SIGINT', () => {
   Max.post('Stopping UDP server...');
-  if (server) {
-    server.close();
-  }
-  if (isRecording) {
+  jitterBuffer.stop();
+  listenGate.close();
+  receiver.close();
+  if (recorder.recording) {
     stopRecording();
   }
   // Output the last partial result if it exists
@@ -440,8 +1072,9 @@ process.on('SIGINT', () => {
     Max.outlet(formattedPartial);
     lastPartialResult = '';
   }
-  rec.free();
-  model.free();
+  routes.forEach((route, channel) => setRoute(channel, null));
+  recognizer.free();
+  models.free();
 });
 
 Max.post("UDP server and Vosk recognition started. Waiting for audio data...");
\ No newline at end of file
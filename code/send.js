@@ -0,0 +1,134 @@
+/*
+ * =======================================================================
+ * SEND - STREAM A WAV FILE OR TEST TONE TO THE RECEIVERS WITHOUT MAX
+ * =======================================================================
+ *
+ * Sends audio in the same jit matrix packet format as `UDP AUDIO.amxd`
+ * (lib/sender.js), to drive UDP.js, sRtin.js, UDPdown.js or TCP.js from
+ * plain node:
+ *
+ *   node send.js speech.wav                          # UDP to 127.0.0.1:7778
+ *   node send.js speech.wav --port 7778 --loop 3     # sRtin.js, three times
+ *   node send.js --sine 440 --duration 5 --channels 2
+ *   node send.js --noise --amplitude 0.1 --duration 2
+ *   node send.js --sweep 100:8000 --duration 10 --rate 48000
+ *   node send.js speech.wav --tcp --port 7474        # TCP.js
+ *
+ * OPTIONS:
+ * --host, --port      receiver address (default 127.0.0.1:7778)
+ * --tcp               send over TCP instead of UDP
+ * --frames <n>        frames per packet (default 441 = 10 ms at 44.1 kHz)
+ * --rate <hz>         sample rate of generated signals (default 44100);
+ *                     WAV files are sent at their own rate
+ * --channels <n>      channels of generated signals (default 1)
+ * --duration <s>      length of generated signals (default 5)
+ * --amplitude <a>     level of generated signals (default 0.5)
+ * --type <t>          matrix cell type: float32 (default), float64, long, char
+ * --no-sequence       leave out the SEQH header (like older Max devices)
+ * --speed <x>         1 = real time, 0 = as fast as possible
+ * --loop <n>          send the source n times
+ * =======================================================================
+ */
+
+const { parseArgs } = require('util');
+const { AudioSender, DEFAULT_PACKET_FRAMES } = require('./lib/sender');
+const { createSignal, wavFileSource } = require('./lib/signals');
+
+const DEFAULT_PORT = 7778;
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      host: { type: 'string', default: '127.0.0.1' },
+      port: { type: 'string', default: String(DEFAULT_PORT) },
+      tcp: { type: 'boolean', default: false },
+      frames: { type: 'string', default: String(DEFAULT_PACKET_FRAMES) },
+      rate: { type: 'string', default: '44100' },
+      channels: { type: 'string', default: '1' },
+      duration: { type: 'string', default: '5' },
+      amplitude: { type: 'string', default: '0.5' },
+      type: { type: 'string', default: 'float32' },
+      'no-sequence': { type: 'boolean', default: false },
+      speed: { type: 'string', default: '1' },
+      loop: { type: 'string', default: '1' },
+      sine: { type: 'string' },
+      noise: { type: 'boolean', default: false },
+      sweep: { type: 'string' },
+      silence: { type: 'boolean', default: false },
+    },
+  });
+
+  const signals = ['sine', 'noise', 'sweep', 'silence'].filter((name) => values[name] !== undefined && values[name] !== false);
+  if (positionals.length + signals.length !== 1) {
+    throw new Error('Usage: node send.js <file.wav> | --sine <hz> | --noise | --sweep <from>:<to> | --silence [--port n] [--host h] [--tcp] [--frames n] [--rate hz] [--channels n] [--duration s] [--amplitude a] [--type t] [--no-sequence] [--speed x] [--loop n]');
+  }
+
+  return {
+    fileName: positionals[0],
+    signal: signals[0],
+    values: values,
+    host: values.host,
+    port: Number(values.port),
+    transport: values.tcp ? 'tcp' : 'udp',
+    packetFrames: Number(values.frames),
+    type: values.type,
+    sequence: !values['no-sequence'],
+    speed: Number(values.speed),
+    loop: Number(values.loop),
+  };
+}
+
+/**
+ * The source for one pass: the WAV file, or a fresh test tone.
+ */
+async function openSource(options) {
+  if (options.fileName) {
+    return wavFileSource(options.fileName);
+  }
+
+  const { values } = options;
+  const signalOptions = {
+    sampleRate: Number(values.rate),
+    channelCount: Number(values.channels),
+    duration: Number(values.duration),
+    amplitude: Number(values.amplitude),
+  };
+  if (options.signal === 'sine') {
+    signalOptions.frequency = Number(values.sine);
+  } else if (options.signal === 'sweep') {
+    [signalOptions.from, signalOptions.to] = values.sweep.split(':').map(Number);
+  }
+  return createSignal(options.signal, signalOptions);
+}
+
+async function main() {
+  const options = parseOptions(process.argv.slice(2));
+  const sender = new AudioSender({
+    transport: options.transport,
+    host: options.host,
+    port: options.port,
+    packetFrames: options.packetFrames,
+    type: options.type,
+    sequence: options.sequence,
+    speed: options.speed,
+  });
+  process.on('SIGINT', () => sender.stop());
+
+  try {
+    for (let round = 0; round < options.loop && !sender.stopped; round++) {
+      const source = await openSource(options);
+      console.log(`Sending ${options.fileName || options.signal} (${source.channelCount} ch, ${source.sampleRate} Hz) to ${options.transport} ${options.host}:${options.port}`);
+      const result = await sender.stream(source);
+      console.log(`Sent ${result.packets} packets, ${(result.frames / source.sampleRate).toFixed(2)} s.`);
+    }
+  } finally {
+    await sender.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
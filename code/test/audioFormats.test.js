@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createEncoder, floatToInt16, recoverFile } = require('../lib/audioFormats');
+const { AudioFileWriter } = require('../lib/recorder');
+const { readWavFile } = require('../lib/signals');
+const { makeTempDir, readFlac } = require('./helpers');
+
+// A stereo test signal that exercises every FLAC subframe type: silence, a tone and noise
+function testSignal(frames) {
+  const samples = new Float32Array(frames * 2);
+  for (let i = 0; i < frames; i++) {
+    samples[i * 2] = i < 1000 ? 0 : 0.5 * Math.sin(i / 10);
+    samples[i * 2 + 1] = Math.sin(i * 12.9898) * 43758.5453 % 1;
+  }
+  return samples;
+}
+
+function writeFile(fileName, samples, options) {
+  const writer = new AudioFileWriter(fileName, options);
+  writer.write(samples.subarray(0, 3000));
+  writer.write(samples.subarray(3000));
+  return writer.close();
+}
+
+test('24-bit and 32-bit float WAV files read back as written', async (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const samples = Float32Array.from([0.5, -0.25, 1, -1, 0.001, 0]);
+  for (const [sampleFormat, tolerance] of [['int24', 1 / 8388607], ['float32', 0]]) {
+    const fileName = path.join(dir, `${sampleFormat}.wav`);
+    const file = writeFile(fileName, samples, { sampleRate: 48000, channels: 2, sampleFormat: sampleFormat });
+    assert.strictEqual(file.dataBytes, samples.length * (sampleFormat === 'int24' ? 3 : 4));
+
+    const wav = await readWavFile(fileName);
+    assert.strictEqual(wav.sampleRate, 48000);
+    const read = Array.from(wav.channels[0]).flatMap((value, i) => [value, wav.channels[1][i]]);
+    read.forEach((value, i) => assert.ok(Math.abs(value - samples[i]) <= tolerance, `${sampleFormat} sample ${i}`));
+  }
+});
+
+test('AIFF files have a big-endian COMM chunk and sample data', (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const fileName = path.join(dir, 'take.aif');
+  writeFile(fileName, Int16Array.from([1, -2, 256, 32767]), { format: 'aiff', sampleRate: 44100, channels: 2 });
+
+  const data = fs.readFileSync(fileName);
+  assert.strictEqual(data.toString('ascii', 0, 4) + data.toString('ascii', 8, 12), 'FORMAIFF');
+  assert.strictEqual(data.readUInt32BE(4), data.length - 8);
+  assert.strictEqual(data.readUInt16BE(20), 2); // channels
+  assert.strictEqual(data.readUInt32BE(22), 2); // frames
+  assert.strictEqual(data.readUInt16BE(26), 16); // bits
+  assert.strictEqual(data.toString('hex', 28, 38), '400eac44000000000000'); // 44100 as 80-bit extended
+  assert.deepStrictEqual([0, 1, 2, 3].map((i) => data.readInt16BE(54 + i * 2)), [1, -2, 256, 32767]);
+
+  assert.throws(() => createEncoder('aiff', { sampleRate: 44100, sampleFormat: 'float32' }), /AIFF files cannot store float32 samples/);
+});
+
+test('FLAC files decode to exactly the samples written', (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const samples = testSignal(10000); // Two full 4096-frame blocks and a short one
+  for (const [sampleFormat, bits, sampleRate] of [['int16', 16, 44100], ['int24', 24, 22050], ['int24', 24, 12345]]) {
+    const fileName = path.join(dir, `${sampleFormat}_${sampleRate}.flac`);
+    const file = writeFile(fileName, samples, { format: 'flac', sampleRate: sampleRate, channels: 2, sampleFormat: sampleFormat });
+    const data = fs.readFileSync(fileName);
+    assert.ok(file.dataBytes < samples.length * bits / 8, 'compressed');
+
+    const flac = readFlac(data);
+    assert.deepStrictEqual([flac.sampleRate, flac.channels, flac.bits, flac.totalSamples], [sampleRate, 2, bits, 10000]);
+
+    const encoder = createEncoder('wav', { sampleRate: sampleRate, channels: 2, sampleFormat: sampleFormat });
+    const pcm = encoder.encode(samples);
+    const expected = Int32Array.from({ length: samples.length }, (_, i) => pcm.readIntLE(i * bits / 8, bits / 8));
+    for (let c = 0; c < 2; c++) {
+      assert.deepStrictEqual(flac.samples[c], expected.filter((_, i) => i % 2 === c), `${fileName} channel ${c}`);
+    }
+    assert.deepStrictEqual(flac.md5, crypto.createHash('md5').update(pcm).digest());
+  }
+
+  assert.throws(() => createEncoder('flac', { sampleRate: 44100, channels: 9 }), /FLAC files hold up to 8 channels/);
+});
+
+test('unfinished AIFF and FLAC files are recovered to their complete frames', (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const recover = (fileName) => {
+    const fd = fs.openSync(fileName, 'r+');
+    try {
+      return recoverFile(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  };
+
+  const aiffName = path.join(dir, 'crash.aif');
+  const aiff = new AudioFileWriter(aiffName, { format: 'aiff', sampleRate: 8000, channels: 2, sampleFormat: 'int24' });
+  aiff.write(new Float32Array(20));
+  fs.appendFileSync(aiffName, Buffer.from([1, 2, 3, 4]));
+  fs.closeSync(aiff.fd);
+
+  assert.deepStrictEqual(recover(aiffName), { format: 'aiff', frameCount: 10, sampleRate: 8000 });
+  const data = fs.readFileSync(aiffName);
+  assert.strictEqual(data.length, 54 + 60);
+  assert.strictEqual(data.readUInt32BE(22), 10);
+
+  const flacName = path.join(dir, 'crash.flac');
+  const flac = new AudioFileWriter(flacName, { format: 'flac', sampleRate: 16000, channels: 2 });
+  flac.write(testSignal(12300)); // Three frames written
+  fs.closeSync(flac.fd);
+  const written = fs.readFileSync(flacName);
+  fs.truncateSync(flacName, written.length - 100); // Third frame cut off
+
+  assert.deepStrictEqual(recover(flacName), { format: 'flac', frameCount: 8192, sampleRate: 16000 });
+  const recovered = fs.readFileSync(flacName);
+  assert.ok(recovered.length < written.length - 100);
+  assert.deepStrictEqual(recovered.subarray(42), written.subarray(42, recovered.length));
+  const decoded = readFlac(recovered);
+  assert.strictEqual(decoded.totalSamples, 8192);
+  assert.strictEqual(decoded.samples[0].length, 8192);
+});
+
+test('floatToInt16 can write into a reused buffer', () => {
+  const target = new Int16Array(4);
+  const converted = floatToInt16(Float32Array.from([0.5, -1, 2]), target);
+
+  assert.ok(converted.buffer === target.buffer);
+  assert.deepStrictEqual(Array.from(converted), [16384, -32767, 32767]);
+  assert.throws(() => floatToInt16(new Float32Array(5), target), /^Error: floatToInt16 target holds 4 samples, 5 needed$/);
+});
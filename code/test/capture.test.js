@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CaptureWriter, addCaptureHandlers, parseCapture, readCapture, replayCapture, seededRandom } = require('../lib/capture');
+const { UdpReceiver } = require('../lib/transports');
+const { MaxShim } = require('../lib/maxShim');
+const { fixtures, readPacket, makeTempDir } = require('./helpers');
+
+// A clock that advances 10 ms per reading after the start
+function steppingClock() {
+  let time = 1000;
+  return () => {
+    const now = time;
+    time += 10;
+    return now;
+  };
+}
+
+async function writeCapture(fileName, packets, transport = 'udp') {
+  const capture = new CaptureWriter(fileName, { transport: transport, now: steppingClock() });
+  packets.forEach(([data, source]) => capture.write(data, source));
+  await capture.close();
+  return capture;
+}
+
+function capture(times, transport = 'udp') {
+  return {
+    transport: transport,
+    packets: times.map((time, i) => ({ time: time, stream: 0, data: Buffer.from([i]) })),
+  };
+}
+
+// Records what was sent when, without waiting for real time
+function fakeReplay() {
+  const sent = [];
+  return {
+    sent,
+    send: (data, stream) => sent.push({ index: data[0], stream: stream }),
+    sleep: async () => {},
+  };
+}
+
+test('captures round-trip with arrival times and streams', async (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const fileName = path.join(dir, 'udp.jitcap');
+  const packets = fixtures.packets.map((entry, i) => [readPacket(entry.name), i % 2 ? '10.0.0.2:5000' : '10.0.0.1:5000']);
+  const writer = await writeCapture(fileName, packets);
+
+  const read = readCapture(fileName);
+  assert.strictEqual(read.transport, 'udp');
+  assert.strictEqual(read.packets.length, packets.length);
+  assert.strictEqual(writer.packetCount, packets.length);
+  read.packets.forEach((packet, i) => {
+    assert.strictEqual(packet.time, 10 * (i + 1));
+    assert.strictEqual(packet.stream, i % 2);
+    assert.deepStrictEqual(packet.data, packets[i][0]);
+  });
+});
+
+test('an interrupted capture keeps its complete records', async (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const fileName = path.join(dir, 'cut.jitcap');
+  await writeCapture(fileName, [[readPacket('float32-mono')], [readPacket('float32-stereo')]], 'tcp');
+  const whole = fs.readFileSync(fileName);
+
+  const read = parseCapture(whole.subarray(0, whole.length - 10));
+  assert.strictEqual(read.transport, 'tcp');
+  assert.strictEqual(read.packets.length, 1);
+  assert.throws(() => parseCapture(readPacket('float32-mono')), /^Error: Not a capture file$/);
+});
+
+test('a replayed capture reaches the receiver as the original stream did', async (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const fileName = path.join(dir, 'replay.jitcap');
+  await writeCapture(fileName, fixtures.packets.map((entry) => [readPacket(entry.name)]));
+
+  const decoded = [];
+  const dropped = [];
+  const receiver = new UdpReceiver((packet) => decoded.push(packet.frameCount), { log: (message) => dropped.push(message) });
+  const result = await replayCapture(readCapture(fileName), {
+    send: (data) => receiver.receive(data),
+    speed: 0,
+  });
+
+  assert.deepStrictEqual(result, { sent: fixtures.packets.length, dropped: 0 });
+  assert.deepStrictEqual(decoded, fixtures.packets.filter((entry) => entry.expect.ok).map((entry) => entry.expect.frameCount));
+  assert.strictEqual(dropped.length, fixtures.packets.filter((entry) => !entry.expect.ok).length);
+});
+
+test('replay waits for each packet at the original timing scaled by speed', async () => {
+  const waits = [];
+  const replay = fakeReplay();
+  await replayCapture(capture([0, 200, 400]), {
+    send: replay.send,
+    speed: 2,
+    sleep: async (ms) => waits.push(ms),
+  });
+
+  assert.deepStrictEqual(replay.sent.map((packet) => packet.index), [0, 1, 2]);
+  assert.strictEqual(waits.length, 2);
+  assert.ok(waits[0] > 90 && waits[0] <= 100, `first wait ${waits[0]}`);
+  assert.ok(waits[1] > 190 && waits[1] <= 200, `second wait ${waits[1]}`);
+});
+
+test('seeded loss and jitter are repeatable and reorder UDP packets', async () => {
+  const times = Array.from({ length: 50 }, (_, i) => i * 10);
+  const runs = [];
+  for (let run = 0; run < 2; run++) {
+    const replay = fakeReplay();
+    const result = await replayCapture(capture(times), {
+      send: replay.send,
+      sleep: replay.sleep,
+      speed: 0.001,
+      loss: 0.2,
+      jitterMs: 50000,
+      random: seededRandom(42),
+    });
+    runs.push({ result, order: replay.sent.map((packet) => packet.index) });
+  }
+
+  assert.deepStrictEqual(runs[0], runs[1]);
+  assert.ok(runs[0].result.dropped > 0);
+  assert.strictEqual(runs[0].result.sent + runs[0].result.dropped, 50);
+  assert.notDeepStrictEqual(runs[0].order, [...runs[0].order].sort((a, b) => a - b), 'jitter reorders packets');
+});
+
+test('TCP captures keep their order and refuse injected loss', async () => {
+  const replay = fakeReplay();
+  await replayCapture(capture([0, 10, 20, 30], 'tcp'), {
+    send: replay.send,
+    sleep: replay.sleep,
+    jitterMs: 100,
+    random: seededRandom(7),
+  });
+  assert.deepStrictEqual(replay.sent.map((packet) => packet.index), [0, 1, 2, 3]);
+
+  await assert.rejects(replayCapture(capture([0], 'tcp'), { send: replay.send, loss: 0.1 }), /Loss cannot be injected/);
+});
+
+test('startCapture and stopCapture tap the receiver', async (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const posts = [];
+  const shim = new MaxShim({ output: null });
+  shim.on('post', (message) => posts.push(message));
+  const receiver = { onRaw: null };
+  addCaptureHandlers(shim, receiver, 'udp');
+
+  const fileName = path.join(dir, 'handlers.jitcap');
+  await shim.dispatch('startCapture', fileName);
+  receiver.onRaw(readPacket('float32-mono'), '127.0.0.1:5000');
+  await shim.dispatch('stopCapture');
+
+  assert.strictEqual(receiver.onRaw, null);
+  assert.strictEqual(readCapture(fileName).packets.length, 1);
+  assert.match(posts[1], /^Capture saved: 1 packets \(2060 bytes\) to /);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { compileGrammar, loadGrammar, grammarFromFile, grammarVocabulary, loadPhrases, CommandMatcher } = require('../lib/commands');
+const { makeTempDir } = require('./helpers');
+
+const GRAMMAR = {
+  debounceMs: 1000,
+  slots: {
+    track: { drums: ['drums', 'the beat'], bass: ['bass'] },
+    scene: ['intro', 'verse', 'chorus'],
+  },
+  commands: {
+    play: ['play', 'start playing'],
+    stop: 'stop',
+    tempo: ['(set|change) (the) tempo (to) {number}', '{number} [bpm|beats per minute]'],
+    volume: ['volume {number}'],
+    mute: ['mute {track}'],
+    scene: ['go to (the) {scene}'],
+    loop: ['loop bars {number} to {number}', 'loop {number} {number}'],
+  },
+};
+
+function matcher(now = () => 0) {
+  return new CommandMatcher(compileGrammar(GRAMMAR), { now: now });
+}
+
+const commands = (list) => list.map(({ command, args }) => [command].concat(args).join(' '));
+
+test('phrases match words, groups, synonyms and slots', () => {
+  const cases = [
+    ['play the track', ['play']],
+    ['display', []],
+    ['please stop and then play', ['stop', 'play']],
+    ['set the tempo to one hundred twenty', ['tempo 120']],
+    ['change tempo ninety', ['tempo 90']],
+    ['ninety five beats per minute', ['tempo 95']],
+    ['tempo one twenty', []],
+    ['volume minus six', ['volume -6']],
+    ['volume fifty percent', ['volume 50%']],
+    ['tempo 128', ['tempo 128']],
+    ['mute the beat', ['mute drums']],
+    ['mute bass', ['mute bass']],
+    ['go to the chorus', ['scene chorus']],
+    ['loop bars one to four', ['loop 1 4']],
+    ['loop five eight', ['loop 5 8']],
+  ];
+  const m = matcher();
+  for (const [text, expected] of cases) {
+    assert.deepStrictEqual(commands(m.match(text)), expected, text);
+  }
+});
+
+test('a number ending a partial result waits for the final one', () => {
+  const m = matcher();
+  assert.deepStrictEqual(m.process('set the tempo to one hundred', false), []);
+  assert.deepStrictEqual(m.process('set the tempo to one hundred twenty', false), []);
+  assert.deepStrictEqual(commands(m.process('set the tempo to one hundred twenty please', false)), ['tempo 120']);
+  assert.deepStrictEqual(m.process('set the tempo to one hundred twenty please', true), []);
+});
+
+test('commands are sent once per utterance and debounced', () => {
+  let now = 0;
+  const m = matcher(() => now);
+
+  // Partial results grow into the final one: one 'play'
+  assert.deepStrictEqual(commands(m.process('play', false)), ['play']);
+  assert.deepStrictEqual(m.process('play the', false), []);
+  assert.deepStrictEqual(m.process('play the track', true), []);
+
+  // Vosk splitting one "play" into two results
+  now = 400;
+  assert.deepStrictEqual(m.process('play', true), []);
+  now = 1500;
+  assert.deepStrictEqual(commands(m.process('play', true)), ['play']);
+
+  // Different values are different commands
+  assert.deepStrictEqual(commands(m.process('volume ten', true)), ['volume 10']);
+  assert.deepStrictEqual(commands(m.process('volume twenty', true)), ['volume 20']);
+});
+
+test('grammar mistakes are reported with the file name', (t) => {
+  assert.throws(() => compileGrammar({}), /needs a "commands" object/);
+  assert.throws(() => compileGrammar({ commands: { mute: 'mute {track}' } }), /Unknown slot \{track\} in "mute \{track\}"/);
+  assert.throws(() => compileGrammar({ commands: { play: '(play)' } }), /"\(play\)" matches nothing/);
+  assert.throws(() => compileGrammar({ slots: { number: ['one'] }, commands: {} }), /\{number\} is built in/);
+  assert.throws(() => compileGrammar({ commands: {}, debounceMs: -1 }), /Invalid debounceMs -1/);
+
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+  const fileName = path.join(dir, 'commands.json');
+  fs.writeFileSync(fileName, '{ "commands": ');
+  assert.throws(() => loadGrammar(fileName), /^Error: commands\.json: /);
+
+  const messages = [];
+  const fallback = new CommandMatcher(grammarFromFile(fileName, (message) => messages.push(message)));
+  assert.match(messages[0], /Using the default commands: play, stop, pause, resume, continue, both$/);
+  assert.deepStrictEqual(commands(fallback.match('continue')), ['continue']);
+});
+
+test('the shipped commands.json compiles', () => {
+  const grammar = loadGrammar(path.join(__dirname, '..', 'commands.json'));
+  assert.deepStrictEqual(commands(new CommandMatcher(grammar).match('mute the drums and start playing')), ['mute drums', 'play']);
+});
+
+test('grammar mode vocabularies come from the commands or a phrase file', (t) => {
+  const vocabulary = grammarVocabulary(compileGrammar({
+    slots: { track: { drums: ['drums', 'the beat'] } },
+    commands: { play: ['play', 'start playing'], mute: '[mute|silence] {track}', volume: 'volume {number}' },
+  }));
+  for (const word of ['play', 'start', 'playing', 'mute', 'silence', 'drums', 'the', 'beat', 'volume', 'twenty', 'minus']) {
+    assert.ok(vocabulary.includes(word), word);
+  }
+  assert.strictEqual(new Set(vocabulary).size, vocabulary.length);
+
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+  const textFile = path.join(dir, 'phrases.txt');
+  fs.writeFileSync(textFile, '# transport\nPlay\n\nstop the track\r\n');
+  assert.deepStrictEqual(loadPhrases(textFile), ['play', 'stop the track']);
+  const jsonFile = path.join(dir, 'phrases.json');
+  fs.writeFileSync(jsonFile, '["one", "two"]');
+  assert.deepStrictEqual(loadPhrases(jsonFile), ['one', 'two']);
+  fs.writeFileSync(jsonFile, '{}');
+  assert.throws(() => loadPhrases(jsonFile), /^Error: phrases\.json: expected a non-empty list of phrases$/);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ScriptConfig, portSetting } = require('../lib/config');
+const { makeTempDir } = require('./helpers');
+
+const SCHEMA = {
+  port: portSetting(7778),
+  latencyMs: { type: 'number', default: 60, min: 0 },
+  adaptive: { type: 'boolean', default: true },
+  concealment: { type: 'enum', default: 'interpolate', values: ['silence', 'repeat', 'interpolate'] },
+  outputFile: { type: 'string', default: 'output.wav' },
+  outputDir: { type: 'string', default: '', allowEmpty: true },
+};
+
+// A ScriptConfig for the "TEST" section of a config.json holding `file` (nothing when undefined)
+function makeConfig(t, file) {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+  const configPath = path.join(dir, 'config.json');
+  if (file !== undefined) {
+    fs.writeFileSync(configPath, typeof file === 'string' ? file : JSON.stringify(file));
+  }
+  const messages = [];
+  const config = new ScriptConfig('TEST', SCHEMA, { path: configPath, log: (message) => messages.push(message) });
+  return { config, messages, configPath };
+}
+
+test('values from Max messages are converted to the setting type', (t) => {
+  const { config } = makeConfig(t);
+
+  assert.strictEqual(config.set('port', '7000'), 7000);
+  assert.strictEqual(config.set('latencyMs', 80.5), 80.5);
+  assert.strictEqual(config.set('adaptive', 'off'), false);
+  assert.strictEqual(config.set('adaptive', 1), true);
+  assert.strictEqual(config.set('concealment', 'repeat'), 'repeat');
+  assert.strictEqual(config.set('outputFile', '  take 1.wav '), 'take 1.wav');
+  assert.strictEqual(config.set('outputDir', ''), '');
+
+  assert.throws(() => config.set('port', '70000'), /^Error: Invalid value for port: 70000 \(expected 1-65535\)$/);
+  assert.throws(() => config.set('port', '12.5'), /expected an integer/);
+  assert.throws(() => config.set('latencyMs', -1), /expected >= 0/);
+  assert.throws(() => config.set('latencyMs', ''), /expected a number/);
+  assert.throws(() => config.set('adaptive', 'maybe'), /expected 0\/1 or true\/false/);
+  assert.throws(() => config.set('concealment', 'loud'), /expected silence\|repeat\|interpolate/);
+  assert.throws(() => config.set('outputFile', ' '), /expected a non-empty string/);
+  assert.throws(() => config.set('bogus', 1), /^Error: Unknown setting 'bogus'. Known: port, /);
+
+  assert.deepStrictEqual(config.entries(), [
+    ['port', 7000], ['latencyMs', 80.5], ['adaptive', true],
+    ['concealment', 'repeat'], ['outputFile', 'take 1.wav'], ['outputDir', ''],
+  ]);
+});
+
+test('a listener that throws rolls the value back', (t) => {
+  const { config } = makeConfig(t);
+  const applied = [];
+  config.onChange('port', (port, source) => {
+    if (port === 80) {
+      throw new Error('Port 80 is in use');
+    }
+    applied.push([port, source]);
+  });
+
+  config.set('port', 7000, 'port message');
+  assert.throws(() => config.set('port', 80), /^Error: Port 80 is in use$/);
+  assert.strictEqual(config.get('port'), 7000);
+
+  // Setting the current value again does not run the listeners
+  config.set('port', '7000');
+  assert.deepStrictEqual(applied, [[7000, 'port message']]);
+});
+
+test('config.json: shared section, then the script section, bad entries skipped', (t) => {
+  const { config, messages } = makeConfig(t, {
+    shared: { latencyMs: 80, adaptive: 'off', sampleRate: 48000 },
+    TEST: { latencyMs: 100, port: 'seven', concealment: 'repeat', typo: 1 },
+    OTHER: { port: 9000 },
+  });
+
+  assert.strictEqual(config.get('latencyMs'), 100, 'the script section wins');
+  assert.strictEqual(config.get('adaptive'), false);
+  assert.strictEqual(config.get('concealment'), 'repeat');
+  assert.strictEqual(config.get('port'), 7778, 'a bad entry keeps the default');
+  assert.deepStrictEqual(messages, [
+    "Unknown setting 'typo' in the TEST section of config.json",
+    'Invalid value for port: seven (expected an integer)',
+  ]);
+});
+
+test('a broken config.json is reported and keeps the current values', (t) => {
+  const { config, messages, configPath } = makeConfig(t, '{ "TEST": { "port": 7000 } }');
+  assert.strictEqual(config.get('port'), 7000);
+
+  fs.writeFileSync(configPath, '{ "TEST": ');
+  config.load();
+  assert.strictEqual(config.get('port'), 7000);
+  assert.strictEqual(messages.length, 1);
+  assert.match(messages[0], /^Ignoring config\.json: /);
+
+  fs.rmSync(configPath);
+  config.load();
+  assert.strictEqual(messages.length, 1, 'a missing file is not an error');
+});
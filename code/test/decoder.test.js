@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { decodePacket, encodePacket, JitStreamReader, PACKET_HEADER_SIZE } = require('../lib/jitMatrix');
+const { parseSequenceHeader } = require('../lib/sequence');
+const { UdpReceiver, TcpReceiver } = require('../lib/transports');
+const { FIXTURES_DIR, fixtures, fixture, readPacket } = require('./helpers');
+
+function assertSamples(actual, expected) {
+  assert.strictEqual(actual.length, expected.length);
+  expected.forEach((value, i) => assert.strictEqual(actual[i], Math.fround(value), `sample ${i}`));
+}
+
+test('decodes every packet fixture as packets.json expects', async (t) => {
+  for (const entry of fixtures.packets) {
+    await t.test(entry.name, () => {
+      const { expect } = entry;
+      const sequenced = parseSequenceHeader(readPacket(entry.name));
+      const packet = sequenced.ok ? decodePacket(sequenced.payload) : sequenced;
+
+      if (!expect.ok) {
+        assert.strictEqual(packet.ok, false);
+        assert.match(packet.reason, new RegExp(expect.reason));
+        return;
+      }
+
+      assert.strictEqual(packet.ok, true, packet.reason);
+      assert.strictEqual(packet.channelCount, expect.channelCount);
+      assert.strictEqual(packet.frameCount, expect.frameCount);
+      assert.strictEqual(packet.header.typeName, expect.type);
+      assert.strictEqual(packet.header.littleEndian, Boolean(expect.littleEndian));
+      assert.strictEqual(packet.nonFiniteCount, expect.nonFiniteCount || 0);
+      assert.ok(packet.samples.every(Number.isFinite), 'no NaN or infinite samples');
+      if (expect.samples) {
+        assertSamples(packet.channels[0], expect.samples);
+      }
+      if (expect.sequence !== undefined) {
+        assert.strictEqual(sequenced.header.sequence, expect.sequence);
+        assert.strictEqual(sequenced.header.sampleTime, expect.sampleTime);
+        assert.strictEqual(sequenced.header.sampleRate, expect.sampleRate);
+      }
+    });
+  }
+});
+
+test('big-endian, little-endian and headerless packets decode to the same audio', () => {
+  const reference = decodePacket(readPacket('float32-mono'));
+  for (const name of ['float32-little-endian', 'float32-no-packet-header']) {
+    assert.deepStrictEqual(decodePacket(readPacket(name)).samples, reference.samples, name);
+  }
+});
+
+test('stereo packets split planes into channels and interleave samples', () => {
+  const packet = decodePacket(readPacket('float32-stereo'));
+  const [left, right] = packet.channels;
+  for (let i = 0; i < packet.frameCount; i++) {
+    assert.strictEqual(right[i], Math.fround(-left[i] / 2));
+    assert.strictEqual(packet.samples[i * 2], left[i]);
+    assert.strictEqual(packet.samples[i * 2 + 1], right[i]);
+  }
+});
+
+test('dimensions that claim more cells than the data holds are rejected before decoding', () => {
+  // A 300-byte packet: one float32 plane of 1 frame, then dim / dimstride rewritten
+  const packet = encodePacket([new Float32Array(1)]);
+  const dimAt = PACKET_HEADER_SIZE + 20;
+  const strideAt = PACKET_HEADER_SIZE + 20 + 32 * 4;
+
+  // dim 400000000 with stride 0: every cell would be the same 4 bytes
+  const zeroStride = Buffer.from(packet);
+  zeroStride.writeInt32BE(400000000, dimAt);
+  zeroStride.writeInt32BE(0, strideAt);
+  assert.deepStrictEqual(decodePacket(zeroStride), { ok: false, reason: 'dimstride 0 too small for dim 0 (at least 4)' });
+
+  // A 2D matrix whose second stride overlaps the rows: 2 x 2 cells in 12 bytes
+  const overlapping = Buffer.concat([packet, Buffer.alloc(8)]);
+  overlapping.writeInt32BE(2, PACKET_HEADER_SIZE + 16);
+  overlapping.writeInt32BE(2, dimAt);
+  overlapping.writeInt32BE(2, dimAt + 4);
+  overlapping.writeInt32BE(4, strideAt);
+  overlapping.writeInt32BE(4, strideAt + 4);
+  assert.deepStrictEqual(decodePacket(overlapping), { ok: false, reason: 'dimstride 4 too small for dim 1 (at least 8)' });
+
+  // Valid strides, but more cells than datasize: rejected, not allocated
+  const tooMany = Buffer.from(packet);
+  tooMany.writeInt32BE(400000000, dimAt);
+  assert.deepStrictEqual(decodePacket(tooMany), { ok: false, reason: 'datasize 4 too small for dim [400000000]' });
+});
+
+test('JitStreamReader reassembles the TCP stream however it is split', () => {
+  const stream = fs.readFileSync(path.join(FIXTURES_DIR, 'packets', fixtures.tcpStream.file));
+  const expected = fixtures.tcpStream.packets.map((name) => fixture(name).expect.frameCount);
+
+  for (const chunkSize of [1, 7, 296, 1000, stream.length]) {
+    const reader = new JitStreamReader();
+    const packets = [];
+    for (let offset = 0; offset < stream.length; offset += chunkSize) {
+      packets.push(...reader.push(stream.subarray(offset, offset + chunkSize)));
+    }
+    assert.ok(packets.every((packet) => packet.ok), `chunk size ${chunkSize}`);
+    assert.deepStrictEqual(packets.map((packet) => packet.frameCount), expected, `chunk size ${chunkSize}`);
+  }
+});
+
+test('JitStreamReader resyncs after garbage between packets', () => {
+  const reader = new JitStreamReader();
+  const packet = readPacket('float32-mono');
+  const results = reader.push(Buffer.concat([packet, Buffer.from('garbage!'), packet]));
+  assert.deepStrictEqual(results.map((result) => result.ok), [true, false, true]);
+});
+
+test('UdpReceiver logs and drops malformed datagrams without calling onPacket', () => {
+  const received = [];
+  const logged = [];
+  const receiver = new UdpReceiver((packet, header) => received.push({ packet, header }), { log: (message) => logged.push(message) });
+
+  for (const entry of fixtures.packets) {
+    receiver.receive(readPacket(entry.name), { address: 'fixture', port: 0 });
+  }
+
+  const good = fixtures.packets.filter((entry) => entry.expect.ok);
+  const bad = fixtures.packets.filter((entry) => !entry.expect.ok);
+  assert.strictEqual(received.length, good.length);
+  assert.strictEqual(logged.length, bad.length);
+  logged.forEach((message) => assert.match(message, /^Dropped packet from fixture:0: /));
+  assert.strictEqual(received.find((entry) => entry.header !== null).header.sampleRate, 48000);
+});
+
+test('UdpReceiver keeps running when onPacket throws', () => {
+  const logged = [];
+  const receiver = new UdpReceiver(() => {
+    throw new Error('boom');
+  }, { log: (message) => logged.push(message) });
+
+  receiver.receive(readPacket('float32-mono'));
+  assert.deepStrictEqual(logged, ['Dropped packet from local:0: boom']);
+});
+
+test('TcpReceiver keeps the connection when onPacket throws', () => {
+  const logged = [];
+  const received = [];
+  const receiver = new TcpReceiver((packet) => {
+    received.push(packet.frameCount);
+    if (received.length === 1) {
+      throw new Error('boom');
+    }
+  }, { log: (message) => logged.push(message) });
+
+  const socket = new EventEmitter();
+  socket.remoteAddress = '127.0.0.1';
+  socket.remotePort = 5000;
+  receiver.accept(socket);
+  socket.emit('data', Buffer.concat([readPacket('float32-mono'), readPacket('float32-mono')]));
+
+  assert.strictEqual(received.length, 2, 'the packet after the failing one is still delivered');
+  assert.deepStrictEqual(logged, ['Client connected: 127.0.0.1:5000', 'Dropped packet from 127.0.0.1:5000: boom']);
+});
@@ -0,0 +1,300 @@
+/*
+ * =======================================================================
+ * TEST FIXTURES - jit.net.send PACKETS AND EXPECTED WAV FILES
+ * =======================================================================
+ *
+ * Writes the packet fixtures in packets/ (one datagram per .bin file),
+ * their expectations in packets.json, and the expected WAV files in
+ * expected/. The files are committed; run this only to add fixtures:
+ *
+ *   node test/fixtures/generate.js
+ *
+ * Packets and WAV files are built here byte by byte, without lib/, so
+ * the tests check the decoder and recorder against an independent
+ * reading of the formats instead of against themselves.
+ * =======================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PACKETS_DIR = path.join(__dirname, 'packets');
+const EXPECTED_DIR = path.join(__dirname, 'expected');
+
+const TYPE_SIZES = { char: 1, long: 4, float32: 4, float64: 8 };
+const TYPE_CODES = { char: 0, long: 1, float32: 2, float64: 3 };
+
+/**
+ * Builds one packet. `planes` holds one array of raw cell values per
+ * plane (already in the cell type: 0-255 for char, int32 for long).
+ */
+function buildPacket(planes, options = {}) {
+  const {
+    type = 'float32',
+    littleEndian = false,
+    packetHeader = true,
+    dim = [planes[0].length],
+    rowPadding = 0,
+    datasize,
+    chunkId = 'JMTX',
+  } = options;
+
+  const cellSize = TYPE_SIZES[type] * planes.length;
+  const dimstride = [cellSize];
+  for (let d = 1; d < dim.length; d++) {
+    dimstride.push(dimstride[d - 1] * dim[d - 1] + rowPadding);
+  }
+  const dataBytes = dim.length === 1 ? dim[0] * cellSize : dimstride[dim.length - 1] * dim[dim.length - 1];
+
+  const header = Buffer.alloc(288);
+  const writeLong = (value, offset) => (littleEndian ? header.writeInt32LE(value, offset) : header.writeInt32BE(value, offset));
+  header.write(littleEndian ? reverse(chunkId) : chunkId, 0, 'latin1');
+  writeLong(288, 4);
+  writeLong(planes.length, 8);
+  writeLong(TYPE_CODES[type], 12);
+  writeLong(dim.length, 16);
+  dim.forEach((size, d) => writeLong(size, 20 + d * 4));
+  dimstride.forEach((stride, d) => writeLong(stride, 148 + d * 4));
+  writeLong(datasize === undefined ? dataBytes : datasize, 276);
+  if (littleEndian) {
+    header.writeDoubleLE(1234.5, 280);
+  } else {
+    header.writeDoubleBE(1234.5, 280);
+  }
+
+  const data = Buffer.alloc(dataBytes);
+  const frameCount = planes[0].length;
+  for (let frame = 0; frame < frameCount; frame++) {
+    // Cell offset following dimstride (dim 0 fastest)
+    let offset = 0;
+    let rest = frame;
+    for (let d = 0; d < dim.length; d++) {
+      offset += (rest % dim[d]) * dimstride[d];
+      rest = Math.floor(rest / dim[d]);
+    }
+    planes.forEach((plane, p) => writeCell(data, offset + p * TYPE_SIZES[type], plane[frame], type, littleEndian));
+  }
+
+  const matrix = Buffer.concat([header, data]);
+  if (!packetHeader) {
+    return matrix;
+  }
+  const outer = Buffer.alloc(8);
+  outer.write(littleEndian ? reverse(chunkId) : chunkId, 0, 'latin1');
+  if (littleEndian) {
+    outer.writeInt32LE(matrix.length, 4);
+  } else {
+    outer.writeInt32BE(matrix.length, 4);
+  }
+  return Buffer.concat([outer, matrix]);
+}
+
+function writeCell(buffer, offset, value, type, littleEndian) {
+  const suffix = littleEndian ? 'LE' : 'BE';
+  if (type === 'char') {
+    buffer.writeUInt8(value, offset);
+  } else if (type === 'long') {
+    buffer[`writeInt32${suffix}`](value, offset);
+  } else if (type === 'float32') {
+    buffer[`writeFloat${suffix}`](value, offset);
+  } else {
+    buffer[`writeDouble${suffix}`](value, offset);
+  }
+}
+
+function reverse(text) {
+  return text.split('').reverse().join('');
+}
+
+/**
+ * SEQH header, version 2 when `sampleRate` is given.
+ */
+function sequenceHeader(sequence, sampleTime, sampleRate) {
+  const header = Buffer.alloc(sampleRate ? 24 : 20);
+  header.write('SEQH', 0, 'latin1');
+  header.writeUInt8(sampleRate ? 2 : 1, 4);
+  header.writeUInt16BE(header.length, 6);
+  header.writeUInt32BE(sequence, 8);
+  header.writeBigUInt64BE(BigInt(sampleTime), 12);
+  if (sampleRate) {
+    header.writeUInt32BE(sampleRate, 20);
+  }
+  return header;
+}
+
+/**
+ * 16-bit PCM WAV file: 44 byte RIFF header + interleaved samples.
+ */
+function buildWav(int16Samples, channels, sampleRate) {
+  const header = Buffer.alloc(44);
+  const dataBytes = int16Samples.length * 2;
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8, 'latin1');
+  header.write('fmt ', 12, 'latin1');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'latin1');
+  header.writeUInt32LE(dataBytes, 40);
+
+  const data = Buffer.alloc(dataBytes);
+  int16Samples.forEach((sample, i) => data.writeInt16LE(sample, i * 2));
+  return Buffer.concat([header, data]);
+}
+
+function toInt16(value) {
+  const sample = Math.fround(value);
+  if (!Number.isFinite(sample)) {
+    return 0;
+  }
+  return Math.max(-32768, Math.min(32767, Math.round(sample * 32767)));
+}
+
+function interleaveFrames(planes) {
+  const frames = [];
+  for (let i = 0; i < planes[0].length; i++) {
+    planes.forEach((plane) => frames.push(plane[i]));
+  }
+  return frames;
+}
+
+function sine(frequency, amplitude, frameCount, sampleRate) {
+  return Array.from({ length: frameCount }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+}
+
+function generate() {
+  const left = sine(1000, 0.5, 441, 44100);
+  const right = left.map((value) => -value / 2);
+  const nanCells = [0.25, NaN, -0.25, Infinity, 2, -Infinity, -2, 0.5];
+
+  const fixtures = [
+    {
+      name: 'float32-mono',
+      description: 'One 10 ms block from a mono jit.catch~ (float32, big-endian)',
+      packet: buildPacket([left]),
+      expect: { ok: true, channelCount: 1, frameCount: 441, type: 'float32' },
+      wav: { planes: [left], sampleRate: 44100 },
+    },
+    {
+      name: 'float32-stereo',
+      description: 'Stereo block, one plane per channel',
+      packet: buildPacket([left, right]),
+      expect: { ok: true, channelCount: 2, frameCount: 441, type: 'float32' },
+      wav: { planes: [left, right], sampleRate: 44100 },
+    },
+    {
+      name: 'float32-seqh-v2',
+      description: 'Mono block behind a version 2 SEQH header announcing 48 kHz',
+      packet: Buffer.concat([sequenceHeader(7, 3360, 48000), buildPacket([sine(1000, 0.5, 480, 48000)])]),
+      expect: { ok: true, channelCount: 1, frameCount: 480, type: 'float32', sequence: 7, sampleTime: 3360, sampleRate: 48000 },
+    },
+    {
+      name: 'float32-little-endian',
+      description: 'Little-endian sender (reversed chunk ids)',
+      packet: buildPacket([left], { littleEndian: true }),
+      expect: { ok: true, channelCount: 1, frameCount: 441, type: 'float32', littleEndian: true },
+    },
+    {
+      name: 'float32-no-packet-header',
+      description: 'Matrix header without the outer packet header',
+      packet: buildPacket([left], { packetHeader: false }),
+      expect: { ok: true, channelCount: 1, frameCount: 441, type: 'float32' },
+    },
+    {
+      name: 'float32-padded-rows',
+      description: '2D matrix [4 2] with 8 bytes of padding after each row',
+      packet: buildPacket([[0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8]], { dim: [4, 2], rowPadding: 8 }),
+      expect: { ok: true, channelCount: 1, frameCount: 8, type: 'float32' },
+    },
+    {
+      name: 'char-mono',
+      description: 'Unsigned 8-bit cells, 128 = silence',
+      packet: buildPacket([[0, 64, 128, 192, 255]], { type: 'char' }),
+      expect: { ok: true, channelCount: 1, frameCount: 5, type: 'char', samples: [-1, -0.5, 0, 0.5, 127 / 128] },
+    },
+    {
+      name: 'long-mono',
+      description: 'Signed 32-bit cells',
+      packet: buildPacket([[0, 1073741824, -2147483648, -1073741824]], { type: 'long' }),
+      expect: { ok: true, channelCount: 1, frameCount: 4, type: 'long', samples: [0, 0.5, -1, -0.5] },
+    },
+    {
+      name: 'float64-mono',
+      description: 'Double precision cells, narrowed to float32',
+      packet: buildPacket([[0.125, -0.75, 0.1]], { type: 'float64' }),
+      expect: { ok: true, channelCount: 1, frameCount: 3, type: 'float64', samples: [0.125, -0.75, Math.fround(0.1)] },
+    },
+    {
+      name: 'float32-nan-cells',
+      description: 'NaN / infinite cells (the values dumped to matrix_data.txt) and out-of-range cells',
+      packet: buildPacket([nanCells]),
+      expect: { ok: true, channelCount: 1, frameCount: 8, type: 'float32', nonFiniteCount: 3, samples: [0.25, 0, -0.25, 0, 2, 0, -2, 0.5] },
+      wav: { planes: [nanCells], sampleRate: 44100 },
+    },
+    {
+      name: 'malformed-truncated-data',
+      description: 'Header announces more data than the datagram holds',
+      packet: buildPacket([left]).subarray(0, 400),
+      expect: { ok: false, reason: 'truncated matrix data' },
+    },
+    {
+      name: 'malformed-truncated-header',
+      description: 'Datagram cut inside the matrix header',
+      packet: buildPacket([left]).subarray(0, 100),
+      expect: { ok: false, reason: 'truncated matrix header' },
+    },
+    {
+      name: 'malformed-chunk-id',
+      description: 'Not a matrix packet',
+      packet: buildPacket([left], { chunkId: 'JMSG' }),
+      expect: { ok: false, reason: 'unknown chunk id' },
+    },
+    {
+      name: 'malformed-datasize',
+      description: 'datasize smaller than the cells described by dim',
+      packet: buildPacket([left], { datasize: 400 }),
+      expect: { ok: false, reason: 'too small for dim' },
+    },
+    {
+      name: 'malformed-seqh',
+      description: 'SEQH header cut short',
+      packet: Buffer.from('SEQH\u0001', 'latin1'),
+      expect: { ok: false, reason: 'truncated sequence header' },
+    },
+  ];
+
+  fs.mkdirSync(PACKETS_DIR, { recursive: true });
+  fs.mkdirSync(EXPECTED_DIR, { recursive: true });
+
+  const manifest = fixtures.map((fixture) => {
+    fs.writeFileSync(path.join(PACKETS_DIR, `${fixture.name}.bin`), fixture.packet);
+    const entry = { name: fixture.name, description: fixture.description, expect: fixture.expect };
+    if (fixture.wav) {
+      const { planes, sampleRate } = fixture.wav;
+      const wavFile = `${fixture.name}.wav`;
+      fs.writeFileSync(path.join(EXPECTED_DIR, wavFile), buildWav(interleaveFrames(planes).map(toInt16), planes.length, sampleRate));
+      entry.wav = { file: wavFile, channels: planes.length, sampleRate: sampleRate };
+    }
+    return entry;
+  });
+
+  // The TCP fixture: every well-formed big-endian packet back to back, as one byte stream
+  const streamed = fixtures.filter((fixture) => fixture.expect.ok && !fixture.expect.littleEndian
+    && fixture.name !== 'float32-seqh-v2' && fixture.name !== 'float32-no-packet-header');
+  fs.writeFileSync(path.join(PACKETS_DIR, 'tcp-stream.bin'), Buffer.concat(streamed.map((fixture) => fixture.packet)));
+
+  const index = {
+    packets: manifest,
+    tcpStream: { file: 'tcp-stream.bin', packets: streamed.map((fixture) => fixture.name) },
+  };
+  fs.writeFileSync(path.join(__dirname, 'packets.json'), JSON.stringify(index, null, 2) + '\n');
+}
+
+if (require.main === module) {
+  generate();
+}
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { specialFormatting } = require('../lib/formatter');
+
+test('specialFormatting converts number words', () => {
+  const cases = [
+    ['twenty five', 25],
+    ['one hundred and three', 103],
+    ['minus twelve', '-12'],
+    ['fifty percent', '50%'],
+    ['minus twenty five percent', '-25%'],
+    ['play', 'play'],
+    ['set volume to ten', 'set volume to 10'],
+  ];
+  for (const [input, expected] of cases) {
+    assert.strictEqual(specialFormatting(input), expected, input);
+  }
+});
+
+test('minus only counts as a sign at the start', () => {
+  assert.strictEqual(specialFormatting('five minus two'), '5 minus 2');
+});
+
+test('specialFormatting leaves empty text empty', () => {
+  assert.strictEqual(specialFormatting(''), '');
+});
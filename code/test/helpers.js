@@ -0,0 +1,227 @@
+/*
+ * Shared test helpers: packet fixtures, temporary files, a fake vosk
+ * module and a small FLAC reader, so the suite runs without Max, audio
+ * hardware, network, the native Vosk library or a FLAC decoder.
+ */
+
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const fixtures = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'packets.json'), 'utf8'));
+
+function readPacket(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, 'packets', `${name}.bin`));
+}
+
+function readExpected(file) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, 'expected', file));
+}
+
+function fixture(name) {
+  const entry = fixtures.packets.find((packet) => packet.name === name);
+  if (!entry) {
+    throw new Error(`No fixture '${name}'`);
+  }
+  return entry;
+}
+
+/**
+ * Creates a temporary directory, removed again by the returned cleanup function.
+ */
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'udp-audio-test-'));
+  return { dir: dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Stand-in for the vosk module. Every acceptWaveform() call is recorded;
+ * `results` scripts what the recognizer returns, one entry per call:
+ * `{ final: 'text', words: [...] }`, `{ partial: 'text' }` or null
+ * (`words` only with setWords(true)).
+ */
+function createFakeVosk(results = []) {
+  const calls = { waveforms: [], freed: [] };
+  let next = 0;
+
+  class Model {
+    constructor(modelPath) {
+      this.path = modelPath;
+    }
+
+    free() {
+      calls.freed.push(`model ${this.path}`);
+    }
+  }
+
+  class Recognizer {
+    constructor(options) {
+      this.model = options.model;
+      this.sampleRate = options.sampleRate;
+      this.grammar = options.grammar || null;
+      this.pending = '';
+      this.current = null;
+      this.words = false;
+    }
+
+    setWords(enabled) {
+      this.words = enabled;
+    }
+
+    acceptWaveform(waveform) {
+      calls.waveforms.push(Buffer.from(waveform));
+      this.current = results[next++] || null;
+      if (this.current && this.current.partial) {
+        this.pending = this.current.partial;
+      }
+      return Boolean(this.current && this.current.final);
+    }
+
+    result() {
+      this.pending = '';
+      return this.words && this.current.words
+        ? { text: this.current.final, result: this.current.words }
+        : { text: this.current.final };
+    }
+
+    partialResult() {
+      return { partial: this.current ? this.current.partial || '' : '' };
+    }
+
+    finalResult() {
+      const text = this.pending;
+      this.pending = '';
+      return { text: text };
+    }
+
+    free() {
+      calls.freed.push(`recognizer ${this.model.path}`);
+    }
+  }
+
+  return { Model, Recognizer, setLogLevel: () => {}, calls };
+}
+
+class BitReader {
+  constructor(bytes, position = 0) {
+    this.bytes = bytes;
+    this.bit = position * 8;
+  }
+
+  read(count) {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      value = value * 2 + ((this.bytes[this.bit >> 3] >> (7 - (this.bit & 7))) & 1);
+      this.bit++;
+    }
+    return value;
+  }
+
+  readSigned(count) {
+    const value = this.read(count);
+    return value >= 2 ** (count - 1) ? value - 2 ** count : value;
+  }
+
+  readUnary() {
+    let zeros = 0;
+    while (this.read(1) === 0) {
+      zeros++;
+    }
+    return zeros;
+  }
+
+  alignToByte() {
+    this.bit = Math.ceil(this.bit / 8) * 8;
+  }
+}
+
+/**
+ * Decodes the FLAC subset lib/audioFormats.js writes (fixed block size,
+ * independent channels, CONSTANT / VERBATIM / FIXED subframes with one
+ * Rice partition) to `{ sampleRate, channels, bits, totalSamples, md5,
+ * samples }`, samples being one Int32Array per channel.
+ */
+function readFlac(data) {
+  if (data.toString('latin1', 0, 4) !== 'fLaC') {
+    throw new Error('Not a FLAC file');
+  }
+  const info = new BitReader(data, 8);
+  info.read(16 + 16 + 24 + 24); // block and frame sizes
+  const sampleRate = info.read(20);
+  const channels = info.read(3) + 1;
+  const bits = info.read(5) + 1;
+  const totalSamples = info.read(36);
+  const md5 = data.subarray(26, 42);
+
+  const decoded = Array.from({ length: channels }, () => []);
+  const reader = new BitReader(data, 42);
+  while (reader.bit / 8 < data.length) {
+    assert.strictEqual(reader.read(16), 0xFFF8, 'frame sync');
+    const blockSizeCode = reader.read(4);
+    const rateCode = reader.read(4);
+    reader.read(8); // channel assignment, sample size, reserved
+    let lead = reader.read(8);
+    while ((lead & 0xC0) === 0xC0) { // UTF-8 frame number continuation bytes
+      reader.read(8);
+      lead = (lead << 1) & 0xFF;
+    }
+    const blockSize = blockSizeCode === 0x7 ? reader.read(16) + 1 : reader.read(8) + 1;
+    reader.read(rateCode === 0xC ? 8 : rateCode > 0xC ? 16 : 0);
+    reader.read(8); // CRC-8
+
+    for (let c = 0; c < channels; c++) {
+      const type = reader.read(8) >> 1;
+      const samples = new Int32Array(blockSize);
+      if (type === 0) {
+        samples.fill(reader.readSigned(bits));
+      } else if (type === 1) {
+        for (let i = 0; i < blockSize; i++) {
+          samples[i] = reader.readSigned(bits);
+        }
+      } else {
+        const order = type & 0x7;
+        for (let i = 0; i < order; i++) {
+          samples[i] = reader.readSigned(bits);
+        }
+        const parameterBits = reader.read(2) === 1 ? 5 : 4;
+        assert.strictEqual(reader.read(4), 0, 'partition order');
+        const parameter = reader.read(parameterBits);
+        for (let i = order; i < blockSize; i++) {
+          const zigzag = reader.readUnary() * 2 ** parameter + reader.read(parameter);
+          const residual = zigzag % 2 ? -(zigzag + 1) / 2 : zigzag / 2;
+          const s = samples;
+          const prediction = [0, s[i - 1], 2 * s[i - 1] - s[i - 2], 3 * s[i - 1] - 3 * s[i - 2] + s[i - 3],
+            4 * s[i - 1] - 6 * s[i - 2] + 4 * s[i - 3] - s[i - 4]][order];
+          samples[i] = prediction + residual;
+        }
+      }
+      decoded[c].push(samples);
+    }
+    reader.alignToByte();
+    reader.read(16); // CRC-16
+  }
+
+  const samples = decoded.map((blocks) => {
+    const channel = new Int32Array(blocks.reduce((total, block) => total + block.length, 0));
+    let offset = 0;
+    for (const block of blocks) {
+      channel.set(block, offset);
+      offset += block.length;
+    }
+    return channel;
+  });
+  return { sampleRate, channels, bits, totalSamples, md5, samples };
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  fixtures,
+  fixture,
+  readPacket,
+  readExpected,
+  makeTempDir,
+  createFakeVosk,
+  readFlac,
+};
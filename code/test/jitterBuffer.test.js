@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JitterBuffer } = require('../lib/jitterBuffer');
+
+// 1 kHz keeps frames and milliseconds the same numbers: a packet is 10 ms
+const OPTIONS = { sampleRate: 1000, blockMs: 10, targetLatencyMs: 30, minLatencyMs: 10, maxLatencyMs: 200 };
+
+function packet(channelCount = 1, frames = 10) {
+  return Array.from({ length: channelCount }, () => new Float32Array(frames));
+}
+
+function buffer(options = {}) {
+  const blocks = [];
+  const jitterBuffer = new JitterBuffer((channels) => blocks.push(channels), Object.assign({}, OPTIONS, options));
+  return { jitterBuffer, blocks };
+}
+
+test('output starts at the target latency and follows its own clock', () => {
+  const { jitterBuffer, blocks } = buffer();
+  jitterBuffer.push(packet(), 0);
+  jitterBuffer.push(packet(), 10);
+  jitterBuffer.tick(100);
+  assert.strictEqual(blocks.length, 0, 'not playing below the target');
+
+  jitterBuffer.push(packet(), 20);
+  jitterBuffer.tick(40);
+  assert.strictEqual(blocks.length, 2);
+  assert.strictEqual(blocks[0][0].length, 10);
+  assert.strictEqual(jitterBuffer.status().depthMs, 10);
+});
+
+test('steady arrivals measure no jitter, bursty ones raise the adaptive target', () => {
+  const steady = buffer().jitterBuffer;
+  for (let i = 0; i < 50; i++) {
+    steady.push(packet(), i * 10);
+  }
+  assert.strictEqual(steady.status().jitterMs, 0);
+  assert.strictEqual(steady.status().targetMs, 30);
+
+  const bursty = buffer().jitterBuffer;
+  const fixed = buffer({ adaptive: false }).jitterBuffer;
+  for (let i = 0; i < 100; i++) {
+    // Pairs of packets arriving together every 20 ms
+    const arrival = Math.floor(i / 2) * 20;
+    bursty.push(packet(), arrival);
+    fixed.push(packet(), arrival);
+  }
+  assert.ok(Math.abs(bursty.status().jitterMs - 10) < 0.5, `jitter ${bursty.status().jitterMs}`);
+  assert.ok(bursty.status().targetMs > 45, `target ${bursty.status().targetMs}`);
+  assert.strictEqual(fixed.status().targetMs, 30);
+});
+
+test('concealed blocks are not measured as arrivals', () => {
+  const concealed = buffer().jitterBuffer;
+  const measured = buffer().jitterBuffer;
+  for (let i = 0; i < 10; i++) {
+    if (i === 5) {
+      continue; // Lost: concealed when packet 6 arrives
+    }
+    if (i === 6) {
+      concealed.pushConcealed(packet(), 60);
+      measured.push(packet(), 60);
+    }
+    concealed.push(packet(), i * 10);
+    measured.push(packet(), i * 10);
+  }
+  assert.strictEqual(concealed.status().jitterMs, 0);
+  assert.ok(measured.status().jitterMs > 0, 'a lost packet would look like a whole packet of jitter');
+});
+
+test('underruns pause output until the target is buffered again', () => {
+  const { jitterBuffer, blocks } = buffer();
+  for (let i = 0; i < 3; i++) {
+    jitterBuffer.push(packet(), i * 10);
+  }
+  jitterBuffer.tick(60);
+  assert.strictEqual(jitterBuffer.status().underruns, 1);
+  assert.strictEqual(blocks.length, 3);
+
+  jitterBuffer.push(packet(), 70);
+  jitterBuffer.tick(200);
+  assert.strictEqual(blocks.length, 3, 'waits for 30 ms of audio');
+});
+
+test('overruns drop the oldest audio back to the target', () => {
+  const { jitterBuffer } = buffer();
+  for (let i = 0; i < 8; i++) {
+    jitterBuffer.push(packet(), 0);
+  }
+  const status = jitterBuffer.status();
+  assert.strictEqual(status.overruns, 1);
+  assert.strictEqual(status.droppedFrames, 50);
+  assert.strictEqual(status.depthMs, 30);
+});
+
+test('a channel layout change starts buffering over and keeps the stats', () => {
+  const { jitterBuffer, blocks } = buffer();
+  for (let i = 0; i < 3; i++) {
+    jitterBuffer.push(packet(), i * 10);
+  }
+  jitterBuffer.tick(60);
+  assert.strictEqual(jitterBuffer.status().underruns, 1);
+
+  jitterBuffer.push(packet(2), 60);
+  assert.strictEqual(jitterBuffer.status().depthMs, 10);
+  assert.strictEqual(jitterBuffer.status().underruns, 1);
+  jitterBuffer.push(packet(2), 70);
+  jitterBuffer.push(packet(2), 80);
+  jitterBuffer.tick(90);
+  assert.strictEqual(blocks[blocks.length - 1].length, 2);
+});
+
+test('blocks reuse the same arrays from one to the next', () => {
+  const seen = [];
+  const jitterBuffer = new JitterBuffer((channels) => {
+    seen.push({ arrays: channels, values: channels.map((channel) => channel[0]) });
+  }, OPTIONS);
+
+  [1, 2, 3, 4].forEach((value, i) => {
+    jitterBuffer.push([new Float32Array(10).fill(value), new Float32Array(10).fill(-value)], i * 10);
+  });
+  jitterBuffer.tick(60);
+
+  assert.deepStrictEqual(seen.map((block) => block.values), [[1, -1], [2, -2], [3, -3], [4, -4]]);
+  assert.ok(seen.every((block) => block.arrays[0] === seen[0].arrays[0] && block.arrays[1] === seen[0].arrays[1]));
+});
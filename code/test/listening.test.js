@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ListenGate } = require('../lib/listening');
+
+// A gate whose window timer runs only when the test says so
+function makeGate(options) {
+  const changes = [];
+  const timers = [];
+  const gate = new ListenGate(Object.assign({
+    onChange: (listening) => changes.push(listening),
+    setTimer: (fn, ms) => {
+      const timer = { fn: fn, ms: ms, cleared: false };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimer: (timer) => {
+      timer.cleared = true;
+    },
+  }, options));
+  const expire = () => timers.filter((timer) => !timer.cleared).forEach((timer) => {
+    timer.cleared = true;
+    timer.fn();
+  });
+  return { gate, changes, timers, expire };
+}
+
+test('always mode lets every result through', () => {
+  const { gate, changes } = makeGate();
+  assert.deepStrictEqual(changes, [true]);
+  assert.strictEqual(gate.filter('play the track'), 'play the track');
+  assert.strictEqual(gate.push(false), false);
+  assert.strictEqual(gate.listening, true);
+});
+
+test('wake mode opens a window after the wake phrase', () => {
+  const { gate, changes, timers, expire } = makeGate({ mode: 'wake', wakePhrase: 'Hey  Max', windowMs: 4000 });
+  assert.deepStrictEqual(changes, []);
+  assert.strictEqual(gate.filter('play it'), null);
+
+  // Only what follows the phrase counts
+  assert.strictEqual(gate.filter('stop hey max play it'), 'play it');
+  assert.deepStrictEqual(changes, [true]);
+  assert.strictEqual(timers[0].ms, 4000);
+
+  // Inside the window no phrase is needed, and a command restarts it
+  assert.strictEqual(gate.filter('tempo ninety'), 'tempo ninety');
+  gate.commandSent();
+  assert.strictEqual(timers[0].cleared, true);
+  assert.strictEqual(timers.length, 2);
+
+  expire();
+  assert.deepStrictEqual(changes, [true, false]);
+  assert.strictEqual(gate.filter('play'), null);
+
+  // listen 1 opens the window too, listen 0 closes it
+  gate.push(true);
+  assert.strictEqual(gate.filter('play'), 'play');
+  gate.push(false);
+  assert.deepStrictEqual(changes, [true, false, true, false]);
+});
+
+test('push mode follows the talk button', () => {
+  const { gate, changes, timers } = makeGate({ mode: 'push' });
+  assert.strictEqual(gate.filter('play'), null);
+  assert.strictEqual(gate.push(true), true);
+  assert.strictEqual(gate.filter('hey max play'), 'hey max play');
+  gate.commandSent();
+  gate.push(false);
+  assert.strictEqual(gate.filter('play'), null);
+  assert.deepStrictEqual(changes, [true, false]);
+  assert.strictEqual(timers.length, 0);
+
+  gate.push(true);
+  gate.setMode('always');
+  gate.setMode('wake');
+  assert.deepStrictEqual(changes, [true, false, true, false]);
+  assert.throws(() => gate.setMode('never'), /Unknown listen mode 'never', expected always, wake, push/);
+  assert.throws(() => gate.setWakePhrase(' '), /at least one word/);
+});
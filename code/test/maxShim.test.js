@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MaxShim, parseMessage } = require('../lib/maxShim');
+
+function makeShim() {
+  const lines = [];
+  const shim = new MaxShim({ output: { write: (line) => lines.push(JSON.parse(line)) }, ignoredOutlets: ['writeAudioChunk'] });
+  return { shim, lines };
+}
+
+test('parseMessage splits Max messages into atoms', () => {
+  assert.deepStrictEqual(parseMessage('set latencyMs 80'), ['set', 'latencyMs', 80]);
+  assert.deepStrictEqual(parseMessage('set outputFile "my take.wav"'), ['set', 'outputFile', 'my take.wav']);
+  assert.deepStrictEqual(parseMessage('  samplerate 4.8e4 -1  '), ['samplerate', 48000, -1]);
+  assert.deepStrictEqual(parseMessage(''), []);
+});
+
+test('post and outlet are written as JSON lines', () => {
+  const { shim, lines } = makeShim();
+  shim.post('hello', 'world');
+  shim.post('careful', shim.POST_LEVELS.WARN);
+  shim.outlet('text', 'play');
+  shim.outlet('writeAudioChunk', 1, 0.5);
+  assert.deepStrictEqual(lines, [
+    { post: 'hello world' },
+    { post: 'careful', level: 'warn' },
+    { outlet: ['text', 'play'] },
+  ]);
+});
+
+test('ignored outlets are still emitted as events', () => {
+  const { shim } = makeShim();
+  const outlets = [];
+  shim.on('outlet', (args) => outlets.push(args));
+  shim.outlet('writeAudioChunk', 1, 0.5);
+  assert.deepStrictEqual(outlets, [['writeAudioChunk', 1, 0.5]]);
+});
+
+test('command lines run their handlers', async () => {
+  const { shim, lines } = makeShim();
+  const calls = [];
+  shim.addHandler('set', (...args) => calls.push(args));
+  shim.addHandler(shim.MESSAGE_TYPES.ALL, (name) => calls.push(['all', name]));
+
+  await shim.dispatchLine('set latencyMs 80');
+  assert.deepStrictEqual(calls, [['latencyMs', 80], ['all', 'set']]);
+
+  shim.removeHandlers(shim.MESSAGE_TYPES.ALL);
+  await shim.dispatchLine('bogus');
+  assert.deepStrictEqual(lines, [{ post: "No handler for message 'bogus'", level: 'warn' }]);
+});
+
+test('handler errors are posted instead of thrown', async () => {
+  const { shim, lines } = makeShim();
+  shim.addHandler('port', async () => {
+    throw new Error('Invalid port');
+  });
+  await shim.dispatchLine('port 0');
+  assert.deepStrictEqual(lines, [{ post: "Error in handler 'port': Invalid port", level: 'error' }]);
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ModelLibrary, ModelRoute } = require('../lib/models');
+const { SpeechRecognizer } = require('../lib/recognizer');
+const { makeTempDir, createFakeVosk } = require('./helpers');
+
+function makeModelDirs(t, ...names) {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+  return names.map((name) => {
+    fs.mkdirSync(path.join(dir, name));
+    return path.join(dir, name);
+  });
+}
+
+test('models load in the background and are kept by name', async (t) => {
+  const vosk = createFakeVosk();
+  const models = new ModelLibrary({ vosk: vosk });
+  const [en, fr] = makeModelDirs(t, 'en', 'fr');
+
+  const loading = models.load('en', en);
+  assert.strictEqual(models.has('en'), false, 'not loaded synchronously');
+  const entry = await loading;
+  assert.strictEqual(entry.path, en);
+  assert.ok(entry.model instanceof vosk.Model);
+
+  await models.load('fr', fr);
+  assert.deepStrictEqual(models.names, ['en', 'fr']);
+
+  // Loading a name again replaces (and frees) its model
+  await models.load('fr', en);
+  assert.strictEqual(models.get('fr').path, en);
+  assert.deepStrictEqual(vosk.calls.freed, [`model ${fr}`]);
+
+  assert.strictEqual(models.unload('en'), true);
+  assert.strictEqual(models.unload('en'), false);
+  models.free();
+  assert.deepStrictEqual(models.names, []);
+});
+
+test('loads that block the event loop are reported', async (t) => {
+  const messages = [];
+  const models = new ModelLibrary({ vosk: createFakeVosk(), log: (message) => messages.push(message) });
+  const [en] = makeModelDirs(t, 'en');
+
+  assert.strictEqual(models.background, false);
+  await models.load('en', en);
+  assert.deepStrictEqual(messages, [`Loading ${en} blocks the audio until it is done (background loading needs ffi-napi and vosk 0.3.39)`]);
+});
+
+// vosk_model_new's ffi-napi form: handles are handed out on the next tick
+function fakeModelNew() {
+  return { async: (modelPath, callback) => setImmediate(() => callback(null, { path: modelPath, isNull: () => false })) };
+}
+
+test('models built from a native handle behave like vosk ones', async (t) => {
+  // Shaped like vosk 0.3.39's Model
+  class Model {
+    constructor(modelPath) {
+      this.handle = { path: modelPath };
+    }
+
+    free() {
+      freed.push(this.handle.path);
+    }
+  }
+  const freed = [];
+  const messages = [];
+  const models = new ModelLibrary({ vosk: { Model }, modelNew: fakeModelNew(), log: (message) => messages.push(message) });
+  const [en] = makeModelDirs(t, 'en');
+
+  assert.strictEqual(models.background, true);
+  const { model } = await models.load('en', en);
+  assert.ok(model instanceof Model);
+  assert.strictEqual(model.handle.path, en);
+  models.free();
+  assert.deepStrictEqual(freed, [en]);
+  assert.deepStrictEqual(messages, []);
+});
+
+test('a vosk without a handle field falls back to blocking loads, loudly', async (t) => {
+  const messages = [];
+  const vosk = createFakeVosk();
+  const models = new ModelLibrary({ vosk: vosk, modelNew: fakeModelNew(), log: (message) => messages.push(message) });
+  const [en] = makeModelDirs(t, 'en');
+
+  assert.strictEqual(models.background, false);
+  assert.match(messages[0], /^The installed vosk module does not keep models in a handle field/);
+  const { model } = await models.load('en', en);
+  assert.strictEqual(model.path, en, 'built by new vosk.Model()');
+  assert.match(messages[1], /blocks the audio/);
+});
+
+test('the latest load of a name wins', async (t) => {
+  const vosk = createFakeVosk();
+  const models = new ModelLibrary({ vosk: vosk });
+  const [first, second] = makeModelDirs(t, 'first', 'second');
+
+  const results = await Promise.all([models.load('main', first), models.load('main', second)]);
+  assert.strictEqual(results[0], null);
+  assert.strictEqual(models.get('main').path, second);
+  assert.deepStrictEqual(vosk.calls.freed, [`model ${first}`]);
+});
+
+test('a model that does not load is reported and changes nothing', async (t) => {
+  const vosk = createFakeVosk();
+  const models = new ModelLibrary({ vosk: vosk });
+  const [good, empty] = makeModelDirs(t, 'good', 'empty');
+  await models.load('main', good);
+
+  await assert.rejects(models.load('main', path.join(good, 'nope')), /^Error: Model not found: /);
+
+  vosk.Model.prototype.handle = { isNull: () => true };
+  await assert.rejects(models.load('main', empty), /^Error: No Vosk model in /);
+  assert.strictEqual(models.get('main').path, good);
+});
+
+test('a swap between frames loses no audio', async (t) => {
+  const vosk = createFakeVosk([{ partial: 'hello' }]);
+  const models = new ModelLibrary({ vosk: vosk });
+  const [en, fr] = makeModelDirs(t, 'en', 'fr');
+  const recognizer = new SpeechRecognizer({ vosk: vosk });
+  recognizer.useModel((await models.load('en', en)).model, en);
+
+  // Audio keeps reaching the English recognizer while French loads
+  const loading = models.load('fr', fr);
+  recognizer.accept(Buffer.alloc(320, 1));
+  const entry = await loading;
+  assert.strictEqual(recognizer.useModel(entry.model, entry.path), 'hello');
+  recognizer.accept(Buffer.alloc(320, 2));
+
+  assert.deepStrictEqual(vosk.calls.waveforms.map((waveform) => waveform[0]), [1, 2]);
+  assert.deepStrictEqual(vosk.calls.freed, [`recognizer ${en}`], 'the shared model stays loaded');
+});
+
+test('a route recognizes its own channel with its own model', async (t) => {
+  const vosk = createFakeVosk([{ final: 'bonjour' }]);
+  const models = new ModelLibrary({ vosk: vosk });
+  const [fr] = makeModelDirs(t, 'fr');
+  const entry = await models.load('fr', fr);
+  const route = new ModelRoute({ vosk: vosk, model: entry.model, modelPath: entry.path, channel: 2, inputRate: 16000, frameMs: 10 });
+
+  const left = new Float32Array(1600);
+  const right = new Float32Array(1600).fill(0.5);
+  assert.deepStrictEqual(route.process([left]), [], 'no channel 2 in a mono stream');
+  assert.deepStrictEqual(route.process([left, right]), [{ type: 'final', text: 'bonjour' }]);
+
+  // 10 ms frames of channel 2, less the resampler's filter delay
+  assert.ok(vosk.calls.waveforms.length >= 8);
+  assert.ok(vosk.calls.waveforms.every((waveform) => waveform.length === 320));
+  assert.ok(vosk.calls.waveforms[vosk.calls.waveforms.length - 1].readInt16LE(0) > 0);
+  assert.strictEqual(route.modelPath, fr);
+
+  route.free();
+  assert.deepStrictEqual(vosk.calls.freed, [`recognizer ${fr}`]);
+});
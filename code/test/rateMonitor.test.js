@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArrivalRateMonitor } = require('../lib/rateMonitor');
+
+// Feeds `seconds` of 10 ms packets at `actualRate` starting at `startMs`, returns the reports
+function stream(monitor, actualRate, configuredRate, seconds, startMs = 0) {
+  const reports = [];
+  const frames = actualRate / 100;
+  for (let time = startMs; time <= startMs + seconds * 1000; time += 10) {
+    const report = monitor.push(frames, configuredRate, time);
+    if (report) {
+      reports.push(report);
+    }
+  }
+  return reports;
+}
+
+test('a sender at the configured rate is not reported', () => {
+  const monitor = new ArrivalRateMonitor();
+  assert.deepStrictEqual(stream(monitor, 44100, 44100, 12), []);
+  assert.strictEqual(monitor.measuredRate, 44100);
+});
+
+test('a sender at another rate is reported once per window', () => {
+  const monitor = new ArrivalRateMonitor({ windowMs: 2000 });
+  const reports = stream(monitor, 48000, 44100, 6.5);
+
+  assert.strictEqual(reports.length, 3);
+  assert.strictEqual(reports[0].measuredRate, 48000);
+  assert.strictEqual(reports[0].configuredRate, 44100);
+  assert.ok(Math.abs(reports[0].deviation - (48000 - 44100) / 44100) < 1e-9);
+});
+
+test('drift within the tolerance is not reported', () => {
+  const monitor = new ArrivalRateMonitor({ windowMs: 2000 });
+  assert.deepStrictEqual(stream(monitor, 44500, 44100, 6), []); // ~0.9%
+  assert.strictEqual(monitor.measuredRate, 44500);
+});
+
+test('a pause restarts the measurement instead of reading as a slow sender', () => {
+  const monitor = new ArrivalRateMonitor({ windowMs: 2000 });
+  assert.deepStrictEqual(stream(monitor, 44100, 44100, 1.5), []);
+
+  // Five seconds without packets, then the same rate again
+  assert.deepStrictEqual(stream(monitor, 44100, 44100, 3, 6500), []);
+  assert.strictEqual(monitor.measuredRate, 44100);
+
+  monitor.reset();
+  assert.strictEqual(monitor.measuredRate, null);
+  assert.strictEqual(monitor.push(441, 44100, 20000), null);
+  assert.strictEqual(monitor.windowStart, 20000);
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { decodePacket } = require('../lib/jitMatrix');
+const { Resampler } = require('../lib/resampler');
+const { floatToInt16 } = require('../lib/recorder');
+const { SpeechRecognizer } = require('../lib/recognizer');
+const { readPacket, makeTempDir, createFakeVosk } = require('./helpers');
+
+function makeModelDir(t, name = 'model') {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+  const modelPath = path.join(dir, name);
+  fs.mkdirSync(modelPath);
+  return modelPath;
+}
+
+test('packets reach the recognizer as 16 kHz Int16 frames', (t) => {
+  const vosk = createFakeVosk([null, { partial: 'play' }, { final: 'play the track' }]);
+  const recognizer = new SpeechRecognizer({ vosk: vosk, sampleRate: 16000 });
+  recognizer.loadModel(makeModelDir(t));
+
+  // The sRtin.js path: decode → resample 44.1 → 16 kHz → Int16 → Vosk
+  const resampler = new Resampler({ inputRate: 44100, outputRate: 16000 });
+  const results = [];
+  for (const name of ['float32-mono', 'float32-nan-cells', 'float32-mono']) {
+    const packet = decodePacket(readPacket(name));
+    const resampled = resampler.process(packet.channels[0]);
+    // A NaN in the filter history would turn every following frame into NaN (written as 0)
+    assert.ok(resampled.every(Number.isFinite), `${name} resampled to finite samples`);
+    results.push(recognizer.accept(floatToInt16(resampled)));
+  }
+
+  assert.deepStrictEqual(results, [null, { type: 'partial', text: 'play' }, { type: 'final', text: 'play the track' }]);
+
+  const fed = Buffer.concat(vosk.calls.waveforms);
+  const frames = new Int16Array(fed.buffer, fed.byteOffset, fed.length / 2);
+  assert.ok(frames.length > 0);
+  assert.ok(frames.subarray(-100).some((sample) => sample !== 0), 'audio after the NaN packet reached the recognizer');
+});
+
+test('accept takes raw PCM buffers too', (t) => {
+  const vosk = createFakeVosk([{ final: 'stop' }]);
+  const recognizer = new SpeechRecognizer({ vosk: vosk });
+  recognizer.loadModel(makeModelDir(t));
+
+  const pcm = Buffer.alloc(320);
+  assert.deepStrictEqual(recognizer.accept(pcm), { type: 'final', text: 'stop' });
+  assert.deepStrictEqual(vosk.calls.waveforms[0], pcm);
+});
+
+test('a missing model throws and keeps the current one', (t) => {
+  const vosk = createFakeVosk();
+  const recognizer = new SpeechRecognizer({ vosk: vosk });
+  const modelPath = makeModelDir(t);
+  recognizer.loadModel(modelPath);
+
+  assert.throws(() => recognizer.loadModel(path.join(modelPath, 'nope')), /^Error: Model not found: /);
+  assert.strictEqual(recognizer.modelPath, modelPath);
+  assert.strictEqual(recognizer.loaded, true);
+});
+
+test('swapping models returns the pending text and frees the old model', (t) => {
+  const vosk = createFakeVosk([{ partial: 'fifty' }]);
+  const recognizer = new SpeechRecognizer({ vosk: vosk });
+  const first = makeModelDir(t, 'first');
+  recognizer.loadModel(first);
+  recognizer.accept(Buffer.alloc(320));
+
+  assert.strictEqual(recognizer.loadModel(makeModelDir(t, 'second')), 'fifty');
+  assert.deepStrictEqual(vosk.calls.freed, [`recognizer ${first}`, `model ${first}`]);
+});
+
+test('finish and free are safe without a model', () => {
+  const recognizer = new SpeechRecognizer({ vosk: createFakeVosk() });
+  assert.strictEqual(recognizer.loaded, false);
+  assert.strictEqual(recognizer.finish(), '');
+  recognizer.free();
+});
+
+test('with setWords final results carry the word timings', (t) => {
+  const words = [{ word: 'play', start: 0.5, end: 0.8, conf: 1 }];
+  const vosk = createFakeVosk([{ final: 'play', words: words }, { final: 'play', words: words }, { partial: 'stop' }]);
+  const recognizer = new SpeechRecognizer({ vosk: vosk });
+  recognizer.loadModel(makeModelDir(t));
+
+  assert.deepStrictEqual(recognizer.accept(Buffer.alloc(320)), { type: 'final', text: 'play' });
+  recognizer.setWords(true);
+  assert.deepStrictEqual(recognizer.accept(Buffer.alloc(320)), { type: 'final', text: 'play', words: words });
+
+  recognizer.accept(Buffer.alloc(320));
+  assert.deepStrictEqual(recognizer.flush(), { type: 'final', text: 'stop', words: [] });
+  assert.strictEqual(recognizer.flush(), null);
+});
+
+test('setGrammar replaces the recognizer and keeps the model', (t) => {
+  const vosk = createFakeVosk([{ partial: 'tempo' }, { final: '[unk] play [unk]', words: [{ word: '[unk]' }, { word: 'play' }] }, { partial: '[unk]' }]);
+  const recognizer = new SpeechRecognizer({ vosk: vosk, words: true });
+  const modelPath = makeModelDir(t);
+  recognizer.loadModel(modelPath);
+  const model = recognizer.model;
+  recognizer.accept(Buffer.alloc(320));
+
+  assert.strictEqual(recognizer.setGrammar(['play', 'stop']), 'tempo');
+  assert.deepStrictEqual(recognizer.rec.grammar, ['play', 'stop', '[unk]']);
+  assert.strictEqual(recognizer.model, model);
+  assert.deepStrictEqual(vosk.calls.freed, [`recognizer ${modelPath}`]);
+
+  // Vosk's placeholder for words outside the grammar is not text
+  assert.deepStrictEqual(recognizer.accept(Buffer.alloc(320)), { type: 'final', text: 'play', words: [{ word: 'play' }] });
+  assert.strictEqual(recognizer.accept(Buffer.alloc(320)), null);
+
+  assert.strictEqual(recognizer.setGrammar(null), '');
+  assert.strictEqual(recognizer.rec.grammar, null);
+});
+
+test('useModel shares a model without freeing it', (t) => {
+  const vosk = createFakeVosk([{ partial: 'bonjour' }]);
+  const recognizer = new SpeechRecognizer({ vosk: vosk });
+  const first = makeModelDir(t, 'first');
+  recognizer.loadModel(first);
+  const shared = new vosk.Model('shared');
+
+  recognizer.accept(Buffer.alloc(320));
+  assert.strictEqual(recognizer.useModel(shared, 'shared'), 'bonjour');
+  assert.deepStrictEqual(vosk.calls.freed, [`recognizer ${first}`, `model ${first}`]);
+  assert.strictEqual(recognizer.modelPath, 'shared');
+
+  recognizer.free();
+  assert.deepStrictEqual(vosk.calls.freed.slice(2), ['recognizer shared']);
+});
+
+test('a folder Vosk cannot load throws before any recognizer is made', (t) => {
+  const vosk = createFakeVosk();
+  vosk.Model.prototype.handle = { isNull: () => true }; // What the native vosk_model_new returns for no model files
+  const recognizer = new SpeechRecognizer({ vosk: vosk });
+
+  assert.throws(() => recognizer.loadModel(makeModelDir(t)), /^Error: No Vosk model in .*model \(expected the unpacked model folder/);
+  assert.strictEqual(recognizer.loaded, false);
+});
@@ -0,0 +1,392 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { decodePacket } = require('../lib/jitMatrix');
+const { RingBuffer } = require('../lib/ringBuffer');
+const { ScriptConfig } = require('../lib/config');
+const { MaxShim } = require('../lib/maxShim');
+const {
+  RECORDING_SETTINGS, AudioFileWriter, PreRollBuffer, Recorder, StreamingRecorder, addRecordingHandlers, expandFileName, floatToInt16,
+  joinChunks, recoverRecordings, saveAudioFile, splitFileName, withExtension,
+} = require('../lib/recorder');
+const { fixtures, readPacket, readExpected, makeTempDir } = require('./helpers');
+
+test('recorded fixtures are saved bit-for-bit as the expected WAV files', async (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  for (const entry of fixtures.packets.filter((packet) => packet.wav)) {
+    await t.test(entry.name, async () => {
+      const packet = decodePacket(readPacket(entry.name));
+      const recorder = new Recorder({ recording: true });
+      recorder.append(packet.channels, entry.wav.sampleRate);
+      const take = recorder.stop();
+
+      const fileName = path.join(dir, entry.wav.file);
+      const logged = [];
+      const saved = await saveAudioFile(take.samples, {
+        fileName: fileName,
+        sampleRate: take.sampleRate,
+        channels: take.channels,
+        log: (message) => logged.push(message),
+      });
+
+      assert.strictEqual(saved, true, logged.join('\n'));
+      assert.deepStrictEqual(fs.readFileSync(fileName), readExpected(entry.wav.file));
+    });
+  }
+});
+
+test('Int16 takes are written as they are', async (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const samples = Int16Array.from([0, 1, -1, 32767, -32768]);
+  const fileName = path.join(dir, 'int16.wav');
+  assert.strictEqual(await saveAudioFile(samples, { fileName: fileName, sampleRate: 16000 }), true);
+
+  const written = fs.readFileSync(fileName);
+  assert.strictEqual(written.readUInt32LE(24), 16000);
+  assert.deepStrictEqual(new Int16Array(written.buffer.slice(written.byteOffset + 44, written.byteOffset + written.length)), samples);
+});
+
+test('saveAudioFile reports a failed write instead of throwing', async (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const logged = [];
+  const saved = await saveAudioFile(new Float32Array(4), {
+    fileName: path.join(dir, 'missing', 'take.wav'),
+    log: (message) => logged.push(message),
+  });
+  assert.strictEqual(saved, false);
+  assert.match(logged[0], /^Error saving audio file: /);
+});
+
+test('floatToInt16 scales, rounds and clamps', () => {
+  assert.deepStrictEqual(floatToInt16([0, 0.5, -0.5, 1, -1, 2, -2]), Int16Array.from([0, 16384, -16383, 32767, -32767, 32767, -32768]));
+});
+
+test('a take keeps the layout and rate of its first block', () => {
+  const recorder = new Recorder();
+  recorder.start();
+  recorder.append([Float32Array.from([0.1, 0.2]), Float32Array.from([0.3, 0.4])], 48000);
+  recorder.append([Float32Array.from([0.5])], 44100);
+  const take = recorder.stop();
+
+  assert.strictEqual(take.channels, 2);
+  assert.strictEqual(take.sampleRate, 48000);
+  assert.strictEqual(take.frameCount, 3);
+  assert.deepStrictEqual(take.samples, Float32Array.from([0.1, 0.3, 0.2, 0.4, 0.5, 0]));
+});
+
+test('nothing is recorded while stopped', () => {
+  const recorder = new Recorder();
+  recorder.append([Float32Array.from([0.1])], 44100);
+  assert.strictEqual(recorder.stop(), null);
+});
+
+test('joinChunks concatenates into the requested array type', () => {
+  const joined = joinChunks([Int16Array.from([1, 2]), Int16Array.from([3])], Int16Array);
+  assert.ok(joined instanceof Int16Array);
+  assert.deepStrictEqual(Array.from(joined), [1, 2, 3]);
+});
+
+test('streamed takes are byte-identical to the saved fixtures', async (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  for (const entry of fixtures.packets.filter((packet) => packet.wav)) {
+    const packet = decodePacket(readPacket(entry.name));
+    const fileName = path.join(dir, entry.wav.file);
+    const recorder = new StreamingRecorder({ fileName: fileName, recording: true });
+    recorder.append(packet.channels.map((channel) => channel.subarray(0, 2)), entry.wav.sampleRate);
+    recorder.append(packet.channels.map((channel) => channel.subarray(2)), entry.wav.sampleRate);
+    const take = recorder.stop();
+
+    assert.deepStrictEqual(take.files, [fileName]);
+    assert.deepStrictEqual(fs.readFileSync(fileName), readExpected(entry.wav.file), entry.name);
+    assert.strictEqual(fs.existsSync(`${fileName}.recording`), false);
+  }
+});
+
+test('samples are on disk before the take ends', (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const fileName = path.join(dir, 'live.wav');
+  const writer = new AudioFileWriter(fileName, { sampleRate: 8000 });
+  writer.write(new Float32Array(8000)); // One second: the header is patched
+  writer.write(Int16Array.from([1, 2, 3]));
+
+  const written = fs.readFileSync(fileName);
+  assert.strictEqual(written.length, 44 + 8003 * 2);
+  assert.strictEqual(written.readUInt32LE(40), 8000 * 2);
+  assert.ok(fs.existsSync(`${fileName}.recording`));
+
+  assert.deepStrictEqual(writer.close(), { fileName: fileName, format: 'wav', channels: 1, sampleRate: 8000, frameCount: 8003, dataBytes: 16006 });
+  assert.strictEqual(fs.readFileSync(fileName).readUInt32LE(40), 16006);
+});
+
+// Marks the take of `writer` as written by a process that has ended, as after a crash
+function orphanMarker(writer) {
+  const marker = JSON.parse(fs.readFileSync(writer.markerName, 'utf8'));
+  marker.pid = spawnSync(process.execPath, ['-e', '']).pid;
+  fs.writeFileSync(writer.markerName, JSON.stringify(marker));
+}
+
+test('recoverRecordings repairs a file left unfinished', (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const fileName = path.join(dir, 'crash.wav');
+  const writer = new AudioFileWriter(fileName, { sampleRate: 16000, channels: 2 });
+  writer.write(new Float32Array(200));
+  fs.appendFileSync(fileName, Buffer.from([1, 2, 3])); // Half a frame, as if cut off mid-write
+  fs.closeSync(writer.fd); // Process killed: no close()
+  orphanMarker(writer);
+
+  const logged = [];
+  const recovered = recoverRecordings(dir, { log: (message) => logged.push(message) });
+
+  assert.deepStrictEqual(recovered, [{ fileName: fileName, frameCount: 100, durationSec: 100 / 16000 }]);
+  assert.match(logged[0], /^Recovered unfinished recording .*crash\.wav \(0\.0 s\)\.$/);
+  const repaired = fs.readFileSync(fileName);
+  assert.strictEqual(repaired.length, 44 + 400);
+  assert.strictEqual(repaired.readUInt32LE(4), 36 + 400);
+  assert.strictEqual(repaired.readUInt32LE(40), 400);
+  assert.strictEqual(fs.existsSync(`${fileName}.recording`), false);
+  assert.deepStrictEqual(recoverRecordings(dir), []);
+});
+
+test('recoverRecordings leaves the takes of running writers alone', (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  // Another script still recording into the same directory (this process stands in for it)
+  const live = new AudioFileWriter(path.join(dir, 'live.wav'), { sampleRate: 16000, channels: 1 });
+  live.write(new Float32Array(100));
+  const header = fs.readFileSync(live.fileName).subarray(0, 44);
+  const crashed = new AudioFileWriter(path.join(dir, 'crashed.wav'), { sampleRate: 16000, channels: 1 });
+  crashed.write(new Float32Array(100));
+  fs.closeSync(crashed.fd);
+  orphanMarker(crashed);
+
+  const recovered = recoverRecordings(dir);
+  assert.deepStrictEqual(recovered.map((entry) => path.basename(entry.fileName)), ['crashed.wav']);
+  assert.ok(fs.existsSync(live.markerName), 'the live marker survives');
+  assert.deepStrictEqual(fs.readFileSync(live.fileName).subarray(0, 44), header);
+
+  // Once that writer is gone its take is recovered like any other
+  live.write(new Float32Array(50));
+  fs.closeSync(live.fd);
+  assert.deepStrictEqual(recoverRecordings(dir, { isRunning: () => false }).map((entry) => entry.frameCount), [150]);
+  assert.strictEqual(fs.existsSync(live.markerName), false);
+});
+
+test('long takes continue in numbered files', (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const logged = [];
+  const recorder = new StreamingRecorder({
+    fileName: path.join(dir, 'long.wav'),
+    maxDurationSec: 1,
+    log: (message) => logged.push(message),
+  });
+  recorder.start();
+  for (let i = 0; i < 5; i++) {
+    recorder.append([new Float32Array(400)], 1000);
+  }
+  const take = recorder.stop();
+
+  assert.deepStrictEqual(take.files.map((file) => path.basename(file)), ['long.wav', 'long_2.wav', 'long_3.wav']);
+  assert.strictEqual(take.frameCount, 2000);
+  assert.strictEqual(fs.statSync(take.files[0]).size, 44 + 800 * 2);
+  assert.ok(logged.includes(`Recording continues in ${take.files[2]}`));
+
+  recorder.maxDurationSec = 0;
+  recorder.maxBytes = 44 + 1000;
+  recorder.start();
+  recorder.append([new Float32Array(400)], 1000);
+  recorder.append([new Float32Array(400)], 1000);
+  assert.strictEqual(recorder.stop().files.length, 2);
+});
+
+test('a failed write ends the recording with a message', (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  fs.writeFileSync(path.join(dir, 'file'), '');
+  const logged = [];
+  const recorder = new StreamingRecorder({
+    fileName: path.join(dir, 'file', 'take.wav'),
+    recording: true,
+    log: (message) => logged.push(message),
+  });
+  recorder.append([new Float32Array(4)], 44100);
+
+  assert.strictEqual(recorder.recording, false);
+  assert.match(logged[0], /^Error writing recording: /);
+});
+
+test('splitFileName numbers the parts after the first', () => {
+  assert.strictEqual(splitFileName('take.wav', 1), 'take.wav');
+  assert.strictEqual(splitFileName('dir/take.wav', 3), 'dir/take_3.wav');
+});
+
+test('file name templates fill in the script, date, time and take', () => {
+  const date = new Date(2024, 4, 31, 14, 3, 9);
+  assert.strictEqual(expandFileName('{script}_{date}_{time}_{take}', { script: 'UDP', take: 7, date: date }), 'UDP_2024-05-31_14-03-09_007');
+  assert.strictEqual(expandFileName('rec_{timestamp}', { date: date }), `rec_${date.getTime()}`);
+  assert.strictEqual(expandFileName('{unknown}.wav'), '{unknown}.wav');
+
+  assert.strictEqual(withExtension('UDPoutput.wav', 'flac'), 'UDPoutput.flac');
+  assert.strictEqual(withExtension('take.AIFF', 'wav'), 'take.wav');
+  assert.strictEqual(withExtension('take_{take}', 'aiff'), 'take_{take}.aif');
+});
+
+test('takes are numbered in the output directory without overwriting', (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const outputDir = path.join(dir, 'takes');
+  fs.mkdirSync(outputDir);
+  fs.writeFileSync(path.join(outputDir, 'UDP_take001.flac'), '');
+  const saved = [];
+  const recorder = new StreamingRecorder({
+    fileName: '{script}_take{take}',
+    outputDir: outputDir,
+    format: 'flac',
+    script: 'UDP',
+    onSaved: (file) => saved.push(file),
+  });
+
+  for (let i = 0; i < 2; i++) {
+    recorder.start();
+    recorder.append([new Float32Array(100)], 8000);
+    recorder.stop();
+  }
+
+  assert.deepStrictEqual(saved.map((file) => path.basename(file.fileName)), ['UDP_take002.flac', 'UDP_take003.flac']);
+  assert.ok(saved.every((file) => file.format === 'flac' && file.frameCount === 100 && path.isAbsolute(file.fileName)));
+  assert.strictEqual(fs.readFileSync(saved[0].fileName).toString('latin1', 0, 4), 'fLaC');
+
+  recorder.outputDir = path.join(dir, 'new', 'dir');
+  recorder.fileName = 'single.wav';
+  recorder.start();
+  recorder.append([new Float32Array(10)], 8000);
+  assert.strictEqual(recorder.stop().fileName, path.join(dir, 'new', 'dir', 'single.flac'));
+});
+
+test('recording settings reach the recorders and saved paths are output', async (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const outlets = [];
+  const posts = [];
+  const shim = new MaxShim({ output: null });
+  shim.on('outlet', (args) => outlets.push(args));
+  shim.on('post', (message) => posts.push(message));
+  const config = new ScriptConfig('TCP', Object.assign({}, RECORDING_SETTINGS), { path: path.join(dir, 'none.json') });
+  const recorder = new StreamingRecorder({ fileName: 'take' });
+  addRecordingHandlers(shim, config, [recorder]);
+
+  await shim.dispatch('lastRecording');
+  assert.deepStrictEqual(posts, ['No recording saved yet.']);
+
+  config.set('outputDir', dir);
+  config.set('recordingFormat', 'aiff');
+  config.set('sampleFormat', 'int24');
+  config.set('maxRecordingMB', 1);
+  assert.throws(() => config.set('sampleFormat', 'float32'), /AIFF files cannot store float32 samples/);
+  assert.strictEqual(config.get('sampleFormat'), 'int24');
+  assert.deepStrictEqual([recorder.outputDir, recorder.format, recorder.sampleFormat, recorder.maxBytes], [dir, 'aiff', 'int24', 1048576]);
+
+  recorder.start();
+  recorder.append([new Float32Array(10)], 44100);
+  recorder.stop();
+  await shim.dispatch('lastRecording');
+
+  const expected = ['recordingSaved', path.join(dir, 'take.aif')];
+  assert.deepStrictEqual(outlets, [expected, expected]);
+  assert.strictEqual(recorder.script, 'TCP');
+});
+
+test('RingBuffer.latest copies the newest samples across the wrap', () => {
+  const ring = new RingBuffer(5);
+  ring.write(Float32Array.from([1, 2, 3, 4]));
+  ring.write(Float32Array.from([5, 6, 7]));
+  assert.deepStrictEqual(Array.from(ring.latest(3, new Float32Array(3))), [5, 6, 7]);
+  assert.deepStrictEqual(Array.from(ring.latest(5, new Float32Array(5))), [3, 4, 5, 6, 7]);
+  assert.strictEqual(ring.available, 5);
+  assert.throws(() => ring.latest(6, new Float32Array(6)), /RingBuffer underflow/);
+});
+
+test('the pre-roll keeps the last seconds and starts over on a layout change', () => {
+  const preRoll = new PreRollBuffer(1);
+  assert.strictEqual(preRoll.latest(1), null);
+
+  for (let i = 0; i < 3; i++) {
+    preRoll.push([Float32Array.from({ length: 40 }, () => i), new Float32Array(40)], 100);
+  }
+  assert.strictEqual(preRoll.durationSec, 1);
+  const latest = preRoll.latest(0.5);
+  assert.strictEqual(latest.sampleRate, 100);
+  assert.deepStrictEqual(Array.from(latest.channels[0]), new Array(50).fill(2).fill(1, 0, 10));
+
+  preRoll.push([Int16Array.from([1, 2])], 100);
+  assert.deepStrictEqual(preRoll.latest(10).channels, [Int16Array.from([1, 2])]);
+});
+
+test('takes start with the pre-roll', (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const recorder = new StreamingRecorder({ fileName: path.join(dir, 'preroll.wav'), bufferSec: 2, preRollSec: 0.5 });
+  recorder.append([Int16Array.from({ length: 1000 }, (_, i) => i)], 1000);
+  recorder.start();
+  recorder.append([Int16Array.from([-1, -2])], 1000);
+  const take = recorder.stop();
+
+  assert.strictEqual(take.frameCount, 502);
+  const data = fs.readFileSync(take.fileName);
+  assert.deepStrictEqual([0, 499, 500, 501].map((i) => data.readInt16LE(44 + i * 2)), [500, 999, -1, -2]);
+});
+
+test('captureLast saves the ring buffer to its own file', async (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const outlets = [];
+  const posts = [];
+  const shim = new MaxShim({ output: null });
+  shim.on('outlet', (args) => outlets.push(args));
+  shim.on('post', (message) => posts.push(message));
+  const config = new ScriptConfig('UDP', Object.assign({}, RECORDING_SETTINGS), { path: path.join(dir, 'none.json') });
+  const recorder = new StreamingRecorder({ fileName: 'take', log: (message) => posts.push(message) });
+  addRecordingHandlers(shim, config, [recorder]);
+  config.set('outputDir', dir);
+  config.set('ringBufferSeconds', 2);
+
+  await shim.dispatch('captureLast');
+  assert.deepStrictEqual(posts, ['No audio in the ring buffer yet.']);
+
+  for (let i = 0; i < 30; i++) {
+    recorder.append([new Float32Array(100), new Float32Array(100)], 1000);
+  }
+  await shim.dispatch('captureLast', 1.5, 'before_{take}');
+  await shim.dispatch('captureLast');
+
+  const files = outlets.map((args) => args[1]);
+  assert.strictEqual(path.basename(files[0]), 'before_001.wav');
+  assert.match(path.basename(files[1]), /^UDP_last_\d+\.wav$/);
+  assert.deepStrictEqual(files.map((file) => fs.statSync(file).size), [44 + 1500 * 4, 44 + 2000 * 4]);
+  assert.strictEqual(recorder.recording, false);
+
+  config.set('ringBufferSeconds', 0);
+  await shim.dispatch('captureLast');
+  assert.match(posts[posts.length - 1], /^The ring buffer is off/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Resampler, resample } = require('../lib/resampler');
+
+function sine(frequency, sampleRate, length) {
+  return Float32Array.from({ length: length }, (_, i) => Math.sin(2 * Math.PI * frequency * i / sampleRate));
+}
+
+// Streams `input` in `packet`-sized blocks, keeping a copy of every result
+function stream(resampler, input, packet) {
+  const parts = [];
+  for (let offset = 0; offset < input.length; offset += packet) {
+    parts.push(Array.from(resampler.process(input.subarray(offset, offset + packet))));
+  }
+  return parts.flat();
+}
+
+test('packet size does not change the output', () => {
+  const input = sine(440, 44100, 44100 / 10);
+  const whole = Array.from(new Resampler({ inputRate: 44100, outputRate: 16000 }).process(input));
+  for (const packet of [1, 64, 512, 1000]) {
+    const streamed = stream(new Resampler({ inputRate: 44100, outputRate: 16000 }), input, packet);
+    assert.strictEqual(streamed.length, whole.length, `${packet}-frame packets`);
+    streamed.forEach((value, i) => assert.ok(Math.abs(value - whole[i]) < 1e-6, `${packet}-frame packets, sample ${i}`));
+  }
+});
+
+test('streaming reuses one output buffer', () => {
+  const resampler = new Resampler({ inputRate: 48000, outputRate: 16000 });
+  const input = sine(440, 48000, 480);
+  resampler.process(input); // Shorter: the filter delay
+  const first = resampler.process(input);
+  const second = resampler.process(input);
+  assert.ok(first.buffer === second.buffer);
+  assert.strictEqual(second.length, 160);
+
+  // A bigger packet grows the buffer once
+  const big = resampler.process(sine(440, 48000, 4800));
+  assert.strictEqual(big.length, 1600);
+  assert.ok(resampler.process(input).buffer === big.buffer);
+});
+
+test('process writes into a target array when given one', () => {
+  const resampler = new Resampler({ inputRate: 48000, outputRate: 16000 });
+  const input = sine(440, 48000, 480);
+  const target = new Float32Array(resampler.outputLengthFor(input.length) + 10);
+  const output = resampler.process(input, target);
+  assert.strictEqual(output.buffer, target.buffer);
+  assert.strictEqual(output.length, target.length - 10);
+
+  assert.throws(() => resampler.process(input, new Float32Array(1)), /^Error: Resampler target holds 1 samples, 160 needed$/);
+});
+
+test('flush keeps the last result and returns the delayed tail', () => {
+  const resampler = new Resampler({ inputRate: 44100, outputRate: 16000 });
+  const body = resampler.process(sine(440, 44100, 4410));
+  const copy = Array.from(body);
+  const tail = resampler.flush();
+  assert.deepStrictEqual(Array.from(body), copy);
+  assert.strictEqual(body.length + tail.length >= 1600, true);
+});
+
+test('resample keeps the length and the tone, and removes what cannot be represented', () => {
+  const rms = (samples) => Math.sqrt(samples.reduce((sum, value) => sum + value * value, 0) / samples.length);
+
+  const speech = resample(sine(1000, 44100, 44100), 44100, 16000);
+  assert.strictEqual(speech.length, 16000);
+  assert.ok(Math.abs(rms(speech.subarray(1000, 15000)) - Math.SQRT1_2) < 0.01);
+
+  // 12 kHz is above the 8 kHz Nyquist frequency of 16 kHz: filtered, not folded back
+  const alias = resample(sine(12000, 44100, 44100), 44100, 16000);
+  assert.ok(rms(alias.subarray(1000, 15000)) < 0.01);
+
+  assert.throws(() => new Resampler({ inputRate: 0, outputRate: 16000 }), /Invalid resampler rates/);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RingBuffer } = require('../lib/ringBuffer');
+
+test('samples come out in order across the wrap-around', () => {
+  const ring = new RingBuffer(4);
+  const target = new Float32Array(3);
+
+  ring.write([1, 2, 3]);
+  assert.deepStrictEqual(Array.from(ring.read(2, target)).slice(0, 2), [1, 2]);
+  ring.write([4, 5, 6]); // 5 and 6 wrap to the start of the storage
+  assert.strictEqual(ring.available, 4);
+  assert.deepStrictEqual(Array.from(ring.read(3, target)), [3, 4, 5]);
+  assert.strictEqual(ring.available, 1);
+  assert.strictEqual(ring.overwritten, 0);
+});
+
+test('writing into a full buffer overwrites the oldest samples', () => {
+  const ring = new RingBuffer(4, Int16Array);
+  ring.write([1, 2, 3]);
+  ring.write([4, 5]);
+  assert.strictEqual(ring.overwritten, 1);
+  assert.deepStrictEqual(Array.from(ring.peek(4, new Int16Array(4))), [2, 3, 4, 5]);
+
+  // More than the capacity at once keeps only the newest samples
+  ring.write(Int16Array.from([6, 7, 8, 9, 10, 11]));
+  assert.strictEqual(ring.overwritten, 1 + 2 + 4);
+  assert.deepStrictEqual(Array.from(ring.read(4, new Int16Array(4))), [8, 9, 10, 11]);
+});
+
+test('peek and latest copy without removing', () => {
+  const ring = new RingBuffer(5);
+  ring.write([1, 2, 3, 4]);
+  ring.skip(2);
+  ring.write([5, 6]); // storage now wraps: [6, _, 3, 4, 5]
+
+  assert.deepStrictEqual(Array.from(ring.peek(2, new Float32Array(2))), [3, 4]);
+  assert.deepStrictEqual(Array.from(ring.latest(3, new Float32Array(3))), [4, 5, 6]);
+  assert.strictEqual(ring.available, 4);
+});
+
+test('reading more than is available throws and removes nothing', () => {
+  const ring = new RingBuffer(4);
+  ring.write([1, 2]);
+  assert.throws(() => ring.read(3, new Float32Array(3)), /^Error: RingBuffer underflow: 3 requested, 2 available$/);
+  assert.throws(() => ring.latest(3, new Float32Array(3)), /underflow/);
+  assert.strictEqual(ring.available, 2);
+
+  // skip() and clear() never go below empty
+  ring.skip(10);
+  assert.strictEqual(ring.available, 0);
+  ring.write([1]);
+  ring.clear();
+  assert.strictEqual(ring.available, 0);
+});
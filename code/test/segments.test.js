@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { UtteranceSegmenter, saveSegment } = require('../lib/segments');
+const { readWavFile } = require('../lib/signals');
+const { makeTempDir } = require('./helpers');
+
+// Sample i holds i, so a cut shows which stretch of the stream it came from
+function feed(segmenter, seconds, frameSize = 800) {
+  const total = Math.round(seconds * segmenter.sampleRate);
+  for (let offset = segmenter.fed; offset < total; offset += frameSize) {
+    segmenter.push(Int16Array.from({ length: frameSize }, (_, i) => (offset + i) % 32768));
+  }
+}
+
+test('segments are trimmed to their words plus padding', () => {
+  const segmenter = new UtteranceSegmenter({ sampleRate: 8000, paddingSec: 0.25 });
+  feed(segmenter, 2);
+  const segment = segmenter.cut({
+    text: 'play the track',
+    words: [{ word: 'play', start: 0.5, end: 0.75, conf: 0.9 }, { word: 'track', start: 1, end: 1.5, conf: 0.7 }],
+  });
+
+  assert.strictEqual(segment.streamTime, 0.25);
+  assert.strictEqual(segment.duration, 1.5);
+  assert.strictEqual(segment.samples.length, 12000);
+  assert.strictEqual(segment.samples[0], 2000);
+  assert.deepStrictEqual(segment.words.map((word) => [word.start, word.end]), [[0.25, 0.5], [0.75, 1.25]]);
+
+  // The next segment starts after this one, and without words keeps all of its audio
+  feed(segmenter, 3);
+  const next = segmenter.cut({ text: 'stop' });
+  assert.deepStrictEqual([next.streamTime, next.duration, next.words], [2, 1, []]);
+  assert.strictEqual(segmenter.cut({ text: '' }), null);
+});
+
+test('segments longer than the buffer keep their latest audio', () => {
+  const segmenter = new UtteranceSegmenter({ sampleRate: 8000, maxSeconds: 1 });
+  feed(segmenter, 3);
+  const segment = segmenter.cut({ text: 'a long one' });
+  assert.deepStrictEqual([segment.streamTime, segment.duration], [2, 1]);
+  assert.strictEqual(segment.samples[0], 16000);
+});
+
+test('word times are converted to stream time across gated stretches', () => {
+  const segmenter = new UtteranceSegmenter({ sampleRate: 1000, paddingSec: 0 });
+  const frame = new Int16Array(100);
+  segmenter.push(frame, 0);
+  segmenter.push(frame, 100);
+  segmenter.push(frame, 2000); // 1.8 s the recognizer did not hear
+  segmenter.push(frame, 2100);
+
+  const words = segmenter.streamWords([{ word: 'play', start: 0.05, end: 0.15, conf: 1 }, { word: 'it', start: 0.25, end: 0.35, conf: 0.5 }]);
+  assert.deepStrictEqual(words, [{ word: 'play', start: 0.05, end: 0.15, conf: 1 }, { word: 'it', start: 2.05, end: 2.15, conf: 0.5 }]);
+  assert.strictEqual(segmenter.streamTime(0.4), 2.2);
+
+  const segment = segmenter.cut({ text: 'it', words: [{ word: 'it', start: 0.25, end: 0.35, conf: 0.5 }] });
+  assert.deepStrictEqual([segment.streamTime, segment.words[0].start], [2.05, 0]);
+});
+
+test('saveSegment writes the audio and a JSON sidecar', async (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const segmenter = new UtteranceSegmenter({ sampleRate: 16000, paddingSec: 0 });
+  feed(segmenter, 1);
+  const segment = segmenter.cut({
+    text: 'tempo one twenty',
+    words: [{ word: 'tempo', start: 0.25, end: 0.5, conf: 1 }, { word: 'one', start: 0.5, end: 0.6, conf: 0.5 },
+      { word: 'twenty', start: 0.6, end: 0.75, conf: 0.6 }],
+  });
+
+  const fileName = path.join(dir, 'utterance_001.wav');
+  const saved = await saveSegment(segment, { fileName: fileName, fields: { formatted: 'tempo 120' } });
+  assert.deepStrictEqual(saved, { audioFile: fileName, jsonFile: path.join(dir, 'utterance_001.json') });
+
+  const wav = await readWavFile(fileName);
+  assert.deepStrictEqual([wav.sampleRate, wav.channels[0].length], [16000, 8000]);
+
+  const sidecar = JSON.parse(fs.readFileSync(saved.jsonFile, 'utf8'));
+  assert.strictEqual(sidecar.audio, 'utterance_001.wav');
+  assert.strictEqual(sidecar.text, 'tempo one twenty');
+  assert.strictEqual(sidecar.formatted, 'tempo 120');
+  assert.deepStrictEqual([sidecar.duration, sidecar.streamTime, sidecar.confidence], [0.5, 0.25, 0.7]);
+  assert.deepStrictEqual(sidecar.words[2], { word: 'twenty', start: 0.35, end: 0.5, conf: 0.6 });
+  assert.ok(!Number.isNaN(Date.parse(sidecar.recordedAt)));
+});
+
+test('saveSegment reports files it cannot write', async (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+  fs.writeFileSync(path.join(dir, 'file'), '');
+
+  const segmenter = new UtteranceSegmenter({ sampleRate: 8000 });
+  feed(segmenter, 0.5);
+  const messages = [];
+  const saved = await saveSegment(segmenter.cut({ text: 'stop' }), {
+    fileName: path.join(dir, 'file', 'utterance.wav'),
+    log: (message) => messages.push(message),
+  });
+  assert.strictEqual(saved, null);
+  assert.strictEqual(messages.length, 1);
+});
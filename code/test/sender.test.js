@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { decodePacket, encodePacket } = require('../lib/jitMatrix');
+const { parseSequenceHeader } = require('../lib/sequence');
+const { saveAudioFile } = require('../lib/recorder');
+const { AudioSender } = require('../lib/sender');
+const { bufferSource, createSignal, readWavFile } = require('../lib/signals');
+const { readPacket, makeTempDir } = require('./helpers');
+
+// The fixtures were written with a matrix timestamp of 1234.5
+const FIXTURE_TIME = 1234.5;
+
+function fakeSender(options = {}) {
+  const sent = [];
+  const sender = new AudioSender(Object.assign({
+    send: (data) => sent.push(data),
+    sleep: async () => {},
+  }, options));
+  return { sender, sent };
+}
+
+test('encodePacket produces the same bytes as the recorded fixtures', () => {
+  for (const [name, type] of [['float32-mono', 'float32'], ['float32-stereo', 'float32'], ['char-mono', 'char'], ['long-mono', 'long']]) {
+    const fixture = readPacket(name);
+    const packet = decodePacket(fixture);
+    assert.deepStrictEqual(encodePacket(packet.channels, { type: type, time: FIXTURE_TIME }), fixture, name);
+  }
+});
+
+test('encodePacket clamps integer cells and rejects unknown types', () => {
+  const packet = decodePacket(encodePacket([Float32Array.from([2, -2])], { type: 'char' }));
+  assert.deepStrictEqual(Array.from(packet.channels[0]), [127 / 128, -1]);
+  assert.throws(() => encodePacket([new Float32Array(1)], { type: 'int8' }), /Unknown matrix type 'int8'/);
+});
+
+test('generated signals have the requested length, layout and level', () => {
+  const sine = createSignal('sine', { frequency: 1000, amplitude: 0.25, duration: 0.01, sampleRate: 48000, channelCount: 2 });
+  const block = sine.read(1000);
+  assert.strictEqual(block.length, 2);
+  assert.strictEqual(block[0].length, 480);
+  assert.deepStrictEqual(block[1], block[0]);
+  assert.ok(Math.abs(Math.max(...block[0]) - 0.25) < 1e-6);
+  assert.strictEqual(sine.read(1000), null);
+
+  const sweep = createSignal('sweep', { from: 100, to: 1000, duration: 0.5 });
+  assert.strictEqual(sweep.frameCount, 22050);
+  assert.throws(() => createSignal('sweep', {}), /A sweep needs a duration/);
+  assert.throws(() => createSignal('square'), /Unknown signal 'square'/);
+});
+
+test('WAV files are read back as float channels', async (t) => {
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+
+  const fileName = path.join(dir, 'stereo.wav');
+  await saveAudioFile(Float32Array.from([0.5, -0.5, 0.25, -0.25]), { fileName: fileName, sampleRate: 22050, channels: 2 });
+
+  const wav = await readWavFile(fileName);
+  assert.strictEqual(wav.sampleRate, 22050);
+  assert.strictEqual(wav.channels.length, 2);
+  assert.ok(Math.abs(wav.channels[0][1] - 0.25) < 1e-4);
+  assert.ok(Math.abs(wav.channels[1][0] + 0.5) < 1e-4);
+});
+
+test('UDP packets carry a sequence header and decode to the source audio', async () => {
+  const { sender, sent } = fakeSender({ packetFrames: 100 });
+  const audio = Float32Array.from({ length: 250 }, (_, i) => i / 250);
+  const result = await sender.stream(bufferSource([audio], 16000));
+
+  assert.deepStrictEqual(result, { packets: 3, frames: 250 });
+  const received = sent.map((data) => parseSequenceHeader(data));
+  assert.deepStrictEqual(received.map((entry) => entry.header.sequence), [0, 1, 2]);
+  assert.deepStrictEqual(received.map((entry) => entry.header.sampleTime), [0, 100, 200]);
+  assert.ok(received.every((entry) => entry.header.sampleRate === 16000));
+
+  const decoded = received.map((entry) => decodePacket(entry.payload).channels[0]);
+  assert.deepStrictEqual(Float32Array.from(decoded.flatMap((channel) => Array.from(channel))), audio);
+});
+
+test('TCP packets and --no-sequence senders have no sequence header', async () => {
+  for (const options of [{ transport: 'tcp' }, { sequence: false }]) {
+    const { sender, sent } = fakeSender(options);
+    await sender.stream(createSignal('silence', { duration: 0.02 }));
+    assert.strictEqual(sent.length, 2);
+    assert.ok(sent.every((data) => parseSequenceHeader(data).header === null && decodePacket(data).ok));
+  }
+});
+
+test('packets are paced at the source sample rate', async () => {
+  // A fake clock that only moves when the sender sleeps, plus 0.5 ms per packet of work
+  let clock = 0;
+  const waits = [];
+  const { sender } = fakeSender({
+    speed: 1,
+    now: () => clock,
+    send: () => {
+      clock += 0.5;
+    },
+    sleep: async (ms) => {
+      waits.push(ms);
+      clock += ms;
+    },
+  });
+  await sender.stream(createSignal('sine', { duration: 0.03 }));
+  assert.deepStrictEqual(waits, [9.5, 9.5]);
+});
+
+test('packets too large for a UDP datagram are refused', async () => {
+  const { sender } = fakeSender({ packetFrames: 10000 });
+  await assert.rejects(sender.stream(createSignal('noise', { duration: 1, channelCount: 2 })), /do not fit in a UDP datagram/);
+});
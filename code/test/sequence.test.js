@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SequenceReceiver, encodeSequenceHeader, parseSequenceHeader } = require('../lib/sequence');
+
+const FRAMES = 4;
+
+function block(value) {
+  return [new Float32Array(FRAMES).fill(value)];
+}
+
+// Header of packet `sequence` of a sender that started at sampleTime `start`
+function header(sequence, start = 0) {
+  return { sequence: sequence >>> 0, sampleTime: start + sequence * FRAMES };
+}
+
+function receiver(options = {}) {
+  let now = 0;
+  const sequenceReceiver = new SequenceReceiver(Object.assign({ now: () => now }, options));
+  return { sequenceReceiver, advance: (ms) => { now += ms; } };
+}
+
+test('headers round-trip, version 2 with the sample rate', () => {
+  const parsed = parseSequenceHeader(Buffer.concat([encodeSequenceHeader(7, 2048, 48000), Buffer.from('JMTX')]));
+  assert.deepStrictEqual(parsed.header, { version: 2, flags: 0, sequence: 7, sampleTime: 2048, sampleRate: 48000 });
+  assert.strictEqual(parsed.payload.toString('latin1'), 'JMTX');
+  assert.strictEqual(parseSequenceHeader(encodeSequenceHeader(1, 0)).header.sampleRate, null);
+  assert.strictEqual(parseSequenceHeader(Buffer.from('JMTX')).header, null);
+});
+
+test('a gap is concealed by interpolating up to the next packet', () => {
+  const { sequenceReceiver } = receiver();
+  sequenceReceiver.receive(header(0), block(0));
+  const blocks = sequenceReceiver.receive(header(2), block(1));
+
+  assert.strictEqual(blocks.length, 2);
+  assert.deepStrictEqual(Array.from(blocks[0][0]), [0.2, 0.4, 0.6, 0.8].map(Math.fround));
+  assert.strictEqual(sequenceReceiver.stats.lostPackets, 1);
+  assert.strictEqual(sequenceReceiver.stats.concealedFrames, FRAMES);
+});
+
+test('reordered and duplicate packets are dropped', () => {
+  const { sequenceReceiver } = receiver();
+  sequenceReceiver.receive(header(0), block(0));
+  sequenceReceiver.receive(header(2), block(0)); // 1 is late
+  assert.deepStrictEqual(sequenceReceiver.receive(header(1), block(0)), []);
+  assert.deepStrictEqual(sequenceReceiver.receive(header(2), block(0)), []);
+
+  assert.strictEqual(sequenceReceiver.stats.late, 1);
+  assert.strictEqual(sequenceReceiver.stats.duplicates, 1);
+  assert.strictEqual(sequenceReceiver.stats.restarts, 0);
+  assert.strictEqual(sequenceReceiver.receive(header(3), block(0)).length, 1);
+});
+
+test('the sequence wraps around 2^32 without losses', () => {
+  const { sequenceReceiver } = receiver();
+  const last = 2 ** 32 - 1;
+  sequenceReceiver.receive({ sequence: last - 1, sampleTime: 0 }, block(0));
+  sequenceReceiver.receive({ sequence: last, sampleTime: FRAMES }, block(0));
+  assert.strictEqual(sequenceReceiver.receive({ sequence: 0, sampleTime: 2 * FRAMES }, block(0)).length, 1);
+  assert.deepStrictEqual(sequenceReceiver.receive({ sequence: last, sampleTime: FRAMES }, block(0)), []);
+
+  assert.strictEqual(sequenceReceiver.stats.lostPackets, 0);
+  assert.strictEqual(sequenceReceiver.stats.duplicates, 0);
+  assert.strictEqual(sequenceReceiver.stats.late, 1);
+});
+
+test('a sender restarting at 0 is followed at once', () => {
+  // Restarted after a pause in arrivals, within restartThreshold packets
+  const paused = receiver();
+  for (let sequence = 0; sequence < 20; sequence++) {
+    paused.sequenceReceiver.receive(header(sequence), block(0));
+  }
+  paused.advance(800);
+  assert.strictEqual(paused.sequenceReceiver.receive(header(0), block(1)).length, 1);
+  assert.strictEqual(paused.sequenceReceiver.receive(header(1), block(1)).length, 1);
+  assert.strictEqual(paused.sequenceReceiver.stats.restarts, 1);
+
+  // Restarted without a pause: sampleTime went back more than a late packet could
+  const running = receiver({ maxConcealFrames: 10 * FRAMES });
+  for (let sequence = 0; sequence < 20; sequence++) {
+    running.sequenceReceiver.receive(header(sequence), block(0));
+  }
+  assert.strictEqual(running.sequenceReceiver.receive(header(0), block(1)).length, 1);
+  assert.strictEqual(running.sequenceReceiver.stats.restarts, 1);
+  assert.strictEqual(running.sequenceReceiver.stats.late, 0);
+});
+
+test('a sender restarting higher is not counted as lost packets', () => {
+  const { sequenceReceiver } = receiver();
+  sequenceReceiver.receive(header(0), block(0));
+  sequenceReceiver.receive(header(1), block(0));
+
+  // Far ahead
+  assert.strictEqual(sequenceReceiver.receive(header(3000000000), block(0)).length, 1);
+  // The next sequence, but its audio starts before what was received
+  assert.strictEqual(sequenceReceiver.receive({ sequence: 3000000002, sampleTime: 0 }, block(0)).length, 1);
+
+  assert.strictEqual(sequenceReceiver.stats.restarts, 2);
+  assert.strictEqual(sequenceReceiver.stats.lostPackets, 0);
+  assert.strictEqual(sequenceReceiver.stats.concealedFrames, 0);
+});
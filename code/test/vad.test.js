@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { VoiceActivityDetector } = require('../lib/vad');
+const { seededRandom } = require('../lib/capture');
+
+const RATE = 16000;
+
+// Quiet room noise with 'speech' (a 200 Hz tone with harmonics) between the given seconds
+function scene(duration, speech, noiseLevel = 0.001) {
+  const random = seededRandom(3);
+  const samples = new Float32Array(Math.round(duration * RATE));
+  for (let i = 0; i < samples.length; i++) {
+    const t = i / RATE;
+    samples[i] = (random() * 2 - 1) * noiseLevel;
+    if (speech.some(([from, to]) => t >= from && t < to)) {
+      samples[i] += 0.2 * Math.sin(2 * Math.PI * 200 * t) + 0.1 * Math.sin(2 * Math.PI * 600 * t);
+    }
+  }
+  return samples;
+}
+
+function detect(samples, options, blockSize = 800) {
+  const vad = new VoiceActivityDetector(Object.assign({ sampleRate: RATE }, options));
+  const events = [];
+  for (let i = 0; i < samples.length; i += blockSize) {
+    events.push(...vad.process(samples.subarray(i, i + blockSize)));
+  }
+  return { vad, events };
+}
+
+const round = (event) => Object.assign({}, event, {
+  time: Number(event.time.toFixed(3)),
+  duration: event.duration === undefined ? undefined : Number(event.duration.toFixed(3)),
+});
+
+test('utterances start and end at the speech, after the hangover', () => {
+  const { vad, events } = detect(scene(3, [[0.5, 1.2], [2, 2.5]]), { hangoverMs: 300 });
+  assert.deepStrictEqual(events.map(round), [
+    { type: 'speechstart', time: 0.5, duration: undefined },
+    { type: 'speechend', time: 1.2, duration: 0.7 },
+    { type: 'speechstart', time: 2, duration: undefined },
+    { type: 'speechend', time: 2.5, duration: 0.5 },
+  ]);
+  assert.strictEqual(vad.speaking, false);
+  assert.strictEqual(vad.time, 3);
+});
+
+test('pauses shorter than the hangover stay one utterance', () => {
+  const { events } = detect(scene(2, [[0.3, 0.6], [0.8, 1.1]]), { hangoverMs: 300 });
+  assert.deepStrictEqual(events.map((event) => event.type), ['speechstart', 'speechend']);
+  assert.strictEqual(Number(events[1].duration.toFixed(3)), 0.8);
+});
+
+test('clicks, hiss and a steady noise floor are not speech', () => {
+  // A 30 ms burst is shorter than minSpeechMs
+  assert.deepStrictEqual(detect(scene(1, [[0.5, 0.53]])).events, []);
+
+  // Loud white noise crosses zero far too often
+  assert.deepStrictEqual(detect(scene(2, [], 0.3)).events, []);
+
+  // Int16 input is scaled like float input
+  const int16 = Int16Array.from(scene(1.5, [[0.5, 1]]), (value) => Math.round(value * 32767));
+  assert.deepStrictEqual(detect(int16, {}, 333).events.map((event) => event.type), ['speechstart', 'speechend']);
+});
+
+test('speech from the first sample is still found', () => {
+  const { events } = detect(scene(1, [[0, 0.6]]));
+  assert.deepStrictEqual(events.map(round), [
+    { type: 'speechstart', time: 0.2, duration: undefined },
+    { type: 'speechend', time: 0.6, duration: 0.4 },
+  ]);
+});
+
+test('reset forgets the utterance in progress and the stream time', () => {
+  const { vad } = detect(scene(1, [[0.4, 1]]));
+  assert.strictEqual(vad.speaking, true);
+  vad.reset();
+  assert.strictEqual(vad.speaking, false);
+  assert.strictEqual(vad.time, 0);
+});
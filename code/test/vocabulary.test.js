@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { compileVocabulary, loadVocabulary, applyVocabulary } = require('../lib/vocabulary');
+const { makeTempDir } = require('./helpers');
+
+const VOCABULARY = compileVocabulary({
+  corrections: {
+    reverb: ['revert', 'reverse herb'],
+    sidechain: 'side chain',
+    BPM: ['b p m'],
+  },
+  hints: ['Side  Chain', 'b p m'],
+});
+
+test('corrections replace what was heard, longest phrase first', () => {
+  const cases = [
+    ['more revert on the vocals', 'more reverb on the vocals'],
+    ['add reverse herb', 'add reverb'],
+    ['reverse the loop', 'reverse the loop'],
+    ['side chain the bass at one twenty b p m', 'sidechain the bass at one twenty BPM'],
+    ['the side', 'the side'],
+  ];
+  for (const [heard, expected] of cases) {
+    assert.strictEqual(applyVocabulary({ type: 'partial', text: heard }, VOCABULARY).text, expected, heard);
+  }
+  assert.deepStrictEqual(VOCABULARY.hints, ['side chain', 'b p m']);
+});
+
+test('corrected words keep the timing of what was heard', () => {
+  const result = {
+    type: 'final',
+    text: 'side chain it',
+    words: [
+      { word: 'side', start: 1, end: 1.2, conf: 0.9 },
+      { word: 'chain', start: 1.2, end: 1.5, conf: 0.6 },
+      { word: 'it', start: 1.5, end: 1.6, conf: 1 },
+    ],
+  };
+  const corrected = applyVocabulary(result, VOCABULARY);
+  assert.deepStrictEqual(corrected, {
+    type: 'final',
+    text: 'sidechain it',
+    words: [{ word: 'sidechain', start: 1, end: 1.5, conf: 0.6 }, result.words[2]],
+  });
+  assert.strictEqual(result.text, 'side chain it');
+
+  // Nothing to correct: the result itself
+  const plain = { type: 'final', text: 'play' };
+  assert.strictEqual(applyVocabulary(plain, VOCABULARY), plain);
+  assert.strictEqual(applyVocabulary(null, VOCABULARY), null);
+});
+
+test('vocabulary mistakes are reported with the file name', (t) => {
+  assert.throws(() => compileVocabulary([]), /needs "corrections" and\/or "hints"/);
+  assert.throws(() => compileVocabulary({ corrections: { reverb: [] } }), /Correction "reverb" needs the phrases/);
+  assert.throws(() => compileVocabulary({ hints: 'reverb' }), /"hints" must be a list of phrases/);
+
+  const { dir, cleanup } = makeTempDir();
+  t.after(cleanup);
+  const fileName = path.join(dir, 'vocabulary.json');
+  fs.writeFileSync(fileName, '{ "hints": [""] }');
+  assert.throws(() => loadVocabulary(fileName), /^Error: vocabulary\.json: "hints" must be a list of phrases$/);
+});
+
+test('the shipped vocabulary.json compiles', () => {
+  const vocabulary = loadVocabulary(path.join(__dirname, '..', 'vocabulary.json'));
+  assert.strictEqual(applyVocabulary({ type: 'final', text: 'more revert on the high hat' }, vocabulary).text, 'more reverb on the hi-hat');
+});
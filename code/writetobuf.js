@@ -41,10 +41,10 @@ var buffer1 = new Buffer("UDPbuf");
 var buffer2 = new Buffer("UDPbuf2");
 var activeBuffer = buffer1;
 var inactiveBuffer = buffer2;
-var clipStart1 = 0;
+var clipStarts = []; // Write position per buffer channel (index 0 = channel 1)
 var chunkSize = 128; // Size of the chunk or window in frames
 var switchDelay = 20; // Delay before clearing the buffer (in milliseconds)
-var fadeLength = 441; // Length of crossfade (e.g., 10ms at 44100 Hz)
+var fadeLength = 441; // Length of crossfade in frames (10ms, follows samplerate)
 
 /**
  * ============================================================================
@@ -57,6 +57,8 @@ var fadeLength = 441; // Length of crossfade (e.g., 10ms at 44100 Hz)
  * 
  * WHAT IT DOES:
  * 1. Receives audio data chunks from UDP/TCP streams
+ *    Message format: writeAudioChunk <channel> <sample> <sample> ...
+ *    (channel is 1-based and matches the buffer~ channel)
  * 2. Writes audio to active Max/MSP buffer for immediate playback
  * 3. Manages buffer overflow and automatic switching
  * 4. Applies fade-out effects for smooth transitions
@@ -64,6 +66,8 @@ var fadeLength = 441; // Length of crossfade (e.g., 10ms at 44100 Hz)
  * BUFFER STRATEGY:
  * - Uses dual-buffer system (active/inactive) for seamless audio
  * - Writes chunks of 128 frames at a time for optimal performance
+ * - Each channel keeps its own write position, so channels may arrive
+ *   as separate messages in any order
  * - Automatic buffer switching when capacity is reached
  * - Crossfading to prevent audio clicks and pops
  * 
@@ -80,7 +84,7 @@ var fadeLength = 441; // Length of crossfade (e.g., 10ms at 44100 Hz)
  * - Buffer system compensates for network timing variations
  * 
  * AUDIO PROCESSING CHAIN:
- * Network → convertMatrixToFloat32() → writeAudioChunk() → Max/MSP Output
+ * Network → decodePacket() → writeAudioChunk() → Max/MSP Output
  * ============================================================================
  */
 function writeAudioChunk() {
@@ -89,24 +93,47 @@ function writeAudioChunk() {
         return;
     }
 
-    var audioData = arrayfromargs(arguments);
+    var args = arrayfromargs(arguments);
+    var channel = args[0];
+    var audioData = args.slice(1);
     var numSamples = audioData.length;
 
+    if (channel < 1 || channel > activeBuffer.channelcount()) {
+        post("Channel " + channel + " does not exist in the active buffer (" + activeBuffer.channelcount() + " channels).\n");
+        return;
+    }
+
     if (activeBuffer.framecount() < numSamples) {
         post("Active buffer is too small for the incoming data. Resize the buffer~ or reduce the data size.\n");
         return;
     }
 
+    var clipStart = clipStarts[channel - 1] || 0;
+
     for (var i = 0; i < numSamples; i++) {
-        activeBuffer.poke(1, clipStart1 + i, audioData[i]); // Write each sample to the active buffer
+        activeBuffer.poke(channel, clipStart + i, audioData[i]); // Write each sample to the active buffer
     }
 
-    clipStart1 += numSamples;
+    clipStart += numSamples;
 
     // If the buffer is full, start writing from the beginning again
-    if (clipStart1 >= activeBuffer.framecount()) {
-        clipStart1 = 0;
+    if (clipStart >= activeBuffer.framecount()) {
+        clipStart = 0;
+    }
+
+    clipStarts[channel - 1] = clipStart;
+}
+
+// samplerate <hz>: forwarded from UDP.js so the crossfade stays 10ms long
+function samplerate(rate) {
+    if (rate < 8000) {
+        post("Ignoring invalid sample rate " + rate + ".\n");
+        return;
     }
+    projectSampleRate = rate;
+    currentSampleRate = rate;
+    fadeLength = Math.round(rate / 100);
+    post("Sample rate set to " + rate + " Hz (fade " + fadeLength + " frames).\n");
 }
 
 function clearBuffer() {
@@ -120,7 +147,7 @@ function clearBuffer() {
 
 function clearInactiveBuffer() {
     inactiveBuffer.send("clear"); // Clear the now inactive buffer
-    clipStart1 = 0;
+    clipStarts = [];
     post("Inactive buffer cleared after delay.\n");
 }
 